@@ -3,50 +3,125 @@
 // Much faster than MLC for short prompts — no JS→C++ bridge overhead.
 //
 // Message protocol (main → worker):
-//   { type: "load",     model: ModelDescriptor }
-//   { type: "generate", messages: [...], opts: {...} }
-//   { type: "stop" }
+//   { type: "load",     model: ModelDescriptor, forceCPU?: boolean, core?: boolean,
+//                        draft?: ModelDescriptor, kernelsSrc?: string }
+//                        → kernelsSrc: the app's webgpu/kernels.wgsl — compiled in preference
+//                          to the bundle's copy, which may predate this worker's dispatch sizes
+//                        → CPU backend (acc-cpu.js) when forceCPU or WebGPU is missing
+//                        → core: ActalithicCore — first layers on WebGPU, the rest on the CPU
+//                        → draft: small model for speculative decoding (cached or hosted only)
+//                        model.publicKey: base64 Ed25519 key (modelurls.json) — hosted
+//                        bundles must then carry a matching manifest.sig (see Bundle integrity)
+//                        model.pack: File / Blob of a .accpack archive to load from
+//                        model.hostedPack: URL of a hosted .accpack, read with Range requests
+//   { type: "generate", requestId: any, messages: [...], opts: {...} }
+//                        requests run concurrently, each in its own KV slot (see Sequences);
+//                        every reply message below that belongs to one carries its requestId
+//                        opts: maxNewTokens, temperature, topP, topK, minP, typicalP,
+//                              repetitionPenalty, frequencyPenalty, presencePenalty,
+//                              penaltyLastN, logitBias, seed,
+//                              sampler: "gpu" (default, top-k on GPU) | "cpu" (full-vocab readback),
+//                              stop: string | string[], stopTokenIds: number[],
+//                              responseFormat: OpenAI response_format — json_schema, json_object,
+//                                regex or GBNF grammar; output is constrained token by token
+//                                (acc-grammar.js), using the full-vocab sampler
+//   { type: "count",    requestId: any, messages: [...] } → prompt length in tokens, as generate
+//                                           would encode these messages
+//   { type: "stop",     requestId?: any } → stop that request, or every request
+//   { type: "reset" }                    → drop every cached KV position of idle slots
+//   { type: "fork",     messages: [...] } → idle slots keep only the prefix shared with these messages
 //   { type: "unload" }
+//   { type: "selftest" }                 → compare GPU kernels against acc-reference.js
+//                                          (open the app with ?selftest to run it after load)
+//   { type: "bench",    tokens?: number } → time a prefill and `tokens` greedy decode steps
+//                                           (default 64); drops the KV cache; not while generating
+//   { type: "probe" }                    → device profile; needs no model
 //
 // Message protocol (worker → main):
 //   { type: "progress", pct: 0-100, msg: string, phase: string }
-//   { type: "ready",    modelId: string }
-//   { type: "token",    text: string, id: number }
-//   { type: "done",     tokPerSec: number, tokenCount: number }
-//   { type: "error",    message: string }
-
-import { convertSafetensors, parseShard, DTYPE, ACC_VERSION } from "./acc-converter.js";
+//   { type: "ready",    modelId: string, backend: "webgpu" | "cpu", contextLength: number,
+//                       core: CoreStats | null, draft: string | null }
+//                       contextLength = KV positions available; draft = loaded draft model id
+//   { type: "prefill",  requestId, done: number, total: number }   after each PREFILL_CHUNK of the prompt
+//   { type: "token",    requestId, text: string, id: number }
+//   { type: "count",    requestId, tokens: number }
+//   { type: "done",     requestId, tokPerSec: number, tokenCount: number, reusedTokens: number,
+//                       promptTokens: number, ttftMs: number, decodeTokPerSec: number,
+//                       finishReason: "stop" | "length" | "abort" | "context_full",
+//                       core: CoreStats | null, draft: { proposed, accepted } | null }
+//   CoreStats = { gpuLayers, cpuLayers, gpuBytes, cpuBytes, gpuMs, cpuMs } — per-side
+//               weight + KV memory, and time spent over the last generate
+//   { type: "selftest", ok: boolean, results: [{ kernel, case, maxAbs, ok }] }
+//   { type: "bench",    backend: string, prefillTokens: number, prefillTokPerSec: number,
+//                       decodeTokens: number, decodeTokPerSec: number, msPerToken: number }
+//   { type: "probe",    profile: DeviceProfile }
+//   DeviceProfile = { mobile, deviceMemory, hardwareConcurrency, crossOriginIsolated, webgpu,
+//                     adapter: { vendor, architecture, device, description } | null,
+//                     fallbackAdapter, features: string[], limits: {...} | null,
+//                     tier: "dedicated" | "steamdeck" | "integrated" | "phone" | "cpu",
+//                     vramEstimate: bytes }
+//   { type: "error",    message: string, requestId? }   requestId when a generate or count failed
+
+import { convertSafetensors, convertGGUF, parseShard, verifyTensor, DTYPE, ACC_VERSION,
+         verifyShard, verifyManifestSignature, checkBundleFormat, reblockTensor,
+         openAccPack, quantizeQ4, quantizeQ8, toFloat16 } from "./acc-converter.js";
+import { ACCTokenizer, createStopMatcher } from "./acc-tokenizer.js";
+import { compileChatTemplate, foldSystemMessage } from "./acc-template.js";
+import { attention, compareOutputs, tokenEmbed, rmsNorm, matmul, dequantize, ropeEmbed,
+         swiglu, lmHead, residualAdd, headDimOf } from "./acc-reference.js";
+import { createCPUBackend } from "./acc-cpu.js";
+import { compileResponseFormat, createConstraint } from "./acc-grammar.js";
+
+const IS_MOBILE_WORKER = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini|Mobi/i
+  .test(self.navigator?.userAgent || "");
 
 // ─── State ────────────────────────────────────────────────────────────────────
+let _profile     = null;        // DeviceProfile — see probeDevice
 let _device      = null;
 let _config      = null;
 let _manifest    = null;
 let _tokenizer   = null;
+let _chatTpl     = null;        // { src, tpl } — compiled config.chat_template
 let _weights     = new Map();   // tensorName → {buffer:GPUBuffer, dtype, shape}
 let _pipelines   = {};
 let _kernelSrc   = null;
+let _appKernels  = null;        // kernels.wgsl shipped with the app — see handleLoad
 let _modelId     = null;
 let _loaded      = false;
-let _stopFlag    = false;
+let _forceCPU    = false;
+let _cpu         = null;        // acc-cpu.js backend — replaces the GPU path when set
+let _coreMode    = false;       // ActalithicCore requested for this load
+let _core        = null;        // { gpuLayers, cpu, gpuBytes, gpuMs, cpuMs } once split is planned
+let _arena       = null;        // persistent activations + bind groups — see ensureArena
+let _ring        = null;        // uniform ring — see uniforms()
+let _draftModel  = null;        // draft ModelDescriptor requested for this load
+let _draft       = null;        // { model, slot } — see Speculative decoding
 
 // KV cache — pre-allocated GPU buffers for all layers
 // Stores (key, value) for each layer at each position already processed.
 // Allows decoding without re-computing the entire context on each step.
-let _kvCache     = null;        // { keys: GPUBuffer[], vals: GPUBuffer[], size: number }
+let _kvCache     = null;        // { keys: GPUBuffer[], vals: GPUBuffer[], maxSeq, sliceBytes, f16 }
 let _kvPos       = 0;           // current position in KV cache
+let _kvTokens    = [];          // token id held at each cached position — _kvTokens.length === _kvPos
 
 // ─── Entry point ──────────────────────────────────────────────────────────────
 self.onmessage = async (e) => {
   const msg = e.data;
   try {
     switch (msg.type) {
-      case "load":     await handleLoad(msg.model);                  break;
-      case "generate": await handleGenerate(msg.messages, msg.opts); break;
-      case "stop":     _stopFlag = true;                             break;
+      case "load":     await handleLoad(msg.model, msg);             break;
+      case "generate": await handleGenerate(msg.requestId, msg.messages, msg.opts); break;
+      case "count":    handleCount(msg.requestId, msg.messages);     break;
+      case "stop":     stopRequests(msg.requestId);                  break;
+      case "reset":    handleReset();                                break;
+      case "fork":     handleFork(msg.messages);                     break;
       case "unload":   await handleUnload();                         break;
+      case "selftest": await handleSelfTest();                       break;
+      case "bench":    await handleBench(msg.tokens);                break;
+      case "probe":    post({ type: "probe", profile: await deviceProfile() }); break;
     }
   } catch (err) {
-    post({ type: "error", message: err.message || String(err) });
+    post({ type: "error", message: err.message || String(err), requestId: msg.requestId });
   }
 };
 
@@ -55,11 +130,18 @@ function progress(pct, msg, phase="load") { post({ type: "progress", pct, msg, p
 function yld()                           { return new Promise(r => setTimeout(r, 0)); }
 
 // ─── Load ─────────────────────────────────────────────────────────────────────
-async function handleLoad(model) {
-  _modelId = model.id;
-  _loaded  = false;
-  _kvCache = null;
-  _kvPos   = 0;
+async function handleLoad(model, { forceCPU = false, core = false, draft = null, kernelsSrc = null } = {}) {
+  _modelId    = model.id;
+  _appKernels = kernelsSrc || _appKernels;
+  _loaded     = false;
+  _kvCache    = null;
+  _forceCPU   = !!forceCPU;
+  _coreMode   = !!core && !forceCPU;
+  _core       = null;
+  _draftModel = draft;
+  _draft      = null;
+  resetKV();
+  await deviceProfile();
 
   progress(0, `Starting ${model.name}…`, "load");
 
@@ -72,17 +154,24 @@ async function handleLoad(model) {
     return;
   }
 
-  // 2. Hosted ACC CDN — skip if example.com (placeholder), else try CDN
-  const isPlaceholder = !model.hostedBase ||
-    model.hostedBase.includes("example.com") ||
-    model.hostedBase.includes("localhost");
+  // 2. A .accpack the user picked — there is no other source to fall back to
+  if (model.pack) {
+    await loadFromPack(model, model.pack);
+    return;
+  }
+
+  // 3. Hosted ACC CDN (.acc folder or one .accpack) — skip if example.com (placeholder), else try CDN
+  const hostedPack    = !isPlaceholderUrl(model.hostedPack);
+  const isPlaceholder = !hostedPack && isPlaceholderUrl(model.hostedBase);
 
   if (!isPlaceholder) {
     progress(5, "Downloading from Actalithic CDN…", "download");
     try {
-      await downloadAndStreamHostedACC(model);
+      if (hostedPack) await loadFromPack(model, model.hostedPack);
+      else            await downloadAndStreamHostedACC(model);
       return;
     } catch (e) {
+      if (e.integrity || e.format) throw e;
       progress(6, `CDN unavailable (${e.message}), falling back to direct source…`, "compile");
     }
   } else if (isPlaceholder) {
@@ -90,7 +179,7 @@ async function handleLoad(model) {
     progress(4, "CDN not configured — attempting direct source…", "download");
   }
 
-  // 3. Direct download + on-device compile (admin/dev path or CDN missing)
+  // 4. Direct download + on-device compile (admin/dev path or CDN missing)
   // Show clear error for gated models instead of silent 401
   let safetensors = null;
   try {
@@ -110,29 +199,45 @@ async function handleLoad(model) {
     throw e;
   }
 
-  const tokenizerJson = await fetchText(`${model.hfBase}/${model.hfTokenizerFile}`).catch(() => null);
+  // GGUF files carry their own config + tokenizer and are dequantized per tensor
+  const isGGUF  = /\.gguf$/i.test(model.hfFile || "");
+  const convert = isGGUF ? convertGGUF : convertSafetensors;
+
+  // GGUF models may omit hfTokenizerFile — the converter rebuilds tokenizer.json from metadata.
+  // Upstream config files are optional; whatever is missing is inferred from tensor shapes.
+  const fetchOptional = (file) => file ? fetchText(`${model.hfBase}/${file}`).catch(() => null) : null;
+  const [tokenizerJson, configJson, generationConfigJson, tokenizerConfigJson, chatTemplate] = await Promise.all([
+    fetchOptional(model.hfTokenizerFile),
+    isGGUF ? null : fetchOptional("config.json"),
+    isGGUF ? null : fetchOptional("generation_config.json"),
+    isGGUF ? null : fetchOptional("tokenizer_config.json"),
+    isGGUF ? null : fetchOptional("chat_template.jinja"),
+  ]);
 
   progress(46, "Compiling to .acc format (Q4 optimised)…", "compile");
 
-  // convertSafetensors receives a StreamingBuffer (_isStreamingBuffer=true).
+  // The converter receives a StreamingBuffer (_isStreamingBuffer=true).
   // If acc-converter.js supports the streaming interface it will call
   // buf.readSlice(start, end) per tensor — peak RAM stays at one tensor at a time.
   // If it only accepts a plain ArrayBuffer we fall back to toArrayBuffer(),
   // which throws a clear message instead of a cryptic allocation failure.
   const convOpts = {
     quantMode:       model.quant  || "q4",
-    shardSizeBytes:  256 * 1024 * 1024,   // 256 MB shards — stream-upload to GPU
+    shardSizeBytes:  compileShardBytes(), // each shard is held in RAM once before upload
     onProgress:      (pct, msg) => progress(46 + pct * 0.28, msg, "compile"),
     configOverrides: { arch: model.arch || "llama" },
+    configJson,
+    generationConfigJson,
+    tokenizerConfigJson,
+    chatTemplate,
     tokenizerJson,
     optimized:       true,
-    blockSize:       128,
     calibrateBlocks: true,
   };
 
   let bundle;
   try {
-    bundle = await convertSafetensors(safetensors, convOpts);
+    bundle = await convert(safetensors, convOpts);
   } catch (convErr) {
     // Fallback: converter doesn't support StreamingBuffer — materialise to ArrayBuffer
     if (safetensors._isStreamingBuffer) {
@@ -143,7 +248,7 @@ async function handleLoad(model) {
         await safetensors.cleanup().catch(() => {});
         throw oomErr;
       }
-      bundle = await convertSafetensors(flatBuf, convOpts);
+      bundle = await convert(flatBuf, convOpts);
       flatBuf = null;
     } else {
       throw convErr;
@@ -172,7 +277,7 @@ async function downloadAndStreamHostedACC(model) {
     fetchText(`${base}/manifest.json`),
     fetchText(`${base}/config.json`),
   ]);
-  const manifest  = JSON.parse(manifestText);
+  const manifest  = await verifyHostedManifest(model, manifestText, () => fetchText(`${base}/manifest.sig`));
   const config    = JSON.parse(configText);
   let   tokenizer = null;
   try { tokenizer = await fetchText(`${base}/tokenizer.json`); } catch {}
@@ -188,28 +293,112 @@ async function downloadAndStreamHostedACC(model) {
     const name = `shard_${String(i).padStart(2,"0")}.bin`;
     progress(10 + Math.round((i / total) * 78), `Downloading & uploading shard ${i+1}/${total}…`, "download");
     const buf = await downloadRaw(`${base}/shards/${name}`);
-    uploadShard(new Uint8Array(buf));
+    uploadShard(await checkShard(manifest, i, new Uint8Array(buf), HOSTED_SHARD_HINT));
     // Immediately eligible for GC — no accumulation
   }
 
   // Save manifest/config/tokenizer to OPFS for next load (shards saved on-demand)
   await saveToOPFS({ manifest, config, tokenizer, shards: [], kernels }, model.id).catch(() => {});
 
+  await finishLoad();
+}
+
+// ─── Finish load — shared tail of every load path, once the weights are up ────
+async function finishLoad() {
   progress(90, "Allocating KV cache…", "gpu");
-  allocateKVCache(IS_MOBILE_WORKER ? 2048 : undefined);
-  progress(98, "Warming up kernels…", "gpu");
+  allocateKVCache();
+  initSeqs();
+  if (_draftModel) await loadDraft(_draftModel);
+  progress(98, "Warming up…", "gpu");
   try { await forwardPass([_tokenizer?.bosId ?? 1], 0, true); } catch {}
   _loaded = true;
-  _kvPos  = 0;
-  post({ type: "ready", modelId: _modelId });
+  resetKV();
+  post({ type: "ready", modelId: _modelId, backend: _cpu ? "cpu" : "webgpu", contextLength: kvCapacity(),
+         core: coreStats(), draft: _draft?.model.id ?? null });
   progress(100, "Ready", "done");
 }
 
+// ─── Device probe ─────────────────────────────────────────────────────────────
+// What the load path sizes itself from: KV length (allocateKVCache), shard
+// size for on-device compiles, the GPU layer budget for ActalithicCore, and
+// whether to skip a software WebGPU adapter in favour of the CPU backend.
+// WebGPU does not report VRAM: unified-memory GPUs (phones, integrated) get
+// UNIFIED_GPU_SHARE of navigator.deviceMemory (itself capped at 8 GB, and
+// assumed 4 GB when the browser hides it); discrete GPUs are assumed to have
+// DISCRETE_MIN_VRAM, or twice their largest buffer when that is more.
+const UNIFIED_GPU_SHARE = 0.5;
+const DISCRETE_MIN_VRAM = 4 * 2 ** 30;
+const PROBE_LIMITS = [
+  "maxBufferSize", "maxStorageBufferBindingSize", "maxComputeWorkgroupStorageSize",
+  "maxComputeInvocationsPerWorkgroup", "maxComputeWorkgroupsPerDimension",
+];
+
+async function deviceProfile() {
+  return _profile ??= await probeDevice();
+}
+
+async function probeDevice() {
+  const nav     = self.navigator || {};
+  const profile = {
+    mobile:              IS_MOBILE_WORKER,
+    deviceMemory:        nav.deviceMemory ?? null,
+    hardwareConcurrency: nav.hardwareConcurrency || 1,
+    crossOriginIsolated: self.crossOriginIsolated === true,
+    webgpu:              false,
+    adapter:             null,
+    fallbackAdapter:     false,
+    features:            [],
+    limits:              null,
+  };
+
+  const adapter = nav.gpu ? await nav.gpu.requestAdapter({ powerPreference: "high-performance" }).catch(() => null) : null;
+  if (adapter) {
+    const info = adapter.info || await adapter.requestAdapterInfo?.().catch(() => null) || {};
+    profile.webgpu          = true;
+    profile.adapter         = { vendor: info.vendor || "", architecture: info.architecture || "",
+                                device: info.device || "", description: info.description || "" };
+    profile.fallbackAdapter = !!(adapter.isFallbackAdapter ?? info.isFallbackAdapter);
+    profile.features        = [...adapter.features];
+    profile.limits          = Object.fromEntries(PROBE_LIMITS.map(k => [k, adapter.limits[k]]));
+  }
+
+  profile.tier = deviceTier(profile);
+  const unified = (profile.deviceMemory || 4) * 2 ** 30 * UNIFIED_GPU_SHARE;
+  profile.vramEstimate = profile.tier === "dedicated"
+    ? Math.max(DISCRETE_MIN_VRAM, 2 * (profile.limits.maxBufferSize || 0))
+    : profile.tier === "cpu" ? 0 : unified;
+  return profile;
+}
+
+// Matches the rows of the speed table in index.html
+function deviceTier(p) {
+  if (!p.webgpu || p.fallbackAdapter) return "cpu";
+  if (p.mobile) return "phone";
+  const id = Object.values(p.adapter).join(" ").toLowerCase();
+  if (/van ?gogh|custom gpu 0405/.test(id)) return "steamdeck";
+  if (/\barc\b/.test(id)) return "dedicated";
+  if (/intel|apple|qualcomm|\barm\b|mali|adreno|integrated|uhd|iris|radeon\(tm\) graphics|vega \d+ graphics/.test(id)) return "integrated";
+  return "dedicated";
+}
+
+// Shard size for on-device compiles — smaller where RAM is tight
+function compileShardBytes() {
+  if (_profile.mobile || (_profile.deviceMemory || 4) <= 4) return 64 * 2 ** 20;
+  return Math.min(256 * 2 ** 20, _profile.limits?.maxBufferSize ?? Infinity);
+}
+
 // ─── Init GPU (device + kernels + tokenizer only, no weights) ─────────────────
 async function initGPU(bundle, model) {
+  checkFormat(bundle.manifest);
   _manifest = bundle.manifest;
   _config   = bundle.config;
 
+  // A software adapter (SwiftShader and friends) is slower than the WASM backend
+  if (_forceCPU || !self.navigator?.gpu || _profile?.fallbackAdapter) {
+    await initCPU(bundle);
+    return;
+  }
+
   progress(8, "Requesting GPU adapter…", "gpu");
   if (!self.navigator?.gpu) throw new Error("WebGPU not available. Use Chrome 113+ on desktop, or Chrome 121+ on Android.");
   const adapter = await navigator.gpu.requestAdapter({ powerPreference: "high-performance" });
@@ -224,11 +413,14 @@ async function initGPU(bundle, model) {
       deviceDesc.requiredLimits = { maxBufferSize: maxBuf, maxStorageBufferBindingSize: maxSSBO };
     }
   }
+  if (adapter.features.has("shader-f16")) deviceDesc.requiredFeatures = ["shader-f16"];
   _device = await adapter.requestDevice(deviceDesc);
   _device.lost.then(info => { post({ type: "error", message: `GPU device lost: ${info.reason}` }); _loaded = false; });
 
   progress(12, "Compiling WGSL kernels…", "gpu");
-  const kSrc = bundle.kernels || _kernelSrc;
+  // The app's kernels match the workgroup sizes dispatch() assumes; a bundle's
+  // copy is whatever kernels.wgsl was current when it was converted
+  const kSrc = _appKernels || bundle.kernels || _kernelSrc;
   if (!kSrc) throw new Error("kernels.wgsl missing — check webgpu/ folder is included");
   try { await compilePipelines(kSrc); }
   catch (e) {
@@ -236,9 +428,88 @@ async function initGPU(bundle, model) {
     throw e;
   }
 
+  if (_coreMode) await planCoreSplit();
+
+  if (bundle.tokenizer) _tokenizer = new ACCTokenizer(JSON.parse(bundle.tokenizer));
+}
+
+// ─── Init CPU backend (no WebGPU, or CPU mode forced) ─────────────────────────
+// Shards then go to the backend's WASM memory instead of GPU buffers and
+// forwardPass runs on the CPU; everything else in the worker is shared.
+async function initCPU(bundle) {
+  progress(8, "Starting CPU backend…", "cpu");
+  _cpu = await createCPUBackend(_config);
+  const how = _cpu.kind === "js" ? "plain JS — WASM SIMD unavailable"
+            : `WASM SIMD, ${_cpu.threads} thread${_cpu.threads > 1 ? "s" : ""}`;
+  progress(12, `CPU backend ready (${how})`, "cpu");
   if (bundle.tokenizer) _tokenizer = new ACCTokenizer(JSON.parse(bundle.tokenizer));
 }
 
+// ─── ActalithicCore — GPU + CPU layer split ───────────────────────────────────
+// Layers [0, gpuLayers) run on WebGPU; the rest, the final norm and the LM
+// head run on the CPU backend. Hidden states cross once per forward pass:
+// seq_len × hidden f32 read back after the last GPU layer.
+// The GPU side gets CORE_VRAM_SHARE of the probed VRAM estimate (the rest is
+// headroom for activations and the page), and a layer can only go to the GPU
+// if its largest tensor fits in one storage binding.
+const CORE_VRAM_SHARE = 0.8;
+const BYTES_PER_PARAM = { f32: 4, f16: 2, q8: 1 + 4 / 32, q4: 0.5 + 4 / 32 };
+
+async function planCoreSplit() {
+  const cfg     = _config;
+  const nLayers = cfg.num_hidden_layers;
+  const hidden  = cfg.hidden_size;
+  const nHeads  = cfg.num_attention_heads;
+  const nKV     = cfg.num_key_value_heads || nHeads;
+  const headDim = headDimOf(cfg);
+  const ffnH    = cfg.intermediate_size;
+  const maxSeq  = cfg.max_position_embeddings || 4096;
+  const bpp     = BYTES_PER_PARAM[_manifest?.quant] ?? 4;
+
+  const largest    = Math.max(ffnH * hidden, nHeads * headDim * hidden) * bpp;
+  const layerBytes = (hidden * (nHeads + 2 * nKV) * headDim + nHeads * headDim * hidden + 3 * hidden * ffnH) * bpp
+                   + 2 * maxSeq * nKV * headDim * (_pipelines.kv_store_f16 ? 2 : 4);
+  const embedBytes = cfg.vocab_size * hidden * bpp;
+  const budget     = _profile.vramEstimate * CORE_VRAM_SHARE - embedBytes;
+
+  const gpuLayers = largest > _device.limits.maxStorageBufferBindingSize ? 0
+    : Math.max(0, Math.min(nLayers, Math.floor(budget / layerBytes)));
+
+  _core = { gpuLayers, cpu: null, gpuBytes: 0, gpuMs: 0, cpuMs: 0 };
+  if (gpuLayers < nLayers) {
+    _core.cpu = await createCPUBackend(_config);
+    progress(13, `ActalithicCore: ${gpuLayers}/${nLayers} layers on GPU, ${nLayers - gpuLayers} on CPU`, "gpu");
+  }
+}
+
+// Which side a tensor lives on — the embedding stays on the GPU, and is
+// copied to the CPU too when it doubles as the LM head
+function coreSides(name) {
+  if (!_core?.cpu) return { gpu: true, cpu: false };
+  const layer = /^model\.layers\.(\d+)\./.exec(name);
+  if (layer) {
+    const onGPU = +layer[1] < _core.gpuLayers;
+    return { gpu: onGPU, cpu: !onGPU };
+  }
+  if (/embed_tokens|wte/.test(name)) return { gpu: true, cpu: _config.tie_word_embeddings !== false };
+  return { gpu: false, cpu: true };   // final norm, lm_head
+}
+
+function coreStats() {
+  if (!_core) return null;
+  const nLayers = _config.num_hidden_layers;
+  const kvGPU   = kvBytes(_kvCache) + (_arena?.bytes ?? 0);
+  const cpu     = _core.cpu?.stats() ?? { weightBytes: 0, kvBytes: 0 };
+  return {
+    gpuLayers: _core.gpuLayers,
+    cpuLayers: nLayers - _core.gpuLayers,
+    gpuBytes:  _core.gpuBytes + kvGPU,
+    cpuBytes:  cpu.weightBytes + cpu.kvBytes,
+    gpuMs:     Math.round(_core.gpuMs),
+    cpuMs:     Math.round(_core.cpuMs),
+  };
+}
+
 // ─── Init from bundle — stream shards to GPU and free immediately (low RAM) ───
 async function initStreamingBundle(bundle, model) {
   await initGPU(bundle, model);
@@ -251,13 +522,7 @@ async function initStreamingBundle(bundle, model) {
     await yld();
   }
 
-  progress(97, "Allocating KV cache…", "gpu");
-  allocateKVCache(IS_MOBILE_WORKER ? 2048 : undefined);
-  progress(98, "Warming up…", "gpu");
-  try { await forwardPass([_tokenizer?.bosId ?? 1], 0, true); } catch {}
-  _loaded = true; _kvPos = 0;
-  post({ type: "ready", modelId: _modelId });
-  progress(100, "Ready", "done");
+  await finishLoad();
 }
 
 // ─── Load metadata from OPFS without reading shards yet ───────────────────────
@@ -288,158 +553,777 @@ async function initStreamingFromOPFS(meta, model) {
   let shardsDir = null;
   try { shardsDir = await accDir.getDirectoryHandle("shards"); } catch {}
 
-  if (shardsDir) {
+  if (shardsDir && manifest.tensors) {
+    const shardFile = async (i) => {
+      try { return await (await shardsDir.getFileHandle(shardName(i))).getFile(); }
+      catch { throw new Error(`Cache shard ${i} missing — clear cache and reload.`); }
+    };
+    await uploadIndexed(manifest, shardFile, { hint: CACHED_SHARD_HINT, from: "cache", phase: "cache" });
+  } else if (shardsDir) {
     const total = manifest.num_shards;
     for (let i = 0; i < total; i++) {
       progress(8 + Math.round((i / total) * 80), `Loading shard ${i+1}/${total} from cache…`, "cache");
+      let data;
       try {
-        const fh   = await shardsDir.getFileHandle(`shard_${String(i).padStart(2,"0")}.bin`);
-        const data = new Uint8Array(await (await fh.getFile()).arrayBuffer());
-        uploadShard(data);
-        // data goes out of scope here — GC can free it
+        const fh = await shardsDir.getFileHandle(`shard_${String(i).padStart(2,"0")}.bin`);
+        data     = new Uint8Array(await (await fh.getFile()).arrayBuffer());
       } catch (e) {
-        throw new Error(`Cache shard ${i} missing or corrupt — clear cache and reload.`);
+        throw new Error(`Cache shard ${i} missing — clear cache and reload.`);
       }
+      uploadShard(await checkShard(manifest, i, data, CACHED_SHARD_HINT));
+      // data goes out of scope here — GC can free it
       await yld();
     }
   }
 
-  progress(90, "Allocating KV cache…", "gpu");
-  allocateKVCache(IS_MOBILE_WORKER ? 2048 : undefined);
-  progress(98, "Warming up…", "gpu");
-  try { await forwardPass([_tokenizer?.bosId ?? 1], 0, true); } catch {}
-  _loaded = true; _kvPos = 0;
-  post({ type: "ready", modelId: _modelId });
-  progress(100, "Ready", "done");
+  await finishLoad();
+}
+
+// Bundles with a tensor index (1.1.0+) are read one tensor at a time with
+// Blob.slice — peak memory is the largest tensor, not a whole shard — and
+// each tensor is checked against its own SHA-256 and routed straight to the
+// side that runs it (uploadTensor), so a core split's CPU layers never touch the GPU.
+// shardFile(i) resolves to shard i as a Blob, File or .accpack Range view.
+async function uploadIndexed(manifest, shardFile, { hint, from, phase }) {
+  const entries = Object.entries(manifest.tensors).sort(([, a], [, b]) => a.shard - b.shard || a.offset - b.offset);
+  const files   = [];
+  for (let n = 0; n < entries.length; n++) {
+    const [name, entry] = entries[n];
+    files[entry.shard] ??= await shardFile(entry.shard);
+    const data = new Uint8Array(await files[entry.shard].slice(entry.offset, entry.offset + entry.length).arrayBuffer());
+    try { await verifyTensor(name, entry, data); }
+    catch (e) { throw integrityError(`${e.message} — ${hint}.`); }
+    uploadTensor({ name, dtype: entry.dtype, shape: entry.shape, data });
+    if (n % 16 === 0) {
+      progress(8 + Math.round((n / entries.length) * 80), `Loading tensor ${n+1}/${entries.length} from ${from}…`, phase);
+      await yld();
+    }
+  }
+}
+
+// ─── Load a single-file .accpack ──────────────────────────────────────────────
+// A File the user picked, or a hosted URL read with HTTP Range requests: only
+// the archive header, the JSON files and the weights themselves are fetched.
+async function loadFromPack(model, source) {
+  const remote = typeof source === "string";
+  const from   = remote ? "the .accpack" : source.name || "the .accpack";
+  const phase  = remote ? "download" : "load";
+  progress(6, `Opening ${from}…`, phase);
+  const pack   = await openAccPack(source);
+  const text   = (name) => packFile(pack, name).text();
+
+  const manifest  = await verifyHostedManifest(model, await text("manifest.json"), () => text("manifest.sig"));
+  const config    = JSON.parse(await text("config.json"));
+  const tokenizer = pack.file("tokenizer.json")      ? await text("tokenizer.json")      : null;
+  const kernels   = pack.file("webgpu/kernels.wgsl") ? await text("webgpu/kernels.wgsl") : null;
+  await initGPU({ manifest, config, tokenizer, kernels, shards: [] }, model);
+
+  const hint  = remote ? HOSTED_SHARD_HINT : PACK_SHARD_HINT;
+  const shard = async (i) => packFile(pack, `shards/${shardName(i)}`);
+  if (manifest.tensors) {
+    await uploadIndexed(manifest, shard, { hint, from, phase });
+  } else {
+    const total = manifest.num_shards;
+    for (let i = 0; i < total; i++) {
+      progress(8 + Math.round((i / total) * 80), `Loading shard ${i+1}/${total} from ${from}…`, phase);
+      const data = new Uint8Array(await (await shard(i)).arrayBuffer());
+      uploadShard(await checkShard(manifest, i, data, hint));
+      await yld();
+    }
+  }
+
+  await finishLoad();
+}
+
+function packFile(pack, name) {
+  const file = pack.file(name);
+  if (!file) throw new Error(`${name} is missing from the .accpack`);
+  return file;
+}
+
+const shardName = (i) => `shard_${String(i).padStart(2,"0")}.bin`;
+
+// example.com / localhost entries in modelurls.json are placeholders, not CDNs
+function isPlaceholderUrl(url) {
+  return !url || url.includes("example.com") || url.includes("localhost");
+}
+
+// ─── Bundle integrity ─────────────────────────────────────────────────────────
+// Every shard — downloaded or cached — is checked against the length and
+// SHA-256 in manifest.shards before it reaches the GPU. When modelurls.json
+// lists a publicKey for the model, a hosted manifest must also carry a
+// manifest.sig that verifies against it; the signed manifest holds the shard
+// digests, so that vouches for the weights too. Integrity errors are flagged
+// so handleLoad reports them rather than quietly compiling from the source.
+const HOSTED_SHARD_HINT = "the download was corrupted, or the hosted shard does not match its manifest";
+const CACHED_SHARD_HINT = "the cached copy is corrupt — clear cache and reload";
+const PACK_SHARD_HINT   = "the .accpack file is damaged — export it again";
+
+// `readSig` fetches manifest.sig — from the CDN folder or out of an .accpack
+async function verifyHostedManifest(model, text, readSig) {
+  const manifest = JSON.parse(text);
+  if (!model.publicKey) return manifest;
+  const label = model.name || model.id;
+  let signature;
+  try { signature = await readSig(); }
+  catch { throw integrityError(`${label}: manifest.sig missing — modelurls.json lists a public key, so the bundle must be signed`); }
+  try { await verifyManifestSignature(text, signature, model.publicKey); }
+  catch (e) { throw integrityError(`${label}: ${e.message}`); }
+  if (manifest.shards?.length !== manifest.num_shards) {
+    throw integrityError(`${label}: the signed manifest has no SHA-256 for every shard`);
+  }
+  return manifest;
+}
+
+// Returns `bytes` once they match manifest.shards[i]
+async function checkShard(manifest, i, bytes, hint) {
+  try { await verifyShard(manifest, i, bytes); }
+  catch (e) { throw integrityError(`${e.message} — ${hint}.`); }
+  return bytes;
+}
+
+function integrityError(message) {
+  const err = new Error(message);
+  err.integrity = true;
+  return err;
+}
+
+// A bundle from a newer .acc format asks for a LocalLLM update — flagged,
+// like integrity errors, so handleLoad doesn't compile around it
+function checkFormat(manifest) {
+  try { checkBundleFormat(manifest); }
+  catch (e) { e.format = true; throw e; }
+  return manifest;
 }
 
 // ─── KV Cache allocation ──────────────────────────────────────────────────────
+// The CPU backend keeps its own KV cache. The length is the longest that fits
+// KV_VRAM_SHARE of the probed VRAM estimate, in 256-position steps, within the
+// model's context. Phones are capped further; an f16 cache is half the size,
+// so they keep twice the positions with it.
+const KV_VRAM_SHARE = 0.25;
+const KV_MIN_LENGTH = 512;
+const MOBILE_KV_F32 = 2048;
+const MOBILE_KV_F16 = 4096;
+
+function kvLength(nLayers, kvDim, f16) {
+  const perPos = 2 * Math.max(nLayers, 1) * kvDim * (f16 ? 2 : 4);
+  const fit    = Math.floor(_profile.vramEstimate * KV_VRAM_SHARE / perPos / 256) * 256;
+  const cap    = _profile.mobile ? (f16 ? MOBILE_KV_F16 : MOBILE_KV_F32) : Infinity;
+  return Math.min(_config.max_position_embeddings || 4096, Math.max(KV_MIN_LENGTH, Math.min(cap, fit)));
+}
+
 function allocateKVCache(maxSeqOverride) {
-  if (!_config) return;
-  const nLayers = _config.num_hidden_layers;
+  if (!_config || _cpu) return;
+  _kvCache = createKVCache(maxSeqOverride);
+}
+
+function createKVCache(maxSeqOverride) {
+  const nLayers = _core ? _core.gpuLayers : _config.num_hidden_layers;
   const nKV     = _config.num_key_value_heads || _config.num_attention_heads;
-  const headDim = Math.floor(_config.hidden_size / _config.num_attention_heads);
-  const maxSeq  = maxSeqOverride || _config.max_position_embeddings || 4096;
+  const headDim = headDimOf(_config);
+  const f16     = !!_pipelines.kv_store_f16;
+  const maxSeq  = maxSeqOverride || kvLength(nLayers, nKV * headDim, f16);
 
   // Each layer needs: key [maxSeq × nKV × headDim] and val [maxSeq × nKV × headDim]
-  const sliceBytes = maxSeq * nKV * headDim * 4;  // float32
+  const sliceBytes = maxSeq * nKV * headDim * (f16 ? 2 : 4);
 
-  _kvCache = { keys: [], vals: [], maxSeq, sliceBytes };
+  const kv = { keys: [], vals: [], maxSeq, sliceBytes, f16 };
   for (let l = 0; l < nLayers; l++) {
-    _kvCache.keys.push(_device.createBuffer({
+    kv.keys.push(_device.createBuffer({
       size:  sliceBytes,
       usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
       label: `kv_key_${l}`,
     }));
-    _kvCache.vals.push(_device.createBuffer({
+    kv.vals.push(_device.createBuffer({
       size:  sliceBytes,
       usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
       label: `kv_val_${l}`,
     }));
   }
+  return kv;
+}
+
+// GPU bytes held by a KV cache, keys and values of every layer
+function kvBytes(kv) {
+  return kv ? kv.sliceBytes * (kv.keys.length + kv.vals.length) : 0;
+}
+
+// Also drops the arena's bind groups over it, which would outlive the buffers
+function destroyKVCache(kv) {
+  _arena?.kvBound.delete(kv);
+  for (const b of kv ? [...kv.keys, ...kv.vals] : []) {
+    try { b.destroy(); } catch {}
+  }
+}
+
+function kvCapacity(kv = _kvCache) {
+  if (_cpu) return _cpu.maxSeq;
+  const gpu = kv?.maxSeq ?? 4096;
+  return _core?.cpu ? Math.min(gpu, _core.cpu.maxSeq) : gpu;
+}
+
+// ─── Sequences ────────────────────────────────────────────────────────────────
+// Each request decodes in a KV slot of its own, { kvCache, kvTokens, req }.
+// Slot 0 holds the cache allocated at load; side slots of up to SIDE_KV_LENGTH
+// positions are added on demand, up to MAX_SEQS, so a background request (a
+// chat title, memory extraction) runs alongside the visible reply without
+// evicting its prefix. Side slots share slot 0's KV_VRAM_SHARE budget — none
+// are added once it is spent — and are destroyed when a reset or fork leaves
+// them empty. The CPU backend and an ActalithicCore split keep KV on the CPU
+// and have a single slot. useSeq() installs a slot in _kvCache /
+// _kvTokens / _kvPos — like swapModel — so forwardPass and the KV bookkeeping
+// run unchanged; kvTokens arrays are shared, so a slot never goes stale.
+const MAX_SEQS       = 4;
+const SIDE_KV_LENGTH = 2048;
+
+let _seqs = [];                 // KV slots — [0] is the cache from allocateKVCache
+let _seq  = null;               // slot installed in _kvCache / _kvTokens
+
+function initSeqs() {
+  _seq  = { kvCache: _kvCache, kvTokens: _kvTokens, req: null };
+  _seqs = [_seq];
+}
+
+function useSeq(seq) {
+  _seq      = seq;
+  _kvCache  = seq.kvCache;
+  _kvTokens = seq.kvTokens;
+  _kvPos    = _kvTokens.length;
+}
+
+function maxSeqs() {
+  return _cpu || _core?.cpu || !_seqs[0]?.kvCache ? 1 : MAX_SEQS;
+}
+
+// The idle slot that keeps the longest cached prefix of this prompt (ties go to
+// the emptier slot). A slot that would lose more than half its cache is only
+// taken when no side slot can be added. null while every slot is busy.
+function pickSeq(promptIds) {
+  let best = null, keep = -1;
+  for (const s of _seqs) {
+    if (s.req || promptIds.length > kvCapacity(s.kvCache)) continue;
+    const n = sharedPrefixLength(s.kvTokens, promptIds, promptIds.length - 1);
+    if (n > keep || (n === keep && s.kvTokens.length < best.kvTokens.length)) { best = s; keep = n; }
+  }
+  if (best && keep * 2 >= best.kvTokens.length) return best;
+  return addSeq(promptIds.length) ?? best;
+}
+
+function addSeq(promptLength) {
+  if (_seqs.length >= maxSeqs()) return null;
+  const used   = _seqs.reduce((n, s) => n + kvBytes(s.kvCache), 0);
+  const perPos = kvBytes(_seqs[0].kvCache) / _seqs[0].kvCache.maxSeq;
+  const fit    = Math.floor((_profile.vramEstimate * KV_VRAM_SHARE - used) / perPos / 256) * 256;
+  const maxSeq = Math.min(SIDE_KV_LENGTH, _seqs[0].kvCache.maxSeq, fit);
+  if (promptLength > maxSeq) return null;
+  const seq = { kvCache: createKVCache(maxSeq), kvTokens: [], req: null };
+  _seqs.push(seq);
+  return seq;
 }
 
 // ─── Generate ─────────────────────────────────────────────────────────────────
-async function handleGenerate(messages, opts = {}) {
-  if (!_loaded) { post({ type: "error", message: "Model not loaded" }); return; }
+// Requests queue in _requests and one scheduler loop serves them all. Each
+// round admits waiting requests to free KV slots (FIFO), runs one prefill
+// chunk of one request, then a decode step for every decoding request —
+// batched into a single forwardPass when there are several — so a background
+// request shares the GPU with the visible reply instead of queueing behind it.
+// handleGenerate resolves once its request has posted "done".
+const PREFILL_CHUNK = 256;      // prompt tokens per prefill pass — one arena's worth
+const YIELD_EVERY   = 8;        // decode rounds between yields to the message loop
+
+let _requests   = [];           // live requests, oldest first
+let _scheduling = false;        // runScheduler() is serving _requests
+
+async function handleGenerate(requestId, messages, opts = {}) {
+  if (!_loaded) throw new Error("Model not loaded");
+  // A benchmark owns the first KV slot and the GPU until it finishes
+  while (_benchRun) await _benchRun.catch(() => {});
+  const req = createRequest(requestId, encodePrompt(messages), opts);
+  const cap = kvCapacity(_seqs[0].kvCache);
+  if (req.promptIds.length > cap) throw new Error(`Prompt is ${req.promptIds.length} tokens — the context holds ${cap}`);
+
+  _requests.push(req);
+  if (!_scheduling) runScheduler();
+  await req.finished;
+}
+
+function handleCount(requestId, messages) {
+  if (!_loaded) throw new Error("Model not loaded");
+  post({ type: "count", requestId, tokens: encodePrompt(messages).length });
+}
 
+function createRequest(id, promptIds, opts) {
   const {
-    maxNewTokens = 512,
-    temperature  = 0.7,
-    topP         = 0.9,
-    topK         = 40,
+    maxNewTokens   = 512,
+    stop           = [],
+    stopTokenIds   = [],
+    seed           = null,
+    responseFormat = null,
+    ...sampling                 // see samplingParams
   } = opts;
+  // A grammar needs every logit to mask, so it always takes the CPU sampler
+  const grammar = compileResponseFormat(responseFormat);
+  const stopIds = new Set([...endOfTurnIds(), ...stopTokenIds]);
+  let resolve;
+  const finished = new Promise(r => { resolve = r; });
+  return {
+    id, promptIds, maxNewTokens, stopIds, finished, resolve,
+    rng:          seed != null ? seededRandom(seed) : Math.random,
+    params:       samplingParams(grammar ? { ...sampling, sampler: "cpu" } : sampling),
+    constraint:   grammar && _tokenizer ? createConstraint(grammar, _tokenizer, stopIds) : null,
+    // The streaming decoder holds back partial UTF-8 characters between tokens
+    decoder:      _tokenizer?.createDecoder(),
+    stopText:     createStopMatcher([].concat(stop).filter(Boolean)),
+    state:        "waiting",    // → "prefill" → "decode" → "done"
+    stopped:      false,
+    seq:          null,         // KV slot, once admitted
+    reused:       0,
+    prefillIds:   [],
+    prefilled:    0,
+    generated:    [],
+    nextInput:    promptIds[promptIds.length - 1] ?? 1,
+    startTime:    performance.now(),
+    firstTokenAt: null,         // end of the first decode step — TTFT
+    spec:         { proposed: 0, accepted: 0 },
+  };
+}
 
-  _stopFlag = false;
-
-  // Build prompt tokens
-  const arch      = _config?.arch || "llama";
-  const prompt    = buildChatPrompt(messages, arch);
-  const promptIds = _tokenizer
-    ? _tokenizer.encode(prompt)
-    : [1, 733, 16289, 28793];
+async function runScheduler() {
+  _scheduling = true;
+  try {
+    for (let round = 1; _requests.length; round++) {
+      for (const req of _requests.filter(r => r.state === "waiting" && !r.stopped)) {
+        const seq = pickSeq(req.promptIds);
+        if (!seq) break;
+        startRequest(req, seq);
+      }
+      for (const req of _requests.filter(r => r.stopped)) finishRequest(req, "abort");
 
-  // Reset KV cache for new conversation
-  _kvPos = 0;
+      const prefilling = _requests.find(r => r.state === "prefill");
+      if (prefilling) await prefillChunk(prefilling);
 
-  const generated = [];
-  const startTime = performance.now();
+      for (const req of _requests.filter(r => r.state === "decode")) {
+        if (req.generated.length >= req.maxNewTokens) finishRequest(req, "length");
+        else if (req.seq.kvTokens.length >= kvCapacity(req.seq.kvCache)) finishRequest(req, "context_full");
+      }
+      const decoding = _requests.filter(r => r.state === "decode");
+      if (decoding.length > 1 && maxSeqs() > 1) await decodeBatch(decoding);
+      else for (const req of decoding) await decodeOne(req, decoding.length === 1);
 
-  // PREFILL PHASE: process entire prompt at once, fill KV cache
-  // This is much faster than MLC for long prompts since we batch all tokens
-  if (promptIds.length > 0) {
-    await forwardPass(promptIds, 0, false, true /* prefill */);
-    _kvPos = promptIds.length;
+      if (prefilling || round % YIELD_EVERY === 0) await yld();
+    }
+  } catch (e) {
+    for (const req of _requests.splice(0)) {
+      if (req.seq) req.seq.req = null;
+      post({ type: "error", requestId: req.id, message: e.message || String(e) });
+      req.resolve();
+    }
+  } finally {
+    _scheduling = false;
   }
+}
 
-  // DECODE PHASE: one token at a time, reusing KV cache
-  // Each step processes only the NEW token — not the full context
-  let inputIds = [promptIds[promptIds.length - 1] ?? 1];
-  for (let i = 0; i < maxNewTokens; i++) {
-    if (_stopFlag) break;
+// Reuse the KV prefix the slot already holds — only tokens after the longest
+// shared prefix are prefilled. The last prompt token is always fed through
+// the decode step so its logits are available for sampling.
+function startRequest(req, seq) {
+  seq.req = req;
+  req.seq = seq;
+  useSeq(seq);
+  req.reused     = truncateKV(sharedPrefixLength(_kvTokens, req.promptIds, req.promptIds.length - 1));
+  req.prefillIds = req.promptIds.slice(req.reused, -1);
+  req.state      = req.prefillIds.length ? "prefill" : "decode";
+  if (_core) _core.gpuMs = _core.cpuMs = 0;
+}
+
+async function prefillChunk(req) {
+  useSeq(req.seq);
+  const chunk = req.prefillIds.slice(req.prefilled, req.prefilled + PREFILL_CHUNK);
+  await forwardPass(chunk, _kvPos, false, true /* prefill */);
+  _kvTokens.push(...chunk);
+  _kvPos = _kvTokens.length;
+  req.prefilled += chunk.length;
+  post({ type: "prefill", requestId: req.id, done: req.prefilled, total: req.prefillIds.length });
+  if (req.prefilled === req.prefillIds.length) req.state = "decode";
+}
 
-    const logits = await forwardPass(inputIds, _kvPos - 1, false, false /* decode */);
-    if (!logits) break;
+// One token, or several when the target accepts draft tokens. Speculation
+// only runs for a lone request — the draft cache follows one sequence.
+async function decodeOne(req, alone) {
+  useSeq(req.seq);
+  const { params, generated, rng, constraint } = req;
+  const k = Math.min(SPEC_DRAFT_TOKENS, req.maxNewTokens - generated.length - 1, kvCapacity() - _kvPos - 1);
+  let ids;
+  if (alone && _draft && !constraint && k > 0) {
+    ids = await speculativeStep(req.nextInput, k, params, generated, rng, req.spec);
+  } else {
+    const sampler = gpuSampler(params, generated);
+    const out     = await forwardPass([req.nextInput], _kvPos, false, false /* decode */, sampler);
+    if (!out) { finishRequest(req, "abort"); return; }
+    _kvTokens.push(req.nextInput);
+    _kvPos = _kvTokens.length;
+    ids = [sampler
+      ? sampleCandidates(out.ids, out.logits, params, rng)
+      : sampleToken(out, params, generated, rng, constraint)];
+  }
+  req.firstTokenAt ??= performance.now();
+  emitTokens(req, ids);
+}
 
-    const nextId = sampleToken(logits, { temperature, topP, topK });
-    const eosId  = _config?.eos_token_id ?? _tokenizer?.eosId ?? 2;
+// One token for each request, every sequence in its own KV slot, in a single
+// forwardPass. Rows come back as full logits, so sampling runs on the CPU.
+async function decodeBatch(reqs) {
+  const rows = await forwardPass(reqs.map(r => r.nextInput), 0, false, false, null, true, reqs.map(r => r.seq));
+  reqs.forEach((req, i) => {
+    req.seq.kvTokens.push(req.nextInput);
+    req.firstTokenAt ??= performance.now();
+    emitTokens(req, [sampleToken(rows[i], req.params, req.generated, req.rng, req.constraint)]);
+  });
+  _kvPos = _kvTokens.length;
+}
 
-    if (nextId === eosId || nextId === 0) break;
-    if (_kvPos >= (_kvCache?.maxSeq ?? 4096) - 1) break; // context full
+function emitTokens(req, ids) {
+  for (const id of ids) {
+    if (req.stopIds.has(id)) { finishRequest(req, "stop"); return; }
 
-    generated.push(nextId);
-    const text = _tokenizer ? _tokenizer.decode([nextId]) : String.fromCharCode(nextId);
-    post({ type: "token", text, id: nextId });
+    req.generated.push(id);
+    req.constraint?.accept(id);
+    const piece = req.decoder ? req.decoder.push(id) : String.fromCharCode(id);
+    const { text, stopped } = req.stopText.push(piece);
+    if (text) post({ type: "token", requestId: req.id, text, id });
+    if (stopped || req.constraint?.done) { finishRequest(req, "stop"); return; }
 
-    // Next decode step: just the new token, with updated KV position
-    inputIds = [nextId];
-    _kvPos++;
+    // Next decode step: just the new token, written at the next KV position
+    req.nextInput = id;
+  }
+}
 
-    // Yield every 8 tokens to keep worker responsive to stop signals
-    if (i % 8 === 0) await yld();
+function finishRequest(req, finishReason) {
+  // Release text held back for a partial stop-string or UTF-8 match
+  if (!req.stopText.matched) {
+    const tail = req.stopText.flush(req.decoder?.flush() || "");
+    if (tail) post({ type: "token", requestId: req.id, text: tail });
   }
 
-  const elapsed = (performance.now() - startTime) / 1000;
+  // Decode rate excludes the first token, whose time is the prefill's (TTFT)
+  const { generated, firstTokenAt, startTime } = req;
+  const endTime = performance.now();
+  const elapsed = (endTime - startTime) / 1000;
+  const decodeS = firstTokenAt != null ? (endTime - firstTokenAt) / 1000 : 0;
   post({
-    type:       "done",
-    tokPerSec:  generated.length / Math.max(elapsed, 0.001),
-    tokenCount: generated.length,
+    type:            "done",
+    requestId:       req.id,
+    tokPerSec:       generated.length / Math.max(elapsed, 0.001),
+    tokenCount:      generated.length,
+    reusedTokens:    req.reused,
+    promptTokens:    req.promptIds.length,
+    ttftMs:          firstTokenAt != null ? firstTokenAt - startTime : null,
+    decodeTokPerSec: generated.length > 1 ? (generated.length - 1) / Math.max(decodeS, 0.001) : null,
+    finishReason,
+    core:            coreStats(),
+    draft:           _draft && { ...req.spec },
   });
+
+  req.state = "done";
+  if (req.seq) req.seq.req = null;
+  _requests.splice(_requests.indexOf(req), 1);
+  req.resolve();
 }
 
-// ─── Unload ───────────────────────────────────────────────────────────────────
-async function handleUnload() {
-  // Destroy KV cache buffers
-  if (_kvCache) {
-    for (const b of [..._kvCache.keys, ..._kvCache.vals]) {
-      try { b.destroy(); } catch {}
+function stopRequests(requestId) {
+  for (const req of _requests) {
+    if (requestId == null || req.id === requestId) req.stopped = true;
+  }
+}
+
+// ─── Speculative decoding ─────────────────────────────────────────────────────
+// A small draft model (models.js `draftModel`, same vocabulary) proposes up to
+// SPEC_DRAFT_TOKENS greedy tokens; the target scores them all in one batched
+// forwardPass and keeps the longest prefix its own sampler agrees with, plus
+// one token of its own. Every emitted token is still sampled from the target's
+// distribution, so the output is what plain decoding would give — the draft
+// only saves target passes. Rejected positions are rolled back by truncating
+// _kvPos. The draft shares the device and pipelines; its weights, KV cache,
+// arena and uniform ring live in a slot that swapModel() exchanges with the
+// globals, so forwardPass runs it unchanged. GPU only — no draft is loaded for
+// the CPU backend or an ActalithicCore split.
+const SPEC_DRAFT_TOKENS = 4;
+
+function emptySlot() {
+  return { manifest: null, config: null, weights: new Map(), kvCache: null,
+           kvPos: 0, kvTokens: [], arena: null, ring: null, core: null };
+}
+
+// Installs `slot` as the current model and returns the one it replaced
+function swapModel(slot) {
+  const prev = { manifest: _manifest, config: _config, weights: _weights, kvCache: _kvCache,
+                 kvPos: _kvPos, kvTokens: _kvTokens, arena: _arena, ring: _ring, core: _core };
+  ({ manifest: _manifest, config: _config, weights: _weights, kvCache: _kvCache,
+     kvPos: _kvPos, kvTokens: _kvTokens, arena: _arena, ring: _ring, core: _core } = slot);
+  return prev;
+}
+
+async function withDraft(fn) {
+  const target = swapModel(_draft.slot);
+  try     { return await fn(); }
+  finally { _draft.slot = swapModel(target); }
+}
+
+// Draft bundles come from the OPFS cache or the CDN — compiling one on-device
+// would double the load, so an unavailable draft just turns speculation off.
+async function draftSource(model) {
+  const meta      = await loadMetaFromOPFS(model.id);
+  const shardsDir = meta && await meta.accDir.getDirectoryHandle("shards").catch(() => null);
+  if (shardsDir) {
+    const { manifest, config } = meta;
+    return {
+      manifest, config,
+      shard: async (i) => checkShard(manifest, i,
+        new Uint8Array(await (await (await shardsDir.getFileHandle(shardName(i))).getFile()).arrayBuffer()), CACHED_SHARD_HINT),
+    };
+  }
+  if (!isPlaceholderUrl(model.hostedPack)) {
+    const pack     = await openAccPack(model.hostedPack);
+    const manifest = await verifyHostedManifest(model, await packFile(pack, "manifest.json").text(),
+                                                () => packFile(pack, "manifest.sig").text());
+    return {
+      manifest, config: JSON.parse(await packFile(pack, "config.json").text()),
+      shard: async (i) => checkShard(manifest, i,
+        new Uint8Array(await packFile(pack, `shards/${shardName(i)}`).arrayBuffer()), HOSTED_SHARD_HINT),
+    };
+  }
+  const base = model.hostedBase;
+  if (isPlaceholderUrl(base)) return null;
+  const [manifestText, configText] = await Promise.all([
+    fetchText(`${base}/manifest.json`), fetchText(`${base}/config.json`),
+  ]);
+  const manifest = await verifyHostedManifest(model, manifestText, () => fetchText(`${base}/manifest.sig`));
+  return {
+    manifest, config: JSON.parse(configText),
+    shard: async (i) => checkShard(manifest, i, new Uint8Array(await downloadRaw(`${base}/shards/${shardName(i)}`)), HOSTED_SHARD_HINT),
+  };
+}
+
+async function loadDraft(model) {
+  const label = model.name || model.id;
+  if (_cpu || _core?.cpu) {
+    progress(91, `Draft model ${label} skipped — speculative decoding needs the whole model on the GPU`, "gpu");
+    return;
+  }
+  const vocab  = _config.vocab_size;
+  const maxSeq = kvCapacity();
+  _draft = { model, slot: emptySlot() };
+  try {
+    await withDraft(async () => {
+      const src = await draftSource(model);
+      if (!src) throw new Error("not cached or hosted");
+      _manifest = checkFormat(src.manifest);
+      _config   = src.config;
+      if (_config.vocab_size !== vocab) throw new Error("vocabulary differs from the target model");
+      const total = _manifest.num_shards;
+      for (let i = 0; i < total; i++) {
+        progress(91 + Math.round((i / total) * 6), `Draft model ${label}: shard ${i+1}/${total}…`, "gpu");
+        uploadShard(await src.shard(i));
+        await yld();
+      }
+      allocateKVCache(maxSeq);          // follows the target position for position
+      await forwardPass([1], 0, true);
+    });
+  } catch (e) {
+    await withDraft(releaseModelGPU);
+    _draft = null;
+    progress(97, `Draft model ${label} unavailable (${e.message}) — decoding without it`, "gpu");
+  }
+}
+
+// One round: returns the tokens to emit — accepted draft tokens, then the
+// target's own sample at the first disagreement (or after the last draft token).
+// The KV cache keeps nextInput and the accepted draft tokens; the last emitted
+// token becomes the next input, as in plain decoding. Proposed and accepted
+// counts are added to `stats`.
+async function speculativeStep(nextInput, k, params, recent, rng, stats) {
+  const context = _kvTokens.concat(nextInput);
+
+  // Draft: catch up on whatever the target committed since its last round —
+  // the whole prompt on the first one — then propose k tokens greedily
+  const proposed = await withDraft(async () => {
+    truncateKV(sharedPrefixLength(_kvTokens, context, context.length - 1));
+    const greedy = gpuSampler(samplingParams({ temperature: 0 }), []);
+    const ids    = [];
+    for (let feed = context.slice(_kvPos); ids.length < k;) {
+      const out = await forwardPass(feed, _kvPos, false, false, greedy);
+      _kvTokens.push(...feed);
+      _kvPos = _kvTokens.length;
+      feed = [greedy ? out.ids[0] : argmax(out)];
+      ids.push(feed[0]);
     }
-    _kvCache = null;
+    return ids;
+  });
+
+  // Target: logits after nextInput and after each draft token, in one pass
+  const rows    = await forwardPass([nextInput, ...proposed], _kvPos, false, false, null, true /* all rows */);
+  const window  = recent.slice();
+  const emitted = [];
+  let accepted  = 0;
+  for (let i = 0; i <= k; i++) {
+    const id = sampleToken(rows[i], params, window, rng);
+    emitted.push(id);
+    window.push(id);
+    if (i === k || id !== proposed[i]) break;
+    accepted++;
   }
-  for (const { buffer } of _weights.values()) {
-    try { buffer.destroy(); } catch {}
+
+  _kvTokens.push(nextInput, ...proposed.slice(0, accepted));
+  _kvPos = _kvTokens.length;
+  stats.proposed += k;
+  stats.accepted += accepted;
+  return emitted;
+}
+
+// ─── Stop conditions ──────────────────────────────────────────────────────────
+// End-of-turn markers across chat formats (Llama 3, Gemma, Phi, Qwen/ChatML,
+// SentencePiece). Only counted when the vocab has them as special tokens.
+const END_OF_TURN_TOKENS = [
+  "<|eot_id|>", "<|end_of_text|>", "<|eom_id|>", "<end_of_turn>", "<eos>",
+  "<|end|>", "<|im_end|>", "<|endoftext|>", "</s>",
+];
+
+// Every id that ends generation: all config EOS ids (generation_config.json
+// may list several), the template's eos_token, and known end-of-turn markers.
+function endOfTurnIds() {
+  const ids = new Set([].concat(_config?.eos_token_id ?? []));
+  if (!_tokenizer) return ids.size ? ids : new Set([2]);
+  const eos = _tokenizer.eosId;
+  if (eos != null && _tokenizer.isSpecial(eos)) ids.add(eos);
+  for (const t of [_config?.eos_token, ...END_OF_TURN_TOKENS]) {
+    const id = t != null ? _tokenizer.tokenToId(t) : undefined;
+    if (id !== undefined && _tokenizer.isSpecial(id)) ids.add(id);
   }
-  _weights.clear();
+  return ids;
+}
+
+// ─── KV prefix bookkeeping ────────────────────────────────────────────────────
+// Bundles with a chat_template render it (the template emits BOS itself);
+// older bundles fall back to the built-in per-arch formats.
+function encodePrompt(messages) {
+  if (!_tokenizer) return [1, 733, 16289, 28793];
+  if (_config?.chat_template) return _tokenizer.encode(renderChatPrompt(messages), false);
+  return _tokenizer.encode(buildChatPrompt(messages, _config?.arch || "llama"));
+}
+
+function renderChatPrompt(messages) {
+  const src = _config.chat_template;
+  if (_chatTpl?.src !== src) _chatTpl = { src, tpl: compileChatTemplate(src) };
+
+  const tokenText = (id) => _tokenizer.idToToken(id) ?? "";
+  const ctx = {
+    add_generation_prompt: true,
+    bos_token: _config.bos_token ?? tokenText(_tokenizer.bosId),
+    eos_token: _config.eos_token ?? tokenText(_tokenizer.eosId),
+  };
+  try {
+    return _chatTpl.tpl.render({ ...ctx, messages });
+  } catch (e) {
+    // Some templates (Gemma) reject a system turn — fold it into the first user message
+    const folded = foldSystemMessage(messages);
+    if (!folded) throw e;
+    return _chatTpl.tpl.render({ ...ctx, messages: folded });
+  }
+}
+
+function sharedPrefixLength(a, b, limit = Infinity) {
+  const n = Math.min(a.length, b.length, limit);
+  let i = 0;
+  while (i < n && a[i] === b[i]) i++;
+  return i;
+}
+
+// Positions past `keep` are simply ignored by attention (total_seq) and get
+// overwritten by the next prefill, so no GPU work is needed to drop them.
+function truncateKV(keep) {
+  _kvTokens.length = Math.min(keep, _kvTokens.length);
+  _kvPos = _kvTokens.length;
+  return _kvPos;
+}
+
+function resetKV() { truncateKV(0); }
+
+// reset and fork leave a slot with a live request alone
+function truncateIdleSeqs(ids) {
+  for (const s of _seqs) {
+    if (!s.req) s.kvTokens.length = sharedPrefixLength(s.kvTokens, ids);
+  }
+  // Empty side slots give their KV memory back
+  for (const s of _seqs.slice(1)) {
+    if (s.req || s.kvTokens.length) continue;
+    destroyKVCache(s.kvCache);
+    _seqs.splice(_seqs.indexOf(s), 1);
+  }
+  if (_seqs.length && !_seqs.includes(_seq)) useSeq(_seqs[0]);
+  _kvPos = _kvTokens.length;
+}
+
+function handleReset() { truncateIdleSeqs([]); }
+
+// Keep only the prefix shared with `messages` — used when switching chats so
+// the common system prompt survives while the old conversation is dropped.
+function handleFork(messages) {
+  let ids = [];
+  if (_loaded && messages?.length) {
+    try { ids = encodePrompt(messages); }
+    catch {}                     // template refused a system-only conversation
+  }
+  truncateIdleSeqs(ids);
+}
+
+// ─── Unload ───────────────────────────────────────────────────────────────────
+async function handleUnload() {
+  stopRequests();
+  while (_scheduling) await yld();
+  if (_seqs.length) useSeq(_seqs[0]);
+  for (const s of _seqs.slice(1)) destroyKVCache(s.kvCache);
+  _seqs = [];
+  _seq  = null;
+  _cpu?.destroy();
+  _core?.cpu?.destroy();
+  _cpu  = null;
+  _core = null;
+  if (_draft) { await withDraft(releaseModelGPU); _draft = null; }
+  releaseModelGPU();
   try { _device?.destroy(); } catch {}
   _device    = null;
   _loaded    = false;
   _tokenizer = null;
-  _kvPos     = 0;
+  _chatTpl   = null;
+  resetKV();
+}
+
+// GPU buffers of the current model (see swapModel) — arena, uniform ring, KV cache, weights
+function releaseModelGPU() {
+  destroyArena();
+  _ring?.buffer.destroy();
+  _ring = null;
+  destroyKVCache(_kvCache);
+  _kvCache = null;
+  for (const { buffer } of _weights.values()) {
+    try { buffer.destroy(); } catch {}
+  }
+  _weights.clear();
 }
 
 // ─── Chat templates ───────────────────────────────────────────────────────────
+// Fallback formats for bundles converted before chat_template was captured
 function buildChatPrompt(messages, arch) {
   switch (arch) {
     case "gemma": {
-      let out = "";
+      // Gemma has no system role — the system prompt opens the next user turn
+      let out = "", sysBlock = "";
       for (const m of messages) {
-        if (m.role === "system") {
-          out += `<start_of_turn>user\n${m.content}<end_of_turn>\n<start_of_turn>model\nUnderstood.<end_of_turn>\n`;
-        } else if (m.role === "user") {
-          out += `<start_of_turn>user\n${m.content}<end_of_turn>\n<start_of_turn>model\n`;
-        } else {
-          out += `${m.content}<end_of_turn>\n`;
-        }
+        if (m.role === "system")    { sysBlock = m.content; continue; }
+        if (m.role === "user")      out += `<start_of_turn>user\n${sysBlock ? sysBlock + "\n\n" : ""}${m.content}<end_of_turn>\n<start_of_turn>model\n`;
+        else                        out += `${m.content}<end_of_turn>\n`;
+        sysBlock = "";
       }
       return out;
     }
@@ -485,7 +1369,7 @@ async function compilePipelines(src) {
   _kernelSrc = src;
 
   const make = (ep) => _device.createComputePipeline({
-    layout: "auto",
+    layout: pipelineLayout(ep),
     compute: {
       module:     _device.createShaderModule({ code: src }),
       entryPoint: ep,
@@ -520,22 +1404,68 @@ async function compilePipelines(src) {
     residual_add:    res,
     kv_cache_copy:   kvcopy,
   };
+
+  // GPU sampling kernels are optional — bundles shipping an older kernels.wgsl
+  // lack them and sample on the CPU instead
+  if (/\bfn\s+topk_stage2\b/.test(src)) {
+    const [adj, tk1, tk2] = await Promise.all([
+      make("logit_adjust"),
+      make("topk_stage1"),
+      make("topk_stage2"),
+    ]);
+    Object.assign(_pipelines, { logit_adjust: adj, topk_stage1: tk1, topk_stage2: tk2 });
+  }
+
+  await compileF16Pipelines();
 }
 
-// ─── Weight upload ────────────────────────────────────────────────────────────
-function uploadShard(shardBytes) {
-  const tensors = parseShard(shardBytes);
-  for (const t of tensors) {
-    const buf = _device.createBuffer({
-      size:  Math.max(t.data.byteLength, 4),
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-      label: t.name,
+// Half-precision kernels come with the app, not the bundle, and are only
+// compiled when the device has shader-f16. With them the KV cache is stored
+// as f16 and F16 weights get their own matmul.
+const F16_KERNELS_URL = new URL("../webgpu/kernels-f16.wgsl", import.meta.url).href;
+
+async function compileF16Pipelines() {
+  if (!_device.features?.has("shader-f16")) return;
+  try {
+    const module = _device.createShaderModule({ code: await fetchText(F16_KERNELS_URL) });
+    const make   = (ep) => _device.createComputePipelineAsync({
+      layout:  pipelineLayout(ep),
+      compute: { module, entryPoint: ep },
     });
-    _device.queue.writeBuffer(buf, 0, t.data);
-    _weights.set(t.name, { buffer: buf, dtype: t.dtype, shape: t.shape });
+    const [store, mm, attn] = await Promise.all([
+      make("kv_store_f16"),
+      make("matmul_f16"),
+      make("attention_score_f16"),
+    ]);
+    Object.assign(_pipelines, { kv_store_f16: store, matmul_f16: mm, attention_score_f16: attn });
+  } catch {
+    // Missing file or a driver that rejects the module — stay on f32
   }
 }
 
+// ─── Weight upload ────────────────────────────────────────────────────────────
+function uploadShard(shardBytes) {
+  for (const t of parseShard(shardBytes, _manifest?.tensor_alignment)) uploadTensor(t);
+}
+
+// Routes one tensor to the CPU backend, the GPU, or both sides of a core split.
+// Q4 / Q8 blocks other than the kernels' 32 (optimized bundles) are re-blocked first.
+function uploadTensor(t) {
+  t = reblockTensor(t, _manifest?.block_size);
+  if (_cpu) { _cpu.uploadTensor(t); return; }
+  const side = coreSides(t.name);
+  if (side.cpu) _core.cpu.uploadTensor(t);
+  if (!side.gpu) return;
+  if (_core) _core.gpuBytes += t.data.byteLength;
+  const buf = _device.createBuffer({
+    size:  Math.max(t.data.byteLength, 4),
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    label: t.name,
+  });
+  _device.queue.writeBuffer(buf, 0, t.data);
+  _weights.set(t.name, { buffer: buf, dtype: t.dtype, shape: t.shape });
+}
+
 // ─── GPU helpers ──────────────────────────────────────────────────────────────
 function mkBuf(size, data = null, usage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC) {
   const buf = _device.createBuffer({ size: Math.max(size, 4), usage });
@@ -554,236 +1484,887 @@ async function readBuf(buf, bytes) {
   return result;
 }
 
+// Read back a persistent MAP_READ buffer that the last submit copied into
+async function readStage(stage, bytes) {
+  await stage.mapAsync(GPUMapMode.READ, 0, bytes);
+  const result = stage.getMappedRange(0, bytes).slice(0);
+  stage.unmap();
+  return result;
+}
+
+// Field order of the WGSL `Uniforms` struct in kernels.wgsl. Values are packed
+// by name so every kernel reads the slot it declares, whatever the key order.
+const UNIFORM_FIELDS = [
+  "seq_len", "hidden", "vocab_size", "n_heads", "n_kv", "head_dim", "theta", "offset",
+  "M", "N", "K", "quant", "eps", "scale_attn", "ffn_size", "size", "last_only", "total_seq",
+  "top_k", "temperature",
+];
+
+// Storage bindings of each kernel in kernels.wgsl, in binding order:
+// r = var<storage, read>, w = var<storage, read_write>. The Uniforms binding
+// always follows them and takes a dynamic offset into the uniform ring.
+const KERNEL_BINDINGS = {
+  token_embed:         "rrw",
+  rms_norm:            "rrw",
+  matmul_f32:          "rrw",
+  matmul_q4:           "rrw",
+  matmul_q8:           "rrw",
+  rope_embed:          "ww",
+  attention_score:     "rrrw",
+  swiglu:              "rrw",
+  lm_head:             "rrw",
+  residual_add:        "wr",
+  kv_cache_copy:       "rw",
+  logit_adjust:        "wr",
+  topk_stage1:         "rw",
+  topk_stage2:         "ww",
+  // kernels-f16.wgsl
+  kv_store_f16:        "rw",
+  matmul_f16:          "rrw",
+  attention_score_f16: "rrrw",
+};
+
+function pipelineLayout(entryPoint) {
+  const sig = KERNEL_BINDINGS[entryPoint];
+  if (!sig) throw new Error(`No binding layout for kernel ${entryPoint}`);
+  const entries = [...sig].map((a, i) => ({
+    binding: i, visibility: GPUShaderStage.COMPUTE,
+    buffer:  { type: a === "r" ? "read-only-storage" : "storage" },
+  }));
+  entries.push({
+    binding: sig.length, visibility: GPUShaderStage.COMPUTE,
+    buffer:  { type: "uniform", hasDynamicOffset: true },
+  });
+  return _device.createPipelineLayout({ bindGroupLayouts: [_device.createBindGroupLayout({ entries })] });
+}
+
+// ─── Uniform ring ─────────────────────────────────────────────────────────────
+// One buffer of 256-byte slots (the largest minUniformBufferOffsetAlignment),
+// bound with a dynamic offset. uniforms() packs a slot on the CPU and returns
+// its offset; flushUniforms() uploads every packed slot in one write before
+// the submit. Slots are reused by the next forward pass.
+const UNIFORM_SLOT       = 256;
+const UNIFORM_SLOT_F32   = UNIFORM_SLOT / 4;
+const UNIFORMS_PER_LAYER = 16;  // up to 16 dispatches per layer with an f16 KV cache
+
+function createUniformRing(slots) {
+  _ring?.buffer.destroy();
+  _ring = {
+    buffer: _device.createBuffer({ size: slots * UNIFORM_SLOT, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST }),
+    data:   new Float32Array(slots * UNIFORM_SLOT_F32),
+    slots,
+    used:   0,
+  };
+}
+
 function uniforms(obj) {
-  const data = new Float32Array(64);
-  let i = 0;
-  for (const v of Object.values(obj)) data[i++] = v;
-  const buf = _device.createBuffer({ size: 256, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
-  _device.queue.writeBuffer(buf, 0, data);
-  return buf;
+  if (_ring.used >= _ring.slots) throw new Error("Uniform ring overflow — flushUniforms() missing before submit");
+  const base = _ring.used * UNIFORM_SLOT_F32;
+  _ring.data.fill(0, base, base + UNIFORM_SLOT_F32);
+  for (const k in obj) {
+    const i = UNIFORM_FIELDS.indexOf(k);
+    if (i < 0) throw new Error(`Unknown uniform field: ${k}`);
+    _ring.data[base + i] = obj[k];
+  }
+  return _ring.used++ * UNIFORM_SLOT;
+}
+
+function flushUniforms() {
+  if (_ring.used) _device.queue.writeBuffer(_ring.buffer, 0, _ring.data, 0, _ring.used * UNIFORM_SLOT_F32);
+  _ring.used = 0;
 }
 
-function dispatch(enc, pipeline, bindings, x, y = 1, z = 1) {
-  const entries = bindings.map((b, i) => ({
+// A pipeline with its bind group — storage buffers in binding order, then the ring
+function step(pipeline, buffers) {
+  const entries = buffers.map((b, i) => ({
     binding: i, resource: { buffer: b instanceof GPUBuffer ? b : b.buffer },
   }));
-  const bg   = _device.createBindGroup({ layout: pipeline.getBindGroupLayout(0), entries });
+  entries.push({ binding: buffers.length, resource: { buffer: _ring.buffer, size: UNIFORM_SLOT } });
+  return { pipeline, bg: _device.createBindGroup({ layout: pipeline.getBindGroupLayout(0), entries }) };
+}
+
+function dispatch(enc, { pipeline, bg }, u, x, y = 1, z = 1) {
   const pass = enc.beginComputePass();
   pass.setPipeline(pipeline);
-  pass.setBindGroup(0, bg);
+  pass.setBindGroup(0, bg, [uniforms(u)]);
   pass.dispatchWorkgroups(Math.max(1, Math.ceil(x)), Math.max(1, y), z);
   pass.end();
 }
 
+// rope_embed runs one thread per (position, query head, rotated pair); K heads ride along
+const ropeGroups = (seqLen, nHeads, headDim) => Math.ceil(seqLen * nHeads * headDim / 2 / 64);
+
+// matmul_* run an 8×8 tile per workgroup: x over output columns (N), y over rows (M)
+function dispatchMatmul(enc, s, M, N, K) {
+  dispatch(enc, s, { M, N, K, quant: s.quant }, Math.ceil(N / 8), Math.ceil(M / 8));
+}
+
 function pickMatmul(dtype) {
   if (dtype === DTYPE.Q4) return _pipelines.matmul_q4;
   if (dtype === DTYPE.Q8) return _pipelines.matmul_q8;
+  if (dtype === DTYPE.F16 && _pipelines.matmul_f16) return _pipelines.matmul_f16;
   return _pipelines.matmul_f32;
 }
 function getW(name) { return _weights.get(name) || null; }
 
+// attention_score keeps the query row in workgroup memory — ATTN_MAX_DIM in kernels.wgsl
+const ATTN_MAX_HEAD_DIM = 256;
+
+// ─── Activation arena ─────────────────────────────────────────────────────────
+// Activations live in persistent buffers sized for ARENA_ROWS positions, and
+// every dispatch of the forward pass has its bind group built here once, per
+// layer. A decode step then only writes the token id and the uniform ring —
+// no buffers or bind groups are created while generating. Inputs longer than
+// ARENA_ROWS are run through forwardPass in ARENA_ROWS chunks. Bind groups
+// over a KV cache are built the first time each slot's cache is used.
+// Batched decode (see Sequences) runs attention one row at a time through the
+// *Row buffers, each row against its own cache.
+const ARENA_ROWS       = 256;
+const ADJ_MIN          = 256;   // logit_adjust entries before the buffer grows
+const UNIFORMS_PER_ROW = 4;     // batched decode: RoPE, K and V store, attention
+
+function ensureArena() {
+  // Speculative verification and batched decode read back every row
+  const logitRows = Math.max(_draft ? SPEC_DRAFT_TOKENS + 1 : 1, maxSeqs());
+  if (_arena?.device === _device && _arena.logitRows === logitRows) return _arena;
+  destroyArena();
+
+  const cfg     = _config;
+  const hidden  = cfg.hidden_size;
+  const nLayers = _core ? _core.gpuLayers : cfg.num_hidden_layers;
+  const nHeads  = cfg.num_attention_heads;
+  const nKV     = cfg.num_key_value_heads || nHeads;
+  const headDim = headDimOf(cfg);
+  const ffnH    = cfg.intermediate_size;
+  const vocab   = cfg.vocab_size;
+  const qDim    = nHeads * headDim;
+  const kDim    = nKV * headDim;
+  const rows    = ARENA_ROWS;
+  const head    = !_core?.cpu;            // final norm + LM head run here, not on the CPU
+  const readUsage = GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ;
+
+  createUniformRing((UNIFORMS_PER_LAYER + UNIFORMS_PER_ROW * logitRows) * (nLayers + 1));
+
+  const bufs = [];
+  const buf  = (bytes, usage) => { const b = mkBuf(bytes, null, usage); bufs.push(b); return b; };
+  const a = {
+    device: _device, rows, logitRows, bufs, layers: [], kvBound: new Map(),
+    tok:    buf(rows * 4),
+    hid:    buf(rows * hidden * 4),
+    norm:   buf(rows * hidden * 4),       // pre-attention, post-attention and final norm
+    q:      buf(rows * qDim * 4),
+    k:      buf(rows * kDim * 4),
+    v:      buf(rows * kDim * 4),
+    attn:   buf(rows * qDim * 4),
+    proj:   buf(rows * hidden * 4),       // o_proj and down_proj output
+    gate:   buf(rows * ffnH * 4),
+    up:     buf(rows * ffnH * 4),
+    act:    buf(rows * ffnH * 4),
+    qRow:   buf(qDim * 4),
+    kRow:   buf(kDim * 4),
+    vRow:   buf(kDim * 4),
+    attnRow: buf(qDim * 4),
+  };
+  if (!head) a.hidStage = buf(rows * hidden * 4, readUsage);
+
+  const embedW = getW("model.embed_tokens.weight") ||
+                 getW("embed_tokens.weight") ||
+                 getW("transformer.wte.weight");
+  if (!embedW) throw new Error("Missing embed_tokens.weight — model did not convert correctly");
+  const mm = (input, w, out) => ({ ...step(pickMatmul(w.dtype), [input, w.buffer, out]), quant: w.dtype });
+
+  a.embed      = step(_pipelines.token_embed,     [a.tok, embedW.buffer, a.hid]);
+  a.rope       = step(_pipelines.rope_embed,      [a.q, a.k]);
+  a.ropeRow    = step(_pipelines.rope_embed,      [a.qRow, a.kRow]);
+  a.attnLocal  = step(_pipelines.attention_score, [a.q, a.k, a.v, a.attn]);
+  a.residual   = step(_pipelines.residual_add,    [a.hid, a.proj]);
+  a.swiglu     = step(_pipelines.swiglu,          [a.gate, a.up, a.act]);
+
+  for (let l = 0; l < nLayers; l++) {
+    const p  = `model.layers.${l}`;
+    const g  = (n) => _weights.get(`${p}.${n}`) || null;
+    const gR = (n) => { const w = g(n); if (!w) throw new Error(`Missing: ${p}.${n}`); return w; };
+    const postNW = g("post_attention_layernorm.weight") || g("post_feedforward_layernorm.weight");
+    const ffnIn  = postNW ? a.norm : a.hid;
+    a.layers.push({
+      normA:  step(_pipelines.rms_norm, [a.hid, gR("input_layernorm.weight").buffer, a.norm]),
+      q:      mm(a.norm, gR("self_attn.q_proj.weight"), a.q),
+      k:      mm(a.norm, gR("self_attn.k_proj.weight"), a.k),
+      v:      mm(a.norm, gR("self_attn.v_proj.weight"), a.v),
+      o:      mm(a.attn, gR("self_attn.o_proj.weight"), a.proj),
+      normB:  postNW ? step(_pipelines.rms_norm, [a.hid, postNW.buffer, a.norm]) : null,
+      gate:   mm(ffnIn, gR("mlp.gate_proj.weight"), a.gate),
+      up:     mm(ffnIn, gR("mlp.up_proj.weight"), a.up),
+      down:   mm(a.act, gR("mlp.down_proj.weight"), a.proj),
+    });
+  }
+
+  if (head) {
+    const fnW = getW("model.norm.weight");
+    const lmW = getW("lm_head.weight") || embedW;
+    a.logits      = buf(vocab * 4);
+    a.logitsStage = buf(logitRows * vocab * 4, readUsage);
+    a.finalNorm   = fnW ? step(_pipelines.rms_norm, [a.hid, fnW.buffer, a.norm]) : null;
+    a.lmHead      = step(_pipelines.lm_head, [fnW ? a.norm : a.hid, lmW.buffer, a.logits]);
+    if (_pipelines.topk_stage1) {
+      const groups = Math.ceil(vocab / TOPK_CHUNK);
+      a.cand      = buf(groups * GPU_TOPK_MAX * 8);
+      a.topk      = buf(GPU_TOPK_MAX * 8);
+      a.topkStage = buf(GPU_TOPK_MAX * 8, readUsage);
+      a.topk1     = step(_pipelines.topk_stage1, [a.logits, a.cand]);
+      a.topk2     = step(_pipelines.topk_stage2, [a.cand, a.topk]);
+      growAdjust(a, ADJ_MIN);
+    }
+  }
+
+  a.bytes = bufs.reduce((n, b) => n + b.size, 0);
+  return _arena = a;
+}
+
+// Per-layer attention and f16 store steps over one KV cache, for whole-chunk
+// passes and for batched rows
+function kvBindings(a, kv) {
+  let b = a.kvBound.get(kv);
+  if (b) return b;
+  const attn  = kv.f16 ? _pipelines.attention_score_f16 : _pipelines.attention_score;
+  const store = (src, dst) => kv.f16 ? step(_pipelines.kv_store_f16, [src, dst]) : null;
+  b = a.layers.map((_, l) => ({
+    attn:      step(attn, [a.q, kv.keys[l], kv.vals[l], a.attn]),
+    storeK:    store(a.k, kv.keys[l]),
+    storeV:    store(a.v, kv.vals[l]),
+    attnRow:   step(attn, [a.qRow, kv.keys[l], kv.vals[l], a.attnRow]),
+    storeKRow: store(a.kRow, kv.keys[l]),
+    storeVRow: store(a.vRow, kv.vals[l]),
+  }));
+  a.kvBound.set(kv, b);
+  return b;
+}
+
+// logit_adjust input — grows (and rebinds) only when a request needs more entries
+function growAdjust(a, entries) {
+  if (a.adjCap >= entries) return;
+  a.adjCap = Math.max(entries, (a.adjCap || 0) * 2);
+  a.adj?.destroy();
+  a.adj    = mkBuf(a.adjCap * 16);
+  a.adjust = step(_pipelines.logit_adjust, [a.logits, a.adj]);
+}
+
+function destroyArena() {
+  if (!_arena) return;
+  for (const b of [..._arena.bufs, _arena.adj]) { try { b?.destroy(); } catch {} }
+  _arena = null;
+}
+
 // ─── Forward pass ─────────────────────────────────────────────────────────────
+// kvOffset: absolute position of tokenIds[0] — K/V are written there and RoPE
+//           and the causal mask are applied relative to it
 // dryRun: skip readback (warmup)
-// prefill: true = process full prompt, false = decode single token
-async function forwardPass(tokenIds, kvOffset = 0, dryRun = false, prefill = false) {
+// prefill: true = process prompt tokens, false = decode single token
+// sampler: { k, temperature, adj } from gpuSampler — decode returns the top-k
+//          { ids, logits } instead of the full logits row
+// allRows: return one logits row per token (speculative verification) — GPU
+//          only, at most the arena's logitRows tokens
+// seqs: batched decode — one KV slot per token, each token written and
+//       attended at its own slot's next position (kvOffset is unused); implies allRows
+async function forwardPass(tokenIds, kvOffset = 0, dryRun = false, prefill = false, sampler = null, allRows = false, seqs = null) {
+  if (_cpu) return _cpu.forward(tokenIds, kvOffset, dryRun, prefill);
+  if (tokenIds.length > ARENA_ROWS) {
+    let out = null;
+    for (let i = 0; i < tokenIds.length; i += ARENA_ROWS) {
+      const last = i + ARENA_ROWS >= tokenIds.length;
+      out = await forwardPass(tokenIds.slice(i, i + ARENA_ROWS), kvOffset + i, dryRun,
+                              prefill || !last, last ? sampler : null);
+    }
+    return out;
+  }
+
   const cfg     = _config;
   const hidden  = cfg.hidden_size;
   const nLayers = cfg.num_hidden_layers;
   const nHeads  = cfg.num_attention_heads;
   const nKV     = cfg.num_key_value_heads || nHeads;
-  const headDim = Math.floor(hidden / nHeads);
+  const headDim = headDimOf(cfg);
+  const ffnH    = cfg.intermediate_size;
+  const qDim    = nHeads * headDim;
+  const kDim    = nKV * headDim;
+  const eps     = cfg.rms_norm_eps || 1e-5;
   const seqLen  = tokenIds.length;
-  // Collect temp buffers to destroy after GPU work is done (huge VRAM saving)
-  const _tmp = [];
-  const tmp = (size, data, usage) => { const b = mkBuf(size, data, usage); _tmp.push(b); return b; };
-
+  const split   = !!_core?.cpu;
+  const gpuEnd  = split ? _core.gpuLayers : nLayers;
+  const t0      = performance.now();
+  if (headDim > ATTN_MAX_HEAD_DIM) throw new Error(`head_dim ${headDim} exceeds the attention kernel limit of ${ATTN_MAX_HEAD_DIM}`);
+
+  const a   = ensureArena();
+  if (seqs) allRows = true;
+  if (allRows && (split || seqLen > a.logitRows)) throw new Error(`allRows needs the LM head on the GPU and at most ${a.logitRows} tokens`);
   const enc = _device.createCommandEncoder();
 
   // ── Token embedding ──
-  const tokBuf    = tmp(seqLen * 4, new Int32Array(tokenIds));
-  const hiddenBuf = tmp(seqLen * hidden * 4);
-  const embedW    = getW("model.embed_tokens.weight") ||
-                    getW("embed_tokens.weight") ||
-                    getW("transformer.wte.weight");
-  if (!embedW) throw new Error("Missing embed_tokens.weight — model did not convert correctly");
-
-  // Tuned workgroup: 256 threads per group, each computes 4 elements — better GPU occupancy
-  dispatch(enc, _pipelines.token_embed, [tokBuf, embedW.buffer, hiddenBuf,
-    uniforms({ seq_len: seqLen, hidden, vocab_size: cfg.vocab_size })],
+  _device.queue.writeBuffer(a.tok, 0, Int32Array.from(tokenIds));
+  dispatch(enc, a.embed, { seq_len: seqLen, hidden, vocab_size: cfg.vocab_size },
     Math.ceil(seqLen * hidden / 256));
 
-  let cur = hiddenBuf;
+  // Attention reads the whole cached prefix when there is one; otherwise the
+  // current K/V only. One workgroup per (head, query).
+  const useKV    = !!_kvCache && !dryRun;
+  const kvB      = useKV && !seqs ? kvBindings(a, _kvCache) : null;
+  const totalSeq = useKV ? kvOffset + seqLen : seqLen;
+  const attnU    = { seq_len: seqLen, total_seq: totalSeq, n_heads: nHeads, n_kv: nKV,
+                     head_dim: headDim, scale_attn: 1.0 / Math.sqrt(headDim), offset: useKV ? kvOffset : 0 };
+  const ropeU    = { n_heads: nHeads, n_kv: nKV, head_dim: headDim, theta: cfg.rope_theta || 500000 };
 
   // ── Transformer layers ─────────────────────────────────────────────────────
-  for (let l = 0; l < nLayers; l++) {
-    const p  = `model.layers.${l}`;
-    const g  = (n) => _weights.get(`${p}.${n}`) || null;
-    const gR = (n) => { const w = g(n); if (!w) throw new Error(`Missing: ${p}.${n}`); return w; };
+  for (let l = 0; l < gpuEnd; l++) {
+    const L = a.layers[l];
 
     // Pre-attention RMSNorm
-    const normA = tmp(seqLen * hidden * 4);
-    const anW   = gR("input_layernorm.weight");
-    dispatch(enc, _pipelines.rms_norm, [cur, anW.buffer, normA,
-      uniforms({ seq_len: seqLen, hidden, eps: cfg.rms_norm_eps || 1e-5 })], seqLen);
+    dispatch(enc, L.normA, { seq_len: seqLen, hidden, eps }, seqLen);
 
     // Q K V projections
-    const qDim = nHeads * headDim;
-    const kDim = nKV * headDim;
-    const qBuf = tmp(seqLen * qDim * 4);
-    const kBuf = tmp(seqLen * kDim * 4);
-    const vBuf = tmp(seqLen * kDim * 4);
-
-    for (const [out, dim, wn] of [
-      [qBuf, qDim, "self_attn.q_proj.weight"],
-      [kBuf, kDim, "self_attn.k_proj.weight"],
-      [vBuf, kDim, "self_attn.v_proj.weight"],
-    ]) {
-      const w  = gR(wn);
-      const pl = pickMatmul(w.dtype);
-      // Tuned dispatch: ceil(M/4) × ceil(N/16) — 64-thread tile fits mobile GPU limits
-      dispatch(enc, pl, [normA, w.buffer, out,
-        uniforms({ M: seqLen, N: dim, K: hidden, quant: w.dtype })],
-        Math.ceil(seqLen / 4), Math.ceil(dim / 16));
+    for (const [s, dim] of [[L.q, qDim], [L.k, kDim], [L.v, kDim]]) dispatchMatmul(enc, s, seqLen, dim, hidden);
+
+    if (seqs) {
+      // Batched decode: RoPE, KV store and attention per row, at the row's own position
+      seqs.forEach((seq, r) => {
+        const pos = seq.kvTokens.length;
+        const K   = kvBindings(a, seq.kvCache)[l];
+        enc.copyBufferToBuffer(a.q, r * qDim * 4, a.qRow, 0, qDim * 4);
+        enc.copyBufferToBuffer(a.k, r * kDim * 4, a.kRow, 0, kDim * 4);
+        dispatch(enc, a.ropeRow, { ...ropeU, seq_len: 1, offset: pos }, ropeGroups(1, nHeads, headDim));
+        if (seq.kvCache.f16) {
+          enc.copyBufferToBuffer(a.v, r * kDim * 4, a.vRow, 0, kDim * 4);
+          dispatch(enc, K.storeKRow, { size: kDim, offset: pos * kDim }, Math.ceil(kDim / 256));
+          dispatch(enc, K.storeVRow, { size: kDim, offset: pos * kDim }, Math.ceil(kDim / 256));
+        } else {
+          enc.copyBufferToBuffer(a.kRow, 0, seq.kvCache.keys[l], pos * kDim * 4, kDim * 4);
+          enc.copyBufferToBuffer(a.v, r * kDim * 4, seq.kvCache.vals[l], pos * kDim * 4, kDim * 4);
+        }
+        dispatch(enc, K.attnRow, { ...attnU, seq_len: 1, total_seq: pos + 1, offset: pos }, nHeads, 1);
+        enc.copyBufferToBuffer(a.attnRow, 0, a.attn, r * qDim * 4, qDim * 4);
+      });
+    } else {
+      // RoPE
+      dispatch(enc, a.rope, { ...ropeU, seq_len: seqLen, offset: kvOffset }, ropeGroups(seqLen, nHeads, headDim));
+
+      // Copy K and V into KV cache at current position — converted by kv_store_f16 for an f16 cache
+      if (useKV && _kvCache.f16) {
+        const storeU = { size: seqLen * kDim, offset: kvOffset * kDim };
+        dispatch(enc, kvB[l].storeK, storeU, Math.ceil(seqLen * kDim / 256));
+        dispatch(enc, kvB[l].storeV, storeU, Math.ceil(seqLen * kDim / 256));
+      } else if (useKV) {
+        const writeOffset = kvOffset * kDim * 4;
+        enc.copyBufferToBuffer(a.k, 0, _kvCache.keys[l], writeOffset, seqLen * kDim * 4);
+        enc.copyBufferToBuffer(a.v, 0, _kvCache.vals[l], writeOffset, seqLen * kDim * 4);
+      }
+
+      dispatch(enc, useKV && totalSeq > seqLen ? kvB[l].attn : a.attnLocal, attnU, nHeads, seqLen);
     }
 
-    // RoPE
-    dispatch(enc, _pipelines.rope_embed, [qBuf, kBuf,
-      uniforms({ seq_len: seqLen, n_heads: nHeads, n_kv: nKV,
-                 head_dim: headDim, theta: cfg.rope_theta || 500000,
-                 offset: prefill ? 0 : kvOffset })],
-      Math.ceil(seqLen * Math.max(nHeads, nKV) / 64));
-
-    // Copy K and V into KV cache at current position
-    if (_kvCache && !dryRun) {
-      const writeOffset = kvOffset * nKV * headDim * 4;
-      enc.copyBufferToBuffer(kBuf, 0, _kvCache.keys[l], writeOffset, seqLen * kDim * 4);
-      enc.copyBufferToBuffer(vBuf, 0, _kvCache.vals[l], writeOffset, seqLen * kDim * 4);
+    // Output projection, then residual add: hid += proj (256 threads/group — full warp utilization)
+    dispatchMatmul(enc, L.o, seqLen, hidden, qDim);
+    dispatch(enc, a.residual, { size: seqLen * hidden }, Math.ceil(seqLen * hidden / 256));
+
+    // Post-attention norm
+    if (L.normB) dispatch(enc, L.normB, { seq_len: seqLen, hidden, eps }, seqLen);
+
+    // SwiGLU FFN
+    for (const s of [L.gate, L.up]) dispatchMatmul(enc, s, seqLen, ffnH, hidden);
+    dispatch(enc, a.swiglu, { size: seqLen * ffnH }, Math.ceil(seqLen * ffnH / 256));
+    // Down projection, then residual add: hid += proj. hid carries the residual
+    // stream into the next layer — proj is scratch, overwritten by the next matmul
+    dispatchMatmul(enc, L.down, seqLen, hidden, ffnH);
+    dispatch(enc, a.residual, { size: seqLen * hidden }, Math.ceil(seqLen * hidden / 256));
+  }
+
+  // ── ActalithicCore — hand the hidden state to the CPU for the remaining layers ──
+  if (split) {
+    enc.copyBufferToBuffer(a.hid, 0, a.hidStage, 0, seqLen * hidden * 4);
+    flushUniforms();
+    _device.queue.submit([enc.finish()]);
+    const x  = new Float32Array(await readStage(a.hidStage, seqLen * hidden * 4));
+    const t1 = performance.now();
+    _core.gpuMs += t1 - t0;
+    if (dryRun) return null;
+    const logits = _core.cpu.forwardFrom(x, seqLen, kvOffset, gpuEnd, prefill);
+    _core.cpuMs += performance.now() - t1;
+    return logits;
+  }
+
+  // ── Final norm, then LM head — only the last token's logits (saves vocab_size * seq_len work) ──
+  // lm_head reads row seq_len - 1, so allRows runs it once per row and stages each row in turn
+  if (a.finalNorm) dispatch(enc, a.finalNorm, { seq_len: seqLen, hidden, eps }, seqLen);
+  for (let r = allRows ? 0 : seqLen - 1; r < seqLen; r++) {
+    dispatch(enc, a.lmHead, { seq_len: r + 1, hidden, vocab_size: cfg.vocab_size, last_only: 1 },
+      Math.ceil(cfg.vocab_size / 256));
+    if (allRows) enc.copyBufferToBuffer(a.logits, 0, a.logitsStage, r * cfg.vocab_size * 4, cfg.vocab_size * 4);
+  }
+
+  // ── GPU sampling — bias / penalties, then two-pass top-k over the logits ──
+  const sampling = sampler && !dryRun && !prefill && !allRows;
+  if (sampling) {
+    const { k, temperature, adj } = sampler;
+    if (adj.size) {
+      growAdjust(a, adj.size);
+      const packed = new ArrayBuffer(adj.size * 16);
+      const u32 = new Uint32Array(packed), f32 = new Float32Array(packed);
+      let i = 0;
+      for (const [id, e] of adj) {
+        u32[i] = id; f32[i + 1] = e.add; f32[i + 2] = e.rep; f32[i + 3] = e.sub;
+        i += 4;
+      }
+      _device.queue.writeBuffer(a.adj, 0, packed);
+      dispatch(enc, a.adjust, { size: adj.size, vocab_size: cfg.vocab_size }, Math.ceil(adj.size / 64));
     }
+    const groups = Math.ceil(cfg.vocab_size / TOPK_CHUNK);
+    dispatch(enc, a.topk1, { size: cfg.vocab_size, top_k: k, temperature }, groups);
+    dispatch(enc, a.topk2, { size: groups * k, top_k: k }, 1);
+    enc.copyBufferToBuffer(a.topk, 0, a.topkStage, 0, k * 8);
+  } else if (!dryRun && !prefill && !allRows) {
+    enc.copyBufferToBuffer(a.logits, 0, a.logitsStage, 0, cfg.vocab_size * 4);
+  }
 
-    // Attention — use full KV cache if available
-    const totalSeq = _kvCache && !dryRun ? kvOffset + seqLen : seqLen;
-    const attnOut  = tmp(seqLen * qDim * 4);
-    const scale    = 1.0 / Math.sqrt(headDim);
-
-    if (_kvCache && !dryRun && totalSeq > seqLen) {
-      dispatch(enc, _pipelines.attention_score,
-        [qBuf, _kvCache.keys[l], _kvCache.vals[l], attnOut,
-         uniforms({ seq_len: seqLen, total_seq: totalSeq, n_heads: nHeads,
-                    n_kv: nKV, head_dim: headDim, scale_attn: scale, kv_offset: kvOffset })],
-        Math.ceil(seqLen * nHeads / 64));
-    } else {
-      dispatch(enc, _pipelines.attention_score, [qBuf, kBuf, vBuf, attnOut,
-        uniforms({ seq_len: seqLen, total_seq: seqLen, n_heads: nHeads,
-                   n_kv: nKV, head_dim: headDim, scale_attn: scale, kv_offset: 0 })],
-        Math.ceil(seqLen * nHeads / 64));
+  flushUniforms();
+  _device.queue.submit([enc.finish()]);
+
+  let result = null;
+  if (sampling) {
+    const raw    = await readStage(a.topkStage, sampler.k * 8);
+    const u32    = new Uint32Array(raw), f32 = new Float32Array(raw);
+    const ids    = [], logits = [];
+    for (let i = 0; i < sampler.k; i++) {
+      if (!(f32[2 * i + 1] > -1e38)) break;    // unused slot (TOPK_NEG) or NaN
+      ids.push(u32[2 * i]); logits.push(f32[2 * i + 1]);
     }
+    result = { ids, logits: Float32Array.from(logits) };
+  } else if (allRows) {
+    const all = new Float32Array(await readStage(a.logitsStage, seqLen * cfg.vocab_size * 4));
+    result = Array.from({ length: seqLen }, (_, r) => all.subarray(r * cfg.vocab_size, (r + 1) * cfg.vocab_size));
+  } else if (!dryRun && !prefill) {
+    result = new Float32Array(await readStage(a.logitsStage, cfg.vocab_size * 4));
+  } else {
+    await _device.queue.onSubmittedWorkDone();
+  }
+  if (_core) _core.gpuMs += performance.now() - t0;
 
-    // Output projection
-    const oPW   = gR("self_attn.o_proj.weight");
-    const oPl   = pickMatmul(oPW.dtype);
-    const attnR = tmp(seqLen * hidden * 4);
-    dispatch(enc, oPl, [attnOut, oPW.buffer, attnR,
-      uniforms({ M: seqLen, N: hidden, K: qDim, quant: oPW.dtype })],
-      Math.ceil(seqLen / 4), Math.ceil(hidden / 16));
+  return result;
+}
+
+// ─── Sampling ─────────────────────────────────────────────────────────────────
+// Pipeline: logit bias → repetition / frequency / presence penalties over the
+// recent generated window → greedy (temperature 0) or temperature → top-k →
+// softmax → typical-p → top-p → min-p → draw with `rng`.
+// The "gpu" sampler runs everything up to top-k in kernels.wgsl and reads back
+// only the k best (id, logit / T) pairs; "cpu" reads back the full vocab.
+// Candidates beyond GPU_TOPK_MAX are dropped on the GPU path, so topK 0 (whole
+// vocab) is approximated there — pass sampler: "cpu" for the exact tail.
+const GPU_TOPK_MAX = 256;
+const TOPK_CHUNK   = 2048;      // logits per workgroup in topk_stage1 — matches kernels.wgsl
+
+function samplingParams(opts = {}) {
+  const {
+    temperature       = 0.7,
+    topP              = 0.9,
+    topK              = 40,
+    minP              = 0,
+    typicalP          = 1,
+    repetitionPenalty = 1,
+    frequencyPenalty  = 0,
+    presencePenalty   = 0,
+    penaltyLastN      = 64,     // 0 = whole generated reply
+    logitBias         = null,   // { [tokenId]: bias } — OpenAI logit_bias
+    sampler           = "gpu",  // "gpu" | "cpu"
+  } = opts;
+  return { temperature, topP, topK, minP, typicalP, repetitionPenalty,
+           frequencyPenalty, presencePenalty, penaltyLastN, logitBias, sampler };
+}
 
-    // Residual add: cur += attnR  (256 threads/group — full warp utilization)
-    dispatch(enc, _pipelines.residual_add, [cur, attnR,
-      uniforms({ size: seqLen * hidden })], Math.ceil(seqLen * hidden / 256));
+// Per-token adjustments from logit bias and penalties, merged by id:
+//   Map id → { add, rep, sub }  applied as  l += add; l = l>0 ? l/rep : l*rep; l -= sub
+function logitAdjustments(params, recent, vocabSize) {
+  const { logitBias, repetitionPenalty, frequencyPenalty, presencePenalty, penaltyLastN } = params;
+  const adj = new Map();
+  const at  = (id) => {
+    let a = adj.get(id);
+    if (!a) adj.set(id, a = { add: 0, rep: 1, sub: 0 });
+    return a;
+  };
 
-    // Post-attention norm
-    const postNW = g("post_attention_layernorm.weight") || g("post_feedforward_layernorm.weight");
-    let ffnIn = cur;
-    if (postNW) {
-      const normB = tmp(seqLen * hidden * 4);
-      dispatch(enc, _pipelines.rms_norm, [cur, postNW.buffer, normB,
-        uniforms({ seq_len: seqLen, hidden, eps: cfg.rms_norm_eps || 1e-5 })], seqLen);
-      ffnIn = normB;
+  if (logitBias) {
+    for (const [id, bias] of Object.entries(logitBias)) {
+      if (+id >= 0 && +id < vocabSize) at(+id).add += bias;
     }
+  }
 
-    // SwiGLU FFN — fused gate+up in single dispatch saves one round-trip
-    const ffnH = cfg.intermediate_size;
-    const gW   = gR("mlp.gate_proj.weight");
-    const uW   = gR("mlp.up_proj.weight");
-    const dW   = gR("mlp.down_proj.weight");
-    const gBuf = tmp(seqLen * ffnH * 4);
-    const uBuf = tmp(seqLen * ffnH * 4);
-    const sgBuf= tmp(seqLen * ffnH * 4);
-    const ffnO = tmp(seqLen * hidden * 4);
-
-    for (const [out, w] of [[gBuf, gW], [uBuf, uW]]) {
-      const pl = pickMatmul(w.dtype);
-      dispatch(enc, pl, [ffnIn, w.buffer, out,
-        uniforms({ M: seqLen, N: ffnH, K: hidden, quant: w.dtype })],
-        Math.ceil(seqLen / 4), Math.ceil(ffnH / 16));
+  if (repetitionPenalty !== 1 || frequencyPenalty || presencePenalty) {
+    const counts = new Map();
+    for (const id of penaltyLastN > 0 ? recent.slice(-penaltyLastN) : recent) {
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+    for (const [id, n] of counts) {
+      const a = at(id);
+      a.rep = repetitionPenalty;
+      a.sub = n * frequencyPenalty + presencePenalty;
     }
-    dispatch(enc, _pipelines.swiglu, [gBuf, uBuf, sgBuf,
-      uniforms({ size: seqLen * ffnH })], Math.ceil(seqLen * ffnH / 256));
+  }
+  return adj;
+}
+
+// GPU sampler request for forwardPass, or null when the CPU path should run
+function gpuSampler(params, recent) {
+  if (_cpu || _core?.cpu || params.sampler === "cpu" || !_pipelines.topk_stage1) return null;
+  const greedy = params.temperature <= 0;
+  return {
+    k:           greedy ? 1 : Math.min(params.topK > 0 ? params.topK : GPU_TOPK_MAX, GPU_TOPK_MAX),
+    temperature: greedy ? 1 : params.temperature,
+    adj:         logitAdjustments(params, recent, _config.vocab_size),
+  };
+}
 
-    const dPl = pickMatmul(dW.dtype);
-    dispatch(enc, dPl, [sgBuf, dW.buffer, ffnO,
-      uniforms({ M: seqLen, N: hidden, K: ffnH, quant: dW.dtype })],
-      Math.ceil(seqLen / 4), Math.ceil(hidden / 16));
+// CPU path — `logits` is the full vocab row and is modified in place.
+// With a grammar constraint the unconstrained pick stands when the grammar
+// allows it; otherwise disallowed logits are masked and the token drawn again,
+// so the full-vocab grammar walk only runs on steps that need it.
+function sampleToken(logits, params, recent = [], rng = Math.random, constraint = null) {
+  for (const [id, a] of logitAdjustments(params, recent, logits.length)) {
+    let l = logits[id] + a.add;
+    l = l > 0 ? l / a.rep : l * a.rep;
+    logits[id] = l - a.sub;
+  }
+
+  const id = pickToken(logits, params, rng);
+  if (!constraint || constraint.allows(id)) return id;
+  constraint.mask(logits);
+  return pickToken(logits, params, rng);
+}
+
+function pickToken(logits, params, rng) {
+  if (params.temperature <= 0) return argmax(logits);
+
+  const ids    = topKIndices(logits, params.topK);
+  const scaled = Float32Array.from(ids, id => logits[id] / params.temperature);
+  return sampleCandidates(ids, scaled, params, rng);
+}
 
-    dispatch(enc, _pipelines.residual_add, [cur, ffnO,
-      uniforms({ size: seqLen * hidden })], Math.ceil(seqLen * hidden / 256));
+// `ids` sorted by logit, descending; `scaled` holds their logits / temperature
+function sampleCandidates(ids, scaled, params, rng = Math.random) {
+  const { temperature, topP, minP, typicalP } = params;
+  if (temperature <= 0 || ids.length === 1) return ids[0];
 
-    cur = ffnO;
+  const p   = new Float64Array(ids.length);
+  const max = scaled[0];
+  let sum = 0;
+  for (let i = 0; i < ids.length; i++) { p[i] = Math.exp(scaled[i] - max); sum += p[i]; }
+  for (let i = 0; i < p.length; i++) p[i] /= sum;
+
+  // keep[] holds positions into ids / p
+  let keep = Array.from(ids, (_, i) => i);
+
+  // Typical-p: prefer tokens whose surprise is close to the distribution's entropy
+  if (typicalP < 1) {
+    let entropy = 0;
+    for (const i of keep) if (p[i] > 0) entropy -= p[i] * Math.log(p[i]);
+    const byTypical = [...keep].sort((a, b) =>
+      Math.abs(-Math.log(p[a]) - entropy) - Math.abs(-Math.log(p[b]) - entropy));
+    let cum = 0, n = 0;
+    while (n < byTypical.length && (n === 0 || cum < typicalP)) cum += p[byTypical[n++]];
+    keep = byTypical.slice(0, n).sort((a, b) => a - b);
   }
 
-  // ── Final norm ──
-  const fnW  = _weights.get("model.norm.weight");
-  const norm = tmp(seqLen * hidden * 4);
-  if (fnW) {
-    dispatch(enc, _pipelines.rms_norm, [cur, fnW.buffer, norm,
-      uniforms({ seq_len: seqLen, hidden, eps: cfg.rms_norm_eps || 1e-5 })], seqLen);
+  // Top-P (nucleus)
+  if (topP < 1) {
+    let cum = 0, n = 0;
+    while (n < keep.length && (n === 0 || cum < topP)) cum += p[keep[n++]];
+    keep = keep.slice(0, n);
   }
 
-  // ── LM head — only compute last token's logits (saves vocab_size * seq_len work) ──
-  const lmW    = _weights.get("lm_head.weight") || embedW;
-  const logBuf = tmp(cfg.vocab_size * 4);
-  dispatch(enc, _pipelines.lm_head, [fnW ? norm : cur, lmW.buffer, logBuf,
-    uniforms({ seq_len: seqLen, hidden, vocab_size: cfg.vocab_size, last_only: 1 })],
-    Math.ceil(cfg.vocab_size / 256));
+  // Min-P: drop tokens far less likely than the best remaining one
+  if (minP > 0) {
+    const floor = minP * p[keep[0]];
+    keep = keep.filter((i, n) => n === 0 || p[i] >= floor);
+  }
 
-  _device.queue.submit([enc.finish()]);
+  let total = 0;
+  for (const i of keep) total += p[i];
+  let r = rng() * total;
+  for (const i of keep) { r -= p[i]; if (r <= 0) return ids[i]; }
+  return ids[keep[0]];
+}
 
-  let result = null;
-  if (!dryRun && !prefill) {
-    const raw = await readBuf(logBuf, cfg.vocab_size * 4);
-    result = new Float32Array(raw);
+function argmax(logits) {
+  let best = 0;
+  for (let i = 1; i < logits.length; i++) if (logits[i] > logits[best]) best = i;
+  return best;
+}
+
+// Indices of the k largest logits, sorted descending. k <= 0 keeps the whole vocab.
+// A size-k min-heap keeps this O(V log k) instead of sorting the full vocab.
+function topKIndices(logits, k) {
+  const V = logits.length;
+  if (k <= 0 || k >= V) {
+    return Array.from({ length: V }, (_, i) => i).sort((a, b) => logits[b] - logits[a]);
+  }
+  const heap = new Int32Array(k);
+  let size = 0;
+  const less = (a, b) => logits[heap[a]] < logits[heap[b]];
+  const swap = (a, b) => { const t = heap[a]; heap[a] = heap[b]; heap[b] = t; };
+  const down = (i) => {
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let m = i;
+      if (l < size && less(l, m)) m = l;
+      if (r < size && less(r, m)) m = r;
+      if (m === i) return;
+      swap(i, m); i = m;
+    }
+  };
+  for (let i = 0; i < V; i++) {
+    if (size < k) {
+      heap[size] = i;
+      for (let j = size++; j > 0;) {
+        const parent = (j - 1) >> 1;
+        if (!less(j, parent)) break;
+        swap(j, parent); j = parent;
+      }
+    } else if (logits[i] > logits[heap[0]]) {
+      heap[0] = i; down(0);
+    }
   }
+  return Array.from(heap.subarray(0, size)).sort((a, b) => logits[b] - logits[a]);
+}
 
-  // ── Destroy all temporary GPU buffers — frees VRAM between steps ──
-  // This is the key reason ACC uses less RAM than MLC on long generations.
-  await _device.queue.onSubmittedWorkDone();
-  for (const b of _tmp) { try { b.destroy(); } catch {} }
+// mulberry32 — small seeded PRNG so a prompt + seed reproduces the same reply
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-  return result;
+// ─── Self-test ────────────────────────────────────────────────────────────────
+// Runs every forward-pass kernel on seeded random inputs, dispatched the way
+// forwardPass dispatches it, and compares the result with the CPU reference.
+// Shapes are deliberately ragged (partial matmul tiles, a hidden size past one
+// rms_norm workgroup) so edge threads are checked too. Attention cases cover
+// decode, GQA prefill on a reused prefix, a context past the old
+// 4096-position limit and a partial final key tile.
+const SELFTEST_TOLERANCE      = 1e-4;
+const SELFTEST_TOLERANCE_F16  = 5e-3;   // K/V rounded to f16 (11-bit mantissa)
+const SELFTEST_TOLERANCE_TRIG = 2e-3;   // WGSL sin / cos are only accurate to 2^-11
+const ATTN_SELFTEST_CASES = [
+  { name: "decode",           seqLen: 1, totalSeq: 1,    nHeads: 4, nKV: 4, headDim: 64,  offset: 0 },
+  { name: "prefill + gqa",    seqLen: 9, totalSeq: 75,   nHeads: 8, nKV: 2, headDim: 128, offset: 66 },
+  { name: "decode past 4096", seqLen: 1, totalSeq: 5000, nHeads: 2, nKV: 1, headDim: 64,  offset: 4999 },
+  { name: "head_dim 256",     seqLen: 3, totalSeq: 130,  nHeads: 2, nKV: 1, headDim: 256, offset: 127 },
+];
+// K = 70 runs matmul_f32 only — the quantizers need whole 32-value blocks per row
+const MATMUL_SELFTEST_CASES = [
+  { name: "decode",             M: 1, N: 40, K: 64 },
+  { name: "prefill, ragged",    M: 5, N: 37, K: 70 },
+  { name: "prefill, quantized", M: 3, N: 24, K: 96 },
+];
+
+async function handleSelfTest() {
+  if (_cpu) { post({ type: "error", message: "Self-test checks GPU kernels — not available on the CPU backend" }); return; }
+  if (!_device || !_pipelines.attention_score) { post({ type: "error", message: "Model not loaded" }); return; }
+
+  ensureArena();               // creates the uniform ring
+  const rng     = seededRandom(1234);
+  const rand    = (n) => Float32Array.from({ length: n }, () => rng() * 2 - 1);
+  const results = [];
+  const check   = (kernel, name, gpu, expected, tol = SELFTEST_TOLERANCE) => {
+    const { maxAbs } = compareOutputs(gpu, expected);
+    results.push({ kernel, case: name, maxAbs, ok: maxAbs <= tol });
+  };
+
+  await selfTestLayerKernels(rand, check);
+
+  for (const c of ATTN_SELFTEST_CASES) {
+    const q   = rand(c.seqLen * c.nHeads * c.headDim);
+    const k   = rand(c.totalSeq * c.nKV * c.headDim);
+    const v   = rand(c.totalSeq * c.nKV * c.headDim);
+    const out = mkBuf(q.byteLength);
+    const ins = [mkBuf(q.byteLength, q), mkBuf(k.byteLength, k), mkBuf(v.byteLength, v)];
+    const scale = 1 / Math.sqrt(c.headDim);
+
+    const enc = _device.createCommandEncoder();
+    dispatch(enc, step(_pipelines.attention_score, [...ins, out]),
+      { seq_len: c.seqLen, total_seq: c.totalSeq, n_heads: c.nHeads, n_kv: c.nKV,
+        head_dim: c.headDim, scale_attn: scale, offset: c.offset },
+      c.nHeads, c.seqLen);
+    flushUniforms();
+    _device.queue.submit([enc.finish()]);
+
+    const gpu = new Float32Array(await readBuf(out, q.byteLength));
+    const expected = attention(q, k, v, { ...c, scale });
+    check("attention_score", c.name, gpu, expected);
+
+    // Same case through kv_store_f16 into an f16 cache, then attention_score_f16
+    if (_pipelines.attention_score_f16) {
+      const kh  = mkBuf(k.length * 2), vh = mkBuf(v.length * 2);
+      const enc = _device.createCommandEncoder();
+      const storeU = { size: k.length, offset: 0 };
+      dispatch(enc, step(_pipelines.kv_store_f16, [ins[1], kh]), storeU, Math.ceil(k.length / 256));
+      dispatch(enc, step(_pipelines.kv_store_f16, [ins[2], vh]), storeU, Math.ceil(v.length / 256));
+      dispatch(enc, step(_pipelines.attention_score_f16, [ins[0], kh, vh, out]),
+        { seq_len: c.seqLen, total_seq: c.totalSeq, n_heads: c.nHeads, n_kv: c.nKV,
+          head_dim: c.headDim, scale_attn: scale, offset: c.offset },
+        c.nHeads, c.seqLen);
+      flushUniforms();
+      _device.queue.submit([enc.finish()]);
+
+      const gpuH = new Float32Array(await readBuf(out, q.byteLength));
+      kh.destroy(); vh.destroy();
+      check("attention_score_f16", c.name, gpuH, expected, SELFTEST_TOLERANCE_F16);
+    }
+    for (const b of [...ins, out]) b.destroy();
+  }
+
+  post({ type: "selftest", ok: results.every(r => r.ok), results });
 }
 
-// ─── Sampling ─────────────────────────────────────────────────────────────────
-function sampleToken(logits, { temperature = 0.7, topP = 0.9, topK = 40 } = {}) {
-  // Temperature scaling
-  for (let i = 0; i < logits.length; i++) logits[i] /= temperature;
+// Run one kernel over fresh buffers. `inputs` are typed arrays to upload or
+// byte sizes of empty outputs; `run(enc, step)` encodes the dispatch. Returns
+// the buffers at indices `read` as Float32Arrays.
+async function selfTestRun(pipeline, inputs, read, run) {
+  const bufs = inputs.map(d => typeof d === "number" ? mkBuf(d) : mkBuf(d.byteLength, d));
+  const enc  = _device.createCommandEncoder();
+  run(enc, step(pipeline, bufs));
+  flushUniforms();
+  _device.queue.submit([enc.finish()]);
+  const out = [];
+  for (const i of read) {
+    const bytes = typeof inputs[i] === "number" ? inputs[i] : inputs[i].byteLength;
+    out.push(new Float32Array(await readBuf(bufs[i], bytes)));
+  }
+  for (const b of bufs) b.destroy();
+  return out;
+}
 
-  // Stable softmax
-  let max = -Infinity;
-  for (let i = 0; i < logits.length; i++) if (logits[i] > max) max = logits[i];
-  let sum = 0;
-  const p = new Float32Array(logits.length);
-  for (let i = 0; i < logits.length; i++) { p[i] = Math.exp(logits[i] - max); sum += p[i]; }
-  for (let i = 0; i < p.length; i++) p[i] /= sum;
+// token_embed, rms_norm, every matmul variant, rope_embed, swiglu,
+// residual_add and lm_head
+async function selfTestLayerKernels(rand, check) {
+  const P = _pipelines;
+
+  const vocab = 50, hidden = 96, ids = Int32Array.from([0, 7, 49, 7, 23]);
+  const table = rand(vocab * hidden);
+  const [emb] = await selfTestRun(P.token_embed, [ids, table, ids.length * hidden * 4], [2], (enc, s) =>
+    dispatch(enc, s, { seq_len: ids.length, hidden, vocab_size: vocab }, Math.ceil(ids.length * hidden / 256)));
+  check("token_embed", `${ids.length} ids`, emb, tokenEmbed(Array.from(ids), table, hidden));
+
+  const rows = 3, wide = 300, eps = 1e-5;
+  const x = rand(rows * wide), w = rand(wide);
+  const [norm] = await selfTestRun(P.rms_norm, [x, w, x.byteLength], [2], (enc, s) =>
+    dispatch(enc, s, { seq_len: rows, hidden: wide, eps }, rows));
+  check("rms_norm", `hidden ${wide}`, norm, rmsNorm(x, w, wide, eps));
+
+  // Quantized weights go through the converter's own quantizers, so K is a
+  // whole number of 32-value blocks for those
+  const weights = (N, K) => {
+    const f = rand(N * K);
+    const packed = (q) => {
+      const out = new Uint8Array(q.scales.byteLength + q.data.byteLength);
+      out.set(new Uint8Array(q.scales.buffer, q.scales.byteOffset, q.scales.byteLength), 0);
+      out.set(q.data, q.scales.byteLength);
+      return out;
+    };
+    return [
+      ["matmul_f32", DTYPE.F32, f],
+      ["matmul_f16", DTYPE.F16, K % 32 ? null : toFloat16(f)],
+      ["matmul_q8",  DTYPE.Q8,  K % 32 ? null : packed(quantizeQ8(f))],
+      ["matmul_q4",  DTYPE.Q4,  K % 32 ? null : packed(quantizeQ4(f))],
+    ];
+  };
+  for (const c of MATMUL_SELFTEST_CASES) {
+    const a = rand(c.M * c.K);
+    for (const [kernel, dtype, data] of weights(c.N, c.K)) {
+      if (!data || !P[kernel]) continue;
+      const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      const [out] = await selfTestRun(P[kernel], [a, data, c.M * c.N * 4], [2], (enc, s) =>
+        dispatchMatmul(enc, { ...s, quant: dtype }, c.M, c.N, c.K));
+      check(kernel, `${c.name} ${c.M}×${c.N}×${c.K}`, out, matmul(a, c.M, c.K, dequantize({ dtype, shape: [c.N, c.K], data: bytes }), c.N));
+    }
+  }
+
+  // Positions stay below π radians, where WGSL bounds sin / cos error
+  const r = { seqLen: 3, nHeads: 4, nKV: 2, headDim: 64, theta: 10000, offset: 0 };
+  const q = rand(r.seqLen * r.nHeads * r.headDim), k = rand(r.seqLen * r.nKV * r.headDim);
+  const [qOut, kOut] = await selfTestRun(P.rope_embed, [q, k], [0, 1], (enc, s) =>
+    dispatch(enc, s, { seq_len: r.seqLen, n_heads: r.nHeads, n_kv: r.nKV, head_dim: r.headDim, theta: r.theta, offset: r.offset },
+      ropeGroups(r.seqLen, r.nHeads, r.headDim)));
+  const qRef = q.slice(), kRef = k.slice();
+  ropeEmbed(qRef, kRef, r);
+  check("rope_embed", "q + gqa k", Float32Array.from([...qOut, ...kOut]), Float32Array.from([...qRef, ...kRef]), SELFTEST_TOLERANCE_TRIG);
+
+  const size = 1000, gate = rand(size), up = rand(size);
+  const [act] = await selfTestRun(P.swiglu, [gate, up, size * 4], [2], (enc, s) =>
+    dispatch(enc, s, { size }, Math.ceil(size / 256)));
+  check("swiglu", `${size} values`, act, swiglu(gate, up));
+
+  const [sum] = await selfTestRun(P.residual_add, [gate, up], [0], (enc, s) =>
+    dispatch(enc, s, { size }, Math.ceil(size / 256)));
+  const sumRef = gate.slice();
+  residualAdd(sumRef, up);
+  check("residual_add", `${size} values`, sum, sumRef);
+
+  const lmVocab = 300, h = rand(rows * hidden), lmW = rand(lmVocab * hidden);
+  const [logits] = await selfTestRun(P.lm_head, [h, lmW, lmVocab * 4], [2], (enc, s) =>
+    dispatch(enc, s, { seq_len: rows, hidden, vocab_size: lmVocab, last_only: 1 }, Math.ceil(lmVocab / 256)));
+  check("lm_head", `last of ${rows} rows`, logits, lmHead(h, rows, hidden, lmW, lmVocab));
+}
+
+// ─── Benchmark ────────────────────────────────────────────────────────────────
+// Prefill BENCH_PROMPT synthetic tokens, then decode greedily with the same
+// sampler path generate uses. Runs in the first KV slot, which it resets.
+// Generate requests that arrive meanwhile wait for the run to finish.
+const BENCH_PROMPT = 128;
 
-  // Top-K + Top-P (nucleus) sampling
-  const idx = Array.from({ length: p.length }, (_, i) => i).sort((a, b) => p[b] - p[a]).slice(0, topK);
-  let cum = 0;
-  const nucleus = [];
-  for (const i of idx) { cum += p[i]; nucleus.push(i); if (cum >= topP) break; }
+let _benchRun = null;           // benchmark() in progress
 
-  const ns = nucleus.reduce((s, i) => s + p[i], 0);
-  let r = Math.random() * ns;
-  for (const i of nucleus) { r -= p[i]; if (r <= 0) return i; }
-  return nucleus[0];
+async function handleBench(tokens = 64) {
+  if (!_loaded) { post({ type: "error", message: "Model not loaded" }); return; }
+  if (_benchRun) throw new Error("A benchmark is already running");
+  if (_requests.length) throw new Error("Cannot benchmark while generating");
+  _benchRun = benchmark(tokens);
+  try { post(await _benchRun); }
+  finally { _benchRun = null; }
+}
+
+async function benchmark(tokens) {
+  useSeq(_seqs[0]);
+  resetKV();
+
+  const vocab  = _config.vocab_size;
+  const prompt = Array.from({ length: BENCH_PROMPT }, (_, i) => i ? (i * 7919) % vocab : _tokenizer?.bosId ?? 1);
+  const steps  = Math.max(0, Math.min(tokens, kvCapacity() - prompt.length));
+  const params = samplingParams({ temperature: 0 });
+
+  let t = performance.now();
+  await forwardPass(prompt.slice(0, -1), 0, false, true);
+  const prefillMs = performance.now() - t;
+
+  let next = prompt[prompt.length - 1];
+  t = performance.now();
+  for (let i = 0; i < steps; i++) {
+    const sampler = gpuSampler(params, []);
+    const out     = await forwardPass([next], prompt.length - 1 + i, false, false, sampler);
+    next = sampler ? out.ids[0] ?? 0 : sampleToken(out, params);
+  }
+  const decodeMs = performance.now() - t;
+  resetKV();
+
+  return {
+    type:             "bench",
+    backend:          _cpu ? `cpu (${_cpu.kind})` : _core?.cpu ? "webgpu + cpu" : "webgpu",
+    prefillTokens:    prompt.length - 1,
+    prefillTokPerSec: (prompt.length - 1) / Math.max(prefillMs / 1000, 0.001),
+    decodeTokens:     steps,
+    decodeTokPerSec:  steps / Math.max(decodeMs / 1000, 0.001),
+    msPerToken:       steps ? decodeMs / steps : 0,
+  };
 }
 
 // ─── OPFS persistence ─────────────────────────────────────────────────────────
@@ -816,56 +2397,6 @@ async function saveToOPFS(bundle, modelId) {
 
 // loadFromOPFS replaced by loadMetaFromOPFS + initStreamingFromOPFS (low-RAM streaming path)
 
-// ─── Tokenizer (BPE) ──────────────────────────────────────────────────────────
-class ACCTokenizer {
-  constructor(json) {
-    this._vocab     = json.model?.vocab || {};
-    this._merges    = json.model?.merges || [];
-    this._idToToken = Object.fromEntries(Object.entries(this._vocab).map(([t, id]) => [id, t]));
-    for (const t of (json.added_tokens || [])) {
-      this._vocab[t.content]   = t.id;
-      this._idToToken[t.id]    = t.content;
-    }
-    this.bosId = this._findSp(["<bos>","<s>","<|begin_of_text|>"]) ?? 1;
-    this.eosId = this._findSp(["<eos>","</s>","<|end_of_text|>","<|eot_id|>"]) ?? 2;
-    this._rank = new Map(this._merges.map((m, i) => [m, i]));
-  }
-  _findSp(cands) {
-    for (const c of cands) if (this._vocab[c] !== undefined) return this._vocab[c];
-    return null;
-  }
-  encode(text, bos = true) {
-    const ids = bos ? [this.bosId] : [];
-    const words = text.replace(/ /g, " Ġ").split(" ").filter(Boolean);
-    for (const w of words) ids.push(...this._bpe(w));
-    return ids;
-  }
-  _bpe(word) {
-    let syms = [...word].map(c => {
-      if (this._vocab[c] !== undefined) return this._vocab[c];
-      const bc = `Ġ${c}`;
-      return this._vocab[bc] ?? this._vocab["<unk>"] ?? 0;
-    });
-    while (syms.length > 1) {
-      let best = Infinity, bi = -1;
-      for (let i = 0; i < syms.length - 1; i++) {
-        const a = this._idToToken[syms[i]] ?? "";
-        const b = this._idToToken[syms[i+1]] ?? "";
-        const r = this._rank.get(`${a} ${b}`) ?? Infinity;
-        if (r < best) { best = r; bi = i; }
-      }
-      if (bi < 0 || best === Infinity) break;
-      const m  = (this._idToToken[syms[bi]] ?? "") + (this._idToToken[syms[bi+1]] ?? "");
-      const mid = this._vocab[m] ?? syms[bi];
-      syms = [...syms.slice(0, bi), mid, ...syms.slice(bi + 2)];
-    }
-    return syms;
-  }
-  decode(ids) {
-    return ids.map(id => this._idToToken[id] ?? "").join("").replace(/Ġ/g, " ").replace(/▁/g, " ");
-  }
-}
-
 // ─── Fetch helpers ────────────────────────────────────────────────────────────
 //
 // downloadWithProgress — streams to OPFS then returns a StreamingBuffer.
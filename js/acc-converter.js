@@ -6,8 +6,10 @@
 // ─── .acc Format Spec ────────────────────────────────────────────────────────
 //
 //  model.acc/
-//  ├── manifest.json   → format version, arch, quant, metadata
-//  ├── config.json     → layers, heads, vocab_size, rope settings etc
+//  ├── manifest.json   → format version, arch, quant, metadata, per-shard
+//  │                     byte length + SHA-256 (`shards`), tensor index (`tensors`)
+//  ├── manifest.sig    → optional detached Ed25519 signature over manifest.json
+//  ├── config.json     → layers, heads, vocab_size, rope settings, chat_template etc
 //  ├── tokenizer.json  → vocab + merge rules (BPE / SentencePiece passthrough)
 //  ├── shards/
 //  │   ├── shard_00.bin  → packed quantized weights
@@ -16,6 +18,8 @@
 //  └── webgpu/
 //      └── kernels.wgsl  → WGSL compute shaders (copied from acc-kernels.wgsl)
 //
+//  The same files can travel as one model.accpack archive (see .accpack archive).
+//
 //  shard_XX.bin layout (per tensor):
 //  ┌────────────────────────────────────────────────────────┐
 //  │ [4B] name_len  → length of tensor name (UTF-8)        │
@@ -24,10 +28,28 @@
 //  │ [1B] ndim      → number of dimensions (1-4)           │
 //  │ [4B×ndim] shape→ each dimension as uint32             │
 //  │ [4B] data_len  → byte length of weight data           │
+//  │ [P B] pad      → zeros up to the next multiple of     │
+//  │                  manifest.tensor_alignment (1.1.0+)   │
 //  │ [M B] data     → raw weight bytes (quantized if q4/q8)│
 //  └────────────────────────────────────────────────────────┘
+//
+//  manifest.tensors (1.1.0+) indexes every tensor:
+//    name → { shard, offset, length, dtype, shape, block_size?, sha256 }
+//  offset/length locate the data inside shard_XX.bin, so one tensor can be read
+//  with File.slice / a Range request without parsing the shard. block_size is
+//  the quant block of q4/q8 tensors; sha256 is the digest of the data.
+//
+//  Versions: 1.0.0 — no alignment or tensor index; 1.1.0 — both. Loaders
+//  refuse bundles of a newer major.minor, and upgradeBundle re-packs older
+//  ones (see Format versioning).
 
-export const ACC_VERSION = "1.0.0";
+export const ACC_VERSION = "1.1.0";
+
+// Q4 / Q8 block size the WGSL kernels, acc-cpu.js and acc-reference.js read
+export const KERNEL_BLOCK = 32;
+
+// Tensor data offsets within a shard are multiples of this (manifest.tensor_alignment)
+export const TENSOR_ALIGN = 256;
 
 // Max bytes per shard (256 MB default — fits in browser memory comfortably)
 const SHARD_SIZE_BYTES = 256 * 1024 * 1024;
@@ -126,7 +148,7 @@ export function toFloat16(f32) {
     const x   = buf.getUint32(0, true);
     const s   = (x >>> 31) << 15;
     const exp = ((x >>> 23) & 0xFF) - 127 + 15;
-    const mnt = (x >>> 12) & 0x7FF;
+    const mnt = (x >>> 13) & 0x3FF;
     if (exp <= 0)       out[i] = s;
     else if (exp >= 31) out[i] = s | 0x7C00;
     else                out[i] = s | (exp << 10) | mnt;
@@ -233,6 +255,400 @@ function float16ToFloat32(h) {
   return (s ? -1 : 1) * Math.pow(2, e - 15) * (1 + m / 1024);
 }
 
+// ─── GGUF Parser ──────────────────────────────────────────────────────────────
+//
+//  GGUF v2/v3 layout (all little-endian):
+//    [4B]  magic "GGUF"      [4B] version
+//    [8B]  tensor_count      [8B] metadata_kv_count
+//    metadata KVs  → key (u64 len + UTF-8), value_type u32, value
+//    tensor infos  → name, n_dims u32, dims u64[n_dims], ggml_type u32, offset u64
+//    padding to general.alignment (default 32), then tensor data
+//
+//  dims are innermost-first (ne[0] = columns), so shapes are reversed to the
+//  row-major [rows, cols] order safetensors and forwardPass use.
+
+export const GGML_TYPE = { F32: 0, F16: 1, Q4_0: 2, Q8_0: 8, Q4_K: 12, Q6_K: 14, BF16: 30 };
+
+// ggml_type → [elements per block, bytes per block]
+const GGML_BLOCK = {
+  [GGML_TYPE.F32]:  [1,   4],
+  [GGML_TYPE.F16]:  [1,   2],
+  [GGML_TYPE.BF16]: [1,   2],
+  [GGML_TYPE.Q4_0]: [32,  18],
+  [GGML_TYPE.Q8_0]: [32,  34],
+  [GGML_TYPE.Q4_K]: [256, 144],
+  [GGML_TYPE.Q6_K]: [256, 210],
+};
+
+const GGUF_MAGIC = 0x46554747; // "GGUF"
+
+/**
+ * Parse the header of a GGUF file.
+ * `buffer` may be a plain ArrayBuffer or a StreamingBuffer (see convertSafetensors);
+ * for the latter only the header region is read, growing the window until the
+ * metadata (which includes the full tokenizer vocab) fits.
+ *
+ * Returns { version, metadata: Object, tensorMap: Map<name, {ggmlType, shape, dataOffset, dataLen}>,
+ *           dataStart, alignment }
+ */
+export async function parseGGUF(buffer) {
+  const isStreaming = buffer && buffer._isStreamingBuffer === true;
+  let window = isStreaming ? Math.min(buffer.byteLength, 16 * 1024 * 1024) : buffer.byteLength;
+
+  while (true) {
+    const bytes = isStreaming
+      ? new Uint8Array(await buffer.readSlice(0, window))
+      : new Uint8Array(buffer);
+    try {
+      return parseGGUFHeader(bytes, buffer.byteLength);
+    } catch (e) {
+      if (!(e instanceof RangeError) || window >= buffer.byteLength) {
+        throw e instanceof RangeError ? new Error("GGUF header is truncated or corrupt") : e;
+      }
+      window = Math.min(buffer.byteLength, window * 2);
+    }
+  }
+}
+
+function parseGGUFHeader(u8, fileLength) {
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const dec  = new TextDecoder();
+  let off = 0;
+
+  const u32 = () => { const v = view.getUint32(off, true); off += 4; return v; };
+  const u64 = () => { const v = Number(view.getBigUint64(off, true)); off += 8; return v; };
+  const str = () => {
+    const len = u64();
+    if (off + len > u8.byteLength) throw new RangeError("string past end of header window");
+    const s = dec.decode(u8.subarray(off, off + len)); off += len; return s;
+  };
+  const readers = {
+    0:  () => { const v = view.getUint8(off);            off += 1; return v; },
+    1:  () => { const v = view.getInt8(off);             off += 1; return v; },
+    2:  () => { const v = view.getUint16(off, true);     off += 2; return v; },
+    3:  () => { const v = view.getInt16(off, true);      off += 2; return v; },
+    4:  u32,
+    5:  () => { const v = view.getInt32(off, true);      off += 4; return v; },
+    6:  () => { const v = view.getFloat32(off, true);    off += 4; return v; },
+    7:  () => { const v = view.getUint8(off) !== 0;      off += 1; return v; },
+    8:  str,
+    10: u64,
+    11: () => { const v = Number(view.getBigInt64(off, true)); off += 8; return v; },
+    12: () => { const v = view.getFloat64(off, true);    off += 8; return v; },
+  };
+  const value = (type) => {
+    if (type === 9) {
+      const itemType = u32();
+      const count    = u64();
+      const read     = readers[itemType];
+      if (!read) throw new Error(`Unsupported GGUF array item type ${itemType}`);
+      const arr = new Array(count);
+      for (let i = 0; i < count; i++) arr[i] = read();
+      return arr;
+    }
+    const read = readers[type];
+    if (!read) throw new Error(`Unsupported GGUF metadata type ${type}`);
+    return read();
+  };
+
+  if (u32() !== GGUF_MAGIC) throw new Error("Not a GGUF file (bad magic)");
+  const version = u32();
+  if (version < 2 || version > 3) throw new Error(`Unsupported GGUF version ${version} (need v2 or v3)`);
+
+  const tensorCount = u64();
+  const kvCount     = u64();
+
+  const metadata = {};
+  for (let i = 0; i < kvCount; i++) {
+    const key = str();
+    metadata[key] = value(u32());
+  }
+
+  const infos = [];
+  for (let i = 0; i < tensorCount; i++) {
+    const name  = str();
+    const nDims = u32();
+    const dims  = [];
+    for (let d = 0; d < nDims; d++) dims.push(u64());
+    const ggmlType = u32();
+    const offset   = u64();
+    infos.push({ name, dims, ggmlType, offset });
+  }
+
+  const alignment = metadata["general.alignment"] || 32;
+  const dataStart = Math.ceil(off / alignment) * alignment;
+
+  const tensorMap = new Map();
+  for (const { name, dims, ggmlType, offset } of infos) {
+    const block = GGML_BLOCK[ggmlType];
+    const count = dims.reduce((a, b) => a * b, 1);
+    tensorMap.set(name, {
+      ggmlType,
+      shape:      dims.slice().reverse(),
+      dataOffset: dataStart + offset,
+      dataLen:    block ? (count / block[0]) * block[1] : 0,
+    });
+  }
+  if (dataStart > fileLength) throw new Error("GGUF header is truncated or corrupt");
+
+  return { version, metadata, tensorMap, dataStart, alignment };
+}
+
+/**
+ * Dequantize one GGUF tensor's raw bytes to a Float32Array.
+ * Supports F32, F16, BF16, Q4_0, Q8_0, Q4_K and Q6_K (the types found in
+ * Q4_0 / Q8_0 / Q4_K_M community quantizations).
+ */
+export function dequantizeGGML(raw, ggmlType, count) {
+  const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+  const out  = new Float32Array(count);
+  const f16  = (o) => float16ToFloat32(view.getUint16(o, true));
+
+  switch (ggmlType) {
+    case GGML_TYPE.F32:
+      for (let i = 0; i < count; i++) out[i] = view.getFloat32(i * 4, true);
+      return out;
+
+    case GGML_TYPE.F16:
+      for (let i = 0; i < count; i++) out[i] = f16(i * 2);
+      return out;
+
+    case GGML_TYPE.BF16:
+      for (let i = 0; i < count; i++) out[i] = bf16ToFloat32(view.getUint16(i * 2, true));
+      return out;
+
+    case GGML_TYPE.Q4_0:
+      // block: f16 d, 16 bytes of nibbles — low nibbles are x[0..15], high x[16..31]
+      for (let b = 0, o = 0; b < count / 32; b++, o += 18) {
+        const d = f16(o);
+        for (let j = 0; j < 16; j++) {
+          const q = raw[o + 2 + j];
+          out[b * 32 + j]      = ((q & 0xF) - 8) * d;
+          out[b * 32 + j + 16] = ((q >> 4)  - 8) * d;
+        }
+      }
+      return out;
+
+    case GGML_TYPE.Q8_0:
+      // block: f16 d, 32 × int8
+      for (let b = 0, o = 0; b < count / 32; b++, o += 34) {
+        const d = f16(o);
+        for (let j = 0; j < 32; j++) out[b * 32 + j] = view.getInt8(o + 2 + j) * d;
+      }
+      return out;
+
+    case GGML_TYPE.Q4_K:
+      // super-block of 256: f16 d, f16 dmin, 12 bytes of 6-bit scales/mins, 128 bytes of nibbles
+      for (let b = 0, o = 0; b < count / 256; b++, o += 144) {
+        const d    = f16(o);
+        const dmin = f16(o + 2);
+        const sc   = raw.subarray(o + 4, o + 16);
+        const qs   = o + 16;
+        let   y    = b * 256;
+        for (let j = 0, is = 0; j < 256; j += 64, is += 2) {
+          const [s1, m1] = q4kScaleMin(is,     sc);
+          const [s2, m2] = q4kScaleMin(is + 1, sc);
+          const q = qs + (j >> 1);
+          for (let l = 0; l < 32; l++) out[y + l]      = d * s1 * (raw[q + l] & 0xF) - dmin * m1;
+          for (let l = 0; l < 32; l++) out[y + 32 + l] = d * s2 * (raw[q + l] >> 4)  - dmin * m2;
+          y += 64;
+        }
+      }
+      return out;
+
+    case GGML_TYPE.Q6_K:
+      // super-block of 256: 128 bytes low nibbles, 64 bytes high 2-bit pairs, 16 × int8 scales, f16 d
+      for (let b = 0, o = 0; b < count / 256; b++, o += 210) {
+        const d = f16(o + 208);
+        for (let n = 0; n < 2; n++) {
+          const ql = o + n * 64;
+          const qh = o + 128 + n * 32;
+          const sc = o + 192 + n * 8;
+          const y  = b * 256 + n * 128;
+          for (let l = 0; l < 32; l++) {
+            const is = l >> 4;
+            const h  = raw[qh + l];
+            const q1 = ((raw[ql + l]      & 0xF) | (((h >> 0) & 3) << 4)) - 32;
+            const q2 = ((raw[ql + l + 32] & 0xF) | (((h >> 2) & 3) << 4)) - 32;
+            const q3 = ((raw[ql + l]      >> 4)  | (((h >> 4) & 3) << 4)) - 32;
+            const q4 = ((raw[ql + l + 32] >> 4)  | (((h >> 6) & 3) << 4)) - 32;
+            out[y + l]      = d * view.getInt8(sc + is)     * q1;
+            out[y + l + 32] = d * view.getInt8(sc + is + 2) * q2;
+            out[y + l + 64] = d * view.getInt8(sc + is + 4) * q3;
+            out[y + l + 96] = d * view.getInt8(sc + is + 6) * q4;
+          }
+        }
+      }
+      return out;
+  }
+
+  const typeName = Object.keys(GGML_TYPE).find(k => GGML_TYPE[k] === ggmlType) || `type ${ggmlType}`;
+  throw new Error(`Unsupported GGUF tensor type: ${typeName}. Use a Q4_0, Q4_K_M, Q8_0 or F16 GGUF.`);
+}
+
+// 6-bit scale/min pair j of a Q4_K super-block (llama.cpp get_scale_min_k4)
+function q4kScaleMin(j, q) {
+  if (j < 4) return [q[j] & 63, q[j + 4] & 63];
+  return [
+    (q[j + 4] & 0xF) | ((q[j - 4] >> 6) << 4),
+    (q[j + 4] >> 4)  | ((q[j]     >> 6) << 4),
+  ];
+}
+
+function bf16ToFloat32(h) {
+  const tmp = new DataView(new ArrayBuffer(4));
+  tmp.setUint16(0, h, false);
+  return tmp.getFloat32(0, false);
+}
+
+// llama.cpp tensor names → the Hugging Face names forwardPass looks up
+const GGUF_LAYER_NAMES = {
+  "attn_norm":   "input_layernorm",
+  "attn_q":      "self_attn.q_proj",
+  "attn_k":      "self_attn.k_proj",
+  "attn_v":      "self_attn.v_proj",
+  "attn_output": "self_attn.o_proj",
+  "ffn_norm":    "post_attention_layernorm",
+  "ffn_gate":    "mlp.gate_proj",
+  "ffn_up":      "mlp.up_proj",
+  "ffn_down":    "mlp.down_proj",
+};
+const GGUF_GLOBAL_NAMES = {
+  "token_embd.weight":  "model.embed_tokens.weight",
+  "output_norm.weight": "model.norm.weight",
+  "output.weight":      "lm_head.weight",
+};
+
+/**
+ * Map a llama.cpp tensor name (blk.N.attn_q.weight) onto the Hugging Face
+ * name (model.layers.N.self_attn.q_proj.weight). Unknown names pass through.
+ */
+export function ggufTensorName(name) {
+  if (GGUF_GLOBAL_NAMES[name]) return GGUF_GLOBAL_NAMES[name];
+  const m = name.match(/^blk\.(\d+)\.([a-z_]+)\.(weight|bias)$/);
+  if (m && GGUF_LAYER_NAMES[m[2]]) return `model.layers.${m[1]}.${GGUF_LAYER_NAMES[m[2]]}.${m[3]}`;
+  return name;
+}
+
+/**
+ * llama.cpp permutes llama Q/K rows so RoPE rotates adjacent pairs; the ACC
+ * rope_embed kernel (like Hugging Face) rotates the two halves of each head,
+ * so undo it: HF row h·d + s·d/2 + j  ←  GGUF row h·d + 2j + s
+ */
+export function unpermuteRoPE(f32, rows, cols, nHead) {
+  const headDim = rows / nHead;
+  const half    = headDim / 2;
+  const out     = new Float32Array(f32.length);
+  for (let h = 0; h < nHead; h++) {
+    for (let j = 0; j < half; j++) {
+      for (let s = 0; s < 2; s++) {
+        const src = (h * headDim + 2 * j + s) * cols;
+        const dst = (h * headDim + s * half + j) * cols;
+        out.set(f32.subarray(src, src + cols), dst);
+      }
+    }
+  }
+  return out;
+}
+
+const GGUF_ARCH = { llama: "llama", mistral: "mistral", gemma: "gemma", gemma2: "gemma", gemma3: "gemma", phi3: "phi", qwen2: "qwen" };
+
+/**
+ * Build a config.json from GGUF metadata.
+ */
+export function ggufConfig(metadata, tensorMap) {
+  const ggArch = metadata["general.architecture"] || "llama";
+  const k      = (key) => metadata[`${ggArch}.${key}`];
+  const tokens = metadata["tokenizer.ggml.tokens"] || [];
+  const nHeads = k("attention.head_count") || 32;
+  const hidden = k("embedding_length") || 4096;
+
+  return {
+    arch:                    GGUF_ARCH[ggArch] || ggArch,
+    num_hidden_layers:       k("block_count") || 32,
+    hidden_size:             hidden,
+    num_attention_heads:     nHeads,
+    num_key_value_heads:     k("attention.head_count_kv") || nHeads,
+    head_dim:                k("attention.key_length") || Math.floor(hidden / nHeads),
+    intermediate_size:       k("feed_forward_length") || hidden * 4,
+    vocab_size:              k("vocab_size") || tokens.length || 32000,
+    max_position_embeddings: k("context_length") || 4096,
+    rope_theta:              k("rope.freq_base") || 10000.0,
+    rms_norm_eps:            k("attention.layer_norm_rms_epsilon") || 1e-5,
+    tie_word_embeddings:     !tensorMap.has("output.weight"),
+    bos_token_id:            metadata["tokenizer.ggml.bos_token_id"] ?? 1,
+    eos_token_id:            metadata["tokenizer.ggml.eos_token_id"] ?? 2,
+    chat_template:           metadata["tokenizer.chat_template"] ?? null,
+    bos_token:               tokens[metadata["tokenizer.ggml.bos_token_id"]] ?? null,
+    eos_token:               tokens[metadata["tokenizer.ggml.eos_token_id"]] ?? null,
+  };
+}
+
+// Llama 3 (tiktoken-style) pre-tokenizer split pattern
+const LLAMA3_PRETOKENIZE = "(?i:'s|'t|'re|'ve|'m|'ll|'d)|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+";
+
+/**
+ * Rebuild a Hugging Face style tokenizer.json from the GGUF tokenizer.ggml.* keys.
+ * "gpt2" vocabularies (Llama 3) become byte-level BPE with their merges;
+ * "llama" (SentencePiece) vocabularies get merges derived from the token scores,
+ * the same way Hugging Face converts a SentencePiece model to BPE.
+ */
+export function ggufTokenizerJson(metadata) {
+  const tokens = metadata["tokenizer.ggml.tokens"];
+  if (!tokens) return null;
+  const model  = metadata["tokenizer.ggml.model"] || "gpt2";
+  const types  = metadata["tokenizer.ggml.token_type"] || [];
+  const vocab  = {};
+  tokens.forEach((t, i) => { vocab[t] = i; });
+
+  // token_type 3 = control, 4 = user-defined — both are matched verbatim in prompts
+  const added_tokens = [];
+  types.forEach((t, i) => {
+    if (t === 3 || t === 4) added_tokens.push({ id: i, content: tokens[i], special: t === 3 });
+  });
+
+  if (model === "llama") {
+    const scores = metadata["tokenizer.ggml.scores"] || [];
+    const merges = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const t = tokens[i];
+      if ((types[i] ?? 1) !== 1 || t.length < 2) continue;
+      for (let c = 1; c < t.length; c++) {
+        const a = t.slice(0, c), b = t.slice(c);
+        if (vocab[a] !== undefined && vocab[b] !== undefined) merges.push([`${a} ${b}`, scores[i] ?? 0, i]);
+      }
+    }
+    merges.sort((x, y) => y[1] - x[1] || x[2] - y[2]);
+    return JSON.stringify({
+      added_tokens,
+      normalizer:    { type: "Sequence", normalizers: [
+        { type: "Prepend", prepend: "▁" },
+        { type: "Replace", pattern: { String: " " }, content: "▁" },
+      ] },
+      pre_tokenizer: null,
+      decoder:       { type: "Sequence", decoders: [
+        { type: "Replace", pattern: { String: "▁" }, content: " " },
+        { type: "ByteFallback" }, { type: "Fuse" }, { type: "Strip", content: " ", start: 1, stop: 0 },
+      ] },
+      model: { type: "BPE", vocab, merges: merges.map(m => m[0]), byte_fallback: true, unk_token: "<unk>" },
+    });
+  }
+
+  const pre = metadata["tokenizer.ggml.pre"] || "default";
+  return JSON.stringify({
+    added_tokens,
+    normalizer:    null,
+    pre_tokenizer: pre.startsWith("llama")
+      ? { type: "Sequence", pretokenizers: [
+          { type: "Split", pattern: { Regex: LLAMA3_PRETOKENIZE }, behavior: "Isolated", invert: false },
+          { type: "ByteLevel", add_prefix_space: false, trim_offsets: true, use_regex: false },
+        ] }
+      : { type: "ByteLevel", add_prefix_space: false, trim_offsets: true, use_regex: true },
+    decoder: { type: "ByteLevel" },
+    model:   { type: "BPE", vocab, merges: metadata["tokenizer.ggml.merges"] || [], byte_fallback: false },
+  });
+}
+
 // ─── Manifest / Config Detection ─────────────────────────────────────────────
 
 /**
@@ -254,10 +670,20 @@ export function detectArch(tensorMap) {
 
 /**
  * Build a config.json from a parsed safetensors header.
- * Infers layer count, hidden size, heads etc.
+ * Infers layer count, hidden size, heads etc. Only a fallback for when the
+ * upstream config.json is unavailable — see mergeSourceConfig.
+ *
+ * Head counts come from the q_proj / k_proj output rows, so GQA models get
+ * their real num_key_value_heads. head_dim is taken from q_norm when present,
+ * otherwise guessed from the hidden size (64 up to 2048d, 128 above).
+ * bos/eos ids are left out so the tokenizer's special tokens are used instead.
  */
 export function inferConfig(tensorMap, arch) {
   const names = [...tensorMap.keys()];
+  const find  = (part) => {
+    for (const [name, meta] of tensorMap) if (name.includes(part)) return meta;
+    return null;
+  };
 
   // Count transformer layers
   const layerNums = new Set();
@@ -267,57 +693,135 @@ export function inferConfig(tensorMap, arch) {
   }
   const numLayers = layerNums.size || 32;
 
-  // Hidden size from embed
-  let hiddenSize = 4096;
-  for (const [name, meta] of tensorMap) {
-    if (name.includes("embed_tokens") && meta.shape.length === 2) {
-      hiddenSize = meta.shape[1];
-      break;
-    }
-  }
-
-  // Vocab size
-  let vocabSize = 32000;
-  for (const [name, meta] of tensorMap) {
-    if (name.includes("embed_tokens") && meta.shape.length === 2) {
-      vocabSize = meta.shape[0];
-      break;
-    }
-  }
+  // Hidden + vocab size from embed
+  const embed      = find("embed_tokens");
+  const hasEmbed   = embed && embed.shape.length === 2;
+  const hiddenSize = hasEmbed ? embed.shape[1] : 4096;
+  const vocabSize  = hasEmbed ? embed.shape[0] : 32000;
+
+  // Projection rows are only meaningful for unpacked [out, hidden] weights —
+  // bitsandbytes 4-bit tensors are flattened to [n, 1]
+  const rows = (part) => {
+    const meta = find(part);
+    return meta && meta.shape.length === 2 && meta.shape[1] === hiddenSize ? meta.shape[0] : null;
+  };
 
-  // Attention heads from q_proj
-  let numHeads = 32;
-  for (const [name, meta] of tensorMap) {
-    if (name.includes("q_proj.weight") && meta.shape.length === 2) {
-      numHeads = meta.shape[0] / 128;  // assume head_dim=128
-      break;
-    }
-  }
+  const qNorm   = find("self_attn.q_norm.weight");
+  const headDim = qNorm?.shape.length === 1 ? qNorm.shape[0] : (hiddenSize <= 2048 ? 64 : 128);
+  const qRows   = rows("q_proj.weight");
+  const kRows   = rows("k_proj.weight");
+  const numHeads   = qRows ? qRows / headDim : hiddenSize / headDim;
+  const numKVHeads = kRows ? kRows / headDim : numHeads;
 
   // Intermediate (FFN) size
-  let intermediateSize = hiddenSize * 4;
-  for (const [name, meta] of tensorMap) {
-    if (name.includes("gate_proj.weight") && meta.shape.length === 2) {
-      intermediateSize = meta.shape[0];
-      break;
-    }
-  }
+  const intermediateSize = rows("gate_proj.weight") || hiddenSize * 4;
 
   return {
     arch,
     num_hidden_layers:  numLayers,
     hidden_size:        hiddenSize,
     num_attention_heads: Math.round(numHeads),
-    num_key_value_heads: Math.round(numHeads),  // GQA override later if needed
+    num_key_value_heads: Math.round(numKVHeads),
+    head_dim:           headDim,
     intermediate_size:  intermediateSize,
     vocab_size:         vocabSize,
     max_position_embeddings: 4096,
-    rope_theta:         500000.0,
+    rope_theta:         10000.0,
     rms_norm_eps:       1e-5,
-    tie_word_embeddings: false,
-    bos_token_id:       1,
-    eos_token_id:       2,
+    tie_word_embeddings: !tensorMap.has("lm_head.weight"),
+  };
+}
+
+// Upstream config keys that the runtime and chat layer understand
+const SOURCE_CONFIG_KEYS = [
+  "num_hidden_layers", "hidden_size", "num_attention_heads", "num_key_value_heads",
+  "head_dim", "intermediate_size", "vocab_size", "max_position_embeddings",
+  "rope_theta", "rope_scaling", "rms_norm_eps", "tie_word_embeddings",
+  "sliding_window", "bos_token_id", "eos_token_id", "pad_token_id",
+];
+
+// Sampling defaults carried over from generation_config.json
+const GENERATION_CONFIG_KEYS = [
+  "bos_token_id", "eos_token_id", "pad_token_id",
+  "temperature", "top_p", "top_k", "repetition_penalty", "max_new_tokens",
+];
+
+// Prompt-format fields from tokenizer_config.json; chat_template may be a
+// string or a list of named templates, special tokens strings or AddedToken objects
+function chatTemplateFields(tc) {
+  if (!tc) return null;
+  let template = tc.chat_template;
+  if (Array.isArray(template)) {
+    template = (template.find(t => t.name === "default") || template[0])?.template;
+  }
+  const tokenText = (t) => (t && typeof t === "object" ? t.content : t) ?? null;
+  return { chat_template: template ?? null, bos_token: tokenText(tc.bos_token), eos_token: tokenText(tc.eos_token) };
+}
+
+function parseConfigJson(json) {
+  if (!json) return null;
+  if (typeof json === "object") return json;
+  try { return JSON.parse(json); } catch { return null; }
+}
+
+/**
+ * Merge the upstream Hugging Face config.json, tokenizer_config.json and
+ * generation_config.json over a tensor-inferred config. Precedence: overrides >
+ * generation_config.json > chat_template.jinja > tokenizer_config.json >
+ * config.json > inferred. Accepts JSON strings or parsed objects; missing or
+ * malformed files are skipped. The chat template and its bos/eos token strings
+ * are carried in config.json so every bundle path (hosted, OPFS, download) has them.
+ *
+ * Returns { config, sources } where sources maps every config field to where
+ * it came from: a file name, "override", or inferredLabel.
+ */
+export function mergeSourceConfig(inferred, {
+  configJson, generationConfigJson, tokenizerConfigJson, chatTemplate,
+  overrides = {}, inferredLabel = "inferred",
+} = {}) {
+  const config  = { ...inferred };
+  const sources = {};
+  for (const key of Object.keys(inferred)) sources[key] = inferredLabel;
+
+  const apply = (src, keys, label) => {
+    if (!src) return;
+    for (const key of keys) {
+      if (src[key] === undefined || src[key] === null) continue;
+      config[key]  = src[key];
+      sources[key] = label;
+    }
   };
+  const hf = parseConfigJson(configJson);
+  apply(hf, SOURCE_CONFIG_KEYS, "config.json");
+
+  // Fields config.json leaves out take the Hugging Face defaults, not our guesses
+  if (hf?.num_attention_heads) {
+    if (hf.num_key_value_heads == null) {
+      config.num_key_value_heads = hf.num_attention_heads;
+      sources.num_key_value_heads = "config.json";
+    }
+    if (hf.head_dim == null && hf.hidden_size) {
+      config.head_dim  = Math.floor(hf.hidden_size / hf.num_attention_heads);
+      sources.head_dim = "config.json";
+    }
+  }
+
+  apply(chatTemplateFields(parseConfigJson(tokenizerConfigJson)),
+    ["chat_template", "bos_token", "eos_token"], "tokenizer_config.json");
+  apply({ chat_template: chatTemplate }, ["chat_template"], "chat_template.jinja");
+  apply(parseConfigJson(generationConfigJson), GENERATION_CONFIG_KEYS, "generation_config.json");
+  apply(overrides, Object.keys(overrides), "override");
+  return { config, sources };
+}
+
+/**
+ * Summarise a sources map for the manifest:
+ * { read: [...fields from upstream files or overrides], inferred: [...] }
+ */
+function configProvenance(sources) {
+  const read = [], inferred = [];
+  for (const [key, src] of Object.entries(sources)) (src === "inferred" ? inferred : read).push(key);
+  return { read, inferred, sources };
 }
 
 // ─── Shard Writer ─────────────────────────────────────────────────────────────
@@ -359,6 +863,158 @@ export function packTensor(name, dtype, shape, data) {
   return u8;
 }
 
+// ─── Shared Conversion Helpers ───────────────────────────────────────────────
+
+/**
+ * Quantize (per quantMode) and pack one tensor into shard format.
+ * 1-D tensors (norms, biases) always stay F32.
+ */
+export function encodeTensor(name, shape, f32, opts = {}) {
+  const {
+    quantMode       = "q4",
+    optimized       = false,
+    blockSize       = 32,
+    calibrateBlocks = false,
+  } = opts;
+  const isWeight = shape.length >= 2;
+
+  if (!isWeight || quantMode === "f32") {
+    return packTensor(name, DTYPE.F32, shape, f32);
+  }
+  if (quantMode === "f16") {
+    return packTensor(name, DTYPE.F16, shape, toFloat16(f32));
+  }
+
+  const effBlock = optimized ? blockSize : 32;
+  const quant    = quantMode === "q8"
+    ? quantizeQ8(f32, effBlock)
+    : quantizeQ4(f32, effBlock, optimized && calibrateBlocks);
+  return packTensor(name, quantMode === "q8" ? DTYPE.Q8 : DTYPE.Q4, shape, quantData(quant));
+}
+
+// Q4 / Q8 tensor data: every block scale, then the quantized values
+function quantData({ data, scales }) {
+  const combined = new Uint8Array(scales.byteLength + data.byteLength);
+  combined.set(new Uint8Array(scales.buffer, scales.byteOffset, scales.byteLength), 0);
+  combined.set(data, scales.byteLength);
+  return combined;
+}
+
+/**
+ * Place a packTensor record at byte `at` of a shard: zero padding after
+ * data_len puts its data on a TENSOR_ALIGN boundary.
+ * Returns { name, header, pad, data, size, entry } — entry is the tensor's
+ * manifest.tensors value, less shard / block_size / sha256.
+ */
+function frameRecord(packed, at) {
+  const view    = new DataView(packed.buffer, packed.byteOffset, packed.byteLength);
+  const nameLen = view.getUint32(0, true);
+  const ndim    = view.getUint8(4 + nameLen + 1);
+  const header  = 4 + nameLen + 2 + 4 * ndim + 4;
+  const length  = view.getUint32(header - 4, true);
+  const pad     = (TENSOR_ALIGN - (at + header) % TENSOR_ALIGN) % TENSOR_ALIGN;
+  const shape   = [];
+  for (let i = 0; i < ndim; i++) shape.push(view.getUint32(4 + nameLen + 2 + 4 * i, true));
+  return {
+    name:   new TextDecoder().decode(packed.subarray(4, 4 + nameLen)),
+    header: packed.subarray(0, header),
+    pad,
+    data:   packed.subarray(header, header + length),
+    size:   header + pad + length,
+    entry:  { offset: at + header + pad, length, dtype: view.getUint8(4 + nameLen), shape },
+  };
+}
+
+function indexEntry(f, shard, blockSize) {
+  const quantized = f.entry.dtype === DTYPE.Q4 || f.entry.dtype === DTYPE.Q8;
+  return { shard, ...f.entry, ...(quantized && { block_size: blockSize }) };
+}
+
+/**
+ * Lay packTensor records out as a single in-memory shard with aligned tensor
+ * data — for small bundles built without OPFS.
+ * Returns { shard: Uint8Array, tensors: manifest.tensors (without sha256) }
+ */
+export function packShard(records, blockSize = 32) {
+  const frames = [];
+  let   size   = 0;
+  for (const packed of records) {
+    const f = frameRecord(packed, size);
+    frames.push(f);
+    size += f.size;
+  }
+  const shard   = new Uint8Array(size);
+  const tensors = {};
+  let   at      = 0;
+  for (const f of frames) {
+    shard.set(f.header, at);
+    shard.set(f.data, f.entry.offset);
+    tensors[f.name] = indexEntry(f, 0, blockSize);
+    at += f.size;
+  }
+  return { shard, tensors };
+}
+
+/**
+ * Open an OPFS-backed shard writer. Packed tensors are appended to a temp
+ * file, their data aligned to TENSOR_ALIGN; once it would exceed
+ * shardSizeBytes the file is read back as one Uint8Array shard and a fresh
+ * temp file is started. `index` collects manifest.tensors as tensors are written.
+ * Returns { write(packed, blockSize), index, finish() → Promise<Uint8Array[]> }
+ */
+async function createShardWriter(shardSizeBytes = SHARD_SIZE_BYTES) {
+  const opfsRoot    = await navigator.storage.getDirectory();
+  const tmpShardDir = await opfsRoot.getDirectoryHandle("__acc_conv_tmp", { create: true });
+
+  let   shardIndex  = 0;
+  let   shardUsed   = 0;
+  let   shardHandle = await tmpShardDir.getFileHandle(`s${shardIndex}.bin`, { create: true });
+  let   shardWriter = await shardHandle.createWritable();
+  const shards      = [];   // final Uint8Array[] — populated as each shard closes
+  const index       = {};   // manifest.tensors
+
+  async function closeShard() {
+    await shardWriter.close();
+    const data = new Uint8Array(await (await shardHandle.getFile()).arrayBuffer());
+    shards.push(data);
+    await tmpShardDir.removeEntry(`s${shardIndex}.bin`).catch(() => {});
+    shardIndex++;
+    shardUsed   = 0;
+    shardHandle = await tmpShardDir.getFileHandle(`s${shardIndex}.bin`, { create: true });
+    shardWriter = await shardHandle.createWritable();
+  }
+
+  return {
+    index,
+
+    async write(packed, blockSize = 32) {
+      let f = frameRecord(packed, shardUsed);
+      if (shardUsed + f.size > shardSizeBytes && shardUsed > 0) {
+        await closeShard();
+        f = frameRecord(packed, 0);
+      }
+      await shardWriter.write(f.header);
+      if (f.pad) await shardWriter.write(new Uint8Array(f.pad));
+      await shardWriter.write(f.data);
+      index[f.name] = { ...indexEntry(f, shardIndex, blockSize), sha256: await sha256Hex(f.data) };
+      shardUsed += f.size;
+    },
+
+    async finish() {
+      // Flush the last shard
+      if (shardUsed > 0) {
+        await closeShard();
+      }
+      await shardWriter.close();
+      await tmpShardDir.removeEntry(`s${shardIndex}.bin`).catch(() => {});
+
+      // Clean up temp dir
+      await opfsRoot.removeEntry("__acc_conv_tmp", { recursive: true }).catch(() => {});
+      return shards;
+    },
+  };
+}
+
 // ─── Main Conversion Pipeline ────────────────────────────────────────────────
 
 /**
@@ -379,6 +1035,10 @@ export function packTensor(name, dtype, shape, data) {
  *   shardSizeBytes: number                   (default: 256MB)
  *   onProgress: (pct: 0-100, msg: string) => void
  *   configOverrides: Partial<Config>
+ *   configJson: string | object | null            (upstream config.json)
+ *   generationConfigJson: string | object | null  (upstream generation_config.json)
+ *   tokenizerConfigJson: string | object | null   (upstream tokenizer_config.json — chat template)
+ *   chatTemplate: string | null                   (upstream chat_template.jinja)
  *   tokenizerJson: string | null
  *   kernelsSrc: string | null
  *
@@ -390,6 +1050,10 @@ export async function convertSafetensors(buffer, opts = {}) {
     shardSizeBytes  = SHARD_SIZE_BYTES,
     onProgress      = () => {},
     configOverrides = {},
+    configJson      = null,
+    generationConfigJson = null,
+    tokenizerConfigJson  = null,
+    chatTemplate         = null,
     tokenizerJson   = null,
     kernelsSrc      = null,
     optimized       = false,
@@ -435,9 +1099,12 @@ export async function convertSafetensors(buffer, opts = {}) {
 
   // ── Step 2: Detect arch + config ─────────────────────────────────────────
   onProgress(5, "Detecting architecture…");
-  const arch   = detectArch(tensorMap);
-  const config = { ...inferConfig(tensorMap, arch), ...configOverrides };
-  onProgress(8, `Detected: ${arch} · ${config.num_hidden_layers} layers · ${config.hidden_size}d`);
+  const arch = detectArch(tensorMap);
+  const { config, sources } = mergeSourceConfig(inferConfig(tensorMap, arch),
+    { configJson, generationConfigJson, tokenizerConfigJson, chatTemplate, overrides: configOverrides });
+  const provenance = configProvenance(sources);
+  onProgress(8, `Detected: ${arch} · ${config.num_hidden_layers} layers · ${config.hidden_size}d` +
+    ` · config: ${provenance.read.length} read, ${provenance.inferred.length} inferred`);
 
   const manifest = {
     acc_version:  ACC_VERSION,
@@ -449,6 +1116,8 @@ export async function convertSafetensors(buffer, opts = {}) {
     tensor_count: tensorMap.size,
     optimized,
     block_size:   optimized ? blockSize : 32,
+    tensor_alignment: TENSOR_ALIGN,
+    config_sources: provenance,
   };
 
   // ── Step 3: Stream-convert tensors → OPFS shards ──────────────────────────
@@ -458,33 +1127,7 @@ export async function convertSafetensors(buffer, opts = {}) {
   // Peak RAM ≈ one tensor raw + one tensor packed + one shard Uint8Array.
   // All previous tensors are on disk and not in the JS heap.
 
-  const opfsRoot    = await navigator.storage.getDirectory();
-  const tmpShardDir = await opfsRoot.getDirectoryHandle("__acc_conv_tmp", { create: true });
-
-  let   shardIndex  = 0;
-  let   shardUsed   = 0;
-  let   shardHandle = await tmpShardDir.getFileHandle(`s${shardIndex}.bin`, { create: true });
-  let   shardWriter = await shardHandle.createWritable();
-  const shards      = [];   // final Uint8Array[] — populated as each shard closes
-
-  async function closeShard() {
-    await shardWriter.close();
-    const data = new Uint8Array(await (await shardHandle.getFile()).arrayBuffer());
-    shards.push(data);
-    await tmpShardDir.removeEntry(`s${shardIndex}.bin`).catch(() => {});
-    shardIndex++;
-    shardUsed   = 0;
-    shardHandle = await tmpShardDir.getFileHandle(`s${shardIndex}.bin`, { create: true });
-    shardWriter = await shardHandle.createWritable();
-  }
-
-  async function writePacked(packed) {
-    if (shardUsed + packed.byteLength > shardSizeBytes && shardUsed > 0) {
-      await closeShard();
-    }
-    await shardWriter.write(packed);
-    shardUsed += packed.byteLength;
-  }
+  const writer = await createShardWriter(shardSizeBytes);
 
   // Helper: read raw bytes for a tensor — streaming or plain ArrayBuffer
   async function readTensorRaw(meta) {
@@ -542,61 +1185,138 @@ export async function convertSafetensors(buffer, opts = {}) {
     if (ti % (optimized ? 20 : 10) === 0) await new Promise(r => setTimeout(r, 0));
 
     // Read this tensor's raw bytes — only this tensor in RAM at this point
-    const raw      = await readTensorRaw(meta);
-    const isWeight = meta.shape.length >= 2;
-    let   packed;
-
-    if (!isWeight || quantMode === "f32") {
-      const f32 = rawToFloat32(raw, meta.dtype);
-      packed = packTensor(name, DTYPE.F32, meta.shape, f32.buffer);
-
-    } else if (quantMode === "f16") {
-      const f32 = rawToFloat32(raw, meta.dtype);
-      const f16 = toFloat16(f32);
-      packed = packTensor(name, DTYPE.F16, meta.shape, f16.buffer);
-
-    } else if (quantMode === "q8") {
-      const f32      = rawToFloat32(raw, meta.dtype);
-      const effBlock = optimized ? blockSize : 32;
-      const { data, scales } = quantizeQ8(f32, effBlock);
-      const combined = new Uint8Array(scales.byteLength + data.byteLength);
-      combined.set(new Uint8Array(scales.buffer), 0);
-      combined.set(data, scales.byteLength);
-      packed = packTensor(name, DTYPE.Q8, meta.shape, combined);
-
-    } else { // q4
-      const f32          = rawToFloat32(raw, meta.dtype);
-      const effBlock     = optimized ? blockSize : 32;
-      const effCalibrate = optimized && calibrateBlocks && isWeight;
-      const { data, scales } = quantizeQ4(f32, effBlock, effCalibrate);
-      const combined = new Uint8Array(scales.byteLength + data.byteLength);
-      combined.set(new Uint8Array(scales.buffer), 0);
-      combined.set(data, scales.byteLength);
-      packed = packTensor(name, DTYPE.Q4, meta.shape, combined);
-    }
+    const raw    = await readTensorRaw(meta);
+    const packed = encodeTensor(name, meta.shape, rawToFloat32(raw, meta.dtype),
+      { quantMode, optimized, blockSize, calibrateBlocks });
 
     // Write packed tensor to OPFS shard — frees `raw` and `packed` from heap
-    await writePacked(packed);
+    await writer.write(packed, manifest.block_size);
   }
 
-  // Flush the last shard
-  if (shardUsed > 0) {
-    await closeShard();
-  } else {
-    await shardWriter.close();
-    await tmpShardDir.removeEntry(`s${shardIndex}.bin`).catch(() => {});
+  const shards = await writer.finish();
+
+  manifest.num_shards = shards.length;
+  manifest.tensors    = writer.index;
+  onProgress(94, "Hashing shards…");
+  manifest.shards = await shardDigests(shards);
+  onProgress(95, `Packed ${totalTensors} tensors into ${shards.length} shard(s)`);
+
+  const bundle = {
+    manifest,
+    config,
+    tokenizer: tokenizerJson,
+    shards,
+    kernels: kernelsSrc,
+  };
+
+  onProgress(100, "Conversion complete ✓");
+  return bundle;
+}
+
+/**
+ * Convert a GGUF file (llama.cpp community quantization) to a .acc bundle.
+ *
+ * Accepts the same buffer kinds and options as convertSafetensors. Metadata
+ * supplies the config and — unless tokenizerJson is given — the tokenizer.
+ * Each tensor is dequantized to F32, renamed to the model.layers.N.* names
+ * forwardPass expects, and re-quantized to quantMode, one tensor at a time.
+ *
+ * Returns: ACCBundle { manifest, config, tokenizer, shards: Uint8Array[], kernels }
+ */
+export async function convertGGUF(buffer, opts = {}) {
+  const {
+    quantMode       = "q4",
+    shardSizeBytes  = SHARD_SIZE_BYTES,
+    onProgress      = () => {},
+    configOverrides = {},
+    configJson      = null,
+    generationConfigJson = null,
+    tokenizerConfigJson  = null,
+    chatTemplate         = null,
+    tokenizerJson   = null,
+    kernelsSrc      = null,
+    optimized       = false,
+    blockSize       = 32,
+    calibrateBlocks = false,
+  } = opts;
+
+  const isStreaming = buffer && buffer._isStreamingBuffer === true;
+
+  onProgress(0, "Parsing GGUF header…");
+  const { version, metadata, tensorMap } = await parseGGUF(buffer);
+
+  onProgress(5, "Reading GGUF metadata…");
+  // GGUF metadata stands in for config.json and counts as read
+  const { config, sources } = mergeSourceConfig(ggufConfig(metadata, tensorMap),
+    { configJson, generationConfigJson, tokenizerConfigJson, chatTemplate,
+      overrides: configOverrides, inferredLabel: "gguf" });
+  const arch       = config.arch;
+  const provenance = configProvenance(sources);
+  onProgress(8, `Detected: ${arch} (GGUF v${version}) · ${config.num_hidden_layers} layers · ${config.hidden_size}d`);
+
+  const manifest = {
+    acc_version:   ACC_VERSION,
+    arch,
+    quant:         quantMode,
+    num_shards:    0,
+    created_at:    new Date().toISOString(),
+    source:        "converted-by-actalithic-acc-converter",
+    source_format: "gguf",
+    tensor_count:  tensorMap.size,
+    optimized,
+    block_size:    optimized ? blockSize : 32,
+    tensor_alignment: TENSOR_ALIGN,
+    config_sources: provenance,
+  };
+
+  const writer       = await createShardWriter(shardSizeBytes);
+  const unpermute    = (metadata["general.architecture"] || "llama") === "llama";
+  const tensorNames  = [...tensorMap.keys()];
+  const totalTensors = tensorNames.length;
+
+  for (let ti = 0; ti < totalTensors; ti++) {
+    const ggName = tensorNames[ti];
+    const meta   = tensorMap.get(ggName);
+    const name   = ggufTensorName(ggName);
+
+    onProgress(
+      10 + Math.round((ti / totalTensors) * 80),
+      `Converting: ${ggName} → ${name} [${meta.shape.join("×")}]`
+    );
+
+    // Yield to keep UI responsive
+    if (ti % (optimized ? 20 : 10) === 0) await new Promise(r => setTimeout(r, 0));
+
+    const raw = isStreaming
+      ? new Uint8Array(await buffer.readSlice(meta.dataOffset, meta.dataOffset + meta.dataLen))
+      : new Uint8Array(buffer, meta.dataOffset, meta.dataLen);
+    const count = meta.shape.reduce((a, b) => a * b, 1);
+    let   f32   = dequantizeGGML(raw, meta.ggmlType, count);
+
+    if (unpermute && meta.shape.length === 2) {
+      if (name.endsWith("self_attn.q_proj.weight")) {
+        f32 = unpermuteRoPE(f32, meta.shape[0], meta.shape[1], config.num_attention_heads);
+      } else if (name.endsWith("self_attn.k_proj.weight")) {
+        f32 = unpermuteRoPE(f32, meta.shape[0], meta.shape[1], config.num_key_value_heads);
+      }
+    }
+
+    await writer.write(encodeTensor(name, meta.shape, f32,
+      { quantMode, optimized, blockSize, calibrateBlocks }), manifest.block_size);
   }
 
-  // Clean up temp dir
-  await opfsRoot.removeEntry("__acc_conv_tmp", { recursive: true }).catch(() => {});
+  const shards = await writer.finish();
 
   manifest.num_shards = shards.length;
+  manifest.tensors    = writer.index;
+  onProgress(94, "Hashing shards…");
+  manifest.shards = await shardDigests(shards);
   onProgress(95, `Packed ${totalTensors} tensors into ${shards.length} shard(s)`);
 
   const bundle = {
     manifest,
     config,
-    tokenizer: tokenizerJson,
+    tokenizer: tokenizerJson || ggufTokenizerJson(metadata),
     shards,
     kernels: kernelsSrc,
   };
@@ -605,6 +1325,195 @@ export async function convertSafetensors(buffer, opts = {}) {
   return bundle;
 }
 
+// ─── Integrity ───────────────────────────────────────────────────────────────
+// manifest.shards records each shard's byte length and SHA-256, and loaders
+// check every shard against it before upload. A hosted bundle may also ship
+// manifest.sig: a base64 Ed25519 signature over the exact bytes of
+// manifest.json. Since the manifest carries the digests, the signature covers
+// the shards as well.
+
+/** Lowercase hex SHA-256 of `bytes`. */
+export async function sha256Hex(bytes) {
+  const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return Array.from(hash, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * manifest.shards for a list of shards, in order.
+ * Returns: Array<{ file, bytes, sha256 }>
+ */
+export async function shardDigests(shards) {
+  const entries = [];
+  for (let i = 0; i < shards.length; i++) {
+    entries.push({
+      file:   `shard_${String(i).padStart(2, "0")}.bin`,
+      bytes:  shards[i].byteLength,
+      sha256: await sha256Hex(shards[i]),
+    });
+  }
+  return entries;
+}
+
+/**
+ * Check shard `index` against its manifest entry; throws on a length or
+ * digest mismatch. Manifests written before digests were recorded have no
+ * entry and pass unchecked.
+ */
+export async function verifyShard(manifest, index, bytes) {
+  const entry = manifest.shards?.[index];
+  if (!entry) return;
+  if (bytes.byteLength !== entry.bytes) {
+    throw new Error(`Shard ${index} is ${bytes.byteLength} bytes, the manifest lists ${entry.bytes}`);
+  }
+  const digest = await sha256Hex(bytes);
+  if (digest !== entry.sha256) {
+    throw new Error(`Shard ${index} failed its SHA-256 check (expected ${entry.sha256.slice(0, 12)}…, got ${digest.slice(0, 12)}…)`);
+  }
+}
+
+/** manifest.json as bundleToFiles writes it — the text signManifest signs. */
+export function manifestText(manifest) {
+  return JSON.stringify(manifest, null, 2);
+}
+
+/**
+ * Sign manifest.json text with an Ed25519 private CryptoKey.
+ * Returns the base64 signature — set it as bundle.signature and
+ * bundleToFiles writes it to manifest.sig.
+ */
+export async function signManifest(text, privateKey) {
+  const sig = await crypto.subtle.sign({ name: "Ed25519" }, privateKey, new TextEncoder().encode(text));
+  return btoa(String.fromCharCode(...new Uint8Array(sig)));
+}
+
+/**
+ * Check a base64 manifest.sig against manifest.json text and a base64 raw
+ * (32-byte) Ed25519 public key. Throws when it does not verify, or when the
+ * browser has no Ed25519 support.
+ */
+export async function verifyManifestSignature(text, signature, publicKey) {
+  const bytes = (b64) => Uint8Array.from(atob(b64.trim()), c => c.charCodeAt(0));
+  let key;
+  try {
+    key = await crypto.subtle.importKey("raw", bytes(publicKey), { name: "Ed25519" }, false, ["verify"]);
+  } catch (e) {
+    throw new Error(`Cannot check manifest.sig — bad public key or no Ed25519 support (${e.message})`);
+  }
+  let ok = false;
+  try { ok = await crypto.subtle.verify({ name: "Ed25519" }, key, bytes(signature), new TextEncoder().encode(text)); }
+  catch {}
+  if (!ok) throw new Error("manifest.sig does not match manifest.json — the bundle was modified or signed with another key");
+}
+
+// ─── Format versioning ───────────────────────────────────────────────────────
+// manifest.acc_version is semver: a newer patch release keeps the layout, a
+// newer major.minor may not, so loaders refuse it. Q4 / Q8 tensors quantized
+// with a block_size other than KERNEL_BLOCK (optimized bundles used 64 / 128)
+// go through reblockTensor before upload, or upgradeBundle once for good.
+
+/**
+ * Throw a readable error when `manifest` comes from a newer ACC format than
+ * this build reads. Returns what upgradeBundle would change — an empty
+ * array when the bundle is already in the current layout.
+ */
+export function checkBundleFormat(manifest) {
+  const version = manifest.acc_version ?? "1.0.0";
+  const [major, minor] = version.split(".").map(n => parseInt(n, 10) || 0);
+  const [curMajor, curMinor] = ACC_VERSION.split(".").map(Number);
+  if (major > curMajor || (major === curMajor && minor > curMinor)) {
+    throw new Error(
+      `This model was built with .acc format ${version}, but this version of LocalLLM reads up to ${ACC_VERSION} — ` +
+      `please update LocalLLM (reload the page, or clear the site cache if it keeps happening).`
+    );
+  }
+  const changes = [];
+  if (major < curMajor || minor < curMinor) changes.push(`format ${version} → ${ACC_VERSION}`);
+  const block = manifest.block_size ?? KERNEL_BLOCK;
+  if (block !== KERNEL_BLOCK) changes.push(`quant blocks ${block} → ${KERNEL_BLOCK}`);
+  return changes;
+}
+
+/**
+ * Re-block a parsed Q4 / Q8 tensor from `blockSize` to KERNEL_BLOCK. When
+ * blockSize is a multiple of it, each scale is repeated over its sub-blocks
+ * and the quantized values are kept, so the weights are unchanged; otherwise
+ * the tensor is dequantized and quantized again. Other dtypes pass through.
+ */
+export function reblockTensor(t, blockSize) {
+  const block = Math.max(16, blockSize ?? KERNEL_BLOCK);   // as quantizeQ4 / quantizeQ8 clamp it
+  if ((t.dtype !== DTYPE.Q4 && t.dtype !== DTYPE.Q8) || block === KERNEL_BLOCK) return t;
+
+  const n       = t.shape.reduce((a, b) => a * b, 1);
+  const oldN    = Math.ceil(n / block);
+  const newN    = Math.ceil(n / KERNEL_BLOCK);
+  const scales  = new Float32Array(t.data.slice(0, oldN * 4).buffer);   // copy — data may be unaligned
+  const values  = t.data.subarray(oldN * 4);
+
+  if (block % KERNEL_BLOCK === 0) {
+    const expanded = new Float32Array(newN);
+    for (let b = 0; b < newN; b++) expanded[b] = scales[Math.floor(b * KERNEL_BLOCK / block)];
+    return { ...t, data: quantData({ data: values, scales: expanded }) };
+  }
+
+  const f32 = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    let q;
+    if (t.dtype === DTYPE.Q4) {
+      const nib = (values[i >> 1] >> ((i & 1) * 4)) & 0xF;
+      q = nib >= 8 ? nib - 16 : nib;
+    } else {
+      q = (values[i] << 24) >> 24;
+    }
+    f32[i] = q * scales[Math.floor(i / block)];
+  }
+  const quant = t.dtype === DTYPE.Q4 ? quantizeQ4(f32, KERNEL_BLOCK) : quantizeQ8(f32, KERNEL_BLOCK);
+  return { ...t, data: quantData(quant) };
+}
+
+/**
+ * Re-pack a bundle from an older ACC format, or with quant blocks the
+ * kernels can't read, into the current layout: KERNEL_BLOCK blocks, aligned
+ * tensor data, a tensor index and shard digests. Tensors stay in the same
+ * shards. A signature no longer matches the new manifest, so it is dropped —
+ * sign the upgraded manifest again with signManifest.
+ * Throws for bundles from a newer format.
+ *
+ * Returns: ACCBundle (oldBundle is left as it was)
+ */
+export async function upgradeBundle(oldBundle, onProgress = () => {}) {
+  const old     = oldBundle.manifest;
+  checkBundleFormat(old);
+  const block   = old.block_size ?? KERNEL_BLOCK;
+  const shards  = [];
+  const tensors = {};
+
+  for (let i = 0; i < oldBundle.shards.length; i++) {
+    onProgress(Math.round((i / oldBundle.shards.length) * 100), `Re-packing shard ${i + 1}/${oldBundle.shards.length}…`);
+    const records = parseShard(oldBundle.shards[i], old.tensor_alignment).map(t => {
+      const u = reblockTensor(t, block);
+      return packTensor(u.name, u.dtype, u.shape, u.data);
+    });
+    const { shard, tensors: index } = packShard(records, KERNEL_BLOCK);
+    for (const [name, entry] of Object.entries(index)) {
+      tensors[name] = { ...entry, shard: i, sha256: await sha256Hex(shard.subarray(entry.offset, entry.offset + entry.length)) };
+    }
+    shards.push(shard);
+  }
+
+  const manifest = {
+    ...old,
+    acc_version:      ACC_VERSION,
+    block_size:       KERNEL_BLOCK,
+    tensor_alignment: TENSOR_ALIGN,
+    num_shards:       shards.length,
+    shards:           await shardDigests(shards),
+    tensors,
+  };
+  onProgress(100, "Upgrade complete ✓");
+  const { signature, ...rest } = oldBundle;
+  return { ...rest, manifest, shards };
+}
+
 // ─── Bundle → Files ──────────────────────────────────────────────────────────
 
 /**
@@ -612,7 +1521,7 @@ export async function convertSafetensors(buffer, opts = {}) {
  * Returns an array of { name, data: Blob } for download.
  *
  * Files:
- *   manifest.json, config.json, tokenizer.json (if present),
+ *   manifest.json, manifest.sig (if bundle.signature), config.json, tokenizer.json (if present),
  *   shards/shard_00.bin, ...,
  *   webgpu/kernels.wgsl (if present)
  */
@@ -621,9 +1530,16 @@ export function bundleToFiles(bundle) {
 
   files.push({
     name: "manifest.json",
-    data: new Blob([JSON.stringify(bundle.manifest, null, 2)], { type: "application/json" }),
+    data: new Blob([manifestText(bundle.manifest)], { type: "application/json" }),
   });
 
+  if (bundle.signature) {
+    files.push({
+      name: "manifest.sig",
+      data: new Blob([bundle.signature], { type: "text/plain" }),
+    });
+  }
+
   files.push({
     name: "config.json",
     data: new Blob([JSON.stringify(bundle.config, null, 2)], { type: "application/json" }),
@@ -654,16 +1570,137 @@ export function bundleToFiles(bundle) {
   return files;
 }
 
+// ─── .accpack archive ────────────────────────────────────────────────────────
+//
+//  model.accpack — a bundle's files (bundleToFiles names) in one file:
+//  ┌────────────────────────────────────────────────────────┐
+//  │ [8B] magic     → "ACCPACK1"                           │
+//  │ [4B] toc_len   → byte length of the TOC (uint32 LE)   │
+//  │ [N B] toc      → JSON { files: [{ name, offset,       │
+//  │                  length }] }, offsets from data start │
+//  │ [P B] pad      → zeros to the next TENSOR_ALIGN       │
+//  │ data           → each file on a TENSOR_ALIGN boundary │
+//  └────────────────────────────────────────────────────────┘
+//  The TOC up front lets a reader fetch only the files — or, with the tensor
+//  index, only the tensors — it needs, from a File or with HTTP Range requests.
+
+const ACCPACK_MAGIC = "ACCPACK1";
+
+const alignUp = (n) => Math.ceil(n / TENSOR_ALIGN) * TENSOR_ALIGN;
+
+/**
+ * Lay bundleToFiles() output (or any { name, data: Blob } list, such as
+ * Files read from OPFS) out as one .accpack Blob. The Blob only references
+ * its parts, so nothing is copied until it is written out.
+ */
+export function packFiles(files) {
+  const entries = [];
+  let   at      = 0;
+  for (const f of files) {
+    at = alignUp(at);
+    entries.push({ name: f.name, offset: at, length: f.data.size });
+    at += f.data.size;
+  }
+  const toc  = new TextEncoder().encode(JSON.stringify({ files: entries }));
+  const head = new Uint8Array(12 + toc.byteLength);
+  head.set(new TextEncoder().encode(ACCPACK_MAGIC), 0);
+  new DataView(head.buffer).setUint32(8, toc.byteLength, true);
+  head.set(toc, 12);
+
+  const parts = [head, new Uint8Array(alignUp(head.byteLength) - head.byteLength)];
+  let   pos   = 0;
+  for (let i = 0; i < files.length; i++) {
+    if (entries[i].offset > pos) parts.push(new Uint8Array(entries[i].offset - pos));
+    parts.push(files[i].data);
+    pos = entries[i].offset + entries[i].length;
+  }
+  return new Blob(parts, { type: "application/octet-stream" });
+}
+
+/**
+ * Open an .accpack for reading. `source` is a Blob / File, or a URL that is
+ * read with HTTP Range requests — only the header and the files asked for
+ * are fetched. Throws when the source is not an .accpack.
+ *
+ * Returns { names: string[], file(name) → Blob-like | null } — Blob-like has
+ * size, slice(start, end), arrayBuffer() and text(), like a Blob.
+ */
+export async function openAccPack(source) {
+  const blob = typeof source === "string" ? rangeBlob(source, 0, Infinity) : source;
+  const head = new Uint8Array(await blob.slice(0, 12).arrayBuffer());
+  if (head.byteLength < 12 || new TextDecoder().decode(head.subarray(0, 8)) !== ACCPACK_MAGIC) {
+    throw new Error("Not an .accpack archive");
+  }
+  const tocLen = new DataView(head.buffer).getUint32(8, true);
+  const toc    = JSON.parse(await blob.slice(12, 12 + tocLen).text());
+  const base   = alignUp(12 + tocLen);
+  const files  = new Map(toc.files.map(f => [f.name, f]));
+  return {
+    names: [...files.keys()],
+    file(name) {
+      const f = files.get(name);
+      return f ? blob.slice(base + f.offset, base + f.offset + f.length) : null;
+    },
+  };
+}
+
+// Bytes [start, end) of a remote file, fetched with a Range request when read
+function rangeBlob(url, start, end) {
+  return {
+    size:  end - start,
+    slice: (a = 0, b = end - start) => rangeBlob(url, start + a, Math.min(end, start + b)),
+    async arrayBuffer() {
+      if (end <= start) return new ArrayBuffer(0);
+      const res = await fetch(url, { headers: { Range: `bytes=${start}-${end - 1}` } });
+      if (res.status !== 206) {
+        throw new Error(res.ok
+          ? `${url} ignored the Range request — host the .accpack where byte ranges are served`
+          : `HTTP ${res.status}: ${url}`);
+      }
+      const buf = await res.arrayBuffer();
+      if (buf.byteLength !== end - start) {
+        throw new Error(`Short read from ${url} (${buf.byteLength} of ${end - start} bytes)`);
+      }
+      return buf;
+    },
+    async text() { return new TextDecoder().decode(await this.arrayBuffer()); },
+  };
+}
+
 /**
- * Trigger browser download for each file in the bundle.
- * Prompts user to choose folder via FileSystem Access API if available,
- * otherwise falls back to individual file downloads.
+ * Save an .accpack Blob — streamed to a file picked with the File System
+ * Access API (Chrome 86+), otherwise handed to the browser as one download.
  */
-export async function downloadBundle(bundle, modelName = "model") {
+export async function saveAccPack(blob, fileName = "model.accpack") {
+  if (window.showSaveFilePicker) {
+    const handle = await window.showSaveFilePicker({
+      suggestedName: fileName,
+      types: [{ description: ".acc archive", accept: { "application/octet-stream": [".accpack"] } }],
+    });
+    const writable = await handle.createWritable();
+    await writable.write(blob);
+    await writable.close();
+    return { method: "filesystem" };
+  }
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement("a");
+  a.href     = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 60_000); // the download reads from the URL
+  return { method: "download" };
+}
+
+/**
+ * Save a bundle as one .accpack file, or — with { folder: true } and the
+ * File System Access API — as a .acc folder ready to upload to a CDN.
+ * Throws an AbortError when the user cancels a picker.
+ */
+export async function downloadBundle(bundle, modelName = "model", { folder = false } = {}) {
   const files = bundleToFiles(bundle);
 
   // FileSystem Access API (Chrome 86+) — save to a real folder
-  if (window.showDirectoryPicker) {
+  if (folder && window.showDirectoryPicker) {
     try {
       const dirHandle = await window.showDirectoryPicker({
         suggestedName: `${modelName}.acc`,
@@ -688,25 +1725,15 @@ export async function downloadBundle(bundle, modelName = "model") {
       return { method: "filesystem", fileCount: files.length };
     } catch (e) {
       if (e.name !== "AbortError") {
-        console.warn("FSA failed, falling back to download:", e);
+        console.warn("FSA failed, falling back to .accpack:", e);
       } else {
         throw e; // user cancelled
       }
     }
   }
 
-  // Fallback: individual downloads (zip would be better but avoids dependency)
-  for (const file of files) {
-    const url  = URL.createObjectURL(file.data);
-    const a    = document.createElement("a");
-    a.href     = url;
-    a.download = `${modelName}.acc_${file.name.replace("/", "_")}`;
-    a.click();
-    URL.revokeObjectURL(url);
-    await new Promise(r => setTimeout(r, 100)); // small delay between downloads
-  }
-
-  return { method: "fallback", fileCount: files.length };
+  const { method } = await saveAccPack(packFiles(files), `${modelName}.accpack`);
+  return { method, fileCount: 1 };
 }
 
 // ─── OPFS Cache ──────────────────────────────────────────────────────────────
@@ -774,7 +1801,9 @@ export async function loadFromOPFS(modelName) {
     const shards    = [];
     for (let i = 0; i < manifest.num_shards; i++) {
       const idx = String(i).padStart(2, "0");
-      shards.push(await readBin(shardsDir, `shard_${idx}.bin`));
+      const bytes = await readBin(shardsDir, `shard_${idx}.bin`);
+      await verifyShard(manifest, i, bytes);
+      shards.push(bytes);
     }
 
     let kernels = null;
@@ -805,13 +1834,28 @@ export async function listOPFSModels() {
   } catch { return []; }
 }
 
+/**
+ * Every file under a directory handle — an OPFS .acc folder or one the user
+ * picked — as { name: "shards/shard_00.bin", data: File }, the bundleToFiles
+ * shape. Files are read lazily, so this is cheap even for large models.
+ */
+export async function directoryFiles(dir, prefix = "") {
+  const files = [];
+  for await (const [name, handle] of dir.entries()) {
+    if (handle.kind === "directory") files.push(...await directoryFiles(handle, `${prefix}${name}/`));
+    else files.push({ name: prefix + name, data: await handle.getFile() });
+  }
+  return files.sort((a, b) => a.name.localeCompare(b.name));
+}
+
 // ─── Shard Deserializer ───────────────────────────────────────────────────────
 
 /**
  * Parse a shard .bin file back into an array of tensor descriptors.
+ * `alignment` is the bundle's manifest.tensor_alignment (1 before 1.1.0).
  * Returns: Array<{ name, dtype, shape, data: Uint8Array }>
  */
-export function parseShard(shardBytes) {
+export function parseShard(shardBytes, alignment = 1) {
   const view    = new DataView(shardBytes.buffer, shardBytes.byteOffset, shardBytes.byteLength);
   const tensors = [];
   let   offset  = 0;
@@ -836,8 +1880,9 @@ export function parseShard(shardBytes) {
       shape.push(view.getUint32(offset, true)); offset += 4;
     }
 
-    // data_len + data
+    // data_len + pad + data
     const dataLen = view.getUint32(offset, true); offset += 4;
+    offset += (alignment - offset % alignment) % alignment;
     const data    = u8.slice(offset, offset + dataLen); offset += dataLen;
 
     tensors.push({ name, dtype, shape, data });
@@ -845,3 +1890,27 @@ export function parseShard(shardBytes) {
 
   return tensors;
 }
+
+/**
+ * Read one tensor through its manifest.tensors entry from the shard's Blob
+ * or File — only the tensor's own bytes are read, and checked against its
+ * SHA-256. Returns { name, dtype, shape, data: Uint8Array }.
+ */
+export async function readIndexedTensor(name, entry, shardBlob) {
+  const data = new Uint8Array(await shardBlob.slice(entry.offset, entry.offset + entry.length).arrayBuffer());
+  await verifyTensor(name, entry, data);
+  return { name, dtype: entry.dtype, shape: entry.shape, data };
+}
+
+/**
+ * Check tensor data against its manifest.tensors entry; throws on a length
+ * or digest mismatch. Entries without a sha256 only have their length checked.
+ */
+export async function verifyTensor(name, entry, data) {
+  if (data.byteLength !== entry.length) {
+    throw new Error(`Tensor ${name} is truncated (${data.byteLength} of ${entry.length} bytes)`);
+  }
+  if (entry.sha256 && await sha256Hex(data) !== entry.sha256) {
+    throw new Error(`Tensor ${name} failed its SHA-256 check`);
+  }
+}
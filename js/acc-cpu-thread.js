@@ -0,0 +1,31 @@
+// acc-cpu-thread.js — Actalithic ACC CPU Backend Thread
+// One member of acc-cpu.js's worker pool. Shares the backend's WebAssembly
+// memory, sleeps on the control block with Atomics.wait and runs its slice of
+// every matmul job until told to stop.
+// Apache 2.0 — Actalithic
+
+import { CTL, runSlice } from "./acc-cpu.js";
+
+self.onmessage = async (e) => {
+  const { module, memory, index, threads, ctl: ctlPtr } = e.data;
+  let exports;
+  try {
+    exports = (await WebAssembly.instantiate(module, { env: { memory } })).exports;
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+    return;
+  }
+  self.postMessage({ type: "ready" });
+
+  // The control block sits below every allocation, so this view survives growth
+  const ctl = new Int32Array(memory.buffer, ctlPtr, 16);
+  let gen = Atomics.load(ctl, CTL.GEN);
+  for (;;) {
+    Atomics.wait(ctl, CTL.GEN, gen);
+    gen = Atomics.load(ctl, CTL.GEN);
+    if (ctl[CTL.OP] === 0) break;
+    runSlice(exports, ctl, index, threads);
+    Atomics.add(ctl, CTL.DONE, 1);
+    Atomics.notify(ctl, CTL.DONE);
+  }
+};
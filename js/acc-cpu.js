@@ -0,0 +1,373 @@
+// acc-cpu.js — Actalithic ACC CPU Backend
+// Runs .acc models without WebGPU (Firefox, Safari, or CPU mode forced by the
+// user). The forward pass is the CPU reference in acc-reference.js; its
+// projections — nearly all of the work — run here as WASM SIMD kernels over
+// the raw Q4 / Q8 / F32 shard bytes, split across a worker pool.
+//
+//  • Threads need SharedArrayBuffer, i.e. a cross-origin isolated page. Without
+//    it the same kernels run single-threaded in the calling worker.
+//  • Without WASM SIMD the reference's plain-JS matmul is used row by row.
+//  • Weights live in one WebAssembly.Memory, so models must fit in 4 GB.
+// Apache 2.0 — Actalithic
+
+import { parseShard, DTYPE } from "./acc-converter.js";
+import { createReferenceModel, dequantizeRows } from "./acc-reference.js";
+
+// ─── Pool control block ──────────────────────────────────────────────────────
+// Int32 words at the start of memory, shared with acc-cpu-thread.js.
+// The caller fills OP..K, resets DONE and bumps GEN; every thread runs its
+// slice of output columns and increments DONE.
+export const CTL = { GEN: 0, DONE: 1, OP: 2, A: 3, W: 4, C: 5, M: 6, N: 7, K: 8 };
+export const OPS = ["stop", "matmul_f32", "matmul_q8", "matmul_q4"];
+const CTL_BYTES  = 64;
+const WASM_PAGE  = 65536;
+const MAX_PAGES  = 65536;   // 4 GB — the wasm32 limit
+
+/**
+ * Run thread `index` of `threads`' share of the job in the control block.
+ * Columns are split evenly; the caller is thread 0.
+ */
+export function runSlice(exports, ctl, index, threads) {
+  const N     = ctl[CTL.N];
+  const chunk = Math.ceil(N / threads);
+  const n0    = Math.min(N, index * chunk);
+  const n1    = Math.min(N, n0 + chunk);
+  if (n0 < n1) {
+    exports[OPS[ctl[CTL.OP]]](ctl[CTL.A], ctl[CTL.W], ctl[CTL.C], ctl[CTL.M], N, ctl[CTL.K], n0, n1);
+  }
+}
+
+// ─── WASM kernels ────────────────────────────────────────────────────────────
+// Hand-assembled so the repo needs no toolchain. Each export is
+//   (a, w, c, M, N, K, n0, n1) → ()    c[m][n] = Σ_k a[m][k] · W[n][k]  for n ∈ [n0, n1)
+// with byte pointers a, w, c. Weight layouts match matmul_f32 / matmul_q8 /
+// matmul_q4 in kernels.wgsl; Q4 / Q8 need K % 32 === 0, F32 needs K % 4 === 0.
+
+const I32 = 0x7f, F32 = 0x7d, V128 = 0x7b;
+
+function uleb(n) {
+  const out = [];
+  do { let b = n & 0x7f; n >>>= 7; if (n) b |= 0x80; out.push(b); } while (n);
+  return out;
+}
+function sleb(n) {
+  const out = [];
+  for (;;) {
+    const b = n & 0x7f; n >>= 7;
+    if ((n === 0 && !(b & 0x40)) || (n === -1 && (b & 0x40))) { out.push(b); return out; }
+    out.push(b | 0x80);
+  }
+}
+const str = (s) => [...uleb(s.length), ...new TextEncoder().encode(s)];
+const vec = (items) => [...uleb(items.length), ...items.flat()];
+const section = (id, bytes) => [id, ...uleb(bytes.length), ...bytes];
+
+// Instructions
+const get   = (i) => [0x20, ...uleb(i)];
+const set   = (i) => [0x21, ...uleb(i)];
+const i32c  = (n) => [0x41, ...sleb(n)];
+const f32c0 = [0x43, 0, 0, 0, 0];
+const add = [0x6a], mul = [0x6c], shl = [0x74], shrU = [0x76], geU = [0x4f];
+const f32add = [0x92], f32mul = [0x94];
+const f32load  = (off = 0) => [0x2a, 2, ...uleb(off)];
+const f32store = [0x38, 2, 0];
+const simd     = (op) => [0xfd, ...uleb(op)];
+const v128load = (off = 0) => [...simd(0), 0, ...uleb(off)];
+const v128const = (bytes) => [...simd(12), ...bytes];
+const shuffle  = (lanes) => [...simd(13), ...lanes];
+const lane     = (i) => [...simd(31), i];           // f32x4.extract_lane
+const V = {
+  and: simd(78), xor: simd(81), shrU8: simd(109), sub8: simd(113),
+  ext16lo: simd(135), ext16hi: simd(136), ext32lo: simd(167), ext32hi: simd(168),
+  add: simd(228), mul: simd(230), cvt: simd(250),
+};
+
+// for (i = start; i < end; i += step) body — `end` is code leaving an i32
+function loop(i, start, end, step, body) {
+  return [...start, ...set(i),
+    0x02, 0x40, 0x03, 0x40,
+    ...get(i), ...end, ...geU, 0x0d, 1,
+    ...body,
+    ...get(i), ...i32c(step), ...add, ...set(i),
+    0x0c, 0, 0x0b, 0x0b];
+}
+
+// Horizontal sum of a v128 local as f32
+const hsum = (v) => [...get(v), ...lane(0), ...get(v), ...lane(1), ...f32add,
+                     ...get(v), ...lane(2), ...f32add, ...get(v), ...lane(3), ...f32add];
+
+// Params 0..7: a w c M N K n0 n1
+const [pA, pW, pC, pM, pN, pK, pN0, pN1] = [0, 1, 2, 3, 4, 5, 6, 7];
+
+// c[m*N + n] = value on stack
+const storeC = (m, n, value) => [...get(pC), ...get(m), ...get(pN), ...mul, ...get(n), ...add,
+                                 ...i32c(2), ...shl, ...add, ...value, ...f32store];
+
+function matmulF32() {
+  // locals: 8 m, 9 n, 10 ap, 11 wp, 12 end (i32) · 13 acc (v128)
+  const [m, n, ap, wp, end, acc] = [8, 9, 10, 11, 12, 13];
+  const body = loop(m, i32c(0), get(pM), 1, loop(n, get(pN0), get(pN1), 1, [
+    ...v128const(new Array(16).fill(0)), ...set(acc),
+    ...get(pA), ...get(m), ...get(pK), ...mul, ...i32c(2), ...shl, ...add, ...set(ap),
+    ...get(pW), ...get(n), ...get(pK), ...mul, ...i32c(2), ...shl, ...add, ...set(wp),
+    ...get(ap), ...get(pK), ...i32c(2), ...shl, ...add, ...set(end),
+    ...loop(ap, get(ap), get(end), 16, [
+      ...get(ap), ...v128load(), ...get(wp), ...v128load(), ...V.mul, ...get(acc), ...V.add, ...set(acc),
+      ...get(wp), ...i32c(16), ...add, ...set(wp),
+    ]),
+    ...storeC(m, n, hsum(acc)),
+  ]));
+  return { locals: [[5, I32], [1, V128]], body };
+}
+
+// Shared Q8 / Q4 shape: per row, per 32-value block, widen int8 lanes to f32x4
+// and multiply-accumulate against 8 × f32x4 of activations, then scale.
+function matmulQuant(q4) {
+  // locals: 8 m, 9 n, 10 b, 11 ap, 12 dp, 13 sp, 14 nb, 15 dataBase (i32)
+  //         16 acc (f32) · 17 bacc, 18 x, 19 e0, 20 e1 (v128)
+  const [m, n, b, ap, dp, sp, nb, dataBase, acc, bacc, x, e0, e1] =
+        [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20];
+  const blockBytes = q4 ? 16 : 32;
+
+  // Eight groups of four lanes from two i8x16 vectors, in element order
+  const widen = (src, firstGroup) => [
+    [V.ext16lo, V.ext32lo], [V.ext16lo, V.ext32hi], [V.ext16hi, V.ext32lo], [V.ext16hi, V.ext32hi],
+  ].flatMap(([a, c], g) => [
+    ...get(src), ...a, ...c, ...V.cvt,
+    ...get(ap), ...v128load((firstGroup + g) * 16), ...V.mul,
+    ...get(bacc), ...V.add, ...set(bacc),
+  ]);
+
+  const unpack = q4 ? [
+    // 32 nibbles, low nibble first → two i8x16 of signed values -8..7
+    ...get(dp), ...v128load(), ...set(x),
+    ...get(x), ...v128const(new Array(16).fill(0x0f)), ...V.and,
+    ...get(x), ...i32c(4), ...V.shrU8,
+    ...shuffle([0, 16, 1, 17, 2, 18, 3, 19, 4, 20, 5, 21, 6, 22, 7, 23]),
+    ...v128const(new Array(16).fill(8)), ...V.xor, ...v128const(new Array(16).fill(8)), ...V.sub8,
+    ...set(e0),
+    ...get(x), ...v128const(new Array(16).fill(0x0f)), ...V.and,
+    ...get(x), ...i32c(4), ...V.shrU8,
+    ...shuffle([8, 24, 9, 25, 10, 26, 11, 27, 12, 28, 13, 29, 14, 30, 15, 31]),
+    ...v128const(new Array(16).fill(8)), ...V.xor, ...v128const(new Array(16).fill(8)), ...V.sub8,
+    ...set(e1),
+  ] : [
+    ...get(dp), ...v128load(),   ...set(e0),
+    ...get(dp), ...v128load(16), ...set(e1),
+  ];
+
+  const body = [
+    ...get(pK), ...i32c(5), ...shrU, ...set(nb),
+    ...get(pW), ...get(pN), ...get(nb), ...mul, ...i32c(2), ...shl, ...add, ...set(dataBase),
+    ...loop(m, i32c(0), get(pM), 1, loop(n, get(pN0), get(pN1), 1, [
+      ...f32c0, ...set(acc),
+      ...get(pA), ...get(m), ...get(pK), ...mul, ...i32c(2), ...shl, ...add, ...set(ap),
+      ...get(dataBase), ...get(n), ...get(nb), ...mul, ...i32c(blockBytes), ...mul, ...add, ...set(dp),
+      ...get(pW), ...get(n), ...get(nb), ...mul, ...i32c(2), ...shl, ...add, ...set(sp),
+      ...loop(b, i32c(0), get(nb), 1, [
+        ...v128const(new Array(16).fill(0)), ...set(bacc),
+        ...unpack,
+        ...widen(e0, 0), ...widen(e1, 4),
+        ...get(acc), ...hsum(bacc), ...get(sp), ...f32load(), ...f32mul, ...f32add, ...set(acc),
+        ...get(ap), ...i32c(128), ...add, ...set(ap),
+        ...get(dp), ...i32c(blockBytes), ...add, ...set(dp),
+        ...get(sp), ...i32c(4), ...add, ...set(sp),
+      ]),
+      ...storeC(m, n, get(acc)),
+    ])),
+  ];
+  return { locals: [[8, I32], [1, F32], [4, V128]], body };
+}
+
+/** Assemble the kernel module; `shared` must match the imported memory. */
+export function buildKernelModule(shared) {
+  const funcs = [matmulF32(), matmulQuant(false), matmulQuant(true)];
+  const names = OPS.slice(1);
+  const code  = funcs.map(({ locals, body }) => {
+    const fn = [...vec(locals.map(([count, type]) => [...uleb(count), type])), ...body, 0x0b];
+    return [...uleb(fn.length), ...fn];
+  });
+  const limits = shared ? [0x03, ...uleb(1), ...uleb(MAX_PAGES)] : [0x00, ...uleb(1)];
+  return new Uint8Array([
+    0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+    ...section(1,  vec([[0x60, ...vec(new Array(8).fill([I32])), 0]])),
+    ...section(2,  vec([[...str("env"), ...str("memory"), 0x02, ...limits]])),
+    ...section(3,  vec(funcs.map(() => [0]))),
+    ...section(7,  vec(names.map((name, i) => [...str(name), 0x00, ...uleb(i)]))),
+    ...section(10, vec(code)),
+  ]);
+}
+
+// ─── Backend ─────────────────────────────────────────────────────────────────
+
+/**
+ * Create a CPU backend for one model.
+ * @param {object} config  bundle config.json
+ * @param {{threads?:number}} [opts]  threads defaults to hardwareConcurrency (max 8)
+ * @returns {Promise<{kind:string, threads:number, maxSeq:number,
+ *          uploadShard(bytes:Uint8Array, alignment?:number):void, uploadTensor(t:object):void,
+ *          forward(tokenIds:number[], kvOffset:number, dryRun?:boolean, prefill?:boolean):Float32Array|null,
+ *          forwardFrom(hidden:Float32Array, seqLen:number, kvOffset:number, firstLayer:number,
+ *                      prefill?:boolean):Float32Array|null,
+ *          stats():{weightBytes:number, kvBytes:number},
+ *          destroy():void}>}
+ */
+export async function createCPUBackend(config, opts = {}) {
+  const hc       = globalThis.navigator?.hardwareConcurrency || 1;
+  const canShare = globalThis.crossOriginIsolated === true && typeof SharedArrayBuffer !== "undefined";
+  const wanted   = canShare ? Math.max(1, Math.min(opts.threads ?? hc, 8)) : 1;
+
+  let simd = false, shared = wanted > 1;
+  try { simd = WebAssembly.validate(buildKernelModule(shared)); } catch {}
+
+  const memory = simd
+    ? new WebAssembly.Memory(shared ? { initial: 1, maximum: MAX_PAGES, shared: true } : { initial: 1 })
+    : null;
+  let exports = null, module = null;
+  if (simd) {
+    module  = await WebAssembly.compile(buildKernelModule(shared));
+    exports = (await WebAssembly.instantiate(module, { env: { memory } })).exports;
+  }
+
+  // ── Worker pool ──
+  const pool = [];
+  if (simd && shared) {
+    const ready = [];
+    for (let i = 1; i < wanted; i++) {
+      const w = new Worker(new URL("./acc-cpu-thread.js", import.meta.url), { type: "module" });
+      ready.push(new Promise((res, rej) => {
+        w.onmessage = (e) => e.data.type === "ready" ? res() : rej(new Error(e.data.message));
+        w.onerror   = (e) => rej(new Error(e.message || "CPU thread failed to start"));
+      }));
+      w.postMessage({ type: "init", module, memory, index: i, threads: wanted, ctl: 0 });
+      pool.push(w);
+    }
+    await Promise.all(ready);
+  }
+  const threads = pool.length + 1;
+  // Fresh view per use — growing non-shared memory detaches the old buffer
+  const control = () => new Int32Array(memory.buffer, 0, CTL_BYTES / 4);
+
+  // ── Memory — bump allocator; weights stay, scratch sits above them ──
+  let top = CTL_BYTES;
+  function ensure(end) {
+    const have = memory.buffer.byteLength;
+    if (end <= have) return;
+    const pages = Math.ceil((end - have) / WASM_PAGE);
+    if (have / WASM_PAGE + pages > MAX_PAGES) {
+      throw new Error("Model too large for the CPU backend — WebAssembly memory is limited to 4 GB");
+    }
+    memory.grow(pages);
+  }
+  function alloc(bytes) {
+    const ptr = (top + 15) & ~15;
+    ensure(ptr + bytes);
+    top = ptr + bytes;
+    return ptr;
+  }
+
+  // ── Weights ──
+  const tensors = new Map();
+  let   jsBytes = 0;            // tensors kept outside WASM memory
+  function uploadTensor(t) {
+    if (!memory || t.shape.length < 2) { tensors.set(t.name, t); jsBytes += t.data.byteLength; return; }
+    // F16 has no kernel — widen to F32 once at load
+    let { dtype, data } = t;
+    if (dtype === DTYPE.F16) {
+      data  = new Uint8Array(dequantizeRows(t, 0, t.shape[0]).buffer);
+      dtype = DTYPE.F32;
+    }
+    const ptr = alloc(data.byteLength);
+    new Uint8Array(memory.buffer, ptr, data.byteLength).set(data);
+    const len = data.byteLength;
+    // Views are rebuilt on access — growing non-shared memory detaches old ones
+    tensors.set(t.name, { name: t.name, dtype, shape: t.shape, ptr,
+                          get data() { return new Uint8Array(memory.buffer, ptr, len); } });
+  }
+  function uploadShard(bytes, alignment = 1) {
+    for (const t of parseShard(bytes, alignment)) uploadTensor(t);
+  }
+
+  // ── Matmul ──
+  function opFor(t, K) {
+    if (!simd || t.ptr == null) return 0;
+    if (t.dtype === DTYPE.F32) return K % 4 === 0 ? 1 : 0;
+    if (t.dtype === DTYPE.Q8)  return K % 32 === 0 ? 2 : 0;
+    if (t.dtype === DTYPE.Q4)  return K % 32 === 0 ? 3 : 0;
+    return 0;
+  }
+
+  function matmul(x, M, K, t, N) {
+    const op = opFor(t, K);
+    if (!op) return matmulRows(x, M, K, t, N);
+
+    const a = alloc(x.byteLength), c = alloc(M * N * 4);
+    new Float32Array(memory.buffer, a, x.length).set(x);
+    const ctl = control();
+    ctl[CTL.OP] = op; ctl[CTL.A] = a; ctl[CTL.W] = t.ptr; ctl[CTL.C] = c;
+    ctl[CTL.M]  = M;  ctl[CTL.N] = N; ctl[CTL.K] = K;
+    if (pool.length) {
+      Atomics.store(ctl, CTL.DONE, 0);
+      Atomics.add(ctl, CTL.GEN, 1);
+      Atomics.notify(ctl, CTL.GEN);
+    }
+    runSlice(exports, ctl, 0, threads);
+    for (let done; (done = Atomics.load(ctl, CTL.DONE)) < pool.length;) Atomics.wait(ctl, CTL.DONE, done);
+
+    const out = new Float32Array(memory.buffer, c, M * N).slice();
+    top = a;   // release scratch
+    return out;
+  }
+
+  // Built on first use — shards are uploaded after the backend is created
+  let model = null;
+
+  return {
+    kind:    !simd ? "js" : threads > 1 ? "wasm-simd-threads" : "wasm-simd",
+    threads,
+    maxSeq:  config.max_position_embeddings || 4096,
+    uploadShard,
+    uploadTensor,
+    forward(tokenIds, kvOffset, dryRun = false, prefill = false) {
+      if (dryRun) return null;   // nothing to compile or warm up on the CPU
+      model ??= createReferenceModel(config, tensors, { matmul });
+      const logits = model.forward(tokenIds, kvOffset);
+      return prefill ? null : logits;
+    },
+    // `hidden` is consumed — the residual stream is updated in place
+    forwardFrom(hidden, seqLen, kvOffset, firstLayer, prefill = false) {
+      model ??= createReferenceModel(config, tensors, { matmul });
+      const logits = model.forwardFrom(hidden, seqLen, kvOffset, firstLayer);
+      return prefill ? null : logits;
+    },
+    stats() {
+      return { weightBytes: (memory ? top - CTL_BYTES : 0) + jsBytes, kvBytes: model?.kvBytes ?? 0 };
+    },
+    destroy() {
+      if (pool.length) {
+        const ctl = control();
+        ctl[CTL.OP] = 0;
+        Atomics.add(ctl, CTL.GEN, 1);
+        Atomics.notify(ctl, CTL.GEN);
+      }
+      for (const w of pool) w.terminate();
+      pool.length = 0;
+      tensors.clear();
+      model = null;
+    },
+  };
+}
+
+// Plain-JS fallback — one dequantized weight row at a time
+function matmulRows(x, M, K, t, N) {
+  const out = new Float32Array(M * N);
+  for (let n = 0; n < N; n++) {
+    const w = dequantizeRows(t, n, 1);
+    for (let m = 0; m < M; m++) {
+      let acc = 0;
+      for (let k = 0; k < K; k++) acc += x[m * K + k] * w[k];
+      out[m * N + n] = acc;
+    }
+  }
+  return out;
+}
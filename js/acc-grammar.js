@@ -0,0 +1,771 @@
+// acc-grammar.js — Actalithic constrained decoding
+// Compiles an OpenAI-style response_format — a JSON Schema, a regex or a GBNF
+// grammar — into a pushdown automaton, and matches it against the ACC
+// tokenizer's vocabulary so the sampler can only pick tokens that keep the
+// reply valid. JSON Schema and regexes are translated to GBNF first, so one
+// parser and one matcher serve all three.
+//
+// The matcher follows llama.cpp: a set of rule stacks advanced one code point
+// at a time. Tokens are checked on their raw bytes (ACCTokenizer.tokenBytes),
+// so characters split across tokens are handled. Stacks and stack sets are
+// interned, which turns the repeated steps of a vocabulary scan into lookups.
+// Apache 2.0 — Actalithic
+
+const CHAR = 0, REF = 1, END = 2;
+const MAX_CP = 0x10FFFF;
+
+// ─── GBNF ────────────────────────────────────────────────────────────────────
+// Supported: rule ::= alternatives, "literals", [classes] / [^negated], ., ( ),
+// |, * + ? {m} {m,} {m,n}, # comments. Escapes: \n \r \t \\ \" \] \xHH \uHHHH.
+// A rule's body runs until the next `name ::=`, so rules may span lines.
+
+/**
+ * Parse GBNF source. The start rule is `root`.
+ * @param {string} src
+ * @returns {Grammar}
+ */
+export function parseGBNF(src) {
+  const names = new Map();      // rule name → index
+  const rules = [];             // index → alternatives (element arrays), null until defined
+  let pos = 0;
+
+  const fail = (msg) => {
+    const line = src.slice(0, pos).split("\n").length;
+    throw new Error(`Grammar error on line ${line}: ${msg}`);
+  };
+  const ruleId = (name) => {
+    if (!names.has(name)) { names.set(name, rules.length); rules.push(null); }
+    return names.get(name);
+  };
+  const anon = (alts) => rules.push(alts) - 1;
+
+  const skip = () => {
+    for (;;) {
+      while (pos < src.length && /\s/.test(src[pos])) pos++;
+      if (src[pos] !== "#") return;
+      while (pos < src.length && src[pos] !== "\n") pos++;
+    }
+  };
+  const NAME = /[A-Za-z0-9_-]+/y;
+  const DEF  = /[A-Za-z0-9_-]+\s*::=/y;
+  const atDefinition = () => { DEF.lastIndex = pos; return DEF.test(src); };
+
+  const escaped = () => {
+    const c = src[pos++];
+    const hex = (n) => {
+      const h = src.slice(pos, pos + n);
+      if (!new RegExp(`^[0-9a-fA-F]{${n}}$`).test(h)) fail(`bad \\${c} escape`);
+      pos += n;
+      return parseInt(h, 16);
+    };
+    switch (c) {
+      case "n": return 10;
+      case "r": return 13;
+      case "t": return 9;
+      case "x": return hex(2);
+      case "u": return hex(4);
+      case "U": return hex(8);
+      case undefined: return fail("unterminated escape");
+      default:  return c.codePointAt(0);
+    }
+  };
+  const char = () => {
+    if (pos >= src.length) fail("unexpected end of grammar");
+    if (src[pos] === "\\") { pos++; return escaped(); }
+    const cp = src.codePointAt(pos);
+    pos += cp > 0xFFFF ? 2 : 1;
+    return cp;
+  };
+
+  // x{min,max} — max Infinity for unbounded; `item` is an element array
+  const repeat = (item, min, max) => {
+    const unit = item.length === 1 ? item[0] : { t: REF, rule: anon([item]) };
+    const out  = Array(min).fill(unit);
+    if (max === Infinity) {
+      const r = anon(null);
+      rules[r] = [[unit, { t: REF, rule: r }], []];
+      out.push({ t: REF, rule: r });
+    } else if (max > min) {
+      let tail = null;
+      for (let i = min; i < max; i++) {
+        tail = anon([tail ? [unit, { t: REF, rule: tail }] : [unit], []]);
+      }
+      out.push({ t: REF, rule: tail });
+    }
+    return out;
+  };
+
+  const quantified = (item) => {
+    const c = src[pos];
+    if (c === "*") { pos++; return repeat(item, 0, Infinity); }
+    if (c === "+") { pos++; return repeat(item, 1, Infinity); }
+    if (c === "?") { pos++; return repeat(item, 0, 1); }
+    if (c === "{") {
+      const m = /\{\s*(\d+)\s*(,\s*(\d*)\s*)?\}/y;
+      m.lastIndex = pos;
+      const r = m.exec(src);
+      if (!r) fail("bad {m,n} repetition");
+      pos = m.lastIndex;
+      const min = +r[1], max = r[2] ? (r[3] ? +r[3] : Infinity) : min;
+      if (max < min) fail("repetition max is below min");
+      return repeat(item, min, max);
+    }
+    return item;
+  };
+
+  const primary = () => {
+    const c = src[pos];
+    if (c === '"') {
+      pos++;
+      const item = [];
+      while (src[pos] !== '"') {
+        if (pos >= src.length) fail("unterminated string");
+        const cp = char();
+        item.push({ t: CHAR, ranges: [cp, cp], neg: false });
+      }
+      pos++;
+      return item;
+    }
+    if (c === "[") {
+      pos++;
+      const neg = src[pos] === "^";
+      if (neg) pos++;
+      const ranges = [];
+      while (src[pos] !== "]") {
+        const lo = char();
+        let hi = lo;
+        if (src[pos] === "-" && src[pos + 1] !== "]") { pos++; hi = char(); }
+        if (hi < lo) fail("reversed character range");
+        ranges.push(lo, hi);
+      }
+      pos++;
+      return [{ t: CHAR, ranges, neg }];
+    }
+    if (c === ".") { pos++; return [{ t: CHAR, ranges: [0, MAX_CP], neg: false }]; }
+    if (c === "(") {
+      pos++;
+      const alts = alternatives();
+      if (src[pos] !== ")") fail("expected )");
+      pos++;
+      return [{ t: REF, rule: anon(alts) }];
+    }
+    NAME.lastIndex = pos;
+    const m = NAME.exec(src);
+    if (!m) fail(`unexpected ${JSON.stringify(c)}`);
+    pos = NAME.lastIndex;
+    return [{ t: REF, rule: ruleId(m[0]) }];
+  };
+
+  const sequence = () => {
+    const seq = [];
+    for (;;) {
+      skip();
+      if (pos >= src.length || src[pos] === "|" || src[pos] === ")" || atDefinition()) return seq;
+      seq.push(...quantified(primary()));
+    }
+  };
+
+  const alternatives = () => {
+    const alts = [sequence()];
+    while (src[pos] === "|") { pos++; alts.push(sequence()); }
+    return alts;
+  };
+
+  for (skip(); pos < src.length; skip()) {
+    if (!atDefinition()) fail("expected a rule definition (name ::= …)");
+    NAME.lastIndex = pos;
+    const name = NAME.exec(src)[0];
+    pos = src.indexOf("::=", pos) + 3;
+    const id = ruleId(name);
+    if (rules[id]) fail(`rule "${name}" is defined twice`);
+    rules[id] = alternatives();
+    if (src[pos] === ")") fail("unbalanced )");
+  }
+
+  for (const [name, id] of names) {
+    if (!rules[id]) throw new Error(`Grammar error: rule "${name}" is not defined`);
+  }
+  if (!names.has("root")) throw new Error("Grammar error: no root rule");
+  return new Grammar(rules, names.get("root"), names);
+}
+
+/**
+ * Compiled grammar: every alternative of every rule, flattened and terminated
+ * by an END element, so a matcher position is just (alternative, index).
+ */
+export class Grammar {
+  constructor(rules, root, names = new Map()) {
+    this.alts     = [];         // alternative id → elements + END
+    this.ruleAlts = rules.map(alts => alts.map(seq => this.alts.push([...seq, { t: END }]) - 1));
+    this.root     = root;
+    checkLeftRecursion(rules, names);
+  }
+}
+
+// The stack matcher would expand a left-recursive rule forever
+function checkLeftRecursion(rules, names) {
+  const nullable = new Array(rules.length).fill(false);
+  for (let changed = true; changed;) {
+    changed = false;
+    rules.forEach((alts, r) => {
+      if (nullable[r]) return;
+      if (alts.some(seq => seq.every(e => e.t === REF && nullable[e.rule]))) changed = nullable[r] = true;
+    });
+  }
+  const state = new Uint8Array(rules.length);   // 0 unseen, 1 on the path, 2 done
+  const visit = (r) => {
+    if (state[r] === 2) return;
+    if (state[r] === 1) {
+      const name = [...names].find(([, id]) => id === r)?.[0] ?? "(group)";
+      throw new Error(`Grammar error: rule "${name}" is left-recursive`);
+    }
+    state[r] = 1;
+    for (const seq of rules[r]) {
+      for (const e of seq) {
+        if (e.t !== REF) break;
+        visit(e.rule);
+        if (!nullable[e.rule]) break;
+      }
+    }
+    state[r] = 2;
+  };
+  rules.forEach((_, r) => visit(r));
+}
+
+// ─── JSON Schema ─────────────────────────────────────────────────────────────
+// Covers type (incl. arrays of types), properties / required, items /
+// prefixItems, min/maxItems, min/maxLength, enum, const, anyOf / oneOf,
+// allOf of objects, nullable and local $refs (#/$defs/…, #/definitions/…).
+// Properties are emitted in schema order; unknown keywords (pattern, format,
+// minimum, …) are ignored rather than rejected.
+
+const JSON_RULES = String.raw`
+value   ::= object | array | string | number | "true" | "false" | "null"
+object  ::= "{" ws ( string ws ":" ws value ws ( "," ws string ws ":" ws value ws )* )? "}"
+array   ::= "[" ws ( value ws ( "," ws value ws )* )? "]"
+string  ::= "\"" char* "\""
+char    ::= [^"\\\x00-\x1f] | "\\" ( ["\\/bfnrt] | "u" [0-9a-fA-F]{4} )
+number  ::= integer ( "." [0-9]{1,16} )? ( [eE] [-+]? [0-9]{1,3} )?
+integer ::= "-"? ( "0" | [1-9] [0-9]{0,15} )
+boolean ::= "true" | "false"
+null    ::= "null"
+ws      ::= | " " | "\n" [ \t]{0,20}
+`;
+
+function gbnfLiteral(text) {
+  let out = '"';
+  for (const ch of text) {
+    const cp = ch.codePointAt(0);
+    if (ch === '"' || ch === "\\") out += "\\" + ch;
+    else if (cp < 0x20 || cp === 0x7F) out += "\\x" + cp.toString(16).padStart(2, "0");
+    else out += ch;
+  }
+  return out + '"';
+}
+
+/**
+ * Translate a JSON Schema to GBNF whose root matches one conforming value.
+ * @param {object|boolean} schema
+ * @returns {string}
+ */
+export function schemaToGBNF(schema) {
+  const rules = [];
+  const taken = new Set(["root", ...JSON_RULES.match(/^\w+(?= )/gm)]);
+  const refs  = new Map();      // $ref → rule name
+
+  const rule = (hint, body) => {
+    let name = hint.replace(/[^A-Za-z0-9-]+/g, "-").replace(/^-+|-+$/g, "") || "r";
+    for (let i = 1; taken.has(name); i++) name = `${hint}-${i}`.replace(/[^A-Za-z0-9-]+/g, "-");
+    taken.add(name);
+    if (body != null) rules.push(`${name} ::= ${body}`);
+    return name;
+  };
+  const literal = (v) => gbnfLiteral(JSON.stringify(v));
+  const alts    = (xs) => xs.length === 1 ? xs[0] : `( ${xs.join(" | ")} )`;
+
+  const resolve = (ref) => {
+    const m = /^#\/(\$defs|definitions)\/(.+)$/.exec(ref);
+    const target = m && schema[m[1]]?.[m[2].replace(/~1/g, "/").replace(/~0/g, "~")];
+    if (!m || target === undefined) throw new Error(`Unsupported $ref "${ref}" — only local #/$defs/… refs`);
+    return [m[2], target];
+  };
+
+  const visit = (s, hint) => {
+    if (s === true || s == null) return "value";
+    if (s === false) throw new Error(`Schema for "${hint}" allows nothing`);
+
+    if (s.$ref) {
+      if (!refs.has(s.$ref)) {
+        const [name, target] = resolve(s.$ref);
+        const r = rule(name);
+        refs.set(s.$ref, r);
+        rules.push(`${r} ::= ${visit(target, name)}`);
+      }
+      return refs.get(s.$ref);
+    }
+    if ("const" in s) return literal(s.const);
+    if (Array.isArray(s.enum)) return alts(s.enum.map(literal));
+    if (s.anyOf || s.oneOf) return alts((s.anyOf || s.oneOf).map((x, i) => visit(x, `${hint}-${i}`)));
+    if (s.allOf) return visit(mergeAllOf(s), hint);
+    if (s.nullable) return alts([visit({ ...s, nullable: false }, hint), "null"]);
+    if (Array.isArray(s.type)) return alts(s.type.map(t => visit({ ...s, type: t }, `${hint}-${t}`)));
+
+    switch (s.type ?? (s.properties ? "object" : s.items ? "array" : undefined)) {
+      case "string": {
+        const min = s.minLength ?? 0, max = s.maxLength;
+        if (!min && max == null) return "string";
+        return `"\\"" char{${min},${max ?? ""}} "\\""`;
+      }
+      case "number":  return "number";
+      case "integer": return "integer";
+      case "boolean": return "boolean";
+      case "null":    return "null";
+      case "array":   return rule(hint, arrayBody(s, hint));
+      case "object":  return rule(hint, objectBody(s, hint));
+      case undefined: return "value";
+      default: throw new Error(`Unsupported schema type "${s.type}"`);
+    }
+  };
+
+  const arrayBody = (s, hint) => {
+    if (Array.isArray(s.prefixItems)) {
+      const items = s.prefixItems.map((x, i) => `${visit(x, `${hint}-${i}`)} ws`);
+      return `"[" ws ${items.join(' "," ws ')} "]"`;
+    }
+    const item = `${visit(s.items ?? true, `${hint}-item`)} ws`;
+    const min  = s.minItems ?? 0, max = s.maxItems ?? Infinity;
+    if (max === 0) return `"[" ws "]"`;
+    const more = `( "," ws ${item} ){${Math.max(min - 1, 0)},${max === Infinity ? "" : max - 1}}`;
+    const list = `${item} ${more}`;
+    return `"[" ws ${min > 0 ? list : `( ${list} )?`} "]"`;
+  };
+
+  // Each property is required or optional in schema order; `first` rules cover
+  // "nothing written yet", `rest` rules follow an earlier property (need ",")
+  const objectBody = (s, hint) => {
+    const props = Object.entries(s.properties ?? {});
+    if (!props.length) {
+      const extra = s.additionalProperties;
+      if (extra === false) return `"{" ws "}"`;
+      const v = visit(typeof extra === "object" ? extra : true, `${hint}-value`);
+      return `"{" ws ( string ws ":" ws ${v} ws ( "," ws string ws ":" ws ${v} ws )* )? "}"`;
+    }
+    const required = new Set(s.required ?? []);
+    const kv = props.map(([k, v]) => `${literal(k)} ws ":" ws ${visit(v, `${hint}-${k}`)} ws`);
+    const first = [], rest = [];
+    for (let i = props.length - 1; i >= 0; i--) {
+      const restNext  = rest[i + 1] ? ` ${rest[i + 1]}` : "";
+      const firstNext = first[i + 1] ?? "";
+      rest[i] = rule(`${hint}-rest-${i}`, required.has(props[i][0])
+        ? `"," ws ${kv[i]}${restNext}`
+        : `( "," ws ${kv[i]} )?${restNext}`);
+      first[i] = required.has(props[i][0])
+        ? rule(`${hint}-first-${i}`, `${kv[i]}${restNext}`)
+        : rule(`${hint}-first-${i}`, `${kv[i]}${restNext} |${firstNext ? " " + firstNext : ""}`);
+    }
+    return `"{" ws ${first[0]} "}"`;
+  };
+
+  const root = visit(schema, "root");
+  return `root ::= ${root}\n${rules.join("\n")}\n${JSON_RULES}`;
+}
+
+function mergeAllOf(s) {
+  const out = { ...s, allOf: undefined, type: "object", properties: {}, required: [] };
+  for (const part of [s, ...s.allOf]) {
+    if (part.type && part.type !== "object") throw new Error("allOf is only supported for objects");
+    Object.assign(out.properties, part.properties);
+    out.required.push(...(part.required ?? []));
+  }
+  return out;
+}
+
+// ─── Regex ───────────────────────────────────────────────────────────────────
+// JavaScript regex syntax minus lookaround and backreferences. The whole reply
+// must match — ^ and $ are accepted at the ends and otherwise unsupported.
+
+const CLASS_ESCAPES = {
+  d: "0-9", w: "a-zA-Z0-9_", s: " \\t\\n\\r\\x0b\\x0c",
+};
+
+/**
+ * Translate a regex (source or RegExp) to GBNF whose root matches it in full.
+ * @param {string|RegExp} re
+ * @returns {string}
+ */
+export function regexToGBNF(re) {
+  const src = typeof re === "string" ? re : re.source;
+  let pos = 0;
+  const fail = (msg) => { throw new Error(`Unsupported regex at ${pos}: ${msg}`); };
+
+  const classChar = (cp) => {
+    const ch = String.fromCodePoint(cp);
+    if ("]\\-^".includes(ch)) return "\\" + ch;
+    return cp < 0x20 || cp === 0x7F ? "\\x" + cp.toString(16).padStart(2, "0") : ch;
+  };
+
+  // One escaped code point after "\" — or a class body for \d \w \s
+  const escape = () => {
+    const c = src[pos++];
+    if (c === undefined) fail("trailing \\");
+    if (CLASS_ESCAPES[c]) return { cls: CLASS_ESCAPES[c], neg: false };
+    if (CLASS_ESCAPES[c.toLowerCase()]) return { cls: CLASS_ESCAPES[c.toLowerCase()], neg: true };
+    const simple = { n: 10, r: 13, t: 9, f: 12, v: 11, 0: 0 }[c];
+    if (simple !== undefined) return { cp: simple };
+    if (c === "x" || c === "u") {
+      const m = c === "x" ? /^[0-9a-fA-F]{2}/.exec(src.slice(pos))
+              : /^(\{[0-9a-fA-F]+\}|[0-9a-fA-F]{4})/.exec(src.slice(pos));
+      if (!m) fail(`bad \\${c} escape`);
+      pos += m[0].length;
+      return { cp: parseInt(m[0].replace(/[{}]/g, ""), 16) };
+    }
+    if (/[1-9bBk]/.test(c)) fail(`\\${c} is not supported`);
+    return { cp: c.codePointAt(0) };
+  };
+
+  const charClass = () => {
+    const neg = src[pos] === "^";
+    if (neg) pos++;
+    let body = "";
+    for (let first = true; src[pos] !== "]" || first; first = false) {
+      if (pos >= src.length) fail("unterminated [");
+      let lo;
+      if (src[pos] === "\\") {
+        pos++;
+        const e = escape();
+        if (e.cls) { if (e.neg) fail("negated escape inside []"); body += e.cls; continue; }
+        lo = e.cp;
+      } else {
+        lo = src.codePointAt(pos);
+        pos += lo > 0xFFFF ? 2 : 1;
+      }
+      body += classChar(lo);
+      if (src[pos] === "-" && src[pos + 1] !== "]" && pos + 1 < src.length) {
+        pos++;
+        let hi;
+        if (src[pos] === "\\") { pos++; hi = escape().cp; if (hi === undefined) fail("bad range"); }
+        else { hi = src.codePointAt(pos); pos += hi > 0xFFFF ? 2 : 1; }
+        body += "-" + classChar(hi);
+      }
+    }
+    pos++;
+    return `[${neg ? "^" : ""}${body}]`;
+  };
+
+  const atom = () => {
+    const c = src[pos++];
+    if (c === "(") {
+      if (src[pos] === "?") {
+        const m = /^\?(:|<[A-Za-z_$][\w$]*>)/.exec(src.slice(pos));
+        if (!m) fail("lookaround is not supported");
+        pos += m[0].length;
+      }
+      const inner = alternation();
+      if (src[pos++] !== ")") fail("expected )");
+      return `( ${inner || '""'} )`;
+    }
+    if (c === "[") return charClass();
+    if (c === ".") return "[^\\n\\r]";
+    if (c === "\\") {
+      const e = escape();
+      return e.cls ? `[${e.neg ? "^" : ""}${e.cls}]` : gbnfLiteral(String.fromCodePoint(e.cp));
+    }
+    if ("*+?{".includes(c) && !(c === "{" && !/^\d/.test(src.slice(pos)))) fail(`nothing to repeat before ${c}`);
+    pos--;
+    const cp = src.codePointAt(pos);
+    pos += cp > 0xFFFF ? 2 : 1;
+    return gbnfLiteral(String.fromCodePoint(cp));
+  };
+
+  const quantifier = () => {
+    const m = /^([*+?]|\{\d+(,\d*)?\})[?+]?/.exec(src.slice(pos));
+    if (!m) return "";
+    pos += m[0].length;
+    return m[1];
+  };
+
+  const sequence = () => {
+    const parts = [];
+    while (pos < src.length && src[pos] !== "|" && src[pos] !== ")") {
+      if (src[pos] === "^" && pos === 0) { pos++; continue; }
+      if (src[pos] === "$" && pos === src.length - 1) { pos++; continue; }
+      if (src[pos] === "^" || src[pos] === "$") fail("anchors are only supported at the ends");
+      parts.push(atom() + quantifier());
+    }
+    return parts.join(" ");
+  };
+
+  const alternation = () => {
+    const alts = [sequence()];
+    while (src[pos] === "|") { pos++; alts.push(sequence()); }
+    return alts.length === 1 ? alts[0] : alts.map(a => a || '""').join(" | ");
+  };
+
+  const body = alternation();
+  if (pos < src.length) fail("unbalanced )");
+  return `root ::= ${body || '""'}`;
+}
+
+/**
+ * Compile an OpenAI-style response_format. Returns null for plain text.
+ *   { type: "json_schema", json_schema: { schema } }   OpenAI structured output
+ *   { type: "json_object", schema? }                  any JSON object, or the schema
+ *   { type: "regex", regex }
+ *   { type: "grammar", grammar }                      GBNF, start rule `root`
+ * Schemas may be objects or JSON strings.
+ * @param {object} format
+ * @returns {Grammar|null}
+ */
+export function compileResponseFormat(format) {
+  if (!format || format.type === "text") return null;
+  const schemaOf = (s) => typeof s === "string" ? JSON.parse(s) : s;
+  switch (format.type) {
+    case "json_schema": {
+      const schema = format.json_schema?.schema ?? format.schema;
+      if (schema == null) throw new Error("response_format json_schema has no schema");
+      return parseGBNF(schemaToGBNF(schemaOf(schema)));
+    }
+    case "json_object":
+      return parseGBNF(format.schema != null
+        ? schemaToGBNF(schemaOf(format.schema))
+        : `root ::= object\n${JSON_RULES}`);
+    case "regex":
+      return parseGBNF(regexToGBNF(format.regex ?? format.pattern ?? ""));
+    case "grammar":
+      return parseGBNF(format.grammar ?? "");
+    default:
+      throw new Error(`Unsupported response_format type "${format.type}"`);
+  }
+}
+
+// ─── Matching ────────────────────────────────────────────────────────────────
+// A stack is a linked list of positions (alternative, index, up); its top is
+// always a CHAR element, or the stack is null once the root has been matched.
+// A set of stacks is the automaton state. States carry the UTF-8 bytes of a
+// partly received character and the decoder's pending leading-space strip.
+
+const MASK_CACHE = 32;        // allowed-token bitmaps kept per constraint, by state
+const UTF8_MIN   = [0, 0x80, 0x800, 0x10000];   // smallest code point per sequence length − 1
+
+function matchChar(el, cp) {
+  const r = el.ranges;
+  for (let i = 0; i < r.length; i += 2) if (cp >= r[i] && cp <= r[i + 1]) return !el.neg;
+  return el.neg;
+}
+
+// Could some code point in [lo, hi] match el?
+function charOverlaps(el, lo, hi) {
+  if (el.neg) {
+    // Everything in [lo, hi] excluded only if one range covers it all
+    const r = el.ranges;
+    for (let i = 0; i < r.length; i += 2) if (r[i] <= lo && r[i + 1] >= hi) return false;
+    return true;
+  }
+  const r = el.ranges;
+  for (let i = 0; i < r.length; i += 2) if (r[i] <= hi && r[i + 1] >= lo) return true;
+  return false;
+}
+
+class Matcher {
+  constructor(grammar) {
+    this.g       = grammar;
+    this._nodes  = new Map();   // "alt:i:upId" → node
+    this._sets   = new Map();   // sorted node ids → stack set
+    this._nextId = 0;
+  }
+
+  _node(alt, i, up) {
+    const key = `${alt}:${i}:${up ? up.id : -1}`;
+    let n = this._nodes.get(key);
+    if (!n) this._nodes.set(key, n = { alt, i, up, id: this._nextId++ });
+    return n;
+  }
+
+  // Push rule expansions until every stack's top is a character (or it is done)
+  _expand(n, out, seen) {
+    if (n === null) { out.add(null); return; }
+    if (seen.has(n)) return;
+    seen.add(n);
+    const el = this.g.alts[n.alt][n.i];
+    if (el.t === CHAR) { out.add(n); return; }
+    if (el.t === END) { this._expand(n.up, out, seen); return; }
+    // Tail call: a rule ending the alternative returns straight to the caller,
+    // so right-recursive repetition keeps the stack (and the state) bounded
+    const after = this.g.alts[n.alt][n.i + 1];
+    const next  = after.t === END ? n.up : this._node(n.alt, n.i + 1, n.up);
+    for (const a of this.g.ruleAlts[el.rule]) this._expand(this._node(a, 0, next), out, seen);
+  }
+
+  _intern(stacks) {
+    const key = [...stacks].map(n => n ? n.id : -1).sort((a, b) => a - b).join(",");
+    let set = this._sets.get(key);
+    if (!set) {
+      const list = [...stacks];
+      set = { stacks: list, next: new Map(), accepting: list.includes(null), finished: list.every(n => n === null) };
+      set.state = { set, cp: 0, need: 0, len: 0, strip: 0 };
+      this._sets.set(key, set);
+    }
+    return set;
+  }
+
+  /** Initial state; `strip` leading spaces are dropped as the decoder does. */
+  initial(strip = 0) {
+    const out = new Set(), seen = new Set();
+    for (const a of this.g.ruleAlts[this.g.root]) this._expand(this._node(a, 0, null), out, seen);
+    const set = this._intern(out);
+    return strip > 0 ? { set, cp: 0, need: 0, len: 0, strip } : set.state;
+  }
+
+  // Stack set after one code point, or null if nothing matches — memoized per set
+  _advance(set, cp) {
+    let next = set.next.get(cp);
+    if (next !== undefined) return next;
+    const out = new Set(), seen = new Set();
+    for (const n of set.stacks) {
+      if (n && matchChar(this.g.alts[n.alt][n.i], cp)) this._expand(this._node(n.alt, n.i + 1, n.up), out, seen);
+    }
+    next = out.size ? this._intern(out) : null;
+    set.next.set(cp, next);
+    return next;
+  }
+
+  /** State after one byte of output, or null if it cannot be part of a match. */
+  step(s, b) {
+    if (s.strip > 0) {
+      if (b === 0x20) return { ...s, strip: s.strip - 1 };
+      s = s.set.state;
+    }
+    if (s.need === 0) {
+      if (b < 0x80) { const set = this._advance(s.set, b); return set && set.state; }
+      const need = b >= 0xF0 ? 3 : b >= 0xE0 ? 2 : b >= 0xC0 ? 1 : 0;
+      if (!need || b >= 0xF8) return null;
+      return this._partial(s.set, b & (0x3F >> need), need, need);
+    }
+    if ((b & 0xC0) !== 0x80) return null;
+    const cp = (s.cp << 6) | (b & 0x3F);
+    if (s.need > 1) return this._partial(s.set, cp, s.need - 1, s.len);
+    if (cp < UTF8_MIN[s.len] || (cp >= 0xD800 && cp <= 0xDFFF)) return null;
+    const set = this._advance(s.set, cp);
+    return set && set.state;
+  }
+
+  // Mid-character: keep it only if some stack could take a code point with this
+  // prefix — overlong and out-of-range encodings are rejected here too
+  _partial(set, cp, need, len) {
+    const lo = Math.max(cp << (6 * need), UTF8_MIN[len]);
+    const hi = Math.min((cp << (6 * need)) | ((1 << (6 * need)) - 1), MAX_CP);
+    if (lo > hi || (lo >= 0xD800 && hi <= 0xDFFF)) return null;
+    const ok = set.stacks.some(n => n && charOverlaps(this.g.alts[n.alt][n.i], lo, hi));
+    return ok ? { set, cp, need, len, strip: 0 } : null;
+  }
+
+  accepting(s) { return s.need === 0 && s.set.accepting; }
+  finished(s)  { return s.need === 0 && s.set.finished; }
+}
+
+// ─── Vocabulary ──────────────────────────────────────────────────────────────
+// Token byte strings sorted lexicographically with the common-prefix length to
+// their predecessor — a trie walked in order without building one. Special
+// tokens get no bytes and are never allowed by the grammar.
+
+const _indexes = new WeakMap();   // ACCTokenizer → index
+
+function vocabIndex(tokenizer) {
+  let index = _indexes.get(tokenizer);
+  if (index) return index;
+
+  const V     = tokenizer.vocabSize;
+  const bytes = new Array(V);
+  for (let id = 0; id < V; id++) {
+    bytes[id] = tokenizer.isSpecial(id) ? new Uint8Array(0) : tokenizer.tokenBytes(id);
+  }
+  const cmp = (a, b) => {
+    const x = bytes[a], y = bytes[b], n = Math.min(x.length, y.length);
+    for (let i = 0; i < n; i++) if (x[i] !== y[i]) return x[i] - y[i];
+    return x.length - y.length;
+  };
+  const order = Int32Array.from({ length: V }, (_, i) => i).sort(cmp);
+  const lcp   = new Uint16Array(V);
+  for (let k = 1; k < V; k++) {
+    const x = bytes[order[k - 1]], y = bytes[order[k]];
+    let i = 0;
+    while (i < x.length && i < y.length && x[i] === y[i]) i++;
+    lcp[k] = i;
+  }
+  _indexes.set(tokenizer, index = { bytes, order, lcp });
+  return index;
+}
+
+/**
+ * Token-level view of a grammar for one generation.
+ *   allows(id)    would this token keep the output valid?
+ *   mask(logits)  set every disallowed logit to -Infinity
+ *   accept(id)    advance past an emitted token
+ *   done          nothing but a stop token may follow
+ * Stop ids (EOS, end of turn) are allowed only once the grammar is complete.
+ * @param {Grammar} grammar
+ * @param {import("./acc-tokenizer.js").ACCTokenizer} tokenizer
+ * @param {Iterable<number>} stopIds
+ */
+export function createConstraint(grammar, tokenizer, stopIds = []) {
+  const matcher = new Matcher(grammar);
+  const index   = vocabIndex(tokenizer);
+  const stop    = new Set(stopIds);
+  const masks   = new Map();    // interned state → allowed bitmap (a string body repeats one state)
+  let   state   = matcher.initial(tokenizer.stripLeading);
+
+  const advance = (s, bytes) => {
+    for (let i = 0; i < bytes.length && s; i++) s = matcher.step(s, bytes[i]);
+    return s;
+  };
+
+  // Every token the grammar accepts from `state`, by walking the sorted vocab
+  const allowed = (size) => {
+    const { bytes, order, lcp } = index;
+    const ok     = new Uint8Array(size);
+    const states = [state];
+    let depth = 0, failAt = -1, any = false;
+    for (let k = 0; k < order.length; k++) {
+      const id = order[k], b = bytes[id];
+      if (failAt >= 0 && lcp[k] > failAt) continue;   // shares a rejected prefix
+      failAt = -1;
+      let d = Math.min(lcp[k], depth);
+      for (; d < b.length; d++) {
+        const next = matcher.step(states[d], b[d]);
+        if (!next) { failAt = d; break; }
+        states[d + 1] = next;
+      }
+      depth = d;
+      if (failAt < 0 && b.length && id < size) ok[id] = 1, any = true;
+    }
+    // Stop once complete — or when the grammar is stuck, rather than emit garbage
+    const end = matcher.accepting(state);
+    for (const id of stop) if (id < size && (end || !any)) ok[id] = 1;
+    return ok;
+  };
+
+  return {
+    allows(id) {
+      if (stop.has(id)) return matcher.accepting(state);
+      const bytes = index.bytes[id];
+      return !!bytes?.length && advance(state, bytes) !== null;
+    },
+
+    mask(logits) {
+      let ok = masks.get(state);
+      if (!ok || ok.length !== logits.length) {
+        ok = allowed(logits.length);
+        if (masks.size >= MASK_CACHE) masks.delete(masks.keys().next().value);
+        masks.set(state, ok);
+      }
+      for (let id = 0; id < logits.length; id++) if (!ok[id]) logits[id] = -Infinity;
+    },
+
+    accept(id) {
+      if (stop.has(id)) return;
+      state = advance(state, index.bytes[id] ?? []) ?? state;
+    },
+
+    get done() { return matcher.finished(state); },
+  };
+}
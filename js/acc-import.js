@@ -0,0 +1,189 @@
+// acc-import.js — Actalithic model import
+// Adds a model the user already has on disk to the app: a .acc folder, a
+// single .accpack archive, or a Hugging Face .safetensors file with its
+// tokenizer.json (compiled to .acc here, as the converter page does). The
+// files are checked, copied into OPFS under a fresh id, and described for
+// registerACCModel — ACC-Worker then loads the model from its cache like any
+// other. Shard digests are not re-hashed here: the worker checks every shard
+// or tensor on load.
+// Apache 2.0 — Actalithic
+
+import { convertSafetensors, openAccPack, directoryFiles, checkBundleFormat, saveToOPFS } from "./acc-converter.js";
+
+const RAW_CONFIGS = ["config.json", "generation_config.json", "tokenizer_config.json", "chat_template.jinja"];
+
+/**
+ * Import a model into OPFS.
+ * `input` is { dir: FileSystemDirectoryHandle } for a picked folder (a .acc
+ * bundle, or a Hugging Face folder with one .safetensors), or { files: File[] }
+ * for picked / dropped files: one .accpack, or one .safetensors plus
+ * tokenizer.json and optionally config.json, generation_config.json,
+ * tokenizer_config.json and chat_template.jinja.
+ * `takenIds` lists model ids already in use, so the new id is unique.
+ * Throws a readable Error when the input is not an importable model.
+ * Returns the model descriptor to pass to registerACCModel.
+ */
+export async function importModel(input, { takenIds = [], onProgress = () => {} } = {}) {
+  const { files, label } = await collectFiles(input);
+  const root  = await navigator.storage.getDirectory();
+  const taken = new Set(takenIds);
+  for await (const [name] of root.entries()) taken.add(name);
+  const id = uniqueId(label, taken);
+
+  try {
+    if (files.some(f => f.name === "manifest.json")) {
+      const { manifest, config, bytes } = await validateBundle(files);
+      await copyToOPFS(root, id, files, bytes, onProgress);
+      return describe(id, label, manifest, config, bytes);
+    }
+    const bundle = await compileRaw(files, onProgress);
+    onProgress(96, "Saving to browser cache…");
+    await saveToOPFS(bundle, id.slice(0, -".acc".length));
+    const bytes = bundle.shards.reduce((n, s) => n + s.byteLength, 0);
+    return describe(id, label, bundle.manifest, bundle.config, bytes);
+  } catch (e) {
+    await root.removeEntry(id, { recursive: true }).catch(() => {});
+    throw e;
+  }
+}
+
+// Flatten the input to { name, data } entries named as in a .acc bundle
+// (or by file name for raw Hugging Face files), plus a display label.
+async function collectFiles(input) {
+  if (input.dir) {
+    return { files: await directoryFiles(input.dir), label: stripExt(input.dir.name) };
+  }
+  const files = [...input.files];
+  const pack  = files.find(f => /\.accpack$/i.test(f.name));
+  if (pack) {
+    if (files.length > 1) throw new Error("Import an .accpack on its own, without other files.");
+    const opened = await openAccPack(pack);
+    return { files: opened.names.map(name => ({ name, data: opened.file(name) })), label: stripExt(pack.name) };
+  }
+  const weights = files.find(f => /\.safetensors$/i.test(f.name));
+  return { files: files.map(f => ({ name: f.name, data: f })), label: stripExt(weights?.name ?? files[0]?.name ?? "model") };
+}
+
+// Check a .acc bundle's files before anything is copied.
+// Returns { manifest, config, bytes } — bytes is the total size to copy.
+async function validateBundle(files) {
+  const byName = new Map(files.map(f => [f.name, f.data]));
+  const json   = async (name) => {
+    if (!byName.has(name)) throw new Error(`${name} is missing — this is not a complete .acc bundle.`);
+    try { return JSON.parse(await byName.get(name).text()); }
+    catch { throw new Error(`${name} is not valid JSON.`); }
+  };
+  const manifest = await json("manifest.json");
+  const config   = await json("config.json");
+  checkBundleFormat(manifest);
+  if (!byName.has("tokenizer.json")) throw new Error("tokenizer.json is missing — the model could not read or write text.");
+  if (!config.vocab_size || !config.hidden_size || !config.num_hidden_layers) {
+    throw new Error("config.json lacks vocab_size, hidden_size or num_hidden_layers.");
+  }
+  if (!(manifest.num_shards > 0)) throw new Error("manifest.json lists no weight shards.");
+  for (let i = 0; i < manifest.num_shards; i++) {
+    const name  = `shards/shard_${String(i).padStart(2, "0")}.bin`;
+    const shard = byName.get(name);
+    if (!shard) throw new Error(`${name} is missing.`);
+    const entry = manifest.shards?.[i];
+    if (entry && entry.bytes !== shard.size) {
+      throw new Error(`${name} is ${shard.size} bytes, the manifest lists ${entry.bytes} — the copy is incomplete or damaged.`);
+    }
+  }
+  return { manifest, config, bytes: files.reduce((n, f) => n + f.data.size, 0) };
+}
+
+// Stream every file into OPFS <id>/ — at most one chunk is held in memory.
+async function copyToOPFS(root, id, files, totalBytes, onProgress) {
+  const accDir = await root.getDirectoryHandle(id, { create: true });
+  let   done   = 0;
+  for (const file of files) {
+    const parts = file.name.split("/");
+    let   dir   = accDir;
+    for (const part of parts.slice(0, -1)) dir = await dir.getDirectoryHandle(part, { create: true });
+    const writable = await (await dir.getFileHandle(parts.at(-1), { create: true })).createWritable();
+    onProgress(Math.round((done / totalBytes) * 100), `Copying ${file.name}…`);
+    // .accpack entries read over Range requests have no stream(); copy them whole
+    if (file.data.stream) await file.data.stream().pipeTo(writable);
+    else { await writable.write(await file.data.arrayBuffer()); await writable.close(); }
+    done += file.data.size;
+  }
+  onProgress(100, "Import complete ✓");
+}
+
+// Compile one .safetensors file plus its tokenizer / config files to .acc
+async function compileRaw(files, onProgress) {
+  const weights = files.filter(f => /\.safetensors$/i.test(f.name));
+  if (weights.length !== 1) {
+    throw new Error(weights.length
+      ? "Only single-file .safetensors models can be imported — sharded ones (model-00001-of-…) need the converter page."
+      : "Choose a .acc folder, an .accpack, or a .safetensors file with its tokenizer.json.");
+  }
+  const text = async (name) => {
+    const f = files.find(x => x.name.split("/").at(-1) === name);
+    return f ? f.data.text() : null;
+  };
+  const tokenizerJson = await text("tokenizer.json");
+  if (!tokenizerJson) throw new Error("tokenizer.json is required next to the .safetensors file.");
+  const [configJson, generationConfigJson, tokenizerConfigJson, chatTemplate] = await Promise.all(RAW_CONFIGS.map(text));
+
+  const file = weights[0].data;
+  const head = new DataView(await file.slice(0, 8).arrayBuffer());
+  const len  = head.byteLength === 8 && head.getUint32(4, true) === 0 ? head.getUint32(0, true) : 0;
+  if (!len || 8 + len > file.size) throw new Error(`${weights[0].name} is not a valid .safetensors file.`);
+
+  // A File read slice by slice — the converter's streaming interface
+  const buffer = {
+    _isStreamingBuffer: true,
+    byteLength:         file.size,
+    readSlice:          (start, end) => file.slice(start, end).arrayBuffer(),
+  };
+  return convertSafetensors(buffer, {
+    quantMode:       "q4",
+    onProgress:      (pct, msg) => onProgress(Math.round(pct * 0.95), msg),
+    configJson,
+    generationConfigJson,
+    tokenizerConfigJson,
+    chatTemplate,
+    tokenizerJson,
+    optimized:       true,
+    calibrateBlocks: true,
+  });
+}
+
+// A model descriptor shaped like the ACC_MODELS entries in models.js
+function describe(id, label, manifest, config, bytes) {
+  const gb  = bytes / 2 ** 30;
+  const fmt = (g) => g >= 1 ? `${g.toFixed(1)} GB` : `${Math.max(1, Math.round(g * 1024))} MB`;
+  return {
+    id,
+    name:       label,
+    fullName:   `${label} (imported)`,
+    size:       fmt(gb), ram: `~${fmt(gb * 1.3)}`, tier: "Imported",
+    creator:    "You",
+    source:     "Imported from disk",
+    sourceUrl:  "#",
+    modelUrl:   "#",
+    desc:       `Imported ${manifest.arch || config.model_type || "ACC"} model (${manifest.quant || "?"}).`,
+    runability: gb < 2.5 ? "easy" : gb < 5 ? "mid" : "hard",
+    ctx:        config.max_position_embeddings || 4096,
+    engine:     "acc", arch: manifest.arch || "llama", quant: manifest.quant || "q4",
+    tokPerDevice: {
+      dedicatedGPU: "—", steamDeck: "—", laptopIGPU: "—", phone: "—", cpu: "—", core: "—",
+    },
+    tok_range:  "—",
+    imported:   true,
+  };
+}
+
+function stripExt(name) {
+  return name.replace(/\.(accpack|acc|safetensors)$/i, "");
+}
+
+// "My Model" → "my-model.acc", then "my-model-2.acc", … until unused
+function uniqueId(label, taken) {
+  const slug = label.toLowerCase().replace(/[^a-z0-9.]+/g, "-").replace(/^-+|-+$/g, "") || "model";
+  let id = `${slug}.acc`;
+  for (let n = 2; taken.has(id); n++) id = `${slug}-${n}.acc`;
+  return id;
+}
@@ -0,0 +1,505 @@
+// acc-reference.js — Actalithic ACC CPU Reference
+// Plain-JS versions of the kernels in webgpu/kernels.wgsl and of the worker's
+// forward pass, written for clarity rather than speed. Nothing here touches
+// the GPU, so it runs in Node as well as the browser:
+//
+//   node js/acc-reference.js    → build tiny random .acc bundles and check them
+//
+// Matmul-style kernels accumulate in float32 in the kernel's own order, so F32
+// weights reproduce matmul_f32 / lm_head exactly; exp / sin / cos may differ
+// from the GPU in the last few ulps.
+// Apache 2.0 — Actalithic
+
+import { parseShard, encodeTensor, packShard, toFloat16, DTYPE, ACC_VERSION, TENSOR_ALIGN } from "./acc-converter.js";
+
+const f32 = Math.fround;
+
+// ─── Tensors ─────────────────────────────────────────────────────────────────
+
+/**
+ * Collect parseShard() output from every shard into one map.
+ * @param {Uint8Array[]} shards
+ * @param {number} [alignment]  manifest.tensor_alignment — 1 for bundles before 1.1.0
+ * @returns {Map<string, {dtype:number, shape:number[], data:Uint8Array}>}
+ */
+export function loadTensors(shards, alignment = 1) {
+  const map = new Map();
+  for (const shard of shards) {
+    for (const t of parseShard(shard, alignment)) map.set(t.name, t);
+  }
+  return map;
+}
+
+// IEEE half → float
+function halfToFloat(h) {
+  const s = h & 0x8000 ? -1 : 1;
+  const e = (h >> 10) & 0x1F;
+  const m = h & 0x3FF;
+  if (e === 0)  return s * m * 2 ** -24;
+  if (e === 31) return m ? NaN : s * Infinity;
+  return s * (1 + m / 1024) * 2 ** (e - 15);
+}
+
+/**
+ * Dequantize a tensor to [rows × cols] float32, reading Q4 / Q8 the way
+ * matmul_q4 / matmul_q8 do: all block scales first (ceil(cols/32) per row),
+ * then each row's blocks of 32 packed values. Q4 nibbles are low-first.
+ * @param {{dtype:number, shape:number[], data:Uint8Array}} t
+ * @returns {Float32Array}
+ */
+export function dequantize(t) {
+  return dequantizeRows(t, 0, t.shape.length > 1 ? t.shape[0] : 1);
+}
+
+/**
+ * Dequantize rows [start, start + count) of a tensor — see dequantize().
+ * @returns {Float32Array} [count × cols]
+ */
+export function dequantizeRows(t, start, count) {
+  const rows = t.shape.length > 1 ? t.shape[0] : 1;
+  const cols = t.shape.reduce((a, b) => a * b, 1) / rows;
+  const view = new DataView(t.data.buffer, t.data.byteOffset, t.data.byteLength);
+  const out  = new Float32Array(count * cols);
+
+  if (t.dtype === DTYPE.F32 || t.dtype === DTYPE.F16) {
+    const size = t.dtype === DTYPE.F32 ? 4 : 2;
+    for (let i = 0, o = start * cols * size; i < out.length; i++, o += size) {
+      out[i] = size === 4 ? view.getFloat32(o, true) : halfToFloat(view.getUint16(o, true));
+    }
+    return out;
+  }
+  if (t.dtype !== DTYPE.Q4 && t.dtype !== DTYPE.Q8) throw new Error(`Unknown dtype ${t.dtype} for ${t.name}`);
+
+  const BLOCK    = 32;
+  const q4       = t.dtype === DTYPE.Q4;
+  const nBlocks  = Math.ceil(cols / BLOCK);
+  const blockLen = q4 ? 16 : 32;
+  const dataBase = rows * nBlocks * 4;
+
+  for (let r = 0; r < count; r++) {
+    const row = start + r;
+    for (let b = 0; b < nBlocks; b++) {
+      const scale = view.getFloat32((row * nBlocks + b) * 4, true);
+      const base  = dataBase + (row * nBlocks + b) * blockLen;
+      for (let i = 0; i < BLOCK && b * BLOCK + i < cols; i++) {
+        let q;
+        if (q4) {
+          const nib = (view.getUint8(base + (i >> 1)) >> ((i & 1) * 4)) & 0xF;
+          q = nib >= 8 ? nib - 16 : nib;
+        } else {
+          q = view.getInt8(base + i);
+        }
+        out[r * cols + b * BLOCK + i] = f32(q * scale);
+      }
+    }
+  }
+  return out;
+}
+
+// ─── Kernels ─────────────────────────────────────────────────────────────────
+
+/** token_embed — rows of `table` [vocab × hidden] for each id. */
+export function tokenEmbed(ids, table, hidden) {
+  const out = new Float32Array(ids.length * hidden);
+  ids.forEach((id, p) => out.set(table.subarray(id * hidden, (id + 1) * hidden), p * hidden));
+  return out;
+}
+
+/** rms_norm — x / sqrt(mean(x²) + eps) * w, per row of `hidden`. */
+export function rmsNorm(x, w, hidden, eps = 1e-5) {
+  const out = new Float32Array(x.length);
+  for (let base = 0; base < x.length; base += hidden) {
+    let ss = 0;
+    for (let i = 0; i < hidden; i++) ss = f32(ss + f32(x[base + i] * x[base + i]));
+    const inv = f32(1 / Math.sqrt(f32(f32(ss / hidden) + eps)));
+    for (let i = 0; i < hidden; i++) out[base + i] = f32(f32(x[base + i] * inv) * w[i]);
+  }
+  return out;
+}
+
+/**
+ * matmul_f32 / matmul_q4 / matmul_q8 — C[M × N] = A[M × K] × Wᵀ, W is [N × K].
+ * @param {Float32Array} a
+ * @param {Float32Array} w  dequantized weight
+ */
+export function matmul(a, M, K, w, N) {
+  const out = new Float32Array(M * N);
+  for (let m = 0; m < M; m++) {
+    for (let n = 0; n < N; n++) {
+      let acc = 0;
+      for (let k = 0; k < K; k++) acc = f32(acc + f32(a[m * K + k] * w[n * K + k]));
+      out[m * N + n] = acc;
+    }
+  }
+  return out;
+}
+
+/**
+ * rope_embed — rotates (d, d + head_dim/2) pairs of q and k in place by
+ * position × theta^(-2d / head_dim).
+ */
+export function ropeEmbed(q, k, { seqLen, nHeads, nKV, headDim, theta, offset = 0 }) {
+  const half = headDim / 2;
+  const rotate = (buf, base, cos, sin) => {
+    const x0 = buf[base], x1 = buf[base + half];
+    buf[base]        = f32(x0 * cos - x1 * sin);
+    buf[base + half] = f32(x0 * sin + x1 * cos);
+  };
+  for (let p = 0; p < seqLen; p++) {
+    for (let d = 0; d < half; d++) {
+      const angle = f32((p + offset) * f32(Math.pow(theta, -(2 * d) / headDim)));
+      const cos   = Math.cos(angle), sin = Math.sin(angle);
+      for (let h = 0; h < nHeads; h++) rotate(q, (p * nHeads + h) * headDim + d, cos, sin);
+      for (let h = 0; h < nKV; h++)    rotate(k, (p * nKV + h) * headDim + d, cos, sin);
+    }
+  }
+}
+
+/** swiglu — silu(gate) × up. */
+export function swiglu(gate, up) {
+  const out = new Float32Array(gate.length);
+  for (let i = 0; i < gate.length; i++) {
+    const g = gate[i];
+    out[i] = f32(f32(g / (1 + Math.exp(-g))) * up[i]);
+  }
+  return out;
+}
+
+/** lm_head — logits [vocab] for the last of `seqLen` hidden rows. */
+export function lmHead(x, seqLen, hidden, w, vocab) {
+  return matmul(x.subarray((seqLen - 1) * hidden, seqLen * hidden), 1, hidden, w, vocab);
+}
+
+/** residual_add — a += b in place. */
+export function residualAdd(a, b) {
+  for (let i = 0; i < a.length; i++) a[i] = f32(a[i] + b[i]);
+}
+
+// ─── Attention ───────────────────────────────────────────────────────────────
+
+/**
+ * Causal self-attention, matching the `attention_score` kernel.
+ * Two-pass softmax (max, then normalised sum) in float64 so it is an
+ * independent check of the kernel's tiled online softmax.
+ * @param {Float32Array} q   [seqLen × nHeads × headDim]
+ * @param {Float32Array} k   [totalSeq × nKV × headDim]
+ * @param {Float32Array} v   [totalSeq × nKV × headDim]
+ * @param {{seqLen:number, totalSeq:number, nHeads:number, nKV:number,
+ *          headDim:number, scale?:number, offset?:number}} dims
+ * @returns {Float32Array} [seqLen × nHeads × headDim]
+ */
+export function attention(q, k, v, dims) {
+  const { seqLen, totalSeq, nHeads, nKV, headDim,
+          scale = 1 / Math.sqrt(headDim), offset = 0 } = dims;
+  const group  = Math.max(1, Math.floor(nHeads / nKV));
+  const out    = new Float32Array(seqLen * nHeads * headDim);
+  const scores = new Float64Array(totalSeq);
+
+  for (let i = 0; i < seqLen; i++) {
+    const pos = Math.min(offset + i, totalSeq - 1);
+    for (let h = 0; h < nHeads; h++) {
+      const kvh   = Math.floor(h / group);
+      const qBase = (i * nHeads + h) * headDim;
+
+      let max = -Infinity;
+      for (let j = 0; j <= pos; j++) {
+        const kBase = (j * nKV + kvh) * headDim;
+        let dot = 0;
+        for (let d = 0; d < headDim; d++) dot += q[qBase + d] * k[kBase + d];
+        scores[j] = dot * scale;
+        if (scores[j] > max) max = scores[j];
+      }
+      let sum = 0;
+      for (let j = 0; j <= pos; j++) { scores[j] = Math.exp(scores[j] - max); sum += scores[j]; }
+
+      for (let d = 0; d < headDim; d++) {
+        let acc = 0;
+        for (let j = 0; j <= pos; j++) acc += scores[j] * v[(j * nKV + kvh) * headDim + d];
+        out[qBase + d] = acc / sum;
+      }
+    }
+  }
+  return out;
+}
+
+// ─── Comparison ──────────────────────────────────────────────────────────────
+
+/**
+ * Largest absolute and relative element difference between two outputs.
+ * @returns {{maxAbs:number, maxRel:number, index:number}}
+ */
+export function compareOutputs(actual, expected) {
+  if (actual.length !== expected.length) {
+    throw new Error(`Output length mismatch: ${actual.length} vs ${expected.length}`);
+  }
+  let maxAbs = 0, maxRel = 0, index = -1;
+  for (let i = 0; i < expected.length; i++) {
+    const raw  = Math.abs(actual[i] - expected[i]);
+    const diff = Number.isNaN(raw) ? Infinity : raw;    // NaN counts as worst
+    if (diff > maxAbs) { maxAbs = diff; index = i; }
+    const rel = diff / Math.max(Math.abs(expected[i]), 1e-6);
+    if (rel > maxRel) maxRel = rel;
+  }
+  return { maxAbs, maxRel, index };
+}
+
+// ─── Forward pass ────────────────────────────────────────────────────────────
+
+/**
+ * Width of one attention head. Qwen3 and Gemma set head_dim apart from
+ * hidden_size / num_attention_heads, so config.head_dim wins when present.
+ * @param {object} config  .acc config.json
+ * @returns {number}
+ */
+export function headDimOf(config) {
+  return config.head_dim || Math.floor(config.hidden_size / config.num_attention_heads);
+}
+
+/**
+ * CPU twin of ACC-Worker's forwardPass over a bundle's tensors, with its own
+ * KV cache. forward() appends `tokenIds` at `offset` (default: the end of the
+ * cache) and returns the last position's logits. forwardFrom() starts from
+ * hidden states entering layer `firstLayer` instead — the CPU half of an
+ * ActalithicCore split — and only needs that layer onwards plus the LM head.
+ * @param {object} config  bundle config.json
+ * @param {Map<string, {dtype:number, shape:number[], data:Uint8Array}>} tensors  loadTensors() output
+ * @param {{matmul?: (x:Float32Array, M:number, K:number, t:object, N:number) => Float32Array}} [hooks]
+ *        matmul replaces the dequantize-then-multiply default, e.g. with the WASM kernels in acc-cpu.js
+ */
+export function createReferenceModel(config, tensors, hooks = {}) {
+  const hidden  = config.hidden_size;
+  const nLayers = config.num_hidden_layers;
+  const nHeads  = config.num_attention_heads;
+  const nKV     = config.num_key_value_heads || nHeads;
+  const headDim = headDimOf(config);
+  const ffnH    = config.intermediate_size;
+  const vocab   = config.vocab_size;
+  const eps     = config.rms_norm_eps || 1e-5;
+  const theta   = config.rope_theta || 500000;
+  const qDim    = nHeads * headDim;
+  const kDim    = nKV * headDim;
+
+  // Weights are dequantized lazily and kept — fine for the small models this is for
+  const cache = new Map();
+  const W = (name, required = true) => {
+    if (!cache.has(name)) {
+      const t = tensors.get(name);
+      if (!t) { if (required) throw new Error(`Missing: ${name}`); return null; }
+      cache.set(name, dequantize(t));
+    }
+    return cache.get(name);
+  };
+
+  const embedNames = ["model.embed_tokens.weight", "embed_tokens.weight", "transformer.wte.weight"];
+  const embedName  = () => {
+    const name = embedNames.find(n => tensors.has(n));
+    if (!name) throw new Error("Missing embed_tokens.weight — model did not convert correctly");
+    return name;
+  };
+
+  const tensor = (name) => {
+    const t = tensors.get(name);
+    if (!t) throw new Error(`Missing: ${name}`);
+    return t;
+  };
+  // Projection by weight name — x [M × K] × Wᵀ, W is [N × K]
+  const mm = hooks.matmul
+    ? (x, M, K, name, N) => hooks.matmul(x, M, K, tensor(name), N)
+    : (x, M, K, name, N) => matmul(x, M, K, W(name), N);
+  const lmName = () => tensors.has("lm_head.weight") ? "lm_head.weight" : embedName();
+
+  // Per-layer KV buffers, grown on first use — split models only touch their own layers
+  const kv = { keys: [], vals: [], capacity: [], length: 0 };
+
+  function reserve(l, positions) {
+    if (positions <= (kv.capacity[l] || 0)) return;
+    const capacity = Math.max(positions, (kv.capacity[l] || 0) * 2, 64);
+    const grow = (buf) => { const b = new Float32Array(capacity * kDim); if (buf) b.set(buf); return b; };
+    kv.keys[l] = grow(kv.keys[l]);
+    kv.vals[l] = grow(kv.vals[l]);
+    kv.capacity[l] = capacity;
+  }
+
+  function forward(tokenIds, offset = kv.length) {
+    // Embedding rows are dequantized per token, never the whole table
+    const embed = tensor(embedName());
+    const x = new Float32Array(tokenIds.length * hidden);
+    tokenIds.forEach((id, i) => x.set(dequantizeRows(embed, id, 1), i * hidden));
+    return forwardFrom(x, tokenIds.length, offset, 0);
+  }
+
+  function forwardFrom(hiddenStates, seqLen, offset = kv.length, firstLayer = 0) {
+    let x = hiddenStates;
+
+    for (let l = firstLayer; l < nLayers; l++) {
+      const p = `model.layers.${l}`;
+      reserve(l, offset + seqLen);
+
+      const h = rmsNorm(x, W(`${p}.input_layernorm.weight`), hidden, eps);
+      const q = mm(h, seqLen, hidden, `${p}.self_attn.q_proj.weight`, qDim);
+      const k = mm(h, seqLen, hidden, `${p}.self_attn.k_proj.weight`, kDim);
+      const v = mm(h, seqLen, hidden, `${p}.self_attn.v_proj.weight`, kDim);
+      ropeEmbed(q, k, { seqLen, nHeads, nKV, headDim, theta, offset });
+
+      kv.keys[l].set(k, offset * kDim);
+      kv.vals[l].set(v, offset * kDim);
+      const a = attention(q, kv.keys[l], kv.vals[l],
+        { seqLen, totalSeq: offset + seqLen, nHeads, nKV, headDim, offset });
+      residualAdd(x, mm(a, seqLen, qDim, `${p}.self_attn.o_proj.weight`, hidden));
+
+      const postNW = W(`${p}.post_attention_layernorm.weight`, false) ||
+                     W(`${p}.post_feedforward_layernorm.weight`, false);
+      const f  = postNW ? rmsNorm(x, postNW, hidden, eps) : x;
+      const g  = mm(f, seqLen, hidden, `${p}.mlp.gate_proj.weight`, ffnH);
+      const u  = mm(f, seqLen, hidden, `${p}.mlp.up_proj.weight`, ffnH);
+      residualAdd(x, mm(swiglu(g, u), seqLen, ffnH, `${p}.mlp.down_proj.weight`, hidden));
+    }
+
+    kv.length = offset + seqLen;
+
+    const fnW = W("model.norm.weight", false);
+    if (fnW) x = rmsNorm(x, fnW, hidden, eps);
+    return mm(x.subarray((seqLen - 1) * hidden), 1, hidden, lmName(), vocab);
+  }
+
+  return {
+    config,
+    forward,
+    forwardFrom,
+    reset() { kv.length = 0; },
+    get kvLength() { return kv.length; },
+    get kvBytes()  { return kv.keys.reduce((n, b) => n + (b ? b.byteLength * 2 : 0), 0); },
+  };
+}
+
+// ─── Random bundles ──────────────────────────────────────────────────────────
+
+/**
+ * Build a tiny randomly-initialised Llama-style .acc bundle in memory.
+ * Weights come from a seeded PRNG before quantization, so bundles with the
+ * same seed and config differ only by `quantMode`.
+ * @param {{config?:object, quantMode?:"f32"|"f16"|"q8"|"q4", seed?:number}} opts
+ * @returns {{manifest:object, config:object, tokenizer:null, shards:Uint8Array[], kernels:null}}
+ */
+export function createRandomBundle(opts = {}) {
+  const { quantMode = "f32", seed = 1 } = opts;
+  const config = {
+    architectures:           ["LlamaForCausalLM"],
+    model_type:              "llama",
+    hidden_size:             64,
+    intermediate_size:       128,
+    num_hidden_layers:       2,
+    num_attention_heads:     4,
+    num_key_value_heads:     2,
+    vocab_size:              256,
+    max_position_embeddings: 256,
+    rms_norm_eps:            1e-5,
+    rope_theta:              10000,
+    tie_word_embeddings:     false,
+    ...opts.config,
+  };
+  const hidden  = config.hidden_size;
+  const headDim = headDimOf(config);
+  const qDim    = config.num_attention_heads * headDim;
+  const kDim    = config.num_key_value_heads * headDim;
+  const ffnH    = config.intermediate_size;
+
+  // mulberry32
+  let s = seed >>> 0;
+  const rand = () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(s ^ (s >>> 15), s | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // Uniform with variance 1/fanIn keeps activations O(1) through the layers
+  const weight = (rows, cols) => {
+    const a = Math.sqrt(3 / cols);
+    return Float32Array.from({ length: rows * cols }, () => (rand() * 2 - 1) * a);
+  };
+  const norm = () => Float32Array.from({ length: hidden }, () => 1 + (rand() - 0.5) * 0.2);
+
+  const tensors = [["model.embed_tokens.weight", [config.vocab_size, hidden], weight(config.vocab_size, hidden)]];
+  for (let l = 0; l < config.num_hidden_layers; l++) {
+    const p = `model.layers.${l}`;
+    tensors.push(
+      [`${p}.input_layernorm.weight`,          [hidden],       norm()],
+      [`${p}.self_attn.q_proj.weight`,         [qDim, hidden], weight(qDim, hidden)],
+      [`${p}.self_attn.k_proj.weight`,         [kDim, hidden], weight(kDim, hidden)],
+      [`${p}.self_attn.v_proj.weight`,         [kDim, hidden], weight(kDim, hidden)],
+      [`${p}.self_attn.o_proj.weight`,         [hidden, qDim], weight(hidden, qDim)],
+      [`${p}.post_attention_layernorm.weight`, [hidden],       norm()],
+      [`${p}.mlp.gate_proj.weight`,            [ffnH, hidden], weight(ffnH, hidden)],
+      [`${p}.mlp.up_proj.weight`,              [ffnH, hidden], weight(ffnH, hidden)],
+      [`${p}.mlp.down_proj.weight`,            [hidden, ffnH], weight(hidden, ffnH)],
+    );
+  }
+  tensors.push(["model.norm.weight", [hidden], norm()]);
+  if (!config.tie_word_embeddings) {
+    tensors.push(["lm_head.weight", [config.vocab_size, hidden], weight(config.vocab_size, hidden)]);
+  }
+
+  const packed = tensors.map(([name, shape, data]) => encodeTensor(name, shape, data, { quantMode }));
+  const { shard, tensors: index } = packShard(packed);
+
+  const manifest = {
+    acc_version:  ACC_VERSION,
+    arch:         "llama",
+    quant:        quantMode,
+    num_shards:   1,
+    created_at:   new Date().toISOString(),
+    source:       "random-init-by-acc-reference",
+    tensor_count: tensors.length,
+    optimized:    false,
+    block_size:   32,
+    tensor_alignment: TENSOR_ALIGN,
+    tensors:      index,
+  };
+  return { manifest, config, tokenizer: null, shards: [shard], kernels: null };
+}
+
+// ─── Node entry point ────────────────────────────────────────────────────────
+// Checks that need no GPU: values exact in half precision survive toFloat16,
+// incremental decode through the KV cache matches a single prefill, and
+// quantized bundles stay close to the F32 bundle they were made from. Exits
+// non-zero on failure so it can gate CI.
+
+function selfCheck() {
+  const prompt  = [1, 17, 42, 99, 3, 250, 7, 64, 128, 5];
+  const results = [];
+  let   f32Logits = null;
+
+  // Every 10-bit mantissa, both signs, at exponents -14 (smallest normal) to 7
+  const exact = Float32Array.from({ length: 8192 }, (_, i) =>
+    (i & 1 ? -1 : 1) * (1 + (i >> 1 & 0x3FF) / 1024) * 2 ** ((i >> 11) * 7 - 14));
+  const half  = Float32Array.from(toFloat16(exact), halfToFloat);
+  results.push({ check: "toFloat16 keeps half-exact values", maxAbs: compareOutputs(half, exact).maxAbs, ok: half.every((v, i) => v === exact[i]) });
+
+  for (const quantMode of ["f32", "f16", "q8", "q4"]) {
+    const bundle = createRandomBundle({ quantMode, seed: 7 });
+    const model  = createReferenceModel(bundle.config, loadTensors(bundle.shards, bundle.manifest.tensor_alignment));
+
+    const full = model.forward(prompt);
+    model.reset();
+    model.forward(prompt.slice(0, 4));
+    let step = null;
+    for (const id of prompt.slice(4)) step = model.forward([id]);
+
+    const kvCheck = compareOutputs(step, full);
+    results.push({ check: `${quantMode} kv-cache decode = prefill`, maxAbs: kvCheck.maxAbs, ok: kvCheck.maxAbs <= 1e-4 });
+
+    if (quantMode === "f32") { f32Logits = full; continue; }
+    // Loose bounds — these catch layout mistakes, not quantization noise
+    const bound = { f16: 0.02, q8: 0.1, q4: 1.5 }[quantMode];
+    const { maxAbs } = compareOutputs(full, f32Logits);
+    results.push({ check: `${quantMode} logits ≈ f32`, maxAbs, ok: maxAbs <= bound });
+  }
+
+  for (const r of results) console.log(`${r.ok ? "ok  " : "FAIL"}  ${r.check}  (max |Δ| ${r.maxAbs.toExponential(2)})`);
+  return results.every(r => r.ok);
+}
+
+if (typeof process !== "undefined" && process.argv?.[1] &&
+    import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = selfCheck() ? 0 : 1;
+}
@@ -0,0 +1,993 @@
+// acc-template.js — Actalithic chat-template renderer
+// Renders the Jinja chat_template shipped with Hugging Face models, so new
+// architectures bring their own prompt format instead of needing a worker edit.
+// Implements the subset those templates use: {{ }}, {% if/elif/else %},
+// {% for %} (with loop.*, else, break/continue), {% set %} incl. namespace(),
+// {% macro %}, filters, tests, and raise_exception().
+//
+// Sandboxed: templates only see the context they are given. Attribute access
+// is limited to own properties of plain data plus a fixed table of string /
+// dict methods — no prototype walking, no JS globals, no mutation of inputs.
+// Matches Hugging Face's environment: trim_blocks + lstrip_blocks, no autoescape.
+// Work is capped too — range() length, total loop iterations and output size —
+// so a hostile template fails with a template error instead of exhausting memory.
+// Apache 2.0 — Actalithic
+
+const UNDEFINED = Object.freeze({ toString: () => "" });
+const CALLABLE  = new WeakSet();           // functions the template may invoke
+const NAMESPACE = new WeakSet();           // objects {% set ns.x = … %} may write
+
+const MAX_RANGE      = 100_000;            // items one range() may produce
+const MAX_ITERATIONS = 1_000_000;          // {% for %} iterations per render
+const MAX_OUTPUT     = 4 * 2 ** 20;        // characters per render, and per string / list built
+
+function callable(fn) { CALLABLE.add(fn); return fn; }
+
+class BreakSignal {}
+class ContinueSignal {}
+
+// Keyword arguments are passed to callables as a trailing KwArgs instance
+class KwArgs { constructor(kw) { this.kw = kw; } }
+const popKwargs = (args) => args[args.length - 1] instanceof KwArgs ? args.pop().kw : {};
+
+function templateError(msg) {
+  return new Error(`Chat template: ${msg}`);
+}
+
+// ─── Lexer ───────────────────────────────────────────────────────────────────
+// Splits source into text / output / tag chunks, applying whitespace control
+// ({%- -%}) and Jinja's trim_blocks / lstrip_blocks rules.
+function lex(src) {
+  const chunks = [];
+  const openRe = /\{([{%#])([-+]?)/g;
+  let pos = 0, trimNext = null;
+
+  const pushText = (text) => {
+    if (trimNext === "all")          text = text.replace(/^\s+/, "");
+    else if (trimNext === "newline") text = text.replace(/^\r?\n/, "");
+    trimNext = null;
+    chunks.push({ kind: "text", value: text });
+  };
+
+  for (;;) {
+    openRe.lastIndex = pos;
+    const m = openRe.exec(src);
+    if (!m) { pushText(src.slice(pos)); break; }
+
+    const kind  = m[1] === "{" ? "output" : m[1] === "%" ? "tag" : "comment";
+    const close = m[1] === "{" ? "}}" : m[1] === "%" ? "%}" : "#}";
+    let text = src.slice(pos, m.index);
+
+    if (m[2] === "-") {
+      text = text.replace(/\s+$/, "");
+    } else if (kind !== "output" && m[2] !== "+") {
+      // lstrip_blocks: drop indentation before a block tag that starts its line
+      const atLineStart = pos === 0 || src[pos - 1] === "\n";
+      if (text.includes("\n"))                       text = text.replace(/\n[ \t]+$/, "\n");
+      else if (atLineStart && /^[ \t]+$/.test(text)) text = "";
+    }
+    pushText(text);
+
+    const bodyStart = m.index + m[0].length;
+    const end = kind === "comment" ? src.indexOf(close, bodyStart) : findClose(src, bodyStart, close);
+    if (end < 0) throw templateError(`unclosed "${m[0]}"`);
+
+    let body = src.slice(bodyStart, end), after = "";
+    if (body.endsWith("-") || body.endsWith("+")) { after = body.slice(-1); body = body.slice(0, -1); }
+    pos = end + 2;
+
+    if (kind !== "comment") chunks.push({ kind, value: body.trim() });
+    if (after === "-")                     trimNext = "all";
+    else if (kind !== "output" && after !== "+") trimNext = "newline";
+  }
+  return chunks;
+}
+
+// Find the closing delimiter, skipping over string literals
+function findClose(src, from, close) {
+  for (let i = from; i < src.length; i++) {
+    const c = src[i];
+    if (c === "'" || c === '"') {
+      for (i++; i < src.length && src[i] !== c; i++) if (src[i] === "\\") i++;
+    } else if (src.startsWith(close, i)) {
+      // "-}}" / "-%}" belong to the close marker
+      return i;
+    }
+  }
+  return -1;
+}
+
+// ─── Expression tokenizer ────────────────────────────────────────────────────
+const TOKEN_RE = /\s*(?:(\d+\.\d*|\d*\.\d+|\d+)|([A-Za-z_][A-Za-z0-9_]*)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(==|!=|<=|>=|\/\/|\*\*|[-+*\/%~|.,:()[\]{}<>=]))/y;
+
+function tokenizeExpr(src) {
+  const toks = [];
+  TOKEN_RE.lastIndex = 0;
+  let pos = 0;
+  while (pos < src.length) {
+    if (/^\s*$/.test(src.slice(pos))) break;
+    TOKEN_RE.lastIndex = pos;
+    const m = TOKEN_RE.exec(src);
+    if (!m) throw templateError(`unexpected character in "${src}"`);
+    pos = TOKEN_RE.lastIndex;
+    if (m[1] !== undefined)      toks.push({ t: "num",  v: Number(m[1]) });
+    else if (m[2] !== undefined) toks.push({ t: "name", v: m[2] });
+    else if (m[3] !== undefined) toks.push({ t: "str",  v: unescapeString(m[3].slice(1, -1)) });
+    else                         toks.push({ t: "op",   v: m[4] });
+  }
+  return toks;
+}
+
+function unescapeString(s) {
+  return s.replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (_, e) => {
+    switch (e[0]) {
+      case "n": return "\n";
+      case "t": return "\t";
+      case "r": return "\r";
+      case "u": case "x": return e.length > 1 ? String.fromCharCode(parseInt(e.slice(1), 16)) : e;
+      default:  return e;
+    }
+  });
+}
+
+// ─── Expression parser ───────────────────────────────────────────────────────
+// Precedence follows Jinja: ternary < or < and < not < compare < + - < ~ <
+// * / // % < ** < unary < filters / tests < postfix.
+class ExprParser {
+  constructor(src) { this.toks = tokenizeExpr(src); this.i = 0; this.src = src; }
+
+  peek(v, t) {
+    const tok = this.toks[this.i];
+    return tok && (v === undefined || tok.v === v) && (t === undefined || tok.t === t) ? tok : null;
+  }
+  next()        { return this.toks[this.i++]; }
+  accept(v, t)  { return this.peek(v, t) ? this.next() : null; }
+  expect(v, t) {
+    const tok = this.accept(v, t);
+    if (!tok) throw templateError(`expected "${v ?? t}" in "${this.src}"`);
+    return tok;
+  }
+  done()        { return this.i >= this.toks.length; }
+  name()        { return this.expect(undefined, "name").v; }
+
+  parseExpr() {
+    const a = this.parseOr();
+    if (this.accept("if", "name")) {
+      const cond = this.parseOr();
+      const b    = this.accept("else", "name") ? this.parseExpr() : { k: "lit", v: UNDEFINED };
+      return { k: "cond", cond, a, b };
+    }
+    return a;
+  }
+  parseOr() {
+    let l = this.parseAnd();
+    while (this.accept("or", "name")) l = { k: "or", l, r: this.parseAnd() };
+    return l;
+  }
+  parseAnd() {
+    let l = this.parseNot();
+    while (this.accept("and", "name")) l = { k: "and", l, r: this.parseNot() };
+    return l;
+  }
+  parseNot() {
+    if (this.accept("not", "name")) return { k: "not", e: this.parseNot() };
+    return this.parseCompare();
+  }
+  parseCompare() {
+    let l = this.parseMath1();
+    for (;;) {
+      const op = this.peek()?.t === "op" && ["==", "!=", "<", ">", "<=", ">="].includes(this.peek().v)
+        ? this.next().v : null;
+      if (op)                                { l = { k: "cmp", op, l, r: this.parseMath1() }; continue; }
+      if (this.accept("in", "name"))          { l = { k: "in", l, r: this.parseMath1() }; continue; }
+      if (this.peek("not", "name") && this.toks[this.i + 1]?.v === "in") {
+        this.i += 2;
+        l = { k: "not", e: { k: "in", l, r: this.parseMath1() } };
+        continue;
+      }
+      return l;
+    }
+  }
+  parseMath1() {
+    let l = this.parseConcat();
+    for (let t; (t = this.accept("+", "op") || this.accept("-", "op"));) l = { k: "bin", op: t.v, l, r: this.parseConcat() };
+    return l;
+  }
+  parseConcat() {
+    let l = this.parseMath2();
+    while (this.accept("~", "op")) l = { k: "bin", op: "~", l, r: this.parseMath2() };
+    return l;
+  }
+  parseMath2() {
+    let l = this.parsePow();
+    for (let t; (t = this.accept("*", "op") || this.accept("/", "op") || this.accept("//", "op") || this.accept("%", "op"));) {
+      l = { k: "bin", op: t.v, l, r: this.parsePow() };
+    }
+    return l;
+  }
+  parsePow() {
+    let l = this.parseUnary();
+    while (this.accept("**", "op")) l = { k: "bin", op: "**", l, r: this.parseUnary() };
+    return l;
+  }
+  parseUnary() {
+    if (this.accept("-", "op")) return this.parseFilters({ k: "neg", e: this.parseUnary() });
+    if (this.accept("+", "op")) return this.parseUnary();
+    return this.parseFilters(this.parsePostfix(this.parsePrimary()));
+  }
+  parseFilters(e) {
+    for (;;) {
+      if (this.accept("|", "op")) {
+        const name = this.name();
+        const { args, kw } = this.peek("(", "op") ? this.parseArgs() : { args: [], kw: {} };
+        e = { k: "filter", name, e, args, kw };
+      } else if (this.accept("is", "name")) {
+        const neg  = !!this.accept("not", "name");
+        const name = this.peek("none", "name") || this.peek("true", "name") || this.peek("false", "name")
+          ? this.next().v : this.name();
+        let args = [];
+        if (this.peek("(", "op")) args = this.parseArgs().args;
+        else if (this.peek(undefined, "num") || this.peek(undefined, "str")) args = [this.parsePrimary()];
+        e = { k: "test", name, e, args, neg };
+      } else {
+        return e;
+      }
+    }
+  }
+  parsePostfix(e) {
+    for (;;) {
+      if (this.accept(".", "op")) {
+        const tok = this.next();
+        e = { k: "attr", e, name: String(tok.v) };
+      } else if (this.accept("[", "op")) {
+        let start = null, stop = null, step = null, slice = false;
+        if (!this.peek(":", "op")) start = this.parseExpr();
+        if (this.accept(":", "op")) {
+          slice = true;
+          if (!this.peek("]", "op") && !this.peek(":", "op")) stop = this.parseExpr();
+          if (this.accept(":", "op") && !this.peek("]", "op")) step = this.parseExpr();
+        }
+        this.expect("]", "op");
+        e = slice ? { k: "slice", e, start, stop, step } : { k: "item", e, key: start };
+      } else if (this.peek("(", "op")) {
+        const { args, kw } = this.parseArgs();
+        e = { k: "call", fn: e, args, kw };
+      } else {
+        return e;
+      }
+    }
+  }
+  parseArgs() {
+    this.expect("(", "op");
+    const args = [], kw = {};
+    while (!this.accept(")", "op")) {
+      if (this.peek(undefined, "name") && this.toks[this.i + 1]?.v === "=") {
+        const k = this.name(); this.next();
+        kw[k] = this.parseExpr();
+      } else {
+        args.push(this.parseExpr());
+      }
+      if (!this.accept(",", "op")) { this.expect(")", "op"); break; }
+    }
+    return { args, kw };
+  }
+  parsePrimary() {
+    const tok = this.next();
+    if (!tok) throw templateError(`unexpected end of expression "${this.src}"`);
+    if (tok.t === "num") return { k: "lit", v: tok.v };
+    if (tok.t === "str") {
+      let v = tok.v;
+      while (this.peek(undefined, "str")) v += this.next().v;
+      return { k: "lit", v };
+    }
+    if (tok.t === "name") {
+      switch (tok.v) {
+        case "true":  case "True":  return { k: "lit", v: true };
+        case "false": case "False": return { k: "lit", v: false };
+        case "none":  case "None":  return { k: "lit", v: null };
+      }
+      return { k: "name", name: tok.v };
+    }
+    if (tok.v === "(") {
+      if (this.accept(")", "op")) return { k: "list", items: [] };
+      const first = this.parseExpr();
+      if (!this.accept(",", "op")) { this.expect(")", "op"); return first; }
+      const items = [first];
+      while (!this.accept(")", "op")) {
+        items.push(this.parseExpr());
+        if (!this.accept(",", "op")) { this.expect(")", "op"); break; }
+      }
+      return { k: "list", items };
+    }
+    if (tok.v === "[") {
+      const items = [];
+      while (!this.accept("]", "op")) {
+        items.push(this.parseExpr());
+        if (!this.accept(",", "op")) { this.expect("]", "op"); break; }
+      }
+      return { k: "list", items };
+    }
+    if (tok.v === "{") {
+      const entries = [];
+      while (!this.accept("}", "op")) {
+        const key = this.parseExpr();
+        this.expect(":", "op");
+        entries.push([key, this.parseExpr()]);
+        if (!this.accept(",", "op")) { this.expect("}", "op"); break; }
+      }
+      return { k: "dict", entries };
+    }
+    throw templateError(`unexpected "${tok.v}" in "${this.src}"`);
+  }
+
+  // Comma-separated assignment targets: `a`, `a, b`, `ns.attr`
+  parseTargets() {
+    const targets = [];
+    do {
+      const name = this.name();
+      targets.push(this.accept(".", "op") ? { ns: name, attr: this.name() } : { name });
+    } while (this.accept(",", "op"));
+    return targets;
+  }
+}
+
+function parseExpression(src) {
+  const p = new ExprParser(src);
+  const e = p.parseExpr();
+  if (!p.done()) throw templateError(`unexpected "${p.peek().v}" in "${src}"`);
+  return e;
+}
+
+// ─── Statement parser ────────────────────────────────────────────────────────
+function parseTemplate(chunks) {
+  let i = 0;
+
+  // Parse nodes until one of `stops` tags; returns [nodes, stopTagName, stopParser]
+  function parseBlock(stops) {
+    const nodes = [];
+    while (i < chunks.length) {
+      const c = chunks[i++];
+      if (c.kind === "text")   { if (c.value) nodes.push({ k: "text", v: c.value }); continue; }
+      if (c.kind === "output") { nodes.push({ k: "out", e: parseExpression(c.value) }); continue; }
+
+      const p   = new ExprParser(c.value);
+      const tag = p.name();
+      if (stops.includes(tag)) return [nodes, tag, p];
+
+      switch (tag) {
+        case "if": {
+          const branches = [];
+          let cond = p.parseExpr(), body, stop, sp;
+          for (;;) {
+            [body, stop, sp] = parseBlock(["elif", "else", "endif"]);
+            branches.push({ cond, body });
+            if (stop === "elif") { cond = sp.parseExpr(); continue; }
+            if (stop === "else") {
+              [body, stop] = parseBlock(["endif"]);
+              branches.push({ cond: null, body });
+            }
+            break;
+          }
+          if (stop !== "endif") throw templateError("missing {% endif %}");
+          nodes.push({ k: "if", branches });
+          break;
+        }
+        case "for": {
+          const targets = p.parseTargets().map(t => t.name);
+          p.expect("in", "name");
+          const iter   = p.parseOr();
+          const filter = p.accept("if", "name") ? p.parseExpr() : null;
+          let [body, stop] = parseBlock(["else", "endfor"]);
+          let orelse = [];
+          if (stop === "else") [orelse, stop] = parseBlock(["endfor"]);
+          if (stop !== "endfor") throw templateError("missing {% endfor %}");
+          nodes.push({ k: "for", targets, iter, filter, body, orelse });
+          break;
+        }
+        case "set": {
+          const targets = p.parseTargets();
+          if (p.accept("=", "op")) {
+            nodes.push({ k: "set", targets, e: p.parseExpr() });
+          } else {
+            const [body, stop] = parseBlock(["endset"]);
+            if (stop !== "endset") throw templateError("missing {% endset %}");
+            nodes.push({ k: "setblock", target: targets[0], body });
+          }
+          break;
+        }
+        case "macro": {
+          const name   = p.name();
+          const params = [];
+          p.expect("(", "op");
+          while (!p.accept(")", "op")) {
+            const pname = p.name();
+            params.push({ name: pname, def: p.accept("=", "op") ? p.parseExpr() : null });
+            if (!p.accept(",", "op")) { p.expect(")", "op"); break; }
+          }
+          const [body, stop] = parseBlock(["endmacro"]);
+          if (stop !== "endmacro") throw templateError("missing {% endmacro %}");
+          nodes.push({ k: "macro", name, params, body });
+          break;
+        }
+        case "generation": {
+          // Hugging Face assistant-mask marker — renders its body unchanged
+          const [body, stop] = parseBlock(["endgeneration"]);
+          if (stop !== "endgeneration") throw templateError("missing {% endgeneration %}");
+          nodes.push(...body);
+          break;
+        }
+        case "break":    nodes.push({ k: "break" });    break;
+        case "continue": nodes.push({ k: "continue" }); break;
+        default:
+          throw templateError(`unsupported tag {% ${tag} %}`);
+      }
+    }
+    if (stops.length) throw templateError(`missing {% ${stops[stops.length - 1]} %}`);
+    return [nodes, null, null];
+  }
+
+  return parseBlock([])[0];
+}
+
+// ─── Runtime values ──────────────────────────────────────────────────────────
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v) && v !== UNDEFINED;
+const hasOwn        = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+function truthy(v) {
+  if (v === UNDEFINED || v === null || v === undefined) return false;
+  if (Array.isArray(v) || typeof v === "string") return v.length > 0;
+  if (isPlainObject(v)) return NAMESPACE.has(v) || Object.keys(v).length > 0;
+  return !!v;
+}
+
+// Python str()
+function str(v, budget) {
+  if (v === UNDEFINED || v === undefined) return "";
+  if (typeof v === "string") return v;
+  if (v === null)  return "None";
+  if (v === true)  return "True";
+  if (v === false) return "False";
+  if (Array.isArray(v) || isPlainObject(v)) return repr(v, budget);
+  return String(v);
+}
+
+// Serialisers charge every piece they emit to one budget, so data that shares
+// sub-lists many times over cannot expand past MAX_OUTPUT
+const newBudget = () => ({ left: MAX_OUTPUT });
+
+function spend(budget, n) {
+  if ((budget.left -= n) < 0) throw templateError(`value exceeds ${MAX_OUTPUT} characters`);
+}
+
+// Python repr() for lists / dicts printed directly
+function repr(v, budget = newBudget()) {
+  if (typeof v === "string") { spend(budget, v.length + 2); return `'${v.replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/\n/g, "\\n")}'`; }
+  if (Array.isArray(v)) { spend(budget, 2 + 2 * v.length); return `[${v.map(x => repr(x, budget)).join(", ")}]`; }
+  if (isPlainObject(v)) {
+    const entries = Object.entries(v);
+    spend(budget, 2 + 4 * entries.length);
+    return `{${entries.map(([k, x]) => `${repr(k, budget)}: ${repr(x, budget)}`).join(", ")}}`;
+  }
+  const s = str(v);
+  spend(budget, s.length);
+  return s;
+}
+
+// json.dumps(ensure_ascii=False) — Python separators (", " / ": ") unless indented
+function toJson(v, indent = null, depth = 0, budget = newBudget()) {
+  if (v === UNDEFINED || v === undefined) { spend(budget, 4); return "null"; }
+  if (v === null || typeof v !== "object") {
+    const s = JSON.stringify(v) ?? "null";
+    spend(budget, s.length);
+    return s;
+  }
+  const items = Array.isArray(v) ? v : Object.keys(v);
+  if (!items.length) { spend(budget, 2); return Array.isArray(v) ? "[]" : "{}"; }
+  if (indent != null) spend(budget, indent * (depth + 1) * (items.length + 1));
+  const pad  = indent != null ? "\n" + " ".repeat(indent * (depth + 1)) : "";
+  const end  = indent != null ? "\n" + " ".repeat(indent * depth) : "";
+  const sep  = indent != null ? "," : ", ";
+  spend(budget, 2 + 4 * items.length);
+  if (Array.isArray(v)) return "[" + v.map(x => pad + toJson(x, indent, depth + 1, budget)).join(sep) + end + "]";
+  return "{" + items.map(k => pad + JSON.stringify(k) + ": " + toJson(v[k], indent, depth + 1, budget)).join(sep) + end + "}";
+}
+
+// Array join with the result size checked before it is built
+function joinChecked(parts, sep) {
+  const n = parts.reduce((t, p) => t + p.length, 0) + sep.length * Math.max(0, parts.length - 1);
+  if (n > MAX_OUTPUT) throw templateError(`value exceeds ${MAX_OUTPUT} characters`);
+  return parts.join(sep);
+}
+
+function equals(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((x, i) => equals(x, b[i]));
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const ka = Object.keys(a), kb = Object.keys(b);
+    return ka.length === kb.length && ka.every(k => hasOwn(b, k) && equals(a[k], b[k]));
+  }
+  return false;
+}
+
+function iterate(v) {
+  if (v === UNDEFINED || v === null || v === undefined) return [];
+  if (Array.isArray(v))     return v;
+  if (typeof v === "string") return Array.from(v);
+  if (isPlainObject(v))     return Object.keys(v);
+  throw templateError(`${typeof v} is not iterable`);
+}
+
+function length(v) {
+  if (typeof v === "string" || Array.isArray(v)) return v.length;
+  if (isPlainObject(v)) return Object.keys(v).length;
+  return 0;
+}
+
+// String / dict methods reachable via attribute access
+function method(obj, name) {
+  if (typeof obj === "string") {
+    const s = obj;
+    const strip = (chars, re) => chars == null ? s.replace(re, "") : null;
+    switch (name) {
+      case "strip":      return callable((c) => strip(c, /^\s+|\s+$/g) ?? trimChars(s, c, true, true));
+      case "lstrip":     return callable((c) => strip(c, /^\s+/) ?? trimChars(s, c, true, false));
+      case "rstrip":     return callable((c) => strip(c, /\s+$/) ?? trimChars(s, c, false, true));
+      case "upper":      return callable(() => s.toUpperCase());
+      case "lower":      return callable(() => s.toLowerCase());
+      case "title":      return callable(() => titleCase(s));
+      case "capitalize": return callable(() => s.charAt(0).toUpperCase() + s.slice(1).toLowerCase());
+      case "startswith": return callable((p) => [].concat(p).some(x => s.startsWith(x)));
+      case "endswith":   return callable((p) => [].concat(p).some(x => s.endsWith(x)));
+      case "replace":    return callable((a, b) => joinChecked(s.split(a), str(b)));
+      case "split":      return callable((sep, max) => pySplit(s, sep, max));
+      case "join":       return callable((items) => { const b = newBudget(); return joinChecked(iterate(items).map(x => str(x, b)), s); });
+      case "find":       return callable((x) => s.indexOf(x));
+      case "count":      return callable((x) => x ? s.split(x).length - 1 : s.length + 1);
+      case "format":     return callable((...args) => { let n = 0; return joinChecked(s.split("{}").flatMap((p, i) => i ? [str(args[n++]), p] : [p]), ""); });
+    }
+  } else if (isPlainObject(obj) && !NAMESPACE.has(obj)) {
+    switch (name) {
+      case "items":  return callable(() => Object.entries(obj));
+      case "keys":   return callable(() => Object.keys(obj));
+      case "values": return callable(() => Object.values(obj));
+      case "get":    return callable((k, d = null) => hasOwn(obj, k) ? obj[k] : d);
+    }
+  }
+  return UNDEFINED;
+}
+
+function trimChars(s, chars, left, right) {
+  let a = 0, b = s.length;
+  if (left)  while (a < b && chars.includes(s[a])) a++;
+  if (right) while (b > a && chars.includes(s[b - 1])) b--;
+  return s.slice(a, b);
+}
+
+function titleCase(s) {
+  return s.replace(/[A-Za-z]+/g, w => w[0].toUpperCase() + w.slice(1).toLowerCase());
+}
+
+function pySplit(s, sep, max = -1) {
+  if (sep == null) {
+    const parts = s.trim().split(/\s+/).filter(Boolean);
+    return max >= 0 && parts.length > max + 1 ? [...parts.slice(0, max), parts.slice(max).join(" ")] : parts;
+  }
+  const parts = s.split(sep);
+  return max >= 0 && parts.length > max + 1 ? [...parts.slice(0, max), parts.slice(max).join(sep)] : parts;
+}
+
+function getAttr(obj, name) {
+  if (obj === UNDEFINED || obj === null || obj === undefined) return UNDEFINED;
+  if (isPlainObject(obj) && hasOwn(obj, name)) return obj[name];
+  return method(obj, name);
+}
+
+function getItem(obj, key) {
+  if (obj === UNDEFINED || obj === null || obj === undefined) return UNDEFINED;
+  if ((Array.isArray(obj) || typeof obj === "string") && typeof key === "number") {
+    const i = key < 0 ? obj.length + key : key;
+    return i >= 0 && i < obj.length ? obj[i] : UNDEFINED;
+  }
+  if (typeof key === "string") return getAttr(obj, key);
+  return UNDEFINED;
+}
+
+function slice(v, start, stop, step) {
+  const items = typeof v === "string" ? Array.from(v) : Array.isArray(v) ? v : [];
+  const n = items.length;
+  step = step ?? 1;
+  const norm = (x, d) => x == null ? d : x < 0 ? Math.max(n + x, step < 0 ? -1 : 0) : Math.min(x, step < 0 ? n - 1 : n);
+  const out = [];
+  if (step > 0) for (let i = norm(start, 0); i < norm(stop, n); i += step) out.push(items[i]);
+  else          for (let i = norm(start, n - 1); i > norm(stop, -1); i += step) out.push(items[i]);
+  return typeof v === "string" ? out.join("") : out;
+}
+
+// ─── Filters & tests ─────────────────────────────────────────────────────────
+const FILTERS = {
+  trim:       (v, [chars]) => chars == null ? str(v).trim() : trimChars(str(v), chars, true, true),
+  length:     (v) => length(v),
+  count:      (v) => length(v),
+  upper:      (v) => str(v).toUpperCase(),
+  lower:      (v) => str(v).toLowerCase(),
+  title:      (v) => titleCase(str(v)),
+  capitalize: (v) => { const s = str(v); return s.charAt(0).toUpperCase() + s.slice(1).toLowerCase(); },
+  string:     (v) => str(v),
+  int:        (v, [d = 0]) => { const n = parseInt(v, 10); return Number.isNaN(n) ? d : n; },
+  float:      (v, [d = 0]) => { const n = parseFloat(v);   return Number.isNaN(n) ? d : n; },
+  abs:        (v) => Math.abs(v),
+  round:      (v, [p = 0]) => Math.round(v * 10 ** p) / 10 ** p,
+  tojson:     (v, [indent], kw) => { const i = kw.indent ?? indent; return toJson(v, i == null ? null : Math.max(0, Math.floor(i) || 0)); },
+  join:       (v, [sep = "", attr], kw) => {
+    const b = newBudget(), key = kw.attribute ?? attr;
+    return joinChecked(iterate(v).map(x => str(key != null ? getAttr(x, key) : x, b)), str(sep));
+  },
+  default:    (v, [d = "", bool = false]) => (v === UNDEFINED || (bool && !truthy(v))) ? d : v,
+  first:      (v) => iterate(v)[0] ?? UNDEFINED,
+  last:       (v) => { const a = iterate(v); return a.length ? a[a.length - 1] : UNDEFINED; },
+  list:       (v) => [...iterate(v)],
+  reverse:    (v) => typeof v === "string" ? Array.from(v).reverse().join("") : [...iterate(v)].reverse(),
+  sort:       (v) => [...iterate(v)].sort((a, b) => (a > b) - (a < b)),
+  unique:     (v) => [...new Set(iterate(v))],
+  replace:    (v, [a, b]) => joinChecked(str(v).split(a), str(b)),
+  items:      (v) => isPlainObject(v) ? Object.entries(v) : [],
+  dictsort:   (v) => isPlainObject(v) ? Object.entries(v).sort(([a], [b]) => (a > b) - (a < b)) : [],
+  indent:     (v, [w = 4, first = false], kw) => {
+    const lines = str(v).split("\n");
+    const width = typeof w === "number" ? Math.max(0, Math.floor(w)) : str(w).length;
+    if (width * lines.length > MAX_OUTPUT) throw templateError(`indent() output exceeds ${MAX_OUTPUT} characters`);
+    const pad = typeof w === "number" ? " ".repeat(width) : str(w);
+    return lines.map((l, i) => (i === 0 && !(kw.first ?? first)) || !l ? l : pad + l).join("\n");
+  },
+  safe:       (v) => v,
+  escape:     (v) => str(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&#34;").replace(/'/g, "&#39;"),
+  map:        (v, [name], kw, ctx) => iterate(v).map(x => kw.attribute != null ? getAttr(x, kw.attribute) : ctx.filter(name, x, [], {})),
+  select:     (v, [test, ...a], kw, ctx) => iterate(v).filter(x => test == null ? truthy(x) : ctx.test(test, x, a)),
+  reject:     (v, [test, ...a], kw, ctx) => iterate(v).filter(x => !(test == null ? truthy(x) : ctx.test(test, x, a))),
+  selectattr: (v, [attr, test, ...a], kw, ctx) => iterate(v).filter(x => test == null ? truthy(getAttr(x, attr)) : ctx.test(test, getAttr(x, attr), a)),
+  rejectattr: (v, [attr, test, ...a], kw, ctx) => iterate(v).filter(x => !(test == null ? truthy(getAttr(x, attr)) : ctx.test(test, getAttr(x, attr), a))),
+};
+FILTERS.d = FILTERS.default;
+FILTERS.e = FILTERS.escape;
+
+const TESTS = {
+  defined:     (v) => v !== UNDEFINED,
+  undefined:   (v) => v === UNDEFINED,
+  none:        (v) => v === null,
+  true:        (v) => v === true,
+  false:       (v) => v === false,
+  boolean:     (v) => typeof v === "boolean",
+  string:      (v) => typeof v === "string",
+  number:      (v) => typeof v === "number",
+  integer:     (v) => Number.isInteger(v),
+  float:       (v) => typeof v === "number" && !Number.isInteger(v),
+  mapping:     (v) => isPlainObject(v),
+  sequence:    (v) => Array.isArray(v) || typeof v === "string",
+  iterable:    (v) => Array.isArray(v) || typeof v === "string" || isPlainObject(v),
+  callable:    (v) => CALLABLE.has(v),
+  even:        (v) => v % 2 === 0,
+  odd:         (v) => v % 2 !== 0,
+  divisibleby: (v, n) => v % n === 0,
+  eq:          (v, x) => equals(v, x),
+  ne:          (v, x) => !equals(v, x),
+  in:          (v, x) => contains(x, v),
+  lower:       (v) => typeof v === "string" && v === v.toLowerCase(),
+  upper:       (v) => typeof v === "string" && v === v.toUpperCase(),
+};
+TESTS.equalto = TESTS.eq;
+TESTS["=="]   = TESTS.eq;
+
+function contains(container, item) {
+  if (typeof container === "string") return container.includes(str(item));
+  if (Array.isArray(container))      return container.some(x => equals(x, item));
+  if (isPlainObject(container))      return hasOwn(container, item);
+  return false;
+}
+
+// ─── Evaluator ───────────────────────────────────────────────────────────────
+class Scope {
+  constructor(parent = null, vars = {}) {
+    this.parent = parent;
+    this.vars   = new Map(Object.entries(vars));
+  }
+  get(name) {
+    for (let s = this; s; s = s.parent) if (s.vars.has(name)) return s.vars.get(name);
+    return UNDEFINED;
+  }
+  set(name, v) { this.vars.set(name, v); }
+}
+
+class Renderer {
+  constructor() {
+    this.iterations = 0;
+    this.written    = 0;
+  }
+
+  // Every chunk written — including {% set %} blocks and macro bodies — counts
+  // against MAX_OUTPUT, so nested buffers cannot dodge the cap
+  write(out, s) {
+    this.written += s.length;
+    if (this.written > MAX_OUTPUT) throw templateError(`output exceeds ${MAX_OUTPUT} characters`);
+    out.push(s);
+  }
+
+  filter(name, v, args, kw) {
+    const f = FILTERS[name];
+    if (!f) throw templateError(`unknown filter "${name}"`);
+    return f(v, args, kw, this);
+  }
+  test(name, v, args) {
+    const t = TESTS[name];
+    if (!t) throw templateError(`unknown test "${name}"`);
+    return t(v, ...args);
+  }
+
+  eval(e, scope) {
+    switch (e.k) {
+      case "lit":   return e.v;
+      case "name":  return scope.get(e.name);
+      case "list":  return e.items.map(x => this.eval(x, scope));
+      case "dict": {
+        const o = {};
+        for (const [k, v] of e.entries) o[str(this.eval(k, scope))] = this.eval(v, scope);
+        return o;
+      }
+      case "attr":  return getAttr(this.eval(e.e, scope), e.name);
+      case "item":  return getItem(this.eval(e.e, scope), this.eval(e.key, scope));
+      case "slice": {
+        const n = (x) => x ? this.eval(x, scope) : null;
+        return slice(this.eval(e.e, scope), n(e.start), n(e.stop), n(e.step));
+      }
+      case "call": {
+        const fn = this.eval(e.fn, scope);
+        if (!CALLABLE.has(fn)) throw templateError(`${exprName(e.fn)} is not callable`);
+        const args = e.args.map(x => this.eval(x, scope));
+        const kw   = Object.fromEntries(Object.entries(e.kw).map(([k, x]) => [k, this.eval(x, scope)]));
+        return Object.keys(kw).length ? fn(...args, new KwArgs(kw)) : fn(...args);
+      }
+      case "filter": {
+        const v    = this.eval(e.e, scope);
+        const args = e.args.map(x => this.eval(x, scope));
+        const kw   = Object.fromEntries(Object.entries(e.kw).map(([k, x]) => [k, this.eval(x, scope)]));
+        return this.filter(e.name, v, args, kw);
+      }
+      case "test": {
+        const r = this.test(e.name, this.eval(e.e, scope), e.args.map(x => this.eval(x, scope)));
+        return e.neg ? !r : r;
+      }
+      case "cond":  return truthy(this.eval(e.cond, scope)) ? this.eval(e.a, scope) : this.eval(e.b, scope);
+      case "or":  { const l = this.eval(e.l, scope); return truthy(l) ? l : this.eval(e.r, scope); }
+      case "and": { const l = this.eval(e.l, scope); return truthy(l) ? this.eval(e.r, scope) : l; }
+      case "not":   return !truthy(this.eval(e.e, scope));
+      case "neg":   return -this.eval(e.e, scope);
+      case "in":    return contains(this.eval(e.r, scope), this.eval(e.l, scope));
+      case "cmp": {
+        const l = this.eval(e.l, scope), r = this.eval(e.r, scope);
+        switch (e.op) {
+          case "==": return equals(l, r);
+          case "!=": return !equals(l, r);
+          case "<":  return l < r;
+          case ">":  return l > r;
+          case "<=": return l <= r;
+          case ">=": return l >= r;
+        }
+        break;
+      }
+      case "bin":   return this.binary(e.op, this.eval(e.l, scope), this.eval(e.r, scope));
+    }
+    throw templateError(`cannot evaluate "${e.k}"`);
+  }
+
+  binary(op, l, r) {
+    switch (op) {
+      case "~":  return checkSize(str(l) + str(r));
+      case "+":
+        if (Array.isArray(l) && Array.isArray(r)) return checkSize([...l, ...r]);
+        if (typeof l === "string" || typeof r === "string") {
+          if (typeof l !== typeof r) throw templateError(`cannot add ${typeof l} and ${typeof r}`);
+          return checkSize(l + r);
+        }
+        return l + r;
+      case "-":  return l - r;
+      case "*":
+        if (typeof l === "string" || Array.isArray(l)) {
+          const n = Math.max(0, Math.floor(r));
+          if (l.length * n > MAX_OUTPUT) throw templateError(`repetition exceeds ${MAX_OUTPUT} items`);
+          return typeof l === "string" ? l.repeat(n) : Array.from({ length: n }, () => l).flat();
+        }
+        return l * r;
+      case "/":  return l / r;
+      case "//": return Math.floor(l / r);
+      case "%":  return ((l % r) + r) % r;
+      case "**": return l ** r;
+    }
+    throw templateError(`unknown operator "${op}"`);
+  }
+
+  render(nodes, scope, out) {
+    for (const n of nodes) {
+      switch (n.k) {
+        case "text": this.write(out, n.v); break;
+        case "out":  this.write(out, str(this.eval(n.e, scope))); break;
+        case "if":
+          for (const b of n.branches) {
+            if (b.cond === null || truthy(this.eval(b.cond, scope))) { this.render(b.body, scope, out); break; }
+          }
+          break;
+        case "for":  this.renderFor(n, scope, out); break;
+        case "set": {
+          const v = this.eval(n.e, scope);
+          this.assign(n.targets, n.targets.length > 1 ? iterate(v) : [v], scope);
+          break;
+        }
+        case "setblock": {
+          const buf = [];
+          this.render(n.body, new Scope(scope), buf);
+          this.assign([n.target], [buf.join("")], scope);
+          break;
+        }
+        case "macro":    scope.set(n.name, this.macro(n, scope)); break;
+        case "break":    throw new BreakSignal();
+        case "continue": throw new ContinueSignal();
+      }
+    }
+  }
+
+  assign(targets, values, scope) {
+    targets.forEach((t, i) => {
+      if (t.ns === undefined) { scope.set(t.name, values[i]); return; }
+      const ns = scope.get(t.ns);
+      if (!NAMESPACE.has(ns)) throw templateError(`cannot set attribute on "${t.ns}" — not a namespace()`);
+      ns[t.attr] = values[i];
+    });
+  }
+
+  renderFor(n, scope, out) {
+    let items = iterate(this.eval(n.iter, scope));
+    if (n.filter) {
+      items = items.filter(item => {
+        const s = new Scope(scope);
+        this.bindTargets(n.targets, item, s);
+        return truthy(this.eval(n.filter, s));
+      });
+    }
+    if (!items.length) { this.render(n.orelse, scope, out); return; }
+
+    const len = items.length;
+    for (let i = 0; i < len; i++) {
+      if (++this.iterations > MAX_ITERATIONS) throw templateError(`more than ${MAX_ITERATIONS} loop iterations`);
+      const s = new Scope(scope);
+      this.bindTargets(n.targets, items[i], s);
+      s.set("loop", {
+        index: i + 1, index0: i, revindex: len - i, revindex0: len - i - 1,
+        first: i === 0, last: i === len - 1, length: len,
+        previtem: i > 0 ? items[i - 1] : UNDEFINED,
+        nextitem: i < len - 1 ? items[i + 1] : UNDEFINED,
+      });
+      try {
+        this.render(n.body, s, out);
+      } catch (sig) {
+        if (sig instanceof BreakSignal) break;
+        if (!(sig instanceof ContinueSignal)) throw sig;
+      }
+    }
+  }
+
+  bindTargets(targets, item, scope) {
+    if (targets.length === 1) { scope.set(targets[0], item); return; }
+    const parts = iterate(item);
+    targets.forEach((t, i) => scope.set(t, parts[i] ?? UNDEFINED));
+  }
+
+  macro(n, defScope) {
+    return callable((...args) => {
+      const kw = popKwargs(args);
+      const s = new Scope(defScope);
+      n.params.forEach((p, i) => {
+        const v = i < args.length ? args[i] : hasOwn(kw, p.name) ? kw[p.name] : p.def ? this.eval(p.def, defScope) : UNDEFINED;
+        s.set(p.name, v);
+      });
+      const buf = [];
+      this.render(n.body, s, buf);
+      return buf.join("");
+    });
+  }
+}
+
+// Strings and lists built by operators are capped like the output itself
+function checkSize(v) {
+  if (v.length > MAX_OUTPUT) throw templateError(`value exceeds ${MAX_OUTPUT} items`);
+  return v;
+}
+
+function exprName(e) {
+  return e.k === "name" ? e.name : e.k === "attr" ? `${exprName(e.e)}.${e.name}` : "expression";
+}
+
+// ─── Globals ─────────────────────────────────────────────────────────────────
+const MONTHS = ["January","February","March","April","May","June","July","August","September","October","November","December"];
+const DAYS   = ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"];
+
+function strftime(fmt, d = new Date()) {
+  const p2 = (n) => String(n).padStart(2, "0");
+  return fmt.replace(/%([aAbBdHIjmMpSyY%])/g, (_, c) => {
+    switch (c) {
+      case "a": return DAYS[d.getDay()].slice(0, 3);
+      case "A": return DAYS[d.getDay()];
+      case "b": return MONTHS[d.getMonth()].slice(0, 3);
+      case "B": return MONTHS[d.getMonth()];
+      case "d": return p2(d.getDate());
+      case "H": return p2(d.getHours());
+      case "I": return p2(d.getHours() % 12 || 12);
+      case "j": return String(Math.floor((d - new Date(d.getFullYear(), 0, 0)) / 864e5)).padStart(3, "0");
+      case "m": return p2(d.getMonth() + 1);
+      case "M": return p2(d.getMinutes());
+      case "p": return d.getHours() < 12 ? "AM" : "PM";
+      case "S": return p2(d.getSeconds());
+      case "y": return p2(d.getFullYear() % 100);
+      case "Y": return String(d.getFullYear());
+      default:  return "%";
+    }
+  });
+}
+
+function makeGlobals() {
+  return {
+    raise_exception: callable((msg) => { throw templateError(str(msg)); }),
+    strftime_now:    callable((fmt) => strftime(str(fmt))),
+    range: callable((a, b, step = 1) => {
+      if (b === undefined) { b = a; a = 0; }
+      if (!step) throw templateError("range() step must not be zero");
+      if (Math.max(0, Math.ceil((b - a) / step)) > MAX_RANGE) throw templateError(`range() longer than ${MAX_RANGE} items`);
+      const out = [];
+      for (let i = a; step > 0 ? i < b : i > b; i += step) out.push(i);
+      return out;
+    }),
+    namespace: callable((...args) => {
+      const ns = { ...popKwargs(args) };
+      NAMESPACE.add(ns);
+      return ns;
+    }),
+  };
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Compile a chat template once; the result can be rendered many times.
+ * Throws on syntax errors so a broken template is caught at load time.
+ */
+export function compileChatTemplate(source) {
+  const nodes = parseTemplate(lex(source));
+  return {
+    render(context = {}) {
+      // Inputs are cloned so templates can never mutate the caller's messages
+      const data  = JSON.parse(JSON.stringify(context));
+      const scope = new Scope(new Scope(null, makeGlobals()), data);
+      const out   = [];
+      new Renderer().render(nodes, scope, out);
+      return out.join("");
+    },
+  };
+}
+
+/**
+ * Render a Hugging Face chat_template.
+ * context: { messages, add_generation_prompt, bos_token, eos_token, tools?, ... }
+ */
+export function renderChatTemplate(source, context) {
+  return compileChatTemplate(source).render(context);
+}
+
+/**
+ * Some templates (Gemma) reject a system turn. Returns the messages with the
+ * leading system message folded into the first user message, or null when
+ * there is no system message to fold.
+ */
+export function foldSystemMessage(messages) {
+  const userIdx = messages.findIndex(m => m.role === "user");
+  if (messages[0]?.role !== "system" || userIdx < 0) return null;
+  const folded = messages.slice(1);
+  folded[userIdx - 1] = { ...messages[userIdx], content: `${messages[0].content}\n\n${messages[userIdx].content}` };
+  return folded;
+}
@@ -0,0 +1,509 @@
+// acc-tokenizer.js — Actalithic ACC Tokenizer
+// Runs a Hugging Face tokenizer.json (BPE model) in the browser or Node.
+// Honours the normalizer / pre_tokenizer / decoder sections so ids match the
+// reference tokenizer for byte-level BPE (Llama 3, GPT-2 / tiktoken-style) and
+// SentencePiece BPE (Mistral, Llama 2) vocabularies.
+// Apache 2.0 — Actalithic
+
+// ─── Byte ↔ Unicode (GPT-2 byte-level alphabet) ──────────────────────────────
+// Printable bytes map to themselves; the rest are shifted to U+0100+ so every
+// byte has a visible, non-whitespace stand-in in the vocab.
+const BYTE_TO_UNICODE = (() => {
+  const map = new Array(256);
+  let n = 0;
+  for (let b = 0; b < 256; b++) {
+    const printable = (b >= 0x21 && b <= 0x7e) || (b >= 0xa1 && b <= 0xac) || (b >= 0xae && b <= 0xff);
+    map[b] = String.fromCodePoint(printable ? b : 256 + n++);
+  }
+  return map;
+})();
+const UNICODE_TO_BYTE = new Map(BYTE_TO_UNICODE.map((c, b) => [c, b]));
+
+// GPT-2 split pattern used by ByteLevel when use_regex is set
+const GPT2_PRETOKENIZE = "'s|'t|'re|'ve|'m|'ll|'d| ?\\p{L}+| ?\\p{N}+| ?[^\\s\\p{L}\\p{N}]+|\\s+(?!\\S)|\\s+";
+
+const utf8 = new TextEncoder();
+
+// ─── Regex translation ───────────────────────────────────────────────────────
+// tokenizer.json patterns are Oniguruma. JS lacks scoped (?i:...) groups, so
+// their letters are expanded to [xX] classes; everything else carries over.
+function toJsRegex(pattern) {
+  const src = pattern.replace(/\(\?i:((?:[^()\\]|\\.)*)\)/g, (_, body) =>
+    "(?:" + body.replace(/\\.|\[[^\]]*\]|[a-zA-Z]/g, t =>
+      t.length === 1 ? `[${t.toLowerCase()}${t.toUpperCase()}]` : t) + ")");
+  return new RegExp(src, "gu");
+}
+
+function patternOf(p) {
+  if (!p) return null;
+  if (p.Regex !== undefined) return toJsRegex(p.Regex);
+  return new RegExp(p.String.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gu");
+}
+
+// Split text into [{ text, match }] runs — matched spans and the gaps between them
+function splitRuns(text, re) {
+  const runs = [];
+  let last = 0;
+  re.lastIndex = 0;
+  for (let m; (m = re.exec(text)) !== null;) {
+    if (m[0].length === 0) { re.lastIndex++; continue; }
+    if (m.index > last) runs.push({ text: text.slice(last, m.index), match: false });
+    runs.push({ text: m[0], match: true });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) runs.push({ text: text.slice(last), match: false });
+  return runs;
+}
+
+// Apply a Split behaviour (HF SplitDelimiterBehavior) to runs
+function applyBehavior(runs, behavior) {
+  const out = [];
+  switch (behavior) {
+    case "Removed":
+      for (const r of runs) if (!r.match) out.push(r.text);
+      return out;
+    case "MergedWithPrevious":
+      for (const r of runs) {
+        if (r.match && out.length) out[out.length - 1] += r.text;
+        else out.push(r.text);
+      }
+      return out;
+    case "MergedWithNext": {
+      let carry = "";
+      for (const r of runs) {
+        if (r.match) { if (carry) out.push(carry); carry = r.text; }
+        else         { out.push(carry + r.text); carry = ""; }
+      }
+      if (carry) out.push(carry);
+      return out;
+    }
+    case "Contiguous": {
+      for (let i = 0; i < runs.length; i++) {
+        if (runs[i].match && i > 0 && runs[i - 1].match) out[out.length - 1] += runs[i].text;
+        else out.push(runs[i].text);
+      }
+      return out;
+    }
+    default: // "Isolated"
+      return runs.map(r => r.text);
+  }
+}
+
+// ─── Normalizers ─────────────────────────────────────────────────────────────
+function buildNormalizer(cfg) {
+  if (!cfg) return s => s;
+  switch (cfg.type) {
+    case "Sequence": {
+      const steps = (cfg.normalizers || []).map(buildNormalizer);
+      return s => steps.reduce((acc, f) => f(acc), s);
+    }
+    case "Prepend":   return s => (s ? cfg.prepend + s : s);
+    case "Replace": {
+      const re = patternOf(cfg.pattern);
+      return s => s.replace(re, cfg.content);
+    }
+    case "NFC": case "NFD": case "NFKC": case "NFKD":
+      return s => s.normalize(cfg.type);
+    case "Lowercase": return s => s.toLowerCase();
+    case "Strip":
+      return s => {
+        if (cfg.strip_left !== false)  s = s.replace(/^\s+/u, "");
+        if (cfg.strip_right !== false) s = s.replace(/\s+$/u, "");
+        return s;
+      };
+    default:          return s => s;
+  }
+}
+
+// ─── Pre-tokenizers ──────────────────────────────────────────────────────────
+// Each pre-tokenizer maps (pieces: string[], first: boolean) → string[].
+// `first` is true for the section that starts the input (before any special token).
+function buildPreTokenizer(cfg) {
+  if (!cfg) return (pieces) => pieces;
+  switch (cfg.type) {
+    case "Sequence": {
+      const steps = (cfg.pretokenizers || []).map(buildPreTokenizer);
+      return (pieces, first) => steps.reduce((acc, f) => f(acc, first), pieces);
+    }
+    case "Split": {
+      const re = patternOf(cfg.pattern);
+      return (pieces) => pieces.flatMap(p => {
+        const runs = splitRuns(p, re);
+        if (cfg.invert) for (const r of runs) r.match = !r.match;
+        return applyBehavior(runs, cfg.behavior);
+      });
+    }
+    case "ByteLevel": {
+      const re = cfg.use_regex !== false ? toJsRegex(GPT2_PRETOKENIZE) : null;
+      return (pieces, first) => pieces.flatMap((p, i) => {
+        if (cfg.add_prefix_space && first && i === 0 && !p.startsWith(" ")) p = " " + p;
+        const parts = re ? (p.match(re) || []) : [p];
+        return parts.map(byteLevelEncode);
+      });
+    }
+    case "Metaspace": {
+      const rep    = cfg.replacement ?? "▁";
+      const scheme = cfg.prepend_scheme ?? (cfg.add_prefix_space === false ? "never" : "always");
+      return (pieces, first) => pieces.flatMap((p, i) => {
+        p = p.replace(/ /g, rep);
+        const prepend = scheme === "always" || (scheme === "first" && first && i === 0);
+        if (prepend && !p.startsWith(rep)) p = rep + p;
+        if (cfg.split === false) return [p];
+        return applyBehavior(splitRuns(p, new RegExp(rep, "gu")), "MergedWithNext");
+      });
+    }
+    case "Digits": {
+      const re = cfg.individual_digits ? /\p{N}/gu : /\p{N}+/gu;
+      return (pieces) => pieces.flatMap(p => applyBehavior(splitRuns(p, re), "Isolated"));
+    }
+    case "Whitespace":
+      return (pieces) => pieces.flatMap(p => p.match(/\w+|[^\w\s]+/gu) || []);
+    case "WhitespaceSplit":
+      return (pieces) => pieces.flatMap(p => p.split(/\s+/u).filter(Boolean));
+    case "Punctuation":
+      return (pieces) => pieces.flatMap(p =>
+        applyBehavior(splitRuns(p, /\p{P}/gu), cfg.behavior || "Isolated"));
+    default:
+      return (pieces) => pieces;
+  }
+}
+
+function byteLevelEncode(text) {
+  let out = "";
+  for (const b of utf8.encode(text)) out += BYTE_TO_UNICODE[b];
+  return out;
+}
+
+// ─── Decoder (token → bytes) ─────────────────────────────────────────────────
+// Decoding works on raw bytes so multi-byte characters split across tokens —
+// byte-level symbols or <0xNN> fallback tokens — are reassembled correctly.
+function describeDecoder(cfg) {
+  const d = { byteLevel: false, byteFallback: false, metaspace: null, stripLeading: 0 };
+  const visit = (c) => {
+    if (!c) return;
+    switch (c.type) {
+      case "Sequence":     (c.decoders || []).forEach(visit); break;
+      case "ByteLevel":    d.byteLevel = true; break;
+      case "ByteFallback": d.byteFallback = true; break;
+      case "Replace":
+        if (c.pattern?.String) d.metaspace = { from: c.pattern.String, to: c.content };
+        break;
+      case "Metaspace": {
+        d.metaspace = { from: c.replacement ?? "▁", to: " " };
+        const scheme = c.prepend_scheme ?? (c.add_prefix_space === false ? "never" : "always");
+        if (scheme !== "never") d.stripLeading = 1;
+        break;
+      }
+      case "Strip":
+        if ((c.content ?? " ") === " ") d.stripLeading = c.start ?? 0;
+        break;
+    }
+  };
+  visit(cfg);
+  return d;
+}
+
+// ─── BPE model ───────────────────────────────────────────────────────────────
+// Standard lowest-rank-first merging over a linked list of symbols with a
+// binary heap of candidate pairs — O(n log n) per word instead of O(n²).
+class MergeHeap {
+  constructor() { this.a = []; }
+  get size() { return this.a.length; }
+  push(x) {
+    const a = this.a; a.push(x);
+    let i = a.length - 1;
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (!this._less(a[i], a[p])) break;
+      [a[i], a[p]] = [a[p], a[i]]; i = p;
+    }
+  }
+  pop() {
+    const a = this.a, top = a[0], last = a.pop();
+    if (a.length) {
+      a[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1, r = l + 1;
+        let m = i;
+        if (l < a.length && this._less(a[l], a[m])) m = l;
+        if (r < a.length && this._less(a[r], a[m])) m = r;
+        if (m === i) break;
+        [a[i], a[m]] = [a[m], a[i]]; i = m;
+      }
+    }
+    return top;
+  }
+  _less(x, y) { return x.rank < y.rank || (x.rank === y.rank && x.pos < y.pos); }
+}
+
+// ─── Tokenizer ───────────────────────────────────────────────────────────────
+
+export class ACCTokenizer {
+  constructor(json) {
+    const model = json.model || {};
+    this._vocab     = { ...(model.vocab || {}) };
+    this._idToToken = [];
+    for (const [t, id] of Object.entries(this._vocab)) this._idToToken[id] = t;
+
+    // Merges are "a b" strings in older files and [a, b] pairs in newer ones
+    this._rank = new Map();
+    (model.merges || []).forEach((m, i) => {
+      const key = Array.isArray(m) ? `${m[0]} ${m[1]}` : m;
+      if (!this._rank.has(key)) this._rank.set(key, i);
+    });
+    this._byteFallback = !!model.byte_fallback;
+    this._ignoreMerges = !!model.ignore_merges;
+    this._unkId        = model.unk_token != null ? this._vocab[model.unk_token] ?? null : null;
+
+    // Added tokens are matched verbatim in the raw text before normalisation
+    this._added   = new Map();
+    this._special = new Set();
+    for (const t of (json.added_tokens || [])) {
+      this._vocab[t.content]  = t.id;
+      this._idToToken[t.id]   = t.content;
+      this._added.set(t.content, t);
+      if (t.special) this._special.add(t.id);
+    }
+    const alts = [...this._added.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    this._addedRe = alts.length ? new RegExp(alts.join("|"), "gu") : null;
+
+    this._normalize   = buildNormalizer(json.normalizer);
+    this._preTokenize = buildPreTokenizer(json.pre_tokenizer);
+    // Some older byte-level files omit the decoder section
+    this._decoder     = describeDecoder(json.decoder ??
+      (json.pre_tokenizer?.type === "ByteLevel" ? { type: "ByteLevel" } : null));
+    this._cache       = new Map();
+
+    // null when the vocab has no such marker (Qwen) — ids 1 / 2 are ordinary tokens there
+    this.bosId = this._findSp(["<bos>","<s>","<|begin_of_text|>"]);
+    this.eosId = this._findSp(["<eos>","</s>","<|end_of_text|>","<|eot_id|>"]);
+  }
+
+  _findSp(cands) {
+    for (const c of cands) if (this._vocab[c] !== undefined) return this._vocab[c];
+    return null;
+  }
+
+  get vocabSize() { return this._idToToken.length; }
+
+  idToToken(id) { return this._idToToken[id]; }
+  tokenToId(token) { return this._vocab[token]; }
+  isSpecial(id) { return this._special.has(id); }
+
+  // ── Encode ────────────────────────────────────────────────────────────────
+  // BOS (when the vocab has one) is prepended unless the text already starts
+  // with it — chat templates often spell out <|begin_of_text|> / <s> themselves.
+  encode(text, bos = true) {
+    const ids = [];
+    let first = true;
+    for (const seg of this._splitAdded(text)) {
+      if (seg.id !== undefined) { ids.push(seg.id); first = false; continue; }
+      const normalized = this._normalize(seg.text);
+      if (!normalized) continue;
+      for (const word of this._preTokenize([normalized], first)) {
+        if (word) ids.push(...this._bpe(word));
+      }
+      first = false;
+    }
+    if (bos && this.bosId != null && ids[0] !== this.bosId) ids.unshift(this.bosId);
+    return ids;
+  }
+
+  // Split raw text around added tokens, honouring their lstrip/rstrip flags
+  _splitAdded(text) {
+    if (!this._addedRe) return [{ text }];
+    const segs = [];
+    let last = 0;
+    this._addedRe.lastIndex = 0;
+    for (let m; (m = this._addedRe.exec(text)) !== null;) {
+      const tok = this._added.get(m[0]);
+      let before = text.slice(last, m.index);
+      if (tok.lstrip) before = before.replace(/\s+$/u, "");
+      if (before) segs.push({ text: before });
+      segs.push({ id: tok.id });
+      last = m.index + m[0].length;
+      if (tok.rstrip) while (last < text.length && /\s/u.test(text[last])) last++;
+    }
+    if (last < text.length) segs.push({ text: text.slice(last) });
+    return segs;
+  }
+
+  _bpe(word) {
+    const cached = this._cache.get(word);
+    if (cached) return cached;
+
+    let ids;
+    if (this._ignoreMerges && this._vocab[word] !== undefined) {
+      ids = [this._vocab[word]];
+    } else {
+      ids = [];
+      for (const sym of this._merge(word)) {
+        const id = this._vocab[sym];
+        if (id !== undefined) { ids.push(id); continue; }
+        if (this._byteFallback) {
+          for (const b of utf8.encode(sym)) {
+            const bid = this._vocab[`<0x${b.toString(16).toUpperCase().padStart(2, "0")}>`];
+            if (bid !== undefined) ids.push(bid);
+            else if (this._unkId != null) ids.push(this._unkId);
+          }
+        } else if (this._unkId != null) {
+          ids.push(this._unkId);
+        }
+      }
+    }
+
+    if (this._cache.size > 50000) this._cache.clear();
+    this._cache.set(word, ids);
+    return ids;
+  }
+
+  // Merge the characters of `word` by rank; returns the final symbol strings
+  _merge(word) {
+    const syms = Array.from(word);
+    const n    = syms.length;
+    if (n < 2) return syms;
+
+    const prev = new Int32Array(n), next = new Int32Array(n);
+    for (let i = 0; i < n; i++) { prev[i] = i - 1; next[i] = i + 1 < n ? i + 1 : -1; }
+
+    const heap = new MergeHeap();
+    const consider = (i) => {
+      const j = next[i];
+      if (i < 0 || j < 0) return;
+      const rank = this._rank.get(`${syms[i]} ${syms[j]}`);
+      if (rank !== undefined) heap.push({ rank, pos: i, left: syms[i], right: syms[j] });
+    };
+    for (let i = 0; i < n - 1; i++) consider(i);
+
+    while (heap.size) {
+      const { pos, left, right } = heap.pop();
+      const j = next[pos];
+      // Stale entry — one side was merged away since it was queued
+      if (syms[pos] !== left || j < 0 || syms[j] !== right) continue;
+      syms[pos] = left + right;
+      syms[j]   = null;
+      next[pos] = next[j];
+      if (next[j] >= 0) prev[next[j]] = pos;
+      consider(prev[pos]);
+      consider(pos);
+    }
+    return syms.filter(s => s !== null);
+  }
+
+  // ── Decode ────────────────────────────────────────────────────────────────
+  decode(ids, { skipSpecial = false } = {}) {
+    const dec = this.createDecoder({ skipSpecial });
+    let out = "";
+    for (const id of ids) out += dec.push(id);
+    return out + dec.flush();
+  }
+
+  /**
+   * Incremental decoder for streaming generation. push(id) returns only the
+   * text that is complete so far — bytes of a partial UTF-8 character are held
+   * back until the token that finishes it arrives. flush() drains the rest.
+   */
+  createDecoder({ skipSpecial = false } = {}) {
+    const td    = new TextDecoder("utf-8", { fatal: false });
+    let   strip = this._decoder.stripLeading;
+    return {
+      push: (id) => {
+        if (skipSpecial && this._special.has(id)) return "";
+        let text = td.decode(this._tokenBytes(id), { stream: true });
+        while (strip > 0 && text.length) {
+          if (text[0] === " ") text = text.slice(1);
+          strip--;
+        }
+        return text;
+      },
+      flush: () => td.decode(),
+    };
+  }
+
+  /**
+   * Raw bytes a token decodes to, before the decoder's leading-space strip.
+   * Used by acc-grammar.js to match tokens against a grammar byte by byte.
+   */
+  tokenBytes(id) { return this._tokenBytes(id); }
+
+  /** Leading spaces createDecoder() drops from the start of the output. */
+  get stripLeading() { return this._decoder.stripLeading; }
+
+  _tokenBytes(id) {
+    const tok = this._idToToken[id];
+    if (tok === undefined) return new Uint8Array(0);
+    if (this._added.has(tok)) return utf8.encode(tok);
+
+    const d = this._decoder;
+    if (d.byteFallback) {
+      const m = /^<0x([0-9A-Fa-f]{2})>$/.exec(tok);
+      if (m) return Uint8Array.of(parseInt(m[1], 16));
+    }
+    if (d.byteLevel) {
+      const bytes = new Uint8Array(tok.length);
+      let n = 0;
+      for (const c of tok) {
+        const b = UNICODE_TO_BYTE.get(c);
+        if (b !== undefined) bytes[n++] = b;
+      }
+      return bytes.subarray(0, n);
+    }
+    const text = d.metaspace ? tok.split(d.metaspace.from).join(d.metaspace.to) : tok;
+    return utf8.encode(text);
+  }
+}
+
+// ─── Stop strings ────────────────────────────────────────────────────────────
+
+/**
+ * Streams decoded text while watching for stop strings. push(piece) returns
+ * the text that is safe to show: any suffix that could still grow into a stop
+ * string is held back, so a stop string is never emitted. Once one appears,
+ * push() returns the text before it with stopped = true and `matched` is set.
+ * flush(rest) pushes `rest` and drains whatever was held back; after a match
+ * it returns nothing.
+ * @param {string[]} stops
+ * @returns {{matched:boolean, push(piece:string):{text:string, stopped:boolean}, flush(rest?:string):string}}
+ */
+export function createStopMatcher(stops) {
+  let buf = "";
+  const holdback = () => {
+    let keep = 0;
+    for (const s of stops) {
+      for (let n = Math.min(s.length - 1, buf.length); n > keep; n--) {
+        if (buf.endsWith(s.slice(0, n))) { keep = n; break; }
+      }
+    }
+    return keep;
+  };
+  const matcher = {
+    matched: false,
+    push(piece) {
+      buf += piece;
+      if (!stops.length) { const text = buf; buf = ""; return { text, stopped: false }; }
+      let cut = -1;
+      for (const s of stops) {
+        const at = buf.indexOf(s);
+        if (at >= 0 && (cut < 0 || at < cut)) cut = at;
+      }
+      if (cut >= 0) {
+        matcher.matched = true;
+        const text = buf.slice(0, cut); buf = "";
+        return { text, stopped: true };
+      }
+      const safe = buf.length - holdback();
+      const text = buf.slice(0, safe); buf = buf.slice(safe);
+      return { text, stopped: false };
+    },
+    flush(rest = "") {
+      if (matcher.matched) return "";
+      const { text } = matcher.push(rest);
+      const out = text + (matcher.matched ? "" : buf); buf = "";
+      return out;
+    },
+  };
+  return matcher;
+}
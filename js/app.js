@@ -1,6 +1,7 @@
 // app.js — LocalLLM by Actalithic
 import * as webllm from "https://esm.run/@mlc-ai/web-llm";
-import { MODELS, ACC_MODELS, RUN_LABELS, getAllModels, getModelById, isACCModel, registerACCModel } from "./models.js";
+import { MODELS, ACC_MODELS, RUN_LABELS, getAllModels, getModelById, getDraftModel, isACCModel, registerACCModel,
+         getACCRegistry, unregisterACCModel } from "./models.js";
 
 // ── ACC-Worker bridge ─────────────────────────────────────────────────────────
 // Wraps ACC-Worker so the rest of app.js works identically for both MLC and ACC.
@@ -8,9 +9,15 @@ class ACCEngineProxy {
   constructor() {
     this._worker = null; this._ready = false;
     this._resolve = null; this._reject = null;
-    this._onToken = null; this._onDone = null; this._onProgress = null;
+    this._onProgress = null; this._onBench = null;
+    this._streams = new Map(); // requestId → { token, done, error } of each open completion stream
+    this._nextId  = 0;
+    this.coreStats = null;   // ActalithicCore GPU/CPU split from the worker's ready/done
+    this.draft     = null;   // speculative decoding: { id, proposed, accepted } once a draft is loaded
+    this.contextLength = null; // KV positions the worker allocated
+    this.onPrefill = null;     // ({ done, total }) while the prompt is prefilled
   }
-  async load(model, onProgress) {
+  async load(model, onProgress, { forceCPU = false, core = false, draft = null } = {}) {
     this._onProgress = onProgress;
     let kernelsSrc = null;
     try {
@@ -22,37 +29,93 @@ class ACCEngineProxy {
     this._worker.onerror   = (e) => { if (this._reject) this._reject(new Error(e.message)); };
     return new Promise((res, rej) => {
       this._resolve = res; this._reject = rej;
-      this._worker.postMessage({ type: "load", model, kernelsSrc });
+      this._worker.postMessage({ type: "load", model, kernelsSrc, forceCPU, core, draft });
     });
   }
   _onMessage(msg) {
     if (msg.type === "progress" && this._onProgress) this._onProgress(msg);
-    else if (msg.type === "ready")  { this._ready = true; this._resolve?.(); this._resolve = null; }
-    else if (msg.type === "token" && this._onToken) this._onToken(msg.text, msg.id);
-    else if (msg.type === "done")   { this._onDone?.(msg); this._onDone = null; this._onToken = null; }
-    else if (msg.type === "error")  { this._reject?.(new Error(msg.message)); this._reject = null; }
+    else if (msg.type === "ready")  { this._ready = true; this.coreStats = msg.core ?? null; this.contextLength = msg.contextLength ?? null; this.draft = msg.draft ? { id: msg.draft, proposed: 0, accepted: 0 } : null; this._resolve?.(); this._resolve = null; }
+    else if (msg.type === "prefill") this.onPrefill?.(msg);
+    else if (msg.type === "token")  this._streams.get(msg.requestId)?.token(msg.text, msg.id);
+    else if (msg.type === "count")  { this._streams.get(msg.requestId)?.count(msg.tokens); this._streams.delete(msg.requestId); }
+    else if (msg.type === "done")   { this.coreStats = msg.core ?? this.coreStats; if (this.draft && msg.draft) Object.assign(this.draft, msg.draft); this._streams.get(msg.requestId)?.done(msg); this._streams.delete(msg.requestId); }
+    else if (msg.type === "bench")  { this._onBench?.(msg); this._onBench = this._benchReject = null; }
+    else if (msg.type === "selftest") { this._selfTest?.resolve(msg); this._selfTest = null; }
+    else if (msg.type === "error" && msg.requestId != null) { this._streams.get(msg.requestId)?.error(new Error(msg.message)); this._streams.delete(msg.requestId); }
+    else if (msg.type === "error" && this._reject) { this._reject(new Error(msg.message)); this._reject = null; }
+    else if (msg.type === "error" && this._benchReject) { this._benchReject(new Error(msg.message)); this._onBench = this._benchReject = null; }
+    else if (msg.type === "error")  { this._selfTest?.reject(new Error(msg.message)); this._selfTest = null; }
   }
+  // Each stream is its own worker request, so several can run at once (a
+  // background summary alongside the visible reply)
   get chat() {
     const self = this;
     return { completions: { create(opts) {
       return { [Symbol.asyncIterator]() {
-        const q = []; let done = false, waiter = null;
-        self._onToken = (text) => {
-          const chunk = { choices: [{ delta: { content: text }, finish_reason: null }] };
-          if (waiter) { const w = waiter; waiter = null; w({ value: chunk, done: false }); }
+        const id = ++self._nextId;
+        const q = []; let done = false, failed = null, waiter = null;
+        const push = (chunk) => {
+          if (waiter) { const w = waiter; waiter = null; w.resolve({ value: chunk, done: false }); }
           else q.push(chunk);
         };
-        self._onDone = () => { done = true; if (waiter) { const w = waiter; waiter = null; w({ value: undefined, done: true }); } };
-        self._worker.postMessage({ type: "generate", messages: opts.messages,
-          opts: { maxNewTokens: opts.max_tokens||512, temperature: opts.temperature||0.7, topP: opts.top_p||0.9, topK: opts.top_k||50 } });
+        self._streams.set(id, {
+          token: (text) => push({ choices: [{ delta: { content: text }, finish_reason: null }] }),
+          // The worker's finishReason and token counts arrive as a final empty-delta
+          // chunk, like OpenAI streams with include_usage
+          done: (msg) => {
+            push({ choices: [{ delta: {}, finish_reason: msg.finishReason || "stop" }], usage: accUsage(msg) });
+            done = true;
+          },
+          error: (err) => {
+            failed = err; done = true;
+            if (waiter) { const w = waiter; waiter = null; w.reject(err); }
+          },
+        });
+        self._worker.postMessage({ type: "generate", requestId: id, messages: opts.messages, opts: accSamplingOpts(opts) });
         return {
-          next()    { if (q.length) return Promise.resolve({ value: q.shift(), done: false }); if (done) return Promise.resolve({ value: undefined, done: true }); return new Promise(r => { waiter = r; }); },
-          return()  { return Promise.resolve({ done: true }); },
+          next() {
+            if (q.length) return Promise.resolve({ value: q.shift(), done: false });
+            if (failed)   return Promise.reject(failed);
+            if (done)     return Promise.resolve({ value: undefined, done: true });
+            return new Promise((resolve, reject) => { waiter = { resolve, reject }; });
+          },
+          // Leaving the loop early stops this request only
+          return() {
+            if (!done) self._worker?.postMessage({ type: "stop", requestId: id });
+            return Promise.resolve({ done: true });
+          },
         };
       }};
     }}};
   }
+  // Exact prompt length in tokens — the worker renders and encodes `messages`
+  // the way generate would
+  countTokens(messages) {
+    const id = ++this._nextId;
+    return new Promise((resolve, reject) => {
+      this._streams.set(id, { count: resolve, error: reject });
+      this._worker.postMessage({ type: "count", requestId: id, messages });
+    });
+  }
+  // Decode benchmark — resolves with the worker's { prefillTokPerSec, decodeTokPerSec, … },
+  // rejects while a reply is generating. Clears the KV cache, so the next reply
+  // prefills its whole prompt; replies started during the run wait for it.
+  bench(tokens = 64) {
+    return new Promise((res, rej) => {
+      this._onBench = res; this._benchReject = rej;
+      this._worker?.postMessage({ type: "bench", tokens });
+    });
+  }
+  // Kernel self-test — resolves with { ok, results: [{ kernel, case, maxAbs, ok }] };
+  // rejects on the CPU backend, which has no kernels to check.
+  selfTest() {
+    return new Promise((resolve, reject) => { this._selfTest = { resolve, reject }; this._worker?.postMessage({ type: "selftest" }); });
+  }
   interruptGenerate() { this._worker?.postMessage({ type: "stop" }); }
+  // KV cache control — the worker reuses the token prefix shared between turns,
+  // so switching chats must tell it which prefix (if any) is still valid.
+  resetCache()         { this._worker?.postMessage({ type: "reset" }); }
+  forkCache(messages)  { this._worker?.postMessage({ type: "fork", messages }); }
   async unload() {
     try { this._worker?.postMessage({ type: "unload" }); } catch {}
     await new Promise(r => setTimeout(r, 200));
@@ -61,6 +124,41 @@ class ACCEngineProxy {
   }
 }
 
+// ACC-Worker done message → OpenAI-style usage, with WebLLM's `extra` timing fields
+function accUsage(msg) {
+  return {
+    prompt_tokens:     msg.promptTokens ?? 0,
+    completion_tokens: msg.tokenCount ?? 0,
+    total_tokens:      (msg.promptTokens ?? 0) + (msg.tokenCount ?? 0),
+    extra: {
+      time_to_first_token_s: msg.ttftMs != null ? msg.ttftMs / 1000 : null,
+      decode_tokens_per_s:   msg.decodeTokPerSec ?? null,
+    },
+  };
+}
+
+// OpenAI-style request options → ACC-Worker generate opts. `??` keeps explicit
+// zeros (temperature 0 = greedy, penalties 0 = off).
+function accSamplingOpts(o) {
+  return {
+    maxNewTokens:      o.max_tokens ?? 512,
+    temperature:       o.temperature ?? 0.7,
+    topP:              o.top_p ?? 0.9,
+    topK:              o.top_k ?? 50,
+    minP:              o.min_p ?? 0,
+    typicalP:          o.typical_p ?? 1,
+    repetitionPenalty: o.repetition_penalty ?? 1,
+    frequencyPenalty:  o.frequency_penalty ?? 0,
+    presencePenalty:   o.presence_penalty ?? 0,
+    logitBias:         o.logit_bias ?? null,
+    seed:              o.seed ?? null,
+    stop:              o.stop ?? [],
+    stopTokenIds:      o.stop_token_ids ?? [],
+    sampler:           o.sampler ?? "gpu",
+    responseFormat:    o.response_format ?? null,
+  };
+}
+
 // ── Image URLs ───────────────────────────────────────────
 const ICON_URL      = "https://i.ibb.co/KxCDDsc7/logoico.png";
 const LOGO_LIGHT    = "https://i.ibb.co/mV4rQV7B/Chat-GPT-Image-18-Feb-2026-08-42-07.png";
@@ -87,6 +185,13 @@ const DESKTOP_TEMPERATURE = 0.7;
 const MOBILE_TOP_P  = 0.9;
 const DESKTOP_TOP_P = 0.95;
 
+// Shown under a reply that ended for a reason other than a natural stop
+const FINISH_NOTES = {
+  length:       "Reply cut off — token limit reached",
+  context_full: "Context window full — start a new chat to continue",
+  abort:        "Generation stopped",
+};
+
 // ── State ─────────────────────────────────────────────────
 let engine = null, generating = false, history = [], activeModelId = null;
 let _useCore = false, _useCPU = false;
@@ -180,6 +285,12 @@ const GROUPS = [
   { label: "Advanced", ids: ["deepseek-r1-8b.acc",    "DeepSeek-R1-Distill-Llama-8B-q4f16_1-MLC"] },
 ];
 
+// Models the user imported (or registered from the converter page) get their own group
+function importedGroups() {
+  const ids = getACCRegistry().map(m => m.id);
+  return ids.length ? [{ label: "Imported", ids }] : [];
+}
+
 function runPill(m) {
   const r = RUN_LABELS[m.runability] || RUN_LABELS.hard;
   return `<span class="run-pill ${r.cls}">${r.text}</span>`;
@@ -204,7 +315,7 @@ function buildPicker(cached) {
       <div class="model-picker-dropdown" id="pickerDropdown" role="listbox">
         <div class="model-picker-sheet-handle"></div>
         <div class="model-picker-sheet-title">Choose a model</div>
-        ${GROUPS.map(g => `
+        ${[...GROUPS, ...importedGroups()].map(g => `
           <div class="picker-group-label">${g.label}</div>
           ${g.ids.map(id => {
             const m = allModels.find(x => x.id === id);
@@ -324,6 +435,33 @@ export function updateModelInfo() {
   updateSpeedTable(id);
 }
 
+// ── Device profile ────────────────────────────────────────
+// Probed once by a short-lived ACC-Worker so it is available before any model
+// is loaded. null when the probe fails or takes longer than PROBE_TIMEOUT_MS.
+const PROBE_TIMEOUT_MS = 5000;
+const SPEED_ROW_BY_TIER = {
+  dedicated:  "speed-dedicated",
+  steamdeck:  "speed-steamdeck",
+  integrated: "speed-laptop",
+  phone:      "speed-phone",
+  cpu:        "speed-cpu",
+};
+let _deviceProfile = null;
+
+async function probeDevice() {
+  const w = new Worker(new URL("./ACC-Worker.js", import.meta.url), { type: "module" });
+  try {
+    _deviceProfile = await new Promise((res, rej) => {
+      setTimeout(() => rej(new Error("probe timed out")), PROBE_TIMEOUT_MS);
+      w.onmessage = (e) => { if (e.data.type === "probe") res(e.data.profile); else if (e.data.type === "error") rej(new Error(e.data.message)); };
+      w.onerror   = (e) => rej(new Error(e.message));
+      w.postMessage({ type: "probe" });
+    });
+  } catch { _deviceProfile = null; }
+  finally { w.terminate(); }
+  return _deviceProfile;
+}
+
 function updateSpeedTable(modelId) {
   const m = getAllModels().find(x => x.id === modelId);
   if (!m) return;
@@ -335,6 +473,15 @@ function updateSpeedTable(modelId) {
   set("speed-phone",     t.phone);
   set("speed-cpu",       t.cpu);
   set("speed-core",      t.core);
+
+  // Highlight the row for the device this page is running on
+  const current = SPEED_ROW_BY_TIER[_deviceProfile?.tier];
+  const gpuName = _deviceProfile?.adapter && Object.values(_deviceProfile.adapter).filter(Boolean).join(" ");
+  document.querySelectorAll(".speed-row").forEach(row => {
+    const isCurrent = !!current && row.querySelector(".speed-val")?.id === current;
+    row.classList.toggle("current", isCurrent);
+    row.title = isCurrent && gpuName ? `This device — ${gpuName}` : "";
+  });
 }
 
 // ── Logo swap for dark mode ───────────────────────────────
@@ -434,13 +581,28 @@ Be helpful, direct, and friendly.${mobileTip}${thinkInstructions}${toneExample}$
 }
 
 // ── ActalithicCore stats ──────────────────────────────────
-function showCoreStats() {
+// `stats` is the ACC worker's CoreStats; MLC engines have none, so only the
+// header with live tok/s is shown for them.
+function showCoreStats(stats = null) {
   const bar = document.getElementById("coreStatsBar");
   if (!bar) return;
   bar.style.display = "flex";
-  // Just show the header with live tok/s — rows hidden, simple label only
   const splitRows = bar.querySelectorAll(".core-split-row");
-  splitRows.forEach(r => r.style.display = "none");
+  splitRows.forEach(r => r.style.display = stats ? "" : "none");
+  const saved = document.getElementById("coreSaved");
+  if (!stats) { if (saved) saved.textContent = ""; return; }
+
+  const layers = stats.gpuLayers + stats.cpuLayers || 1;
+  const mb     = (b) => b >= 1024 ** 3 ? (b / 1024 ** 3).toFixed(1) + " GB" : Math.round(b / 1024 ** 2) + " MB";
+  const side   = (id, n, bytes, ms) => {
+    const pct = Math.round(n / layers * 100);
+    const p = document.getElementById(`core${id}Pct`); if (p) p.textContent = pct + "%";
+    const b = document.getElementById(`core${id}Bar`); if (b) b.style.width = pct + "%";
+    const r = document.getElementById(`core${id}Ram`); if (r) r.textContent = mb(bytes) + (ms ? ` · ${ms} ms` : "");
+  };
+  side("Gpu", stats.gpuLayers, stats.gpuBytes, stats.gpuMs);
+  side("Cpu", stats.cpuLayers, stats.cpuBytes, stats.cpuMs);
+  if (saved) saved.textContent = `${stats.gpuLayers}/${layers} layers on GPU`;
 }
 function hideCoreStats() {
   const bar = document.getElementById("coreStatsBar");
@@ -511,13 +673,21 @@ export async function loadModel() {
           else if (phase === "convert" || phase === "compile") ps.textContent = "Compiling to .acc…";
           else if (phase === "cache")   ps.textContent = "Saving to cache…";
           else if (phase === "gpu")     ps.textContent = pct < 95 ? "Uploading to GPU…" : "Compiling shaders…";
+          else if (phase === "cpu")     ps.textContent = "Starting CPU backend…";
           else if (phase === "done")    ps.textContent = "Ready";
           else ps.textContent = msg.msg || "Loading…";
         }
       };
 
-      await proxy.load(m, proxy._onProgress);
+      // The worker falls back to its CPU backend by itself when WebGPU is missing
+      await proxy.load(m, proxy._onProgress, { forceCPU: _useCPU, core: _useCore, draft: getDraftModel(m) });
       engine = proxy;
+      // ?selftest in the URL checks every GPU kernel against acc-reference.js
+      if (new URLSearchParams(location.search).has("selftest")) {
+        proxy.selfTest().then(
+          (r) => { console.table(r.results); console[r.ok ? "info" : "error"](`ACC kernel self-test ${r.ok ? "passed" : "FAILED"}`); },
+          (e) => console.error("ACC kernel self-test:", e.message));
+      }
 
     } else {
       // ── MLC Engine path (unchanged) ────────────────────────────────────
@@ -578,7 +748,7 @@ export async function loadModel() {
     const msgInput = document.getElementById("msgInput");
     if (msgInput) msgInput.focus();
 
-    if (_useCore) showCoreStats(); else hideCoreStats();
+    if (_useCore) showCoreStats(engine.coreStats); else hideCoreStats();
 
     const cached = await getCachedModelIds();
     buildPicker(cached);
@@ -590,7 +760,7 @@ export async function loadModel() {
     const msg2 = (err.message || "").toLowerCase();
     if (sub) {
       const isMobileUA = /Android|iPhone|iPad/i.test(navigator.userAgent);
-      if (!navigator.gpu) {
+      if (!navigator.gpu && !useACC) {
         sub.innerHTML = `<strong style="color:var(--red)">WebGPU not supported.</strong><br>${isMobileUA ? "On Android, use Chrome 121+ and make sure <code>chrome://flags/#enable-unsafe-webgpu</code> is enabled." : "Try Chrome 113+ on desktop, or use the CPU fallback toggle."}`;
       } else if (isMobileUA || msg2.includes("invalid") || msg2.includes("validation") || msg2.includes("device lost") || msg2.includes("mobile")) {
         sub.innerHTML = `<strong style="color:var(--amber)">GPU error on mobile.</strong><br>Your device may have limited WebGPU support. Try the <strong>Llama 3.2 3B</strong> model (lightest) or enable CPU fallback. On Android, Chrome 121+ is required.`;
@@ -785,6 +955,18 @@ function showTyping() {
   c.appendChild(row); c.scrollTop = c.scrollHeight; return bbl;
 }
 
+// Prefill progress under the typing dots; removed when the first token arrives
+function showPrefill(bbl, done, total) {
+  if (done >= total) { bbl.querySelector(".prefill-note")?.remove(); return; }
+  let note = bbl.querySelector(".prefill-note");
+  if (!note) {
+    if (!bbl.querySelector(".typing-dots")) return;
+    note = document.createElement("div"); note.className = "prefill-note";
+    bbl.appendChild(note);
+  }
+  note.textContent = `Reading conversation · ${done} / ${total} tokens`;
+}
+
 // ── Auto memory extraction (client-side) ─────────────────
 async function autoExtractMemory(text) {
   if (!activeModelId) return;
@@ -798,6 +980,166 @@ async function autoExtractMemory(text) {
   }
 }
 
+// ── Context manager ───────────────────────────────────────
+// Keeps the prompt inside the model's context window once a chat outgrows it.
+// Token counts are estimated from characters, which works for both engines
+// without a tokenizer round-trip; the reply keeps its own share of the window.
+// ACC engines also count the finished prompt exactly, and the budget shrinks
+// until it fits — the estimate runs short on code and non-Latin text.
+export const CONTEXT_STRATEGIES = {
+  truncate:  "Drop the oldest messages",
+  summarize: "Summarise older messages with the model",
+  window:    "Keep the system prompt and the most recent messages",
+};
+const CHARS_PER_TOKEN       = 3.5;
+const MSG_OVERHEAD_TOKENS   = 6;     // role markers / template tokens per message
+const CONTEXT_REPLY_SHARE   = 0.25;  // max share of the window reserved for the reply
+const CONTEXT_WINDOW_SIZES  = [512, 1024, 2048, 4096];  // "window": recent history kept behind the system prompt
+const CONTEXT_FIT_TRIES     = 4;     // exact-count passes before the prompt is sent as is
+const SUMMARY_MAX_TOKENS    = 256;
+const SUMMARY_PROMPT = "Summarise the conversation below in a short paragraph. Keep names, facts, "
+  + "decisions and open questions; leave out pleasantries. Reply with the summary only.";
+
+let _contextStrategy = localStorage.getItem("llm-context-strategy") || "truncate";
+let _contextWindow   = CONTEXT_WINDOW_SIZES.find(n => n === +localStorage.getItem("llm-context-window")) ?? 1024;
+let _contextFrom     = 0;      // first history index the last request carried
+let _contextSummary  = null;   // "summarize": { text, upTo } — history[0..upTo) folded into text
+
+export function getContextStrategy() { return _contextStrategy; }
+export function setContextStrategy(val) {
+  if (!CONTEXT_STRATEGIES[val]) return;
+  _contextStrategy = val;
+  localStorage.setItem("llm-context-strategy", val);
+}
+export function getContextWindowTokens() { return _contextWindow; }
+export function setContextWindowTokens(val) {
+  if (!CONTEXT_WINDOW_SIZES.includes(+val)) return;
+  _contextWindow = +val;
+  localStorage.setItem("llm-context-window", String(_contextWindow));
+}
+
+function estimateTokens(msg) {
+  return Math.ceil((msg.content?.length || 0) / CHARS_PER_TOKEN) + MSG_OVERHEAD_TOKENS;
+}
+const countTokens = (msgs) => msgs.reduce((n, m) => n + estimateTokens(m), 0);
+
+// ACC reports the KV length it actually allocated; MLC models use their catalog ctx
+function contextWindow() {
+  const m = getAllModels().find(x => x.id === activeModelId);
+  return engine?.contextLength ?? m?.ctx ?? 4096;
+}
+
+// First history index to keep so that `reserved` tokens + history[start..] fit
+// `budget`. Always starts on a user turn (chat templates expect user/assistant
+// alternation) and keeps at least the latest user message.
+function fitStart(reserved, budget, from = 0) {
+  let used = reserved, start = history.length - 1;
+  for (let i = history.length - 1; i >= from; i--) {
+    used += estimateTokens(history[i]);
+    if (used > budget) break;
+    if (history[i].role === "user") start = i;
+  }
+  return Math.max(start, from);
+}
+
+// Last resort when a single message is bigger than the budget: keep its tail
+function clipMessage(msg, tokens) {
+  const chars = Math.max(0, Math.floor((tokens - MSG_OVERHEAD_TOKENS) * CHARS_PER_TOKEN) - 1);
+  return msg.content.length > chars ? { ...msg, content: "…" + msg.content.slice(msg.content.length - chars) } : msg;
+}
+
+// Fold history[from..upTo) (plus any previous summary) into a new summary,
+// generated by the loaded model itself. Returns null if it fails or is stopped.
+async function summarizeHistory(from, upTo, budget) {
+  const transcript = history.slice(from, upTo)
+    .map(m => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`).join("\n\n");
+  const prior = _contextSummary?.text ? `Earlier summary: ${_contextSummary.text}\n\n` : "";
+  // The request itself must fit the window — keep the newest part of the transcript
+  const maxChars = Math.max(0, Math.floor((budget - SUMMARY_MAX_TOKENS) * CHARS_PER_TOKEN) - SUMMARY_PROMPT.length - prior.length);
+  const body = prior + (transcript.length > maxChars ? "…" + transcript.slice(-maxChars) : transcript);
+  let text = "";
+  try {
+    const stream = await engine.chat.completions.create({
+      messages: [{ role: "system", content: SUMMARY_PROMPT }, { role: "user", content: body }],
+      stream: true, temperature: 0.3, top_p: 0.9, max_tokens: SUMMARY_MAX_TOKENS,
+    });
+    for await (const chunk of stream) {
+      if (_stopRequested) return null;
+      text += chunk.choices[0]?.delta?.content || "";
+    }
+  } catch (e) {
+    console.warn("Context summary failed:", e);
+    return null;
+  }
+  text = stripMemoryCommands(text).replace(/<think>[\s\S]*?<\/think>/gi, "").trim();
+  return text || null;
+}
+
+// Builds the messages for the next request. `condensed` is true when this
+// request drops or summarises history that the previous one still carried.
+async function buildContext(sys, maxTok) {
+  const win    = contextWindow();
+  const budget = win - Math.min(maxTok, Math.floor(win * CONTEXT_REPLY_SHARE));
+  let   fit    = budget, ctx;
+  for (let tries = 1; ; tries++) {
+    ctx = await planContext(sys, fit);
+    const exact = engine?.countTokens ? await engine.countTokens(ctx.messages).catch(() => null) : null;
+    if (exact == null || exact <= budget || tries >= CONTEXT_FIT_TRIES) break;
+    // Shrink the estimated size by how far the estimate fell short
+    fit = Math.floor(countTokens(ctx.messages) * budget / exact) - 1;
+  }
+  const condensed = ctx.from > _contextFrom;
+  _contextFrom = ctx.from;
+  return { messages: ctx.messages, condensed };
+}
+
+// The messages for the next request, with history trimmed (and, for
+// "summarize", condensed) until its estimated size fits `budget`
+async function planContext(sys, budget) {
+  const sysMsgs = sys ? [{ role: "system", content: sys }] : [];
+  const sysTok  = countTokens(sysMsgs);
+  let from, systemMsgs = sysMsgs;
+
+  if (_contextStrategy === "summarize") {
+    const withSummary = () => _contextSummary
+      ? [{ role: "system", content: `${sys || ""}\n\nSummary of the earlier conversation: ${_contextSummary.text}`.trim() }]
+      : sysMsgs;
+    from = _contextSummary?.upTo ?? 0;
+    if (countTokens([...withSummary(), ...history.slice(from)]) > budget) {
+      // Summarise everything that no longer fits next to a summary-sized slot
+      const upTo = fitStart(sysTok + SUMMARY_MAX_TOKENS + MSG_OVERHEAD_TOKENS, budget, from);
+      const text = upTo > from ? await summarizeHistory(from, upTo, budget) : null;
+      if (text) { _contextSummary = { text, upTo }; from = upTo; }
+    }
+    // Falls back to dropping turns if the summary failed or still doesn't fit
+    systemMsgs = withSummary();
+    from = fitStart(countTokens(systemMsgs), budget, from);
+  } else if (_contextStrategy === "window") {
+    from = fitStart(sysTok, Math.min(budget, sysTok + _contextWindow));
+  } else {
+    from = fitStart(sysTok, budget);
+  }
+
+  const kept = history.slice(from).map(({ role, content }) => ({ role, content }));
+  const over = countTokens([...systemMsgs, ...kept]) - budget;
+  if (over > 0) kept[kept.length - 1] = clipMessage(kept[kept.length - 1], estimateTokens(kept[kept.length - 1]) - over);
+  return { messages: [...systemMsgs, ...kept], from };
+}
+
+function resetContext(chat = null) {
+  _contextFrom    = chat?.contextFrom ?? 0;
+  _contextSummary = chat?.contextSummary ?? null;
+}
+
+function mkContextMarker(beforeEl) {
+  const el = document.createElement("div");
+  el.className = "context-marker";
+  el.textContent = "Earlier messages were condensed";
+  el.title = CONTEXT_STRATEGIES[_contextStrategy] || "";
+  beforeEl?.parentNode?.insertBefore(el, beforeEl);
+  return el;
+}
+
 // ── Send message ──────────────────────────────────────────
 export async function sendMessage() {
   if (!engine || generating) return;
@@ -812,26 +1154,35 @@ export async function sendMessage() {
   // Auto-create chat session on first message
   if (!_currentChatId) _currentChatId = genChatId();
 
-  mkRow("user", "You").textContent = text;
+  const userBubble = mkRow("user", "You");
+  userBubble.textContent = text;
   history.push({ role: "user", content: text });
   // Auto-extract user name from intro messages
   autoExtractMemory(text);
   const tb = showTyping();
-  let fullReply = "", t0 = Date.now(), tok = 0, first = false;
+  let fullReply = "", t0 = Date.now(), tok = 0, first = false, finishReason = null, usage = null;
   const memories = await loadMemories(activeModelId);
   const sys  = buildSystemPrompt(activeModelId, memories);
-  const msgs = sys ? [{ role: "system", content: sys }, ...history] : [...history];
 
   const maxTok = IS_MOBILE ? MOBILE_MAX_TOKENS : DESKTOP_MAX_TOKENS;
   const temp   = IS_MOBILE ? MOBILE_TEMPERATURE : DESKTOP_TEMPERATURE;
 
   try {
+    // Fit the chat into the context window; mark the turn where history got condensed
+    const { messages: msgs, condensed } = await buildContext(sys, maxTok);
+    if (condensed) {
+      history[history.length - 1].condensed = true;
+      mkContextMarker(userBubble.closest(".msg-row"));
+    }
+
     const topP = IS_MOBILE ? MOBILE_TOP_P : DESKTOP_TOP_P;
     // Tight sampling = fewer candidates scored per token = faster decode
     // top_k caps the vocab search; lower = faster with minimal quality loss at these temps
     const coreParams = _useCore
       ? { top_k: 40, top_p: 0.90, temperature: 0.55, repetition_penalty: 1.03 }
       : { top_k: 32, top_p: topP,  temperature: temp,  repetition_penalty: 1.03 };
+    // ACC reports prefill progress — long histories otherwise sit on typing dots
+    if (_engineType === "acc") engine.onPrefill = ({ done, total }) => showPrefill(tb, done, total);
     const stream = await engine.chat.completions.create({
       messages: msgs, stream: true,
       temperature: coreParams.temperature,
@@ -839,7 +1190,7 @@ export async function sendMessage() {
       top_k: coreParams.top_k,
       max_tokens: maxTok,
       repetition_penalty: coreParams.repetition_penalty,
-      stream_options: { include_usage: false },
+      stream_options: { include_usage: true },
     });
     // Scroll helper — only when near bottom
     const msgsEl = document.getElementById("messages");
@@ -861,15 +1212,18 @@ export async function sendMessage() {
 
     for await (const chunk of stream) {
       if (_stopRequested) break;
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.choices[0]?.finish_reason) finishReason = chunk.choices[0].finish_reason;
       const delta = chunk.choices[0]?.delta?.content || "";
       if (delta) {
         if (!first) {
           const tdots = tb.querySelector('.typing-dots');
           if (tdots) tdots.remove();
+          tb.querySelector('.prefill-note')?.remove();
           first = true; t0 = Date.now(); bufferStart = Date.now(); lastBurstAt = Date.now();
         }
         fullReply += delta;
-        tok += delta.length;
+        tok++;   // chunks, a live estimate — ACC merges held-back text into one chunk; usage has the exact count
 
         // Fire a word-burst render once buffer window passes
         const now = Date.now();
@@ -890,19 +1244,31 @@ export async function sendMessage() {
     }
     // ── Phase 2: final burst — render everything that's left ──
     const finalCleanFull = stripMemoryCommands(fullReply);
-    renderBubble(tb, finalCleanFull);
+    // Explain why the reply ended early — shown only, never saved to history
+    const endNote = !_stopRequested && FINISH_NOTES[finishReason];
+    renderBubble(tb, endNote ? `${finalCleanFull}\n\n[${endNote}]` : finalCleanFull);
     renderedUpTo = finalCleanFull.length;
     smartScroll();
     releaseWakeLock();
 
     if (tok > 0) {
       const elapsed = (Date.now() - t0) / 1000;
-      const tps = (tok / elapsed).toFixed(1);
+      const count   = usage?.completion_tokens ?? tok;
+      const tps     = (usage?.extra?.decode_tokens_per_s ?? count / elapsed).toFixed(1);
+      const ttft    = usage?.extra?.time_to_first_token_s;
       const spd = document.getElementById("tokenSpeed");
-      if (spd) spd.textContent = tps + " tok/s";
+      if (spd) {
+        spd.textContent = `${tps} tok/s · ${count} tokens`;
+        spd.title = [
+          usage?.prompt_tokens != null && `${usage.prompt_tokens} prompt tokens`,
+          ttft != null && `first token after ${ttft.toFixed(2)} s`,
+          engine.draft?.proposed && `draft tokens accepted ${engine.draft.accepted}/${engine.draft.proposed}`,
+        ].filter(Boolean).join(" · ");
+      }
       const coreTok = document.getElementById("coreTokSpeed");
-      if (coreTok) coreTok.textContent = _useCore ? tps + " tok/s faster" : "";
+      if (coreTok) coreTok.textContent = _useCore ? tps + " tok/s" : "";
     }
+    if (_useCore) showCoreStats(engine.coreStats);
     if (_stopRequested && fullReply) {
       fullReply += "\n\n[Generation stopped]";
       renderBubble(tb, fullReply);
@@ -926,6 +1292,7 @@ export async function sendMessage() {
       console.error(err);
     }
   }
+  if (engine) engine.onPrefill = null;
   const tr = document.getElementById("typingRow"); if (tr) tr.removeAttribute("id");
   generating = false;
   _stopRequested = false;
@@ -989,7 +1356,7 @@ export function resumeChat() {
   if (newChatBtnR) newChatBtnR.style.display = "flex";
   const input = document.getElementById("msgInput");
   if (input) input.focus();
-  if (_useCore) showCoreStats();
+  if (_useCore) showCoreStats(engine?.coreStats);
   const btn = document.getElementById("loadBtn");
   if (btn) { btn.innerHTML = '<span class="material-icons-round">download</span> Download &amp; Load'; btn.onclick = loadModel; }
 }
@@ -1012,7 +1379,7 @@ async function buildModalBody() {
     { label: "Advanced", ids: ["DeepSeek-R1-Distill-Llama-8B-q4f16_1-MLC"] },
   ];
 
-  MODAL_GROUPS.forEach(g => {
+  [...MODAL_GROUPS, ...importedGroups()].forEach(g => {
     const grpLabel = document.createElement("div");
     grpLabel.className = "modal-section-label";
     grpLabel.textContent = g.label;
@@ -1081,71 +1448,108 @@ async function buildModalBody() {
       }
     });
   });
+
+  body.appendChild(buildImportSection());
+}
+
+// ── Import model (a .acc folder, an .accpack, or .safetensors + tokenizer.json) ──
+// acc-import.js checks the files and copies them into OPFS under a new id;
+// the model is then registered and loads from the cache like any ACC model.
+function buildImportSection() {
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div class="modal-section-label">Import model</div>
+    <div class="modal-import" id="importZone">
+      <span class="material-icons-round">upload_file</span>
+      <span>Drop a .acc folder, an .accpack, or a .safetensors file with its tokenizer.json (and config.json) here.</span>
+      <div class="modal-import-actions">
+        ${window.showDirectoryPicker ? `<button class="mc-btn" onclick="importModelFolder()"><span class="material-icons-round">folder_open</span> Folder…</button>` : ''}
+        <button class="mc-btn" onclick="document.getElementById('importFiles').click()"><span class="material-icons-round">description</span> Files…</button>
+        <input type="file" id="importFiles" multiple accept=".accpack,.safetensors,.json,.jinja" style="display:none" onchange="importModelFiles(this.files)">
+      </div>
+      <div class="modal-import-status" id="importStatus"></div>
+    </div>`;
+  const zone = wrap.querySelector("#importZone");
+  zone.addEventListener("dragover",  (e) => { e.preventDefault(); zone.classList.add("over"); });
+  zone.addEventListener("dragleave", () => zone.classList.remove("over"));
+  zone.addEventListener("drop", async (e) => {
+    e.preventDefault();
+    zone.classList.remove("over");
+    // DataTransfer is only readable during the event — take files and handles before awaiting
+    const files   = [...e.dataTransfer.files];
+    const pending = [...e.dataTransfer.items].filter(i => i.kind === "file").map(i => i.getAsFileSystemHandle?.() ?? null);
+    const dir     = (await Promise.all(pending).catch(() => [])).find(h => h?.kind === "directory");
+    runImport(dir ? { dir } : { files });
+  });
+  return wrap;
+}
+
+export async function importModelFolder() {
+  let dir;
+  try { dir = await window.showDirectoryPicker(); }
+  catch (e) { if (e.name !== "AbortError") alert(`Could not open the folder: ${e.message}`); return; }
+  runImport({ dir });
+}
+
+export function importModelFiles(fileList) {
+  if (fileList?.length) runImport({ files: [...fileList] });
+}
+
+let _importing = false;
+async function runImport(input) {
+  if (_importing) return;
+  _importing = true;
+  const status = (msg, color = "") => {
+    const el = document.getElementById("importStatus");
+    if (el) { el.textContent = msg; el.style.color = color; }
+  };
+  try {
+    // The importer pulls in the ~75 KB converter, so it loads on first import
+    const { importModel } = await import("./acc-import.js");
+    const d = await importModel(input, {
+      takenIds:   getAllModels().map(m => m.id),
+      onProgress: (pct, msg) => status(`${pct}% · ${msg}`),
+    });
+    registerACCModel(d);
+    _accCacheStatus.set(d.id, true);
+    buildPicker(await getCachedModelIds());
+    await buildModalBody();
+    status(`✓ ${d.name} imported — choose it in the model list to load it.`, "var(--green)");
+  } catch (e) {
+    status(`Import failed: ${e.message}`, "var(--red)");
+  } finally {
+    _importing = false;
+  }
 }
 
 // ── ACC bundle download (secret dev feature — double-click Load or click ⬇) ──
-// Exports a full .acc bundle from OPFS as downloadable files.
+// Exports the cached .acc bundle from OPFS as one .accpack file. The archive
+// references the OPFS files directly, so nothing is read into memory first.
 // Developers can host these and ship pre-converted models to users.
 export async function downloadACCBundle(modelId) {
   const m = getAllModels().find(x => x.id === modelId);
   if (!m || m.engine !== "acc") return;
+  const { packFiles, saveAccPack, directoryFiles } = await import("./acc-converter.js");
 
-  // Load from OPFS
-  let bundle;
+  // Collect the bundle's files from OPFS
+  let files;
   try {
     const root   = await navigator.storage.getDirectory();
     const accDir = await root.getDirectoryHandle(modelId);
-    const readJ  = async (n) => (await (await (await accDir.getFileHandle(n)).getFile()).text());
-    const manifest  = JSON.parse(await readJ("manifest.json"));
-    const config    = JSON.parse(await readJ("config.json"));
-    let   tokenizer = null;
-    try { tokenizer = await readJ("tokenizer.json"); } catch {}
-    const shardsDir = await accDir.getDirectoryHandle("shards");
-    const shards = [];
-    for (let i = 0; i < manifest.num_shards; i++) {
-      const fh = await shardsDir.getFileHandle(`shard_${String(i).padStart(2,"0")}.bin`);
-      shards.push(new Uint8Array(await (await fh.getFile()).arrayBuffer()));
-    }
-    bundle = { manifest, config, tokenizer, shards };
+    files = await directoryFiles(accDir);
+    const manifest = JSON.parse(await files.find(f => f.name === "manifest.json").data.text());
+    const shards   = files.filter(f => f.name.startsWith("shards/")).length;
+    if (shards < manifest.num_shards) throw new Error(`${shards} of ${manifest.num_shards} shards cached`);
   } catch (e) {
     alert(`Model not cached yet. Load the model first, then download the .acc bundle.\n\n${e.message}`);
     return;
   }
 
-  // Prompt for save folder via FileSystem Access API or fall back to individual downloads
+  // Save via the File System Access API, or as one streamed download
   const name = modelId.replace(".acc", "");
   try {
-    if (window.showDirectoryPicker) {
-      const dir = await window.showDirectoryPicker({ suggestedName: `${name}.acc`, mode: "readwrite" });
-      const writeFile = async (d, fname, data) => {
-        const fh = await d.getFileHandle(fname, { create: true });
-        const wr = await fh.createWritable();
-        await wr.write(new Blob([data]));
-        await wr.close();
-      };
-      await writeFile(dir, "manifest.json", JSON.stringify(bundle.manifest, null, 2));
-      await writeFile(dir, "config.json",   JSON.stringify(bundle.config, null, 2));
-      if (bundle.tokenizer) await writeFile(dir, "tokenizer.json", bundle.tokenizer);
-      const sd = await dir.getDirectoryHandle("shards", { create: true });
-      for (let i = 0; i < bundle.shards.length; i++) {
-        await writeFile(sd, `shard_${String(i).padStart(2,"0")}.bin`, bundle.shards[i]);
-      }
-      alert(`✓ ${name}.acc saved! ${bundle.shards.length} shard(s) + manifest + config.`);
-    } else {
-      // Fallback
-      const dl = (filename, data) => {
-        const url = URL.createObjectURL(new Blob([data]));
-        const a = document.createElement("a"); a.href = url; a.download = filename; a.click();
-        URL.revokeObjectURL(url);
-      };
-      dl(`${name}_manifest.json`, JSON.stringify(bundle.manifest, null, 2));
-      dl(`${name}_config.json`,   JSON.stringify(bundle.config, null, 2));
-      if (bundle.tokenizer) dl(`${name}_tokenizer.json`, bundle.tokenizer);
-      for (let i = 0; i < bundle.shards.length; i++) {
-        await new Promise(r => setTimeout(r, 150));
-        dl(`${name}_shard_${String(i).padStart(2,"0")}.bin`, bundle.shards[i]);
-      }
-    }
+    const { method } = await saveAccPack(packFiles(files), `${name}.accpack`);
+    if (method === "filesystem") alert(`✓ ${name}.accpack saved! ${files.length} files in one archive.`);
   } catch (e) {
     if (e.name !== "AbortError") alert(`Download failed: ${e.message}`);
   }
@@ -1171,6 +1575,7 @@ export async function switchModel(modelId) {
   closeModal();
   if (engine) { try { await engine.unload(); } catch (e) {} }
   engine = null; generating = false; history = []; activeModelId = null;
+  resetContext();
   window._activeModelId = null;
   hideCoreStats();
   document.getElementById("chatScreen").style.display = "none";
@@ -1229,13 +1634,24 @@ export async function deleteModel(modelId) {
       }
     }
   } catch (e) { console.warn(e); }
+  // Imported models live only in OPFS — deleting their files removes the model
+  const imported = getACCRegistry().some(m => m.id === modelId);
+  if (imported) {
+    try { await (await navigator.storage.getDirectory()).removeEntry(modelId, { recursive: true }); }
+    catch (e) { console.warn(e); }
+    unregisterACCModel(modelId);
+    _accCacheStatus.delete(modelId);
+  }
   if (btn) {
     btn.innerHTML = '<span class="material-icons-round">check</span>';
     btn.style.color = "var(--green)"; btn.style.borderColor = "var(--green)";
     setTimeout(() => { if (btn) { btn.innerHTML = '<span class="material-icons-round">delete_outline</span>'; btn.style.color = ""; btn.style.borderColor = ""; btn.disabled = false; } }, 2500);
   }
-  if (modelId === activeModelId) await switchModel(modelId);
-  else await buildModalBody();
+  if (modelId === activeModelId) await switchModel(imported ? MODELS[0].id : modelId);
+  else {
+    if (imported) buildPicker(await getCachedModelIds());
+    await buildModalBody();
+  }
 }
 
 
@@ -1324,6 +1740,8 @@ async function persistCurrentChat() {
     title,
     modelId:   activeModelId,
     messages:  history.slice(),
+    contextFrom:    _contextFrom,
+    contextSummary: _contextSummary,
     createdAt: existing?.createdAt || Date.now(),
     updatedAt: Date.now(),
   });
@@ -1336,7 +1754,9 @@ export async function newChat() {
   await persistCurrentChat();
   // Reset state
   history = [];
+  resetContext();
   _currentChatId = genChatId();
+  await forkEngineCache();
   const msgs = document.getElementById('messages');
   if (msgs) msgs.innerHTML = '';
   // Show welcome again
@@ -1346,6 +1766,14 @@ export async function newChat() {
   renderChatSidebar();
 }
 
+// Drop the previous chat's KV cache on the ACC engine but keep the system
+// prompt prefix, which is identical across chats with the same model.
+async function forkEngineCache() {
+  if (_engineType !== "acc" || !engine?.forkCache || !activeModelId) return;
+  const memories = await loadMemories(activeModelId);
+  engine.forkCache([{ role: "system", content: buildSystemPrompt(activeModelId, memories) }]);
+}
+
 // Open existing chat
 export async function openChat(id) {
   if (generating) return;
@@ -1356,7 +1784,9 @@ export async function openChat(id) {
   // If different model, we can still show history (read-only might break inference)
   // Just load the messages into UI
   history = chat.messages.slice();
+  resetContext(chat);
   _currentChatId = id;
+  await forkEngineCache();
 
   const msgs = document.getElementById('messages');
   if (msgs) {
@@ -1365,6 +1795,7 @@ export async function openChat(id) {
       const role  = msg.role === 'user' ? 'user' : 'ai';
       const label = msg.role === 'user' ? 'You'  : 'LocalLLM';
       const bbl   = mkRow(role, label);
+      if (msg.condensed) mkContextMarker(bbl.closest('.msg-row'));
       if (msg.role === 'assistant') renderBubble(bbl, msg.content);
       else bbl.textContent = msg.content;
     }
@@ -1609,6 +2040,7 @@ export async function confirmRefreshCache() {
   activeModelId = null;
   generating = false;
   history = [];
+  resetContext();
   window._activeModelId = null;
   hideCoreStats?.();
   document.getElementById('chatScreen').style.display = 'none';
@@ -1667,6 +2099,7 @@ export function handleKey(e)   { if (e.key === "Enter" && !e.shiftKey) { e.preve
   const cached = await getCachedModelIds();
   buildPicker(cached);
   updateModelInfo();
+  probeDevice().then(p => { if (p) updateModelInfo(); });
 
   if (localStorage.getItem("privacy-acknowledged") === "true" && localStorage.getItem("analytics-opt-out") !== "true" && !false) {
     // analytics removed
@@ -1686,6 +2119,23 @@ export function handleKey(e)   { if (e.key === "Enter" && !e.shiftKey) { e.preve
       setThinkEnabled(this.checked);
     });
   }
+  const ctxStrategyEl = document.getElementById("contextStrategy");
+  const ctxWindowRow  = document.getElementById("contextWindowRow");
+  if (ctxStrategyEl) {
+    ctxStrategyEl.value = getContextStrategy();
+    ctxStrategyEl.addEventListener("change", function() {
+      setContextStrategy(this.value);
+      if (ctxWindowRow) ctxWindowRow.style.display = this.value === "window" ? "" : "none";
+    });
+  }
+  const ctxWindowEl = document.getElementById("contextWindowTokens");
+  if (ctxWindowEl) {
+    ctxWindowEl.value = String(getContextWindowTokens());
+    ctxWindowEl.addEventListener("change", function() {
+      setContextWindowTokens(this.value);
+    });
+  }
+  if (ctxWindowRow) ctxWindowRow.style.display = getContextStrategy() === "window" ? "" : "none";
 
   // Expose globals
   window.loadModel             = loadModel;
@@ -1700,6 +2150,8 @@ export function handleKey(e)   { if (e.key === "Enter" && !e.shiftKey) { e.preve
   window.closeModalOutside     = closeModalOutside;
   window.switchModel           = switchModel;
   window.deleteModel           = deleteModel;
+  window.importModelFolder     = importModelFolder;
+  window.importModelFiles      = importModelFiles;
   window.openRefreshDialog     = openRefreshDialog;
   window.closeRefreshDialog    = closeRefreshDialog;
   window.confirmRefreshCache   = confirmRefreshCache;
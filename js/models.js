@@ -10,15 +10,18 @@ let _modelUrlOverrides = {};
     if (res.ok) {
       const data = await res.json();
       for (const entry of (data.models || [])) {
-        if (entry.id && entry.hostedBase) {
-          _modelUrlOverrides[entry.id] = entry.hostedBase;
+        if (entry.id && (entry.hostedBase || entry.hostedPack || entry.publicKey)) {
+          _modelUrlOverrides[entry.id] = { hostedBase: entry.hostedBase, hostedPack: entry.hostedPack, publicKey: entry.publicKey };
         }
       }
-      // Re-apply overrides to already-defined ACC_MODELS
-      for (const m of ACC_MODELS) {
-        if (_modelUrlOverrides[m.id]) {
-          m.hostedBase = _modelUrlOverrides[m.id];
-        }
+      // Re-apply overrides to already-defined ACC_MODELS and draft models.
+      // hostedPack: one .accpack archive, used instead of the hostedBase folder.
+      // publicKey: base64 Ed25519 key the hosted manifest.sig must verify against
+      for (const m of [...ACC_MODELS, ...DRAFT_MODELS]) {
+        const o = _modelUrlOverrides[m.id];
+        if (o?.hostedBase) m.hostedBase = o.hostedBase;
+        if (o?.hostedPack) m.hostedPack = o.hostedPack;
+        if (o?.publicKey)  m.publicKey  = o.publicKey;
       }
     }
   } catch (e) { /* modelurls.json missing or parse error — use defaults */ }
@@ -108,6 +111,7 @@ export const ACC_MODELS = [
     desc: "Llama 3.2 3B via ACC Engine. Fastest, lightest — great for all devices.",
     runability: "easy", ctx: 4096, mobileRecommended: true,
     engine: "acc", arch: "llama", quant: "q4",
+    draftModel: "llama-3.2-1b.acc",
     tokPerDevice: {
       dedicatedGPU: "40–80 tok/s", steamDeck: "15–22 tok/s",
       laptopIGPU: "8–16 tok/s", phone: "4–10 tok/s",
@@ -156,6 +160,7 @@ export const ACC_MODELS = [
     desc: "DeepSeek R1 8B via ACC Engine. Step-by-step reasoning. Needs 8 GB RAM.",
     runability: "hard", ctx: 4096,
     engine: "acc", arch: "llama", quant: "q4",
+    draftModel: "llama-3.2-1b.acc",
     tokPerDevice: {
       dedicatedGPU: "8–18 tok/s", steamDeck: "3–6 tok/s",
       laptopIGPU: "1–4 tok/s", phone: "Will likely crash",
@@ -165,11 +170,29 @@ export const ACC_MODELS = [
   },
 ];
 
+// ─── Draft models (speculative decoding) ──────────────────────────────────────
+// draftModel on an ACC model names a small model with the same vocabulary that
+// proposes tokens for it to verify. Drafts are loaded from the browser cache
+// or hostedBase only — never compiled on-device — and are not listed in the
+// picker unless they are also in ACC_MODELS.
+export const DRAFT_MODELS = [
+  {
+    id: "llama-3.2-1b.acc",
+    name: "Llama 3.2 1B",
+    hostedBase: "https://example.com/models/llama-3.2-1b.acc",
+    engine: "acc", arch: "llama", quant: "q4",
+  },
+];
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
 export function getAllModels()    { return [...MODELS, ...ACC_MODELS, ...getACCRegistry()]; }
 export function getModelById(id) { return getAllModels().find(m => m.id === id) || null; }
 export function isACCModel(id)   { return getAllModels().find(m => m.id === id)?.engine === "acc"; }
+export function getDraftModel(m) {
+  if (!m?.draftModel) return null;
+  return DRAFT_MODELS.find(d => d.id === m.draftModel) || getModelById(m.draftModel);
+}
 
 // ─── User-registered ACC models (from converter page) ────────────────────────
 
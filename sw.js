@@ -15,7 +15,15 @@ const STATIC = [
   '/js/llm-worker.js',
   '/js/ACC-Worker.js',
   '/js/acc-converter.js',
+  '/js/acc-import.js',
+  '/js/acc-tokenizer.js',
+  '/js/acc-template.js',
+  '/js/acc-grammar.js',
+  '/js/acc-reference.js',
+  '/js/acc-cpu.js',
+  '/js/acc-cpu-thread.js',
   '/webgpu/kernels.wgsl',
+  '/webgpu/kernels-f16.wgsl',
   '/sw.js',
   // Logos & favicon
   'https://i.ibb.co/DfYLtMhQ/favicon.png',
@@ -0,0 +1,239 @@
+// acc-converter.test.js — GGUF header parsing, GGML dequantization and Q/K un-permute
+// Synthetic GGUF files are built byte by byte; each quantized block is filled
+// with known scales and codes and its expected values computed per element.
+// Apache 2.0 — Actalithic
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseGGUF, dequantizeGGML, unpermuteRoPE, ggufTensorName, GGML_TYPE, toFloat16 } from "../js/acc-converter.js";
+import { ropeEmbed, matmul } from "../js/acc-reference.js";
+
+// ─── GGUF writer ─────────────────────────────────────────────────────────────
+
+const enc = new TextEncoder();
+const u32 = (v) => new Uint8Array(new Uint32Array([v]).buffer);
+const u64 = (v) => new Uint8Array(new BigUint64Array([BigInt(v)]).buffer);
+const str = (s) => [u64(enc.encode(s).length), enc.encode(s)];
+const cat = (parts) => {
+  const flat = parts.flat(Infinity);
+  const out  = new Uint8Array(flat.reduce((n, p) => n + p.length, 0));
+  flat.reduce((at, p) => (out.set(p, at), at + p.length), 0);
+  return out;
+};
+
+// metadata values: numbers are u32, strings are strings, arrays of either
+function metaValue(v) {
+  if (Array.isArray(v)) {
+    const item = typeof v[0] === "string" ? 8 : 4;
+    return [u32(9), u32(item), u64(v.length), v.map(x => item === 8 ? str(x) : u32(x))];
+  }
+  return typeof v === "string" ? [u32(8), str(v)] : [u32(4), u32(v)];
+}
+
+/**
+ * A GGUF v3 file. `tensors` are [name, dims (innermost first), ggmlType, bytes];
+ * data is packed at 32-byte alignment.
+ */
+function ggufFile(metadata, tensors) {
+  let offset = 0;
+  const infos = tensors.map(([name, dims, type, bytes]) => {
+    const info = [str(name), u32(dims.length), dims.map(u64), u32(type), u64(offset)];
+    offset = Math.ceil((offset + bytes.length) / 32) * 32;
+    return info;
+  });
+  const header = cat([u32(0x46554747), u32(3), u64(tensors.length), u64(Object.keys(metadata).length),
+                      Object.entries(metadata).map(([k, v]) => [str(k), metaValue(v)]), infos]);
+  const start = Math.ceil(header.length / 32) * 32;
+  const file  = new Uint8Array(start + offset);
+  file.set(header);
+  for (let i = 0, at = start; i < tensors.length; i++) {
+    file.set(tensors[i][3], at);
+    at += Math.ceil(tensors[i][3].length / 32) * 32;
+  }
+  return file.buffer;
+}
+
+const f16 = (v) => toFloat16(new Float32Array([v]))[0];
+
+// ─── Known blocks ────────────────────────────────────────────────────────────
+
+// Q8_0: f16 d, 32 × int8
+function q8_0Block(d, codes) {
+  const b = new Uint8Array(34);
+  new DataView(b.buffer).setUint16(0, f16(d), true);
+  b.set(new Uint8Array(Int8Array.from(codes).buffer), 2);
+  return b;
+}
+
+// Q4_K: f16 d, f16 dmin, eight 6-bit (scale, min) pairs packed into 12 bytes,
+// then 4-bit codes — byte 32c + l holds element 64c + l (low) and 64c + 32 + l (high)
+function q4KBlock(d, dmin, scales, mins, code) {
+  const b = new Uint8Array(144);
+  const v = new DataView(b.buffer);
+  v.setUint16(0, f16(d), true);
+  v.setUint16(2, f16(dmin), true);
+  for (let j = 0; j < 4; j++) {
+    b[4 + j]     = scales[j] | (scales[j + 4] >> 4) << 6;
+    b[4 + j + 4] = mins[j]   | (mins[j + 4]   >> 4) << 6;
+    b[4 + j + 8] = (scales[j + 4] & 0xF) | (mins[j + 4] & 0xF) << 4;
+  }
+  for (let i = 0; i < 256; i++) {
+    const at = 16 + 32 * (i >> 6) + (i & 31);
+    b[at] |= (i & 32) ? code(i) << 4 : code(i);
+  }
+  return b;
+}
+
+// Q6_K: 6-bit codes split into low nibbles (128 B) and high bit pairs (64 B),
+// 16 × int8 scales, f16 d. Element i sits in half n = i >> 7 at lane l = i & 31
+// of quarter p = (i >> 5) & 3, scaled by scales[8n + 2p + (l >> 4)].
+function q6KBlock(d, scales, code) {
+  const b = new Uint8Array(210);
+  for (let i = 0; i < 256; i++) {
+    const n = i >> 7, p = (i >> 5) & 3, l = i & 31, q = code(i);
+    b[n * 64 + (p & 1) * 32 + l] |= (q & 0xF) << (p >> 1) * 4;
+    b[128 + n * 32 + l]          |= (q >> 4) << 2 * p;
+  }
+  b.set(new Uint8Array(Int8Array.from(scales).buffer), 192);
+  new DataView(b.buffer).setUint16(208, f16(d), true);
+  return b;
+}
+
+const q6Scale = (i) => 8 * (i >> 7) + 2 * ((i >> 5) & 3) + ((i & 31) >> 4);
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+test("parseGGUF reads metadata, reverses dims to row-major and aligns tensor data", async () => {
+  const weights = Float32Array.from({ length: 6 }, (_, i) => i - 2.5);
+  const codes   = Array.from({ length: 32 }, (_, i) => i - 16);
+  const buffer  = ggufFile(
+    { "general.architecture": "llama", "llama.block_count": 2, "tokenizer.ggml.tokens": ["<s>", "</s>", "a"] },
+    [["blk.0.attn_q.weight", [3, 2], GGML_TYPE.F32, new Uint8Array(weights.buffer)],
+     ["token_embd.weight",   [32, 1], GGML_TYPE.Q8_0, q8_0Block(0.5, codes)]]);
+
+  const { version, metadata, tensorMap, dataStart, alignment } = await parseGGUF(buffer);
+  assert.equal(version, 3);
+  assert.equal(metadata["llama.block_count"], 2);
+  assert.deepEqual(metadata["tokenizer.ggml.tokens"], ["<s>", "</s>", "a"]);
+  assert.equal(alignment, 32);
+  assert.equal(dataStart % 32, 0);
+
+  const q = tensorMap.get("blk.0.attn_q.weight");
+  assert.deepEqual(q.shape, [2, 3]);
+  assert.equal(q.dataLen, 24);
+  assert.deepEqual(dequantizeGGML(new Uint8Array(buffer, q.dataOffset, q.dataLen), q.ggmlType, 6), weights);
+
+  const e = tensorMap.get("token_embd.weight");
+  assert.equal(e.dataOffset, dataStart + 32);
+  assert.equal(e.dataLen, 34);
+  assert.deepEqual(dequantizeGGML(new Uint8Array(buffer, e.dataOffset, e.dataLen), e.ggmlType, 32),
+    Float32Array.from(codes, c => c * 0.5));
+  assert.equal(ggufTensorName("blk.0.attn_q.weight"), "model.layers.0.self_attn.q_proj.weight");
+  assert.equal(ggufTensorName("token_embd.weight"), "model.embed_tokens.weight");
+});
+
+test("parseGGUF rejects bad magic, unsupported versions and truncated headers", async () => {
+  const good = new Uint8Array(ggufFile({ "general.name": "x" }, []));
+  const bad  = good.slice();
+  bad[0] = 0;
+  await assert.rejects(parseGGUF(bad.buffer), /Not a GGUF file/);
+  const v1 = good.slice();
+  v1[4] = 1;
+  await assert.rejects(parseGGUF(v1.buffer), /Unsupported GGUF version 1/);
+  await assert.rejects(parseGGUF(good.slice(0, 30).buffer), /truncated or corrupt/);
+});
+
+test("Q8_0 blocks dequantize to code × d", () => {
+  const codes = Array.from({ length: 64 }, (_, i) => (i * 37 % 255) - 127);
+  const raw   = cat([q8_0Block(0.25, codes.slice(0, 32)), q8_0Block(-2, codes.slice(32))]);
+  assert.deepEqual(dequantizeGGML(raw, GGML_TYPE.Q8_0, 64),
+    Float32Array.from(codes, (c, i) => c * (i < 32 ? 0.25 : -2)));
+});
+
+test("Q4_K blocks dequantize to d · scale · code − dmin · min per 32-value sub-block", () => {
+  // sub-blocks 4–7 use 6-bit scales / mins above 15, exercising the packed high bits
+  const scales = [1, 2, 3, 63, 17, 40, 33, 62];
+  const mins   = [0, 5, 63, 9, 48, 16, 31, 60];
+  const code   = (i) => (i * 7 + 3) % 16;
+  const raw    = cat([q4KBlock(0.5, 0.125, scales, mins, code), q4KBlock(2, 1, mins, scales, code)]);
+  const out    = dequantizeGGML(raw, GGML_TYPE.Q4_K, 512);
+  for (let i = 0; i < 512; i++) {
+    const [d, dmin, s, m] = i < 256 ? [0.5, 0.125, scales, mins] : [2, 1, mins, scales];
+    const sub = (i & 255) >> 5;
+    assert.equal(out[i], Math.fround(d * s[sub] * code(i & 255) - dmin * m[sub]), `element ${i}`);
+  }
+});
+
+test("Q6_K blocks dequantize to d · scale · (code − 32) per 16-value group", () => {
+  const scales = Array.from({ length: 16 }, (_, k) => k * 9 - 70);
+  const code   = (i) => (i * 5 + 11) % 64;
+  const out    = dequantizeGGML(q6KBlock(0.25, scales, code), GGML_TYPE.Q6_K, 256);
+  for (let i = 0; i < 256; i++) {
+    assert.equal(out[i], Math.fround(0.25 * scales[q6Scale(i)] * (code(i) - 32)), `element ${i}`);
+  }
+});
+
+test("unsupported GGML types name themselves", () => {
+  assert.throws(() => dequantizeGGML(new Uint8Array(0), 99, 0), /Unsupported GGUF tensor type: type 99/);
+});
+
+// ─── Q/K un-permute ──────────────────────────────────────────────────────────
+
+// llama.cpp's convert_hf_to_gguf permute():
+//   w.reshape(n_head, 2, rows / n_head / 2, cols).swapaxes(1, 2).reshape(rows, cols)
+function permute(w, rows, cols, nHead) {
+  const half = rows / nHead / 2;
+  const out  = new Float32Array(w.length);
+  for (let h = 0; h < nHead; h++) {
+    for (let s = 0; s < 2; s++) {
+      for (let j = 0; j < half; j++) {
+        const src = ((h * 2 + s) * half + j) * cols;
+        const dst = ((h * half + j) * 2 + s) * cols;
+        out.set(w.subarray(src, src + cols), dst);
+      }
+    }
+  }
+  return out;
+}
+
+// llama.cpp rope_norm: rotates adjacent pairs (2j, 2j + 1) of each head
+function ropeAdjacent(x, { seqLen, nHeads, headDim, theta }) {
+  for (let p = 0; p < seqLen; p++) {
+    for (let h = 0; h < nHeads; h++) {
+      for (let j = 0; j < headDim / 2; j++) {
+        const angle = p * Math.pow(theta, -(2 * j) / headDim);
+        const at    = (p * nHeads + h) * headDim + 2 * j;
+        const [x0, x1] = [x[at], x[at + 1]];
+        x[at]     = x0 * Math.cos(angle) - x1 * Math.sin(angle);
+        x[at + 1] = x0 * Math.sin(angle) + x1 * Math.cos(angle);
+      }
+    }
+  }
+}
+
+const NHEADS = 4, HEAD_DIM = 8, COLS = 12, ROWS = NHEADS * HEAD_DIM;
+const hfWeight = Float32Array.from({ length: ROWS * COLS }, (_, i) => Math.sin(i * 0.61) * 0.5);
+
+test("unpermuteRoPE inverts llama.cpp's Q/K permutation", () => {
+  const gguf = permute(hfWeight, ROWS, COLS, NHEADS);
+  assert.notDeepEqual(gguf, hfWeight);
+  assert.deepEqual(unpermuteRoPE(gguf, ROWS, COLS, NHEADS), hfWeight);
+  // grouped-query K: fewer heads over the same head size
+  const k = hfWeight.subarray(0, 2 * HEAD_DIM * COLS);
+  assert.deepEqual(unpermuteRoPE(permute(k, 2 * HEAD_DIM, COLS, 2), 2 * HEAD_DIM, COLS, 2), k);
+});
+
+test("un-permuted GGUF weights under the reference RoPE match llama.cpp's adjacent-pair RoPE", () => {
+  const seqLen = 5, dims = { seqLen, nHeads: NHEADS, nKV: 0, headDim: HEAD_DIM, theta: 10000 };
+  const x    = Float32Array.from({ length: seqLen * COLS }, (_, i) => Math.cos(i * 0.29));
+  const gguf = permute(hfWeight, ROWS, COLS, NHEADS);
+
+  const ours = matmul(x, seqLen, COLS, unpermuteRoPE(gguf, ROWS, COLS, NHEADS), ROWS);
+  ropeEmbed(ours, new Float32Array(0), dims);
+
+  const theirs = matmul(x, seqLen, COLS, gguf, ROWS);
+  ropeAdjacent(theirs, dims);
+  // llama.cpp's output is in GGUF row order; map it back to compare
+  const back = unpermuteRoPE(theirs, seqLen * NHEADS * HEAD_DIM, 1, seqLen * NHEADS);
+  for (let i = 0; i < ours.length; i++) assert.ok(Math.abs(ours[i] - back[i]) < 1e-5, `element ${i}`);
+});
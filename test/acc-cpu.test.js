@@ -0,0 +1,92 @@
+// acc-cpu.test.js — hand-assembled WASM SIMD kernels against the JS reference
+// Weights come from createRandomBundle, so they use the real .acc Q4 / Q8 / F32
+// layouts; every kernel result is checked against matmul() over dequantizeRows().
+// Apache 2.0 — Actalithic
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildKernelModule, runSlice, CTL, OPS, createCPUBackend } from "../js/acc-cpu.js";
+import { createRandomBundle, createReferenceModel, loadTensors, dequantizeRows, matmul, compareOutputs } from "../js/acc-reference.js";
+
+const TOL = 1e-5;   // SIMD sums in four lanes, the reference in order
+
+const rows = (M, K, seed) => Float32Array.from({ length: M * K }, (_, i) => Math.sin(seed + i * 0.37) * 2);
+
+function bundleTensors(quantMode, seed) {
+  const bundle = createRandomBundle({ quantMode, seed });
+  return loadTensors(bundle.shards, bundle.manifest.tensor_alignment);
+}
+
+async function kernels() {
+  const memory       = new WebAssembly.Memory({ initial: 1 });
+  const { instance } = await WebAssembly.instantiate(buildKernelModule(false), { env: { memory } });
+  return { memory, exports: instance.exports };
+}
+
+// Copy a, w into memory at 16-byte aligned offsets; returns the byte pointers
+function place(memory, a, w, cBytes) {
+  const align = (p) => (p + 15) & ~15;
+  const pa = 64, pw = align(pa + a.byteLength), pc = align(pw + w.byteLength);
+  const end = pc + cBytes;
+  if (end > memory.buffer.byteLength) memory.grow(Math.ceil((end - memory.buffer.byteLength) / 65536));
+  new Float32Array(memory.buffer, pa, a.length).set(a);
+  new Uint8Array(memory.buffer, pw, w.byteLength).set(w);
+  return { pa, pw, pc };
+}
+
+for (const [quantMode, op] of [["f32", "matmul_f32"], ["q8", "matmul_q8"], ["q4", "matmul_q4"]]) {
+  test(`${op} matches the reference matmul over dequantized weights`, async () => {
+    const tensors = bundleTensors(quantMode, 3);
+    const { memory, exports } = await kernels();
+
+    for (const name of ["model.layers.0.mlp.gate_proj.weight", "model.layers.0.mlp.down_proj.weight"]) {
+      const t      = tensors.get(name);
+      const [N, K] = t.shape;
+      const M      = 3;
+      const a      = rows(M, K, N);
+      const { pa, pw, pc } = place(memory, a, t.data, M * N * 4);
+
+      exports[op](pa, pw, pc, M, N, K, 0, N);
+      const got  = new Float32Array(memory.buffer, pc, M * N).slice();
+      const want = matmul(a, M, K, dequantizeRows(t, 0, N), N);
+      assert.ok(compareOutputs(got, want).maxAbs <= TOL, `${name}: max |Δ| ${compareOutputs(got, want).maxAbs}`);
+    }
+  });
+}
+
+test("runSlice splits the columns so the slices together equal one full run", async () => {
+  const t      = bundleTensors("q4", 5).get("lm_head.weight");
+  const [N, K] = t.shape;
+  const M      = 2;
+  const { memory, exports } = await kernels();
+  const { pa, pw, pc } = place(memory, rows(M, K, 1), t.data, M * N * 4);
+
+  const ctl = new Int32Array(memory.buffer, 0, 16);
+  ctl[CTL.OP] = OPS.indexOf("matmul_q4"); ctl[CTL.A] = pa; ctl[CTL.W] = pw; ctl[CTL.C] = pc;
+  ctl[CTL.M]  = M; ctl[CTL.N] = N; ctl[CTL.K] = K;
+  runSlice(exports, ctl, 0, 1);
+  const whole = new Float32Array(memory.buffer, pc, M * N).slice();
+
+  new Float32Array(memory.buffer, pc, M * N).fill(NaN);
+  for (let i = 0; i < 3; i++) runSlice(exports, ctl, i, 3);
+  assert.deepEqual(new Float32Array(memory.buffer, pc, M * N), whole);
+});
+
+test("the shared-memory build of the module validates", () => {
+  assert.equal(WebAssembly.validate(buildKernelModule(true)), true);
+});
+
+test("the CPU backend's logits match the reference model for Q4, Q8 and F32 bundles", async () => {
+  const prompt = [1, 17, 42, 99, 3];
+  for (const quantMode of ["f32", "q8", "q4"]) {
+    const bundle  = createRandomBundle({ quantMode, seed: 7 });
+    const backend = await createCPUBackend(bundle.config);
+    assert.equal(backend.kind, "wasm-simd");
+    for (const shard of bundle.shards) backend.uploadShard(shard, bundle.manifest.tensor_alignment);
+
+    const want = createReferenceModel(bundle.config, loadTensors(bundle.shards, bundle.manifest.tensor_alignment)).forward(prompt);
+    const { maxAbs } = compareOutputs(backend.forward(prompt, 0), want);
+    assert.ok(maxAbs <= 1e-4, `${quantMode}: max |Δ| ${maxAbs}`);
+    backend.destroy();
+  }
+});
@@ -0,0 +1,148 @@
+// acc-grammar.test.js — constrained decoding: token masks, completion and errors
+// A toy byte-level vocabulary (every byte plus a few multi-character tokens)
+// stands in for a real tokenizer; constraints see tokens only as raw bytes.
+// Apache 2.0 — Actalithic
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ACCTokenizer } from "../js/acc-tokenizer.js";
+import { compileResponseFormat, createConstraint } from "../js/acc-grammar.js";
+
+const BYTE_CHARS = [];
+for (let b = 0, n = 0; b < 256; b++) {
+  const printable = (b >= 0x21 && b <= 0x7e) || (b >= 0xa1 && b <= 0xac) || (b >= 0xae && b <= 0xff);
+  BYTE_CHARS[b] = String.fromCodePoint(printable ? b : 256 + n++);
+}
+const EOT = 300;
+
+const tokenizer = (() => {
+  const vocab = Object.fromEntries(BYTE_CHARS.map((c, i) => [c, i]));
+  // '{"', 'ok', '":', 'true', 'false', ',"', 'é' (as its two byte chars), ' {'
+  ["{\"", "ok", "\":", "true", "false", ",\"", "Ã©", "Ġ{"].forEach((t, i) => { vocab[t] = 256 + i; });
+  return new ACCTokenizer({
+    added_tokens:  [{ id: EOT, content: "<|eot_id|>", special: true }],
+    pre_tokenizer: { type: "ByteLevel" },
+    decoder:       { type: "ByteLevel" },
+    model:         { type: "BPE", vocab, merges: [] },
+  });
+})();
+const VOCAB = EOT + 1;
+const bytesOf = (id) => tokenizer.tokenBytes(id);
+
+function constraint(format) {
+  return createConstraint(compileResponseFormat(format), tokenizer, [EOT]);
+}
+
+// Token ids mask() leaves selectable
+function allowedIds(c) {
+  const logits = new Float32Array(VOCAB);
+  c.mask(logits);
+  return logits.reduce((ids, l, id) => (l === 0 ? ids.push(id) : 0, ids), []);
+}
+
+// Emit `text` greedily, always taking the longest allowed token that matches
+// it next — every step must be one mask() permits. Returns the emitted ids.
+function walk(c, text) {
+  const want = new TextEncoder().encode(text);
+  const ids  = [];
+  for (let at = 0; at < want.length;) {
+    let best = -1, len = 0;
+    for (const id of allowedIds(c)) {
+      const b = bytesOf(id);
+      if (b.length > len && b.every((x, i) => want[at + i] === x)) { best = id; len = b.length; }
+    }
+    assert.notEqual(best, -1, `no allowed token continues ${JSON.stringify(text)} at byte ${at}`);
+    assert.ok(c.allows(best));
+    c.accept(best);
+    ids.push(best);
+    at += len;
+  }
+  return ids;
+}
+
+const decode = (ids) => tokenizer.decode(ids);
+const allowsText = (c, s) => c.allows(tokenizer.tokenToId(s));
+
+const SCHEMA = {
+  type: "json_schema",
+  json_schema: { schema: { type: "object", properties: { ok: { type: "boolean" }, n: { type: "integer" } }, required: ["ok", "n"] } },
+};
+
+test("a JSON Schema walk emits a conforming object and then allows only the stop token", () => {
+  const c = constraint(SCHEMA);
+  assert.deepEqual(allowedIds(c).map(id => decode([id])), ["{", "{\""]);
+  assert.equal(c.allows(EOT), false);
+
+  const ids = walk(c, "{\"ok\":true,\"n\":9}");
+  assert.equal(decode(ids), "{\"ok\":true,\"n\":9}");
+  assert.ok(ids.includes(tokenizer.tokenToId("true")));   // multi-character tokens are used
+  assert.equal(c.done, true);
+  assert.deepEqual(allowedIds(c), [EOT]);
+});
+
+test("schema masks enforce property order, value types and integer syntax", () => {
+  const c = constraint(SCHEMA);
+  walk(c, "{\"");
+  assert.equal(allowsText(c, "ok"), true);
+  assert.equal(allowsText(c, "n"), false);              // "ok" is listed first
+  walk(c, "ok\":");
+  assert.equal(allowsText(c, "true"), true);
+  assert.equal(allowsText(c, "1"), false);
+  walk(c, "false,\"n\":0");
+  assert.equal(allowsText(c, "9"), false);              // no leading zeros
+  assert.equal(c.done, false);
+  assert.equal(c.allows(EOT), false);
+});
+
+test("json_object without a schema accepts any object", () => {
+  const c = constraint({ type: "json_object" });
+  walk(c, "{\"a\": [1, \"x\", null]}");
+  assert.equal(c.done, true);
+});
+
+test("a regex constrains to a full match", () => {
+  const c = constraint({ type: "regex", regex: "\\d{3}-[a-z]+" });
+  assert.equal(allowsText(c, "x"), false);
+  walk(c, "123-");
+  assert.equal(allowsText(c, "4"), false);
+  assert.equal(c.allows(EOT), false);                   // [a-z]+ needs one letter
+  walk(c, "ab");
+  assert.equal(c.allows(EOT), true);
+  assert.equal(c.done, false);                          // more letters may follow
+});
+
+test("GBNF alternatives narrow the mask as bytes arrive", () => {
+  const c = constraint({ type: "grammar", grammar: "root ::= \"yes\" | \"no\"  # answer" });
+  assert.deepEqual(allowedIds(c).map(id => decode([id])).sort(), ["n", "y"]);
+  walk(c, "y");
+  assert.deepEqual(allowedIds(c).map(id => decode([id])), ["e"]);
+  walk(c, "es");
+  assert.equal(c.done, true);
+});
+
+test("a character split across byte tokens matches byte by byte", () => {
+  const c = constraint({ type: "grammar", grammar: "root ::= \"é\"+" });
+  const whole = tokenizer.tokenToId("Ã©");
+  assert.equal(c.allows(whole), true);
+  assert.equal(c.allows(0xc3), true);                   // lead byte of é
+  assert.equal(c.allows(0xa9), false);
+  c.accept(0xc3);
+  assert.deepEqual(allowedIds(c), [0xa9]);
+  c.accept(0xa9);
+  assert.equal(c.allows(EOT), true);
+});
+
+test("invalid schemas and grammars are rejected with readable errors", () => {
+  const rejects = (format, message) => assert.throws(() => compileResponseFormat(format), message);
+  rejects({ type: "grammar", grammar: "root ::= \"a" },            /Grammar error on line 1: unterminated string/);
+  rejects({ type: "grammar", grammar: "root ::= foo" },            /rule "foo" is not defined/);
+  rejects({ type: "grammar", grammar: "start ::= \"a\"" },         /no root rule/);
+  rejects({ type: "regex", regex: "(ab" },                         /Unsupported regex/);
+  rejects({ type: "regex", regex: "a{3,1}" },                      /repetition max is below min/);
+  rejects({ type: "json_schema", json_schema: {} },                /has no schema/);
+  rejects({ type: "json_schema", json_schema: { schema: "{nope" } }, SyntaxError);
+  rejects({ type: "json_schema", json_schema: { schema: { type: "tuple" } } }, /Unsupported schema type "tuple"/);
+  rejects({ type: "json_schema", json_schema: { schema: { $ref: "#/defs/x" } } }, /Unsupported \$ref "#\/defs\/x"/);
+  rejects({ type: "xml" },                                         /Unsupported response_format type "xml"/);
+  assert.equal(compileResponseFormat({ type: "text" }), null);
+});
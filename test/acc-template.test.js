@@ -0,0 +1,89 @@
+// acc-template.test.js — Jinja chat-template sandbox: real templates and work caps
+// The templates in fixtures/chat-templates are the chat_template strings that
+// ship in the models' tokenizer_config.json.
+// Apache 2.0 — Actalithic
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { compileChatTemplate, renderChatTemplate, foldSystemMessage } from "../js/acc-template.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/chat-templates/${name}.jinja`, import.meta.url), "utf8");
+
+const CHAT = [
+  { role: "system",    content: "Be brief." },
+  { role: "user",      content: "Hi" },
+  { role: "assistant", content: "Hello! " },
+  { role: "user",      content: "2+2?" },
+];
+const CONTEXT = { add_generation_prompt: true, bos_token: "<s>", eos_token: "</s>" };
+
+test("Llama 3 renders header blocks, trims content and adds the generation prompt", () => {
+  const out = renderChatTemplate(fixture("llama-3"), { ...CONTEXT, bos_token: "<|begin_of_text|>", messages: CHAT });
+  assert.equal(out,
+    "<|begin_of_text|><|start_header_id|>system<|end_header_id|>\n\nBe brief.<|eot_id|>" +
+    "<|start_header_id|>user<|end_header_id|>\n\nHi<|eot_id|>" +
+    "<|start_header_id|>assistant<|end_header_id|>\n\nHello!<|eot_id|>" +
+    "<|start_header_id|>user<|end_header_id|>\n\n2+2?<|eot_id|>" +
+    "<|start_header_id|>assistant<|end_header_id|>\n\n");
+});
+
+test("ChatML renders im_start / im_end turns", () => {
+  const tpl = compileChatTemplate(fixture("chatml"));
+  assert.equal(tpl.render({ ...CONTEXT, messages: CHAT.slice(0, 2) }),
+    "<|im_start|>system\nBe brief.<|im_end|>\n<|im_start|>user\nHi<|im_end|>\n<|im_start|>assistant\n");
+  assert.equal(tpl.render({ ...CONTEXT, add_generation_prompt: false, messages: CHAT.slice(1, 2) }),
+    "<|im_start|>user\nHi<|im_end|>\n");
+});
+
+test("Gemma rejects a system turn, and renders once it is folded into the first user turn", () => {
+  const tpl = compileChatTemplate(fixture("gemma-2"));
+  assert.throws(() => tpl.render({ ...CONTEXT, messages: CHAT }), /System role not supported/);
+
+  const folded = foldSystemMessage(CHAT);
+  assert.equal(tpl.render({ ...CONTEXT, bos_token: "<bos>", messages: folded }),
+    "<bos><start_of_turn>user\nBe brief.\n\nHi<end_of_turn>\n" +
+    "<start_of_turn>model\nHello!<end_of_turn>\n" +
+    "<start_of_turn>user\n2+2?<end_of_turn>\n<start_of_turn>model\n");
+  assert.throws(() => tpl.render({ ...CONTEXT, messages: CHAT.slice(2) }), /roles must alternate/);
+});
+
+test("foldSystemMessage leaves conversations without a system turn alone", () => {
+  assert.equal(foldSystemMessage(CHAT.slice(1)), null);
+  assert.equal(foldSystemMessage([{ role: "system", content: "x" }]), null);
+  assert.equal(CHAT[1].content, "Hi");          // the input is not mutated
+});
+
+test("templates cannot reach JS prototypes or mutate their inputs", () => {
+  assert.equal(renderChatTemplate("{{ x.__proto__ }}{{ 'abc'.constructor }}", { x: {} }), "");
+  assert.throws(() => renderChatTemplate("{{ ''.constructor.constructor('return 1')() }}", {}), /Chat template/);
+  const messages = [{ role: "user", content: "a" }];
+  assert.throws(() => renderChatTemplate("{% set m = messages[0] %}{% set m.content = 'b' %}", { messages }),
+    /not a namespace\(\)/);
+  assert.equal(messages[0].content, "a");
+});
+
+test("range() is capped at 100000 items and rejects a zero step", () => {
+  assert.equal(renderChatTemplate("{{ range(100000) | length }}", {}), "100000");
+  assert.throws(() => renderChatTemplate("{{ range(100001) | length }}", {}), /range\(\) longer than 100000 items/);
+  assert.throws(() => renderChatTemplate("{{ range(0, 10, 0) | list }}", {}), /step must not be zero/);
+});
+
+test("loop iterations are capped per render", () => {
+  const nested = (n) => `{% for i in range(1000) %}{% for j in range(${n}) %}{% endfor %}{% endfor %}`;
+  assert.equal(renderChatTemplate(nested(999), {}), "");
+  assert.throws(() => renderChatTemplate(nested(1001), {}), /more than 1000000 loop iterations/);
+});
+
+test("output, repeated strings and built values are capped in size", () => {
+  assert.throws(() => renderChatTemplate("{% for i in range(50000) %}{{ '0123456789' * 10 }}{% endfor %}", {}),
+    /output exceeds 4194304 characters/);
+  assert.throws(() => renderChatTemplate("{{ 'x' * 5000000 }}", {}), /repetition exceeds/);
+  assert.throws(() => renderChatTemplate(
+    "{% set s = namespace(v='x') %}{% for i in range(30) %}{% set s.v = s.v + s.v %}{% endfor %}", {}),
+    /value exceeds/);
+});
+
+test("raise_exception() surfaces as a template error", () => {
+  assert.throws(() => renderChatTemplate("{{ raise_exception('nope') }}", {}), { message: "Chat template: nope" });
+});
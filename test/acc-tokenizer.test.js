@@ -0,0 +1,177 @@
+// acc-tokenizer.test.js — tokenizer.json BPE: encode, decode, streaming decode and stop strings
+// Toy vocabularies in both styles the tokenizer reads: byte-level BPE (Llama 3,
+// Qwen) and SentencePiece-style BPE with byte fallback (Llama 2, Mistral).
+// Apache 2.0 — Actalithic
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ACCTokenizer, createStopMatcher } from "../js/acc-tokenizer.js";
+
+// GPT-2 byte → unicode table, as in byte-level tokenizer.json vocabularies
+const BYTE_CHARS = [];
+for (let b = 0, n = 0; b < 256; b++) {
+  const printable = (b >= 0x21 && b <= 0x7e) || (b >= 0xa1 && b <= 0xac) || (b >= 0xae && b <= 0xff);
+  BYTE_CHARS[b] = String.fromCodePoint(printable ? b : 256 + n++);
+}
+
+const LLAMA3_SPLIT = "(?i:'s|'t|'re|'ve|'m|'ll|'d)|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+";
+
+function byteLevelTokenizer({ specials = ["<|begin_of_text|>", "<|eot_id|>"] } = {}) {
+  const vocab  = Object.fromEntries(BYTE_CHARS.map((c, i) => [c, i]));
+  const merges = [["Ġ", "h"], ["Ġh", "e"], ["l", "l"], ["Ġhe", "ll"], ["Ġhell", "o"], ["h", "e"]];
+  merges.forEach(([a, b], i) => { vocab[a + b] = 256 + i; });
+  return new ACCTokenizer({
+    added_tokens:  specials.map((content, i) => ({ id: 1000 + i, content, special: true })),
+    normalizer:    null,
+    pre_tokenizer: { type: "Sequence", pretokenizers: [
+      { type: "Split", pattern: { Regex: LLAMA3_SPLIT }, behavior: "Isolated", invert: false },
+      { type: "ByteLevel", add_prefix_space: false, trim_offsets: true, use_regex: false },
+    ] },
+    decoder: { type: "ByteLevel" },
+    model:   { type: "BPE", vocab, merges, ignore_merges: true },
+  });
+}
+
+function sentencePieceTokenizer() {
+  const vocab = { "<unk>": 0, "<s>": 1, "</s>": 2 };
+  for (let b = 0; b < 256; b++) vocab[`<0x${b.toString(16).toUpperCase().padStart(2, "0")}>`] = 3 + b;
+  let id = 259;
+  for (const c of ["▁", "h", "e", "l", "o", "w", "r", "d"]) vocab[c] = id++;
+  const merges = [["▁", "h"], ["e", "l"], ["▁h", "el"], ["l", "o"], ["▁hel", "lo"]];
+  for (const [a, b] of merges) vocab[a + b] = id++;
+  return new ACCTokenizer({
+    added_tokens: ["<unk>", "<s>", "</s>"].map((content, i) => ({ id: i, content, special: true })),
+    normalizer:   { type: "Sequence", normalizers: [
+      { type: "Prepend", prepend: "▁" },
+      { type: "Replace", pattern: { String: " " }, content: "▁" },
+    ] },
+    pre_tokenizer: null,
+    decoder: { type: "Sequence", decoders: [
+      { type: "Replace", pattern: { String: "▁" }, content: " " },
+      { type: "ByteFallback" }, { type: "Fuse" }, { type: "Strip", content: " ", start: 1, stop: 0 },
+    ] },
+    model: { type: "BPE", vocab, merges: merges.map(m => m.join(" ")), byte_fallback: true, unk_token: "<unk>" },
+  });
+}
+
+const MIXED = "he hello WE'LL 123456 héllo wörld ça 😀 日本";
+
+test("byte-level encode applies merges by rank and splits digits in threes", () => {
+  const t = byteLevelTokenizer();
+  assert.deepEqual(t.encode(" hello", false), [260]);
+  assert.deepEqual(t.encode("he", false), [261]);
+  assert.deepEqual(t.encode("123456", false).map(id => t.idToToken(id)), ["1", "2", "3", "4", "5", "6"]);
+  // é is two bytes, each its own byte token
+  assert.deepEqual(t.encode("é", false), [0xc3, 0xa9].map(b => t.tokenToId(BYTE_CHARS[b])));
+});
+
+test("special tokens are matched verbatim and BOS is prepended once", () => {
+  const t = byteLevelTokenizer();
+  assert.equal(t.bosId, 1000);
+  assert.equal(t.eosId, 1001);
+  assert.deepEqual(t.encode("he<|eot_id|>"), [1000, 261, 1001]);
+  assert.deepEqual(t.encode("<|begin_of_text|>he"), [1000, 261]);
+  assert.ok(t.isSpecial(1001));
+});
+
+test("a vocab without BOS / EOS markers gets no BOS", () => {
+  const t = byteLevelTokenizer({ specials: ["<|im_start|>", "<|im_end|>"] });
+  assert.equal(t.bosId, null);
+  assert.equal(t.eosId, null);
+  assert.deepEqual(t.encode("he"), [261]);
+});
+
+test("byte-level decode round-trips accented text, emoji and CJK", () => {
+  const t = byteLevelTokenizer();
+  const text = `<|begin_of_text|>${MIXED}<|eot_id|>`;
+  assert.equal(t.decode(t.encode(text)), text);
+  assert.equal(t.decode(t.encode(text), { skipSpecial: true }), MIXED);
+});
+
+test("the stream decoder holds back partial UTF-8 until the character completes", () => {
+  const t   = byteLevelTokenizer();
+  const ids = t.encode(" 😀", false);
+  assert.equal(ids.length, 5);              // space + four emoji bytes
+  const d = t.createDecoder();
+  assert.deepEqual(ids.map(id => d.push(id)), [" ", "", "", "", "😀"]);
+  assert.equal(d.flush(), "");
+
+  const ids2 = t.encode(MIXED, false);
+  const d2   = t.createDecoder();
+  assert.equal(ids2.map(id => d2.push(id)).join("") + d2.flush(), MIXED);
+});
+
+test("flush() drains a character the stream cut off", () => {
+  const t = byteLevelTokenizer();
+  const d = t.createDecoder();
+  const [first] = t.encode("é", false);
+  assert.equal(d.push(first), "");
+  assert.equal(d.flush(), "�");
+});
+
+test("SentencePiece-style BPE uses byte fallback for characters outside the vocab", () => {
+  const t   = sentencePieceTokenizer();
+  const ids = t.encode("hello world é</s>");
+  assert.deepEqual(ids.map(id => t.idToToken(id)),
+    ["<s>", "▁hello", "▁", "w", "o", "r", "l", "d", "▁", "<0xC3>", "<0xA9>", "</s>"]);
+  assert.equal(t.decode(ids, { skipSpecial: true }), "hello world é");
+});
+
+test("the SentencePiece stream decoder strips only the first leading space", () => {
+  const t   = sentencePieceTokenizer();
+  const ids = t.encode("hello hello", false);
+  const d   = t.createDecoder();
+  assert.equal(ids.map(id => d.push(id)).join("") + d.flush(), "hello hello");
+});
+
+// Push each piece, collecting what the matcher lets through until it stops
+function stream(matcher, pieces) {
+  let out = "";
+  for (const piece of pieces) {
+    const { text, stopped } = matcher.push(piece);
+    out += text;
+    if (stopped) return { out, stopped };
+  }
+  return { out, stopped: false };
+}
+
+test("a stop string split across chunks is cut and never emitted", () => {
+  const m = createStopMatcher(["</answer>", "\n\nUser:"]);
+  assert.deepEqual(m.push("The answer is 4</"), { text: "The answer is 4", stopped: false });
+  assert.deepEqual(m.push("ans"), { text: "", stopped: false });
+  assert.deepEqual(m.push("wer> trailing"), { text: "", stopped: true });
+  assert.equal(m.matched, true);
+  assert.equal(m.flush("more"), "");
+
+  const m2 = createStopMatcher(["</answer>", "\n\nUser:"]);
+  assert.deepEqual(stream(m2, ["ok", "\n", "\nUs", "er: hi"]), { out: "ok", stopped: true });
+});
+
+test("held-back text is released once it can no longer become a stop string", () => {
+  const m = createStopMatcher(["STOP"]);
+  assert.deepEqual(stream(m, ["go ST", "OOP", "S"]), { out: "go STOOP", stopped: false });
+  assert.equal(m.matched, false);
+  assert.equal(m.flush(), "S");              // "S" could have started "STOP"
+});
+
+test("flush() drains a held-back prefix and the decoder's rest", () => {
+  const m = createStopMatcher(["<|end|>"]);
+  assert.deepEqual(m.push("done <|en"), { text: "done ", stopped: false });
+  assert.equal(m.flush("d"), "<|end");
+  assert.equal(m.matched, false);
+
+  const m2 = createStopMatcher(["<|end|>"]);
+  assert.equal(m2.push("x <|en").text, "x ");
+  assert.equal(m2.flush("d|> y"), "");       // the stop completes inside flush()
+  assert.equal(m2.matched, true);
+});
+
+test("the earliest of several stop strings wins, and no stops passes text through", () => {
+  const m = createStopMatcher(["bb", "ab"]);
+  assert.deepEqual(m.push("xxabb"), { text: "xx", stopped: true });
+
+  const none = createStopMatcher([]);
+  assert.deepEqual(none.push("</"), { text: "</", stopped: false });
+  assert.equal(none.flush(), "");
+  assert.equal(none.matched, false);
+});
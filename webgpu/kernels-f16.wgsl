@@ -0,0 +1,219 @@
+// kernels-f16.wgsl — Actalithic WebGPU Compute Shaders, half-precision variants
+// Compiled only on devices with the `shader-f16` feature. Kept separate from
+// kernels.wgsl (which model bundles ship their own copy of) and self-contained:
+// nothing here depends on kernels.wgsl beyond the Uniforms layout.
+// Storage is f16; accumulation stays f32.
+// Apache 2.0 — Actalithic
+
+enable f16;
+
+// Same 256-byte layout as kernels.wgsl — keep the two in sync
+struct Uniforms {
+  seq_len:    f32,
+  hidden:     f32,
+  vocab_size: f32,
+  n_heads:    f32,
+  n_kv:       f32,
+  head_dim:   f32,
+  theta:      f32,
+  offset:     f32,
+  M:          f32,
+  N:          f32,
+  K:          f32,
+  quant:      f32,
+  eps:        f32,
+  scale_attn: f32,
+  ffn_size:   f32,
+  size:       f32,
+  last_only:  f32,
+  total_seq:  f32,
+  top_k:      f32,
+  temperature: f32,
+  pad3:       f32,
+  pad4:       f32,
+  pad5:       f32,
+  pad6:       f32,
+  pad7:       f32,
+  pad8:       f32,
+  pad9:       f32,
+  pad10:      f32,
+  pad11:      f32,
+  pad12:      f32,
+  pad13:      f32,
+  pad14:      f32,
+  pad15:      f32,
+};
+
+const F16_MAX: f32 = 65504.0;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// KV STORE (f32 → f16)
+// Writes `size` K or V values into the f16 cache starting at element `offset`
+// (position × n_kv × head_dim). Replaces copyBufferToBuffer for f16 caches.
+// ─────────────────────────────────────────────────────────────────────────────
+
+@group(0) @binding(0) var<storage, read>       kvs_src: array<f32>;
+@group(0) @binding(1) var<storage, read_write> kvs_dst: array<f16>;
+@group(0) @binding(2) var<uniform>             u_kvs:   Uniforms;
+
+@compute @workgroup_size(256)
+fn kv_store_f16(@builtin(global_invocation_id) gid: vec3u) {
+  let i = gid.x;
+  if (i >= u32(u_kvs.size)) { return; }
+  kvs_dst[u32(u_kvs.offset) + i] = f16(clamp(kvs_src[i], -F16_MAX, F16_MAX));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MATMUL (F16 weights)
+// C[M×N] = A[M×K] × Wᵀ, W stored [N×K] as f16 — same tiling and dispatch as
+// matmul_f32, with the weight tile held in f16.
+// ─────────────────────────────────────────────────────────────────────────────
+
+@group(0) @binding(0) var<storage, read>       mh_a: array<f32>;
+@group(0) @binding(1) var<storage, read>       mh_b: array<f16>;
+@group(0) @binding(2) var<storage, read_write> mh_c: array<f32>;
+@group(0) @binding(3) var<uniform>             u_mh: Uniforms;
+
+var<workgroup> tile_ha: array<array<f32, 8>, 8>;
+var<workgroup> tile_hb: array<array<f16, 8>, 8>;
+
+@compute @workgroup_size(8, 8)
+fn matmul_f16(@builtin(global_invocation_id) gid: vec3u,
+              @builtin(local_invocation_id)  lid: vec3u) {
+  let M = u32(u_mh.M);
+  let N = u32(u_mh.N);
+  let K = u32(u_mh.K);
+  let row = gid.y;
+  let col = gid.x;
+  // No early return: every thread must reach the barriers (uniform control flow)
+  let inside = row < M && col < N;
+
+  var acc: f32 = 0.0;
+  let nTiles = (K + 7u) / 8u;
+
+  for (var t = 0u; t < nTiles; t++) {
+    let kA = t * 8u + lid.x;
+    let kB = t * 8u + lid.y;
+
+    tile_ha[lid.y][lid.x] = select(0.0, mh_a[min(row, M - 1u) * K + kA], kA < K && row < M);
+    tile_hb[lid.y][lid.x] = select(0.0h, mh_b[min(col, N - 1u) * K + kB], kB < K && col < N);
+    workgroupBarrier();
+
+    for (var k = 0u; k < 8u; k++) {
+      acc += tile_ha[lid.y][k] * f32(tile_hb[k][lid.x]);
+    }
+    workgroupBarrier();
+  }
+
+  if (inside) { mh_c[row * N + col] = acc; }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ATTENTION over an f16 KV cache
+// attention_score from kernels.wgsl with K and V read as f16 — same tiled
+// online softmax, one workgroup per (head, query position).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const ATTN_TILE:    u32 = 64u;
+const ATTN_MAX_DIM: u32 = 256u;
+const ATTN_DPT:     u32 = 4u;      // output dims per thread = ATTN_MAX_DIM / ATTN_TILE
+const ATTN_NEG:     f32 = -3.0e38;
+
+@group(0) @binding(0) var<storage, read>       ah_q:   array<f32>;
+@group(0) @binding(1) var<storage, read>       ah_k:   array<f16>;
+@group(0) @binding(2) var<storage, read>       ah_v:   array<f16>;
+@group(0) @binding(3) var<storage, read_write> ah_out: array<f32>;
+@group(0) @binding(4) var<uniform>             u_ah:   Uniforms;
+
+var<workgroup> ah_qs:  array<f32, 256>;
+var<workgroup> ah_p:   array<f32, 64>;
+var<workgroup> ah_red: array<f32, 64>;
+
+fn ah_reduce(lid: u32, is_max: bool) -> f32 {
+  for (var s = ATTN_TILE / 2u; s > 0u; s = s >> 1u) {
+    if (lid < s) {
+      let a = ah_red[lid];
+      let b = ah_red[lid + s];
+      ah_red[lid] = select(a + b, max(a, b), is_max);
+    }
+    workgroupBarrier();
+  }
+  let r = ah_red[0];
+  workgroupBarrier();
+  return r;
+}
+
+@compute @workgroup_size(64)
+fn attention_score_f16(@builtin(local_invocation_id) lid:  vec3u,
+                       @builtin(workgroup_id)        wgid: vec3u) {
+  let n_heads  = u32(u_ah.n_heads);
+  let n_kv     = u32(u_ah.n_kv);
+  let head_dim = u32(u_ah.head_dim);
+  let seq_len  = u32(u_ah.seq_len);
+  let total    = u32(u_ah.total_seq);
+  let scale    = u_ah.scale_attn;
+
+  let head     = wgid.x;
+  let q_pos    = wgid.y;
+  if (head >= n_heads || q_pos >= seq_len) { return; }
+
+  let kv_head  = head / max(n_heads / n_kv, 1u);
+  let q_base   = (q_pos * n_heads + head) * head_dim;
+  let abs_pos  = min(q_pos + u32(u_ah.offset), total - 1u);
+
+  for (var d = lid.x; d < head_dim; d += ATTN_TILE) {
+    ah_qs[d] = ah_q[q_base + d];
+  }
+  workgroupBarrier();
+
+  var m   = ATTN_NEG;
+  var l   = 0.0;
+  var acc = array<f32, 4>(0.0, 0.0, 0.0, 0.0);
+
+  let n_tiles = abs_pos / ATTN_TILE + 1u;
+  for (var t = 0u; t < n_tiles; t++) {
+    let t0    = t * ATTN_TILE;
+    let kpos  = t0 + lid.x;
+    let valid = kpos <= abs_pos;
+
+    var score = ATTN_NEG;
+    if (valid) {
+      let k_base = (kpos * n_kv + kv_head) * head_dim;
+      var dot: f32 = 0.0;
+      for (var d = 0u; d < head_dim; d++) {
+        dot += ah_qs[d] * f32(ah_k[k_base + d]);
+      }
+      score = dot * scale;
+    }
+
+    ah_red[lid.x] = score;
+    workgroupBarrier();
+    let m_new = max(m, ah_reduce(lid.x, true));
+    let corr  = select(exp(m - m_new), 0.0, t == 0u);
+    let p     = select(0.0, exp(score - m_new), valid);
+
+    ah_p[lid.x]   = p;
+    ah_red[lid.x] = p;
+    workgroupBarrier();
+    l = l * corr + ah_reduce(lid.x, false);
+    m = m_new;
+
+    let tile_n = min(ATTN_TILE, abs_pos + 1u - t0);
+    for (var i = 0u; i < ATTN_DPT; i++) {
+      let d = lid.x + i * ATTN_TILE;
+      if (d < head_dim) {
+        var sum: f32 = 0.0;
+        for (var j = 0u; j < tile_n; j++) {
+          sum += ah_p[j] * f32(ah_v[((t0 + j) * n_kv + kv_head) * head_dim + d]);
+        }
+        acc[i] = acc[i] * corr + sum;
+      }
+    }
+    workgroupBarrier();
+  }
+
+  for (var i = 0u; i < ATTN_DPT; i++) {
+    let d = lid.x + i * ATTN_TILE;
+    if (d < head_dim) { ah_out[q_base + d] = acc[i] / l; }
+  }
+}
@@ -27,9 +27,9 @@ struct Uniforms {
   ffn_size:   f32,  // intermediate FFN size
   size:       f32,  // generic element count
   last_only:  f32,  // 1 = LM head uses last token only
-  pad0:       f32,
-  pad1:       f32,
-  pad2:       f32,
+  total_seq:  f32,  // attention: cached positions + current tokens
+  top_k:      f32,  // sampling: candidates kept by topk_stage1 / topk_stage2
+  temperature: f32, // sampling: logits are divided by this before read-back
   pad3:       f32,
   pad4:       f32,
   pad5:       f32,
@@ -58,7 +58,7 @@ struct Uniforms {
 @group(0) @binding(2) var<storage, read_write> hidden_out:   array<f32>;
 @group(0) @binding(3) var<uniform>             u_embed:      Uniforms;
 
-@compute @workgroup_size(64)
+@compute @workgroup_size(256)
 fn token_embed(@builtin(global_invocation_id) gid: vec3u) {
   let idx = gid.x;
   let total = u32(u_embed.seq_len) * u32(u_embed.hidden);
@@ -117,7 +117,7 @@ fn rms_norm(@builtin(global_invocation_id) gid: vec3u,
 // ─────────────────────────────────────────────────────────────────────────────
 // MATMUL (F32)
 // C[M, N] = A[M, K] × B[N, K]ᵀ   (B is transposed = row-major weight matrix)
-// Tiled 8×8 workgroup.
+// Tiled 8×8 workgroup — dispatch ceil(N/8) × ceil(M/8): x over output columns, y over rows.
 // ─────────────────────────────────────────────────────────────────────────────
 
 @group(0) @binding(0) var<storage, read>       mm_a:    array<f32>;
@@ -136,7 +136,8 @@ fn matmul_f32(@builtin(global_invocation_id) gid: vec3u,
   let K = u32(u_mm.K);
   let row = gid.y;
   let col = gid.x;
-  if (row >= M || col >= N) { return; }
+  // No early return: every thread must reach the barriers (uniform control flow)
+  let inside = row < M && col < N;
 
   var acc: f32 = 0.0;
   let nTiles = (K + 7u) / 8u;
@@ -145,8 +146,8 @@ fn matmul_f32(@builtin(global_invocation_id) gid: vec3u,
     let kA = t * 8u + lid.x;
     let kB = t * 8u + lid.y;
 
-    tile_a[lid.y][lid.x] = select(0.0, mm_a[row * K + kA], kA < K);
-    tile_b[lid.y][lid.x] = select(0.0, mm_b[col * K + kB], kB < K);
+    tile_a[lid.y][lid.x] = select(0.0, mm_a[min(row, M - 1u) * K + kA], kA < K && row < M);
+    tile_b[lid.y][lid.x] = select(0.0, mm_b[min(col, N - 1u) * K + kB], kB < K && col < N);
     workgroupBarrier();
 
     for (var k = 0u; k < 8u; k++) {
@@ -155,7 +156,7 @@ fn matmul_f32(@builtin(global_invocation_id) gid: vec3u,
     workgroupBarrier();
   }
 
-  mm_c[row * N + col] = acc;
+  if (inside) { mm_c[row * N + col] = acc; }
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -370,84 +371,119 @@ fn rope_embed(@builtin(global_invocation_id) gid: vec3u) {
 // K [seq × n_kv   × head_dim]   (GQA: n_kv may be < n_heads)
 // V [seq × n_kv   × head_dim]
 // Out [seq × n_heads × head_dim]
-// One workgroup per (head, query_position) pair.
+// K/V hold `total_seq` positions; query i sits at absolute position offset + i,
+// so prefill on top of a reused KV prefix and single-token decode share a path.
+// One workgroup per (head, query_position): dispatch (n_heads, seq_len).
+//
+// Flash-attention style: keys are walked in tiles of ATTN_TILE with an online
+// softmax (running max m, running sum l, output rescaled by exp(m_old - m_new)),
+// so no score array is kept and total_seq is unbounded. head_dim ≤ ATTN_MAX_DIM.
 // ─────────────────────────────────────────────────────────────────────────────
 
+const ATTN_TILE:    u32 = 64u;
+const ATTN_MAX_DIM: u32 = 256u;
+const ATTN_DPT:     u32 = 4u;      // output dims per thread = ATTN_MAX_DIM / ATTN_TILE
+const ATTN_NEG:     f32 = -3.0e38;
+
 @group(0) @binding(0) var<storage, read>       attn_q:   array<f32>;
 @group(0) @binding(1) var<storage, read>       attn_k:   array<f32>;
 @group(0) @binding(2) var<storage, read>       attn_v:   array<f32>;
 @group(0) @binding(3) var<storage, read_write> attn_out: array<f32>;
 @group(0) @binding(4) var<uniform>             u_attn:   Uniforms;
 
-var<workgroup> attn_scores: array<f32, 4096>;  // max seq_len 4096
-var<workgroup> attn_max:    f32;
-var<workgroup> attn_softmax_sum: f32;
+var<workgroup> attn_qs:  array<f32, 256>;  // query row, shared by the tile
+var<workgroup> attn_p:   array<f32, 64>;   // probabilities of the current tile
+var<workgroup> attn_red: array<f32, 64>;   // reduction scratch
+
+// Tree reduction of attn_red — max when `is_max`, otherwise sum
+fn attn_reduce(lid: u32, is_max: bool) -> f32 {
+  for (var s = ATTN_TILE / 2u; s > 0u; s = s >> 1u) {
+    if (lid < s) {
+      let a = attn_red[lid];
+      let b = attn_red[lid + s];
+      attn_red[lid] = select(a + b, max(a, b), is_max);
+    }
+    workgroupBarrier();
+  }
+  let r = attn_red[0];
+  workgroupBarrier();  // every thread has read slot 0 before it is reused
+  return r;
+}
 
 @compute @workgroup_size(64)
-fn attention_score(@builtin(global_invocation_id) gid: vec3u,
-                   @builtin(local_invocation_id)  lid: vec3u,
-                   @builtin(workgroup_id)         wgid: vec3u) {
+fn attention_score(@builtin(local_invocation_id) lid:  vec3u,
+                   @builtin(workgroup_id)        wgid: vec3u) {
   let n_heads  = u32(u_attn.n_heads);
   let n_kv     = u32(u_attn.n_kv);
   let head_dim = u32(u_attn.head_dim);
   let seq_len  = u32(u_attn.seq_len);
+  let total    = u32(u_attn.total_seq);
   let scale    = u_attn.scale_attn;
 
-  let head     = wgid.x % n_heads;
-  let q_pos    = wgid.x / n_heads;
-  if (q_pos >= seq_len) { return; }
+  let head     = wgid.x;
+  let q_pos    = wgid.y;
+  if (head >= n_heads || q_pos >= seq_len) { return; }
 
-  let kv_head  = head % n_kv;  // GQA: map query head to KV head
-  let q_base   = (q_pos * n_heads + head)   * head_dim;
-  let out_base = (q_pos * n_heads + head)   * head_dim;
+  // GQA: consecutive query heads share one KV head
+  let kv_head  = head / max(n_heads / n_kv, 1u);
+  let q_base   = (q_pos * n_heads + head) * head_dim;
+  let abs_pos  = min(q_pos + u32(u_attn.offset), total - 1u);
 
-  // Compute attention scores for all key positions ≤ q_pos (causal mask)
-  if (lid.x == 0u) { attn_max = -1e38; }
+  for (var d = lid.x; d < head_dim; d += ATTN_TILE) {
+    attn_qs[d] = attn_q[q_base + d];
+  }
   workgroupBarrier();
 
-  for (var kpos = lid.x; kpos <= q_pos; kpos += 64u) {
-    let k_base = (kpos * n_kv + kv_head) * head_dim;
-    var dot: f32 = 0.0;
-    for (var d = 0u; d < head_dim; d++) {
-      dot += attn_q[q_base + d] * attn_k[k_base + d];
+  var m   = ATTN_NEG;                          // running max score
+  var l   = 0.0;                               // running Σ exp(score - m)
+  var acc = array<f32, 4>(0.0, 0.0, 0.0, 0.0); // running Σ p·V for this thread's dims
+
+  // Causal mask: only keys 0..abs_pos take part
+  let n_tiles = abs_pos / ATTN_TILE + 1u;
+  for (var t = 0u; t < n_tiles; t++) {
+    let t0    = t * ATTN_TILE;
+    let kpos  = t0 + lid.x;
+    let valid = kpos <= abs_pos;
+
+    var score = ATTN_NEG;
+    if (valid) {
+      let k_base = (kpos * n_kv + kv_head) * head_dim;
+      var dot: f32 = 0.0;
+      for (var d = 0u; d < head_dim; d++) {
+        dot += attn_qs[d] * attn_k[k_base + d];
+      }
+      score = dot * scale;
     }
-    let score = dot * scale;
-    attn_scores[kpos] = score;
-    // Track max for numerically stable softmax
-    if (score > attn_max) {
-      // This is a simplified race-condition-prone approach
-      // In production use a proper parallel reduction
-      attn_max = score;
-    }
-  }
-  // Mask future positions
-  for (var kpos = q_pos + 1u + lid.x; kpos < seq_len; kpos += 64u) {
-    attn_scores[kpos] = -1e38;
-  }
-  workgroupBarrier();
 
-  // Softmax over scores
-  if (lid.x == 0u) { attn_softmax_sum = 0.0; }
-  workgroupBarrier();
-  for (var kpos = lid.x; kpos < seq_len; kpos += 64u) {
-    let ex = exp(attn_scores[kpos] - attn_max);
-    attn_scores[kpos] = ex;
-    attn_softmax_sum += ex;
-  }
-  workgroupBarrier();
-  for (var kpos = lid.x; kpos < seq_len; kpos += 64u) {
-    attn_scores[kpos] /= attn_softmax_sum;
-  }
-  workgroupBarrier();
+    attn_red[lid.x] = score;
+    workgroupBarrier();
+    let m_new = max(m, attn_reduce(lid.x, true));
+    let corr  = select(exp(m - m_new), 0.0, t == 0u);
+    let p     = select(0.0, exp(score - m_new), valid);
 
-  // Aggregate values
-  for (var d = lid.x; d < head_dim; d += 64u) {
-    var out: f32 = 0.0;
-    for (var kpos = 0u; kpos <= q_pos; kpos++) {
-      let v_base = (kpos * n_kv + kv_head) * head_dim;
-      out += attn_scores[kpos] * attn_v[v_base + d];
+    attn_p[lid.x]   = p;
+    attn_red[lid.x] = p;
+    workgroupBarrier();
+    l = l * corr + attn_reduce(lid.x, false);
+    m = m_new;
+
+    let tile_n = min(ATTN_TILE, abs_pos + 1u - t0);
+    for (var i = 0u; i < ATTN_DPT; i++) {
+      let d = lid.x + i * ATTN_TILE;
+      if (d < head_dim) {
+        var sum: f32 = 0.0;
+        for (var j = 0u; j < tile_n; j++) {
+          sum += attn_p[j] * attn_v[((t0 + j) * n_kv + kv_head) * head_dim + d];
+        }
+        acc[i] = acc[i] * corr + sum;
+      }
     }
-    attn_out[out_base + d] = out;
+    workgroupBarrier();  // attn_p is overwritten by the next tile
+  }
+
+  for (var i = 0u; i < ATTN_DPT; i++) {
+    let d = lid.x + i * ATTN_TILE;
+    if (d < head_dim) { attn_out[q_base + d] = acc[i] / l; }
   }
 }
 
@@ -489,7 +525,7 @@ fn softmax(@builtin(global_invocation_id) gid: vec3u,
 @group(0) @binding(2) var<storage, read_write> sg_out:  array<f32>;
 @group(0) @binding(3) var<uniform>             u_sg:    Uniforms;
 
-@compute @workgroup_size(64)
+@compute @workgroup_size(256)
 fn swiglu(@builtin(global_invocation_id) gid: vec3u) {
   let idx = gid.x;
   if (idx >= u32(u_sg.size)) { return; }
@@ -511,7 +547,7 @@ fn swiglu(@builtin(global_invocation_id) gid: vec3u) {
 @group(0) @binding(2) var<storage, read_write> lm_logits: array<f32>;
 @group(0) @binding(3) var<uniform>             u_lm:      Uniforms;
 
-@compute @workgroup_size(64)
+@compute @workgroup_size(256)
 fn lm_head(@builtin(global_invocation_id) gid: vec3u) {
   let vocab_id = gid.x;
   let vocab    = u32(u_lm.vocab_size);
@@ -540,7 +576,7 @@ fn lm_head(@builtin(global_invocation_id) gid: vec3u) {
 @group(0) @binding(1) var<storage, read>       res_b: array<f32>;
 @group(0) @binding(2) var<uniform>             u_res: Uniforms;
 
-@compute @workgroup_size(64)
+@compute @workgroup_size(256)
 fn residual_add(@builtin(global_invocation_id) gid: vec3u) {
   let idx = gid.x;
   if (idx >= u32(u_res.size)) { return; }
@@ -581,3 +617,141 @@ fn kv_cache_copy(@builtin(global_invocation_id) gid: vec3u) {
   let dst_offset = u32(u_kvc.offset) * u32(u_kvc.n_kv) * u32(u_kvc.head_dim);
   kvc_dst[dst_offset + idx] = kvc_src[idx];
 }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SAMPLING: LOGIT ADJUST
+// Applies logit bias and repetition / frequency / presence penalties to the
+// few token ids that need them, so top-k can run on the adjusted logits.
+// One thread per entry — the host merges duplicate ids into one entry.
+//   l = logits[id] + add;  l = l > 0 ? l / rep : l * rep;  l -= sub
+// ─────────────────────────────────────────────────────────────────────────────
+
+struct LogitAdjust {
+  id:  u32,
+  add: f32,
+  rep: f32,
+  sub: f32,
+};
+
+@group(0) @binding(0) var<storage, read_write> la_logits: array<f32>;
+@group(0) @binding(1) var<storage, read>       la_adj:    array<LogitAdjust>;
+@group(0) @binding(2) var<uniform>             u_la:      Uniforms;
+
+@compute @workgroup_size(64)
+fn logit_adjust(@builtin(global_invocation_id) gid: vec3u) {
+  if (gid.x >= u32(u_la.size)) { return; }
+  let a = la_adj[gid.x];
+  if (a.id >= u32(u_la.vocab_size)) { return; }
+  var l = la_logits[a.id] + a.add;
+  l = select(l * a.rep, l / a.rep, l > 0.0);
+  la_logits[a.id] = l - a.sub;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SAMPLING: TOP-K SELECTION (two passes)
+// Stage 1: each workgroup owns TOPK_CHUNK logits, copies them to workgroup
+//          memory and extracts its top_k by repeated parallel arg-max,
+//          writing (id, logit / temperature) candidates.
+// Stage 2: one workgroup runs the same selection over all candidates.
+// Only top_k entries (8 bytes each) are read back instead of the full vocab.
+// Output is sorted descending; unused slots hold TOPK_NEG.
+// ─────────────────────────────────────────────────────────────────────────────
+
+struct TopKEntry {
+  id:    u32,
+  logit: f32,
+};
+
+const TOPK_CHUNK: u32 = 2048u;
+const TOPK_WG:    u32 = 256u;
+const TOPK_NEG:   f32 = -3.0e38;
+
+@group(0) @binding(0) var<storage, read>       tk_logits: array<f32>;
+@group(0) @binding(1) var<storage, read_write> tk_cand:   array<TopKEntry>;
+@group(0) @binding(2) var<uniform>             u_tk:      Uniforms;
+
+var<workgroup> tk_chunk: array<f32, 2048>;
+var<workgroup> tk_red_v: array<f32, 256>;
+var<workgroup> tk_red_i: array<u32, 256>;
+
+// Reduce tk_red_v / tk_red_i to the arg-max in slot 0
+fn topk_reduce(lid: u32) {
+  for (var s = TOPK_WG / 2u; s > 0u; s = s >> 1u) {
+    if (lid < s && tk_red_v[lid + s] > tk_red_v[lid]) {
+      tk_red_v[lid] = tk_red_v[lid + s];
+      tk_red_i[lid] = tk_red_i[lid + s];
+    }
+    workgroupBarrier();
+  }
+}
+
+@compute @workgroup_size(256)
+fn topk_stage1(@builtin(workgroup_id) wg: vec3u,
+               @builtin(local_invocation_id) lid: vec3u) {
+  let n     = u32(u_tk.size);
+  let k     = u32(u_tk.top_k);
+  let inv_t = 1.0 / u_tk.temperature;
+  let base  = wg.x * TOPK_CHUNK;
+
+  for (var i = lid.x; i < TOPK_CHUNK; i += TOPK_WG) {
+    var v = TOPK_NEG;
+    if (base + i < n) { v = tk_logits[base + i]; }
+    tk_chunk[i] = v;
+  }
+  workgroupBarrier();
+
+  for (var r = 0u; r < k; r++) {
+    var best_v = TOPK_NEG;
+    var best_i = 0u;
+    for (var i = lid.x; i < TOPK_CHUNK; i += TOPK_WG) {
+      if (tk_chunk[i] > best_v) { best_v = tk_chunk[i]; best_i = i; }
+    }
+    tk_red_v[lid.x] = best_v;
+    tk_red_i[lid.x] = best_i;
+    workgroupBarrier();
+    topk_reduce(lid.x);
+
+    if (lid.x == 0u) {
+      let win = tk_red_i[0];
+      let v   = tk_red_v[0];
+      tk_cand[wg.x * k + r] = TopKEntry(base + win, select(TOPK_NEG, v * inv_t, v > TOPK_NEG));
+      tk_chunk[win] = TOPK_NEG;
+    }
+    workgroupBarrier();
+  }
+}
+
+@group(0) @binding(0) var<storage, read_write> tk2_cand: array<TopKEntry>;
+@group(0) @binding(1) var<storage, read_write> tk2_out:  array<TopKEntry>;
+@group(0) @binding(2) var<uniform>             u_tk2:    Uniforms;
+
+@compute @workgroup_size(256)
+fn topk_stage2(@builtin(local_invocation_id) lid: vec3u) {
+  let n = u32(u_tk2.size);   // number of stage-1 candidates
+  let k = u32(u_tk2.top_k);
+
+  for (var r = 0u; r < k; r++) {
+    var best_v = TOPK_NEG;
+    var best_i = 0u;
+    for (var i = lid.x; i < n; i += TOPK_WG) {
+      let v = tk2_cand[i].logit;
+      if (v > best_v) { best_v = v; best_i = i; }
+    }
+    tk_red_v[lid.x] = best_v;
+    tk_red_i[lid.x] = best_i;
+    workgroupBarrier();
+    topk_reduce(lid.x);
+
+    if (lid.x == 0u) {
+      let win = tk_red_i[0];
+      if (tk_red_v[0] > TOPK_NEG) {
+        tk2_out[r] = tk2_cand[win];
+        tk2_cand[win].logit = TOPK_NEG;
+      } else {
+        tk2_out[r] = TopKEntry(0u, TOPK_NEG);
+      }
+    }
+    storageBarrier();
+    workgroupBarrier();
+  }
+}